@@ -1,15 +1,73 @@
 import { useState, useEffect } from 'react';
 import { GameScene } from './components/game/Scene';
+import { LevelMenu } from './components/game/LevelMenu';
 import { LevelEditor } from './components/editor/LevelEditor';
 import { Toaster } from '@/components/ui/toaster';
+import { LEVEL_FILES, LEVEL_FLOW } from './constants/gameConstants';
+import { getLevelFilenameFromUrl, getLevelUrl } from './utils/levelManifest';
+import { fetchCampaign, getNextCampaignLevel } from './utils/levelFlow';
 import './App.css';
 
 /**
  * Componente principal de la aplicación
  * Permite alternar entre modo juego y modo edición
+ * El nivel que se juega viene de la URL (?level=level2), del menú de niveles o del nivel abierto en el editor.
+ * Al llegar a la meta de un nivel se pasa al siguiente de la campaña
  */
 function App() {
   const [mode, setMode] = useState('game'); // 'game' o 'editor'
+  const [gameLevel, setGameLevel] = useState(
+    () => getLevelFilenameFromUrl(window.location.search) || LEVEL_FILES.DEFAULT_LEVEL
+  );
+  const [levelMenuOpen, setLevelMenuOpen] = useState(false);
+  // Nivel completado: { filename, nextLevel, firstLevel } (nextLevel es null al terminar la campaña)
+  const [levelTransition, setLevelTransition] = useState(null);
+  // Cada vez que se (re)empieza un nivel desde el menú, para poder repetir el mismo nivel
+  const [levelAttempt, setLevelAttempt] = useState(0);
+
+  // Mantener la URL apuntando al nivel actual (se puede recargar o compartir)
+  useEffect(() => {
+    window.history.replaceState(null, '', getLevelUrl(window.location.href, gameLevel));
+  }, [gameLevel]);
+
+  // Al salir del editor se juega el nivel que estaba abierto
+  const handleModeChange = (nextMode, levelFilename) => {
+    if (levelFilename) {
+      setGameLevel(levelFilename);
+    }
+    setLevelMenuOpen(false);
+    setLevelTransition(null);
+    setMode(nextMode);
+  };
+
+  const handleSelectGameLevel = (filename) => {
+    setGameLevel(filename);
+    setLevelAttempt((attempt) => attempt + 1);
+    setLevelMenuOpen(false);
+    setLevelTransition(null);
+  };
+
+  // El jugador llegó a la meta: buscar el siguiente nivel de la campaña
+  const handleLevelComplete = async (filename) => {
+    const campaign = await fetchCampaign();
+    const nextLevel = getNextCampaignLevel(campaign, filename);
+    // Al terminar la campaña hace falta el cursor para el botón de volver a empezar
+    if (!nextLevel && document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    setLevelTransition({ filename, nextLevel, firstLevel: campaign.levels[0] });
+  };
+
+  // Mostrar "Nivel completado" un momento antes de cargar el siguiente
+  useEffect(() => {
+    if (!levelTransition?.nextLevel) return;
+
+    const timer = setTimeout(() => {
+      setGameLevel(levelTransition.nextLevel);
+      setLevelTransition(null);
+    }, LEVEL_FLOW.TRANSITION_DELAY);
+    return () => clearTimeout(timer);
+  }, [levelTransition]);
 
   // Agregar clase al body para modo edición y asegurar cursor visible
   useEffect(() => {
@@ -48,12 +106,37 @@ function App() {
           >
             ✏️ Modo Edición
           </button>
+          <button
+            className={levelMenuOpen ? 'active' : ''}
+            onClick={() => setLevelMenuOpen((open) => !open)}
+          >
+            🗺️ Niveles
+          </button>
         </div>
       )}
+      {mode === 'game' && levelMenuOpen && (
+        <LevelMenu currentLevel={gameLevel} onSelectLevel={handleSelectGameLevel} />
+      )}
 
       {mode === 'game' ? (
         <>
-          <GameScene />
+          <GameScene
+            levelFilename={gameLevel}
+            attempt={levelAttempt}
+            onLevelComplete={handleLevelComplete}
+          />
+          {levelTransition && (
+            <div className="level-complete">
+              <h2>{levelTransition.nextLevel ? '¡Nivel completado!' : '¡Campaña completada!'}</h2>
+              {levelTransition.nextLevel ? (
+                <p>Cargando {levelTransition.nextLevel}...</p>
+              ) : (
+                <button onClick={() => handleSelectGameLevel(levelTransition.firstLevel || gameLevel)}>
+                  Volver a empezar
+                </button>
+              )}
+            </div>
+          )}
           <div className="ui-overlay">
             <div className="controls-info">
               <h2>Zombie FPS</h2>
@@ -63,7 +146,7 @@ function App() {
           </div>
         </>
       ) : (
-        <LevelEditor mode={mode} onModeChange={setMode} />
+        <LevelEditor mode={mode} onModeChange={handleModeChange} initialLevel={gameLevel} />
       )}
       <Toaster />
     </div>
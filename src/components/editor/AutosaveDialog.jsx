@@ -0,0 +1,94 @@
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { History, RotateCcw } from 'lucide-react';
+
+/**
+ * Formatea la antigüedad de un autoguardado ("hace 5 min")
+ */
+const formatAge = (timestamp) => {
+  const seconds = Math.round((Date.now() - timestamp) / 1000);
+  if (seconds < 60) return 'hace unos segundos';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `hace ${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `hace ${hours} h`;
+  return new Date(timestamp).toLocaleString();
+};
+
+/**
+ * Diálogo de autoguardados del editor
+ * Lista las instantáneas recientes del nivel para restaurar una. Con `recovering` se muestra
+ * como aviso de recuperación al abrir el editor tras un cierre inesperado
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Si el diálogo está abierto
+ * @param {Function} props.onOpenChange - Callback al abrir/cerrar
+ * @param {Array} props.snapshots - Autoguardados, del más reciente al más antiguo
+ * @param {Function} props.onRestore - Callback con el autoguardado a restaurar
+ * @param {boolean} props.recovering - Si se abre como aviso de recuperación
+ */
+export const AutosaveDialog = ({ open, onOpenChange, snapshots, onRestore, recovering = false }) => {
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            {recovering ? 'Recuperar trabajo' : 'Autoguardados'}
+          </DialogTitle>
+          <DialogDescription>
+            {recovering
+              ? 'El editor no se cerró correctamente la última vez. Puedes restaurar el último autoguardado (objetos, terreno, selección y cámara) o continuar con el nivel tal como está.'
+              : 'Instantáneas recientes del nivel. Restaurar una sustituye el estado actual del editor y vacía el historial de deshacer.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {snapshots.length === 0 ? (
+          <p className="py-6 text-center text-sm text-muted-foreground">
+            No hay autoguardados para este nivel
+          </p>
+        ) : (
+          <ScrollArea className="max-h-[300px]">
+            <div className="space-y-1 pr-2">
+              {snapshots.map((snapshot, index) => (
+                <div
+                  key={snapshot.id}
+                  className="flex items-center justify-between rounded-md border border-border p-2"
+                >
+                  <div className="min-w-0">
+                    <div className="text-sm font-medium text-foreground">
+                      {formatAge(snapshot.createdAt)}
+                      {index === 0 && <span className="ml-2 text-xs text-primary">más reciente</span>}
+                    </div>
+                    <div className="text-xs text-muted-foreground truncate">
+                      {snapshot.data.level?.name || 'Sin nombre'} · {snapshot.data.level?.objects?.length ?? 0} objetos
+                      {snapshot.data.level?.terrain ? ' · con terreno' : ''}
+                    </div>
+                  </div>
+                  <Button variant="outline" size="sm" onClick={() => onRestore(snapshot)}>
+                    <RotateCcw className="h-4 w-4 mr-1" />
+                    Restaurar
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </ScrollArea>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            {recovering ? 'Continuar sin restaurar' : 'Cerrar'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -94,7 +94,7 @@ const PreviewThirdPersonCamera = ({ cameraObj, objects, scene }) => {
  * Componente que renderiza la escena del EDITOR para el preview
  * Muestra la misma escena del editor pero desde la perspectiva de la cámara de tercera persona
  */
-const PreviewEditorScene = ({ objects, terrainHeightmap, selectedObject, cameraObj }) => {
+const PreviewEditorScene = ({ objects, terrainHeightmap, terrainLayout, selectedObject, cameraObj }) => {
   const { scene } = useThree();
   
   return (
@@ -148,6 +148,7 @@ const PreviewEditorScene = ({ objects, terrainHeightmap, selectedObject, cameraO
       <TerrainWithEditor
         hasPhysics={false}
         heightmap={terrainHeightmap}
+        layout={terrainLayout}
         onHeightmapChange={null}
         showEditor={false}
         paintSettings={null}
@@ -261,7 +262,7 @@ const PreviewEditorScene = ({ objects, terrainHeightmap, selectedObject, cameraO
  * Componente de preview de cámara que muestra la vista del jugador en tiempo real
  * Solo se muestra si hay una cámara de tercera persona activa
  */
-export const CameraPreview = ({ objects, terrainHeightmap, selectedObject }) => {
+export const CameraPreview = ({ objects, terrainHeightmap, terrainLayout = TERRAIN_CONFIG.DEFAULT_LAYOUT, selectedObject }) => {
   const [isVisible, setIsVisible] = useState(false);
   const [hasActiveThirdPersonCamera, setHasActiveThirdPersonCamera] = useState(false);
   const [position, setPosition] = useState(null); // null = usar posición inicial por defecto
@@ -391,6 +392,7 @@ export const CameraPreview = ({ objects, terrainHeightmap, selectedObject }) =>
           <PreviewEditorScene
             objects={objects}
             terrainHeightmap={terrainHeightmap}
+            terrainLayout={terrainLayout}
             selectedObject={selectedObject}
             cameraObj={objects.find(
               (obj) => obj.type === 'camera' && obj.mode === 'thirdPerson' && obj.active === true
@@ -1,15 +1,28 @@
 import { Canvas, useThree, useFrame } from '@react-three/fiber';
 import { OrbitControls, Sky, TransformControls, Grid, useGLTF } from '@react-three/drei';
 import { TerrainWithEditor } from '../terrain/TerrainWithEditor';
+import { ScatterPainter } from '../terrain/ScatterPainter';
+import { TerrainBrushIndicator } from '../terrain/TerrainBrushIndicator';
+import { ScatterLayers } from '../game/ScatterInstances';
 import { SceneObject } from '../game/SceneObject';
 import { ColliderCylinder } from './ColliderCylinder';
 import { CameraComponent } from '../game/CameraComponent';
 import { CameraPreview } from './CameraPreview';
-import { useRef, useEffect, useCallback, useMemo, useState, memo } from 'react';
+import { GroupTransformGizmo } from './GroupTransformGizmo';
+import { SelectionBox } from './SelectionBox';
+import { PhysicsSettle } from './PhysicsSettle';
+import { WaterSurface } from '../game/WaterBody';
+import { Button } from '@/components/ui/button';
+import { useRef, useEffect, useCallback, useMemo, useState, memo, useImperativeHandle } from 'react';
 import * as THREE from 'three';
 import { calculateCylinderCollider } from '../../utils/colliderUtils';
 import { getTerrainHeightAtWorldPosition } from '../../utils/heightmapUtils';
-import { TERRAIN_CONFIG } from '../../constants/gameConstants';
+import { getTerrainDimensions } from '../../utils/terrainChunks';
+import { findSurfaceBelow, getSurfaceAlignedQuaternion, getYawFromQuaternion } from '../../utils/surfacePlacement';
+import { resolveWorldTransforms, convertWorldUpdatesToLocal } from '../../utils/hierarchyUtils';
+import { createSettleBody } from '../../utils/physicsSettle';
+import { createWaterVolumeGeometry } from '../../utils/waterMaterial';
+import { TERRAIN_CONFIG, OBJECT_CONFIG, EDITOR_CONFIG, RAD_TO_DEG, DEG_TO_RAD } from '../../constants/gameConstants';
 import './EditorCanvas.css';
 
 /**
@@ -44,32 +57,193 @@ const CameraTargetLine = ({ cameraPosition, targetPosition, isSelected }) => {
   );
 };
 
+/**
+ * Expone la cámara del Canvas fuera de él (para la selección por caja)
+ */
+const CameraBridge = ({ cameraRef }) => {
+  const { camera } = useThree();
+
+  useEffect(() => {
+    cameraRef.current = camera;
+  }, [camera, cameraRef]);
+
+  return null;
+};
+
+/**
+ * Colocación de un objeto del editor sobre la superficie que tiene debajo
+ * La superficie es el terreno o la malla de otro objeto registrado (no las cámaras)
+ * @param {Object} groupRef - Grupo del objeto
+ * @param {Object} objectRegistryRef - Registro id -> { group, type } del canvas
+ * @param {Function} getOffsetY - Distancia vertical entre la superficie y el origen del grupo
+ * @returns {Function} placeOnSurface({ alignToNormal, yaw, ignore }) - Mueve el grupo sobre la superficie
+ */
+const useSurfacePlacement = (groupRef, objectRegistryRef, getOffsetY) => {
+  const { scene } = useThree();
+
+  return useCallback(({ alignToNormal = false, yaw = 0, ignore = [] } = {}) => {
+    const group = groupRef.current;
+    if (!group) return;
+
+    const ignored = new Set([group, ...ignore]);
+    const targets = [];
+    objectRegistryRef?.current.forEach((entry) => {
+      if (entry.group && entry.type !== 'camera' && entry.type !== 'water' && !ignored.has(entry.group)) {
+        targets.push(entry.group);
+      }
+    });
+
+    const surface = findSurfaceBelow(scene, targets, group.position.x, group.position.z);
+    group.position.y = surface.height + getOffsetY();
+    if (alignToNormal) {
+      getSurfaceAlignedQuaternion(surface.normal, yaw, group.quaternion);
+    }
+    group.updateMatrixWorld();
+  }, [scene, groupRef, objectRegistryRef, getOffsetY]);
+};
+
 /**
  * Canvas 3D del editor con controles orbitales
  * Permite visualizar y editar objetos del nivel
+ * Con suspended (modo Play) deja de renderizar pero sigue montado, así la vista se conserva al volver
+ * placementToolsRef recibe las herramientas de colocación de la selección:
+ * - settle(objectIds): asienta los objetos con física; los cambios llegan a onSettleComplete
+ * - dropToGround(objectIds, { alignToNormal }): suelta los objetos sobre la superficie que tienen debajo
+ * Con lodPreview los modelos y el terreno cambian de nivel de detalle como en el juego, coloreados por nivel
  */
 export const EditorCanvas = ({
   objects,
   selectedObject,
+  selectedObjectIds = [],
   onSelectObject,
+  onSelectObjects,
   onUpdateObject,
+  onUpdateObjects,
   transformMode = 'translate',
   snapEnabled = true,
   snapSize = 1,
   terrainHeightmap = null,
+  terrainLayout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  terrainSplat = null,
   onTerrainHeightmapChange = null,
+  onTerrainSplatChange = null,
+  onTerrainStrokeStart = null,
+  onTerrainStrokeEnd = null,
   showTerrainEditor = false,
   terrainPaintSettings = null,
+  scatterLayers = [],
+  scatterSettings = null,
+  onScatterLayersChange = null,
+  onScatterStrokeStart = null,
+  onScatterStrokeEnd = null,
+  cameraControlsRef = null,
+  suspended = false,
+  surfaceSnap = false,
+  alignToSurface = false,
+  lodPreview = false,
+  placementToolsRef = null,
+  onSettleComplete = null,
 }) => {
   const orbitControlsRef = useRef();
   const transformingObjectIdRef = useRef(null);
   // Ref compartido para rastrear el tiempo exacto de la última transformación
   const lastTransformEndTimeRef = useRef(0);
+  // Registro id -> { group, type } de los objetos renderizados (selección múltiple)
+  const objectRegistryRef = useRef(new Map());
+  const cameraRef = useRef(null);
+  const containerRef = useRef(null);
+
+  // Con varios objetos seleccionados se usa un gizmo compartido en lugar de los individuales
+  const isMultiSelection = selectedObjectIds.length > 1;
+  const selectedIdSet = useMemo(() => new Set(selectedObjectIds), [selectedObjectIds]);
+
+  // Los hijos guardan su transformación relativa al padre; el canvas trabaja en coordenadas de mundo
+  const worldObjects = useMemo(() => resolveWorldTransforms(objects), [objects]);
+  const objectsRef = useRef(objects);
+  useEffect(() => {
+    objectsRef.current = objects;
+  }, [objects]);
+
+  // Los gizmos devuelven valores de mundo: se convierten a locales antes de guardarlos
+  // (estables para que los comparadores de memo puedan ignorar los callbacks)
+  const handleUpdateWorldObject = useCallback((objectId, updates) => {
+    const [change] = convertWorldUpdatesToLocal(objectsRef.current, [{ id: objectId, updates }]);
+    if (change) {
+      onUpdateObject(objectId, change.updates);
+    }
+  }, [onUpdateObject]);
+
+  const handleUpdateWorldObjects = useCallback((changes) => {
+    onUpdateObjects(convertWorldUpdatesToLocal(objectsRef.current, changes));
+  }, [onUpdateObjects]);
+
+  // Expone la vista (posición de la cámara y objetivo de la órbita) para guardarla y restaurarla
+  useImperativeHandle(cameraControlsRef, () => ({
+    getState: () => {
+      const camera = cameraRef.current;
+      const controls = orbitControlsRef.current;
+      if (!camera || !controls) return null;
+      return { position: camera.position.toArray(), target: controls.target.toArray() };
+    },
+    setState: ({ position, target }) => {
+      const camera = cameraRef.current;
+      const controls = orbitControlsRef.current;
+      if (!camera || !controls) return;
+      camera.position.fromArray(position);
+      controls.target.fromArray(target);
+      controls.update();
+    },
+  }), []);
+
+  // El indicador del pincel de terreno también muestra el área del pincel de dispersión
+  const scatterBrushSettings = useMemo(() => scatterSettings && ({
+    brushSize: scatterSettings.brushSize,
+    paintMode: scatterSettings.mode === 'erase' ? 'erase' : 'scatter',
+  }), [scatterSettings]);
+
+  // Asentar con física: los cuerpos salen de los grupos ya renderizados (solo objetos con modelo)
+  const [settleBodies, setSettleBodies] = useState(null);
+  useImperativeHandle(placementToolsRef, () => ({
+    settle: (objectIds) => {
+      const bodies = objectIds
+        .map((id) => {
+          const entry = objectRegistryRef.current.get(id);
+          return entry?.group && entry.type === 'object' ? createSettleBody(id, entry) : null;
+        })
+        .filter(Boolean);
+      if (bodies.length > 0) {
+        setSettleBodies(bodies);
+      }
+      return bodies.length;
+    },
+    // Soltar al suelo: cada objeto cae sobre el terreno o sobre los objetos no seleccionados
+    dropToGround: (objectIds, { alignToNormal = false } = {}) => {
+      const registry = objectRegistryRef.current;
+      const entries = objectIds
+        .map((id) => ({ id, entry: registry.get(id) }))
+        .filter(({ entry }) => entry?.dropToSurface);
+      const ignore = entries.map(({ entry }) => entry.group);
+      const changes = entries.map(({ id, entry }) => ({
+        id,
+        updates: entry.dropToSurface({ alignToNormal, ignore }),
+      }));
+      if (changes.length > 0) {
+        onUpdateObjects(convertWorldUpdatesToLocal(objectsRef.current, changes), { label: 'Soltar al suelo' });
+      }
+      return changes.length;
+    },
+  }), [onUpdateObjects]);
+
+  const handleSettleComplete = useCallback((changes) => {
+    setSettleBodies(null);
+    onSettleComplete?.(convertWorldUpdatesToLocal(objectsRef.current, changes));
+  }, [onSettleComplete]);
 
   return (
-    <div className="editor-canvas">
+    <div className="editor-canvas" ref={containerRef}>
       <Canvas
         shadows
+        frameloop={suspended ? 'never' : 'always'}
         camera={{ position: [20, 15, 20], fov: 60 }}
         style={{ width: '100%', height: '100%' }}
       >
@@ -101,6 +275,8 @@ export const EditorCanvas = ({
           sunScale={0.8}
         />
 
+        <CameraBridge cameraRef={cameraRef} />
+
         {/* Controles orbitales para navegar en el editor */}
         <OrbitControls
           ref={orbitControlsRef}
@@ -123,26 +299,50 @@ export const EditorCanvas = ({
         <TerrainWithEditor
           hasPhysics={false}
           heightmap={terrainHeightmap}
+          layout={terrainLayout}
+          splat={terrainSplat}
           onHeightmapChange={onTerrainHeightmapChange}
+          onSplatChange={onTerrainSplatChange}
+          onStrokeStart={onTerrainStrokeStart}
+          onStrokeEnd={onTerrainStrokeEnd}
           showEditor={showTerrainEditor}
           paintSettings={terrainPaintSettings}
+          lodPreview={lodPreview}
         />
 
+        {/* Vegetación del nivel y pincel de dispersión */}
+        <ScatterLayers layers={scatterLayers} heightmap={terrainHeightmap} layout={terrainLayout} />
+        {showTerrainEditor && scatterSettings && onScatterLayersChange && (
+          <>
+            <ScatterPainter
+              layers={scatterLayers}
+              heightmap={terrainHeightmap}
+              layout={terrainLayout}
+              onLayersChange={onScatterLayersChange}
+              onStrokeStart={onScatterStrokeStart}
+              onStrokeEnd={onScatterStrokeEnd}
+              settings={scatterSettings}
+              enabled
+            />
+            <TerrainBrushIndicator paintSettings={scatterBrushSettings} enabled />
+          </>
+        )}
+
         {/* Componente para manejar raycasting global */}
         <RaycastHandler
           onSelectObject={onSelectObject}
-          objects={objects}
+          objects={worldObjects}
           selectedObject={selectedObject}
-          key={`raycast-${objects.length}`} // Forzar re-render cuando cambia el número de objetos
+          key={`raycast-${worldObjects.length}`} // Forzar re-render cuando cambia el número de objetos
           transformingObjectIdRef={transformingObjectIdRef}
           lastTransformEndTimeRef={lastTransformEndTimeRef}
         />
 
         {/* Líneas visuales conectando cámaras con sus objetivos */}
-        {objects
+        {worldObjects
           .filter(obj => obj.type === 'camera' && obj.mode === 'thirdPerson' && obj.targetId)
           .map(cameraObj => {
-            const targetObj = objects.find(o => o.id === cameraObj.targetId);
+            const targetObj = worldObjects.find(o => o.id === cameraObj.targetId);
             if (!targetObj) return null;
             
             return (
@@ -156,16 +356,39 @@ export const EditorCanvas = ({
           })}
 
         {/* Objetos del nivel (sin física en editor) */}
-        {objects.map((obj) => {
+        {worldObjects.map((obj) => {
           // Si es una cámara, renderizar como componente de cámara
           if (obj.type === 'camera') {
             return (
               <EditorCameraObject
                 key={obj.id}
                 object={obj}
-                isSelected={selectedObject === obj.id}
+                isSelected={!isMultiSelection && selectedObject === obj.id}
+                isMultiSelected={isMultiSelection && selectedIdSet.has(obj.id)}
+                onSelect={() => onSelectObject(obj.id)}
+                onUpdate={(updates) => handleUpdateWorldObject(obj.id, updates)}
+                objectRegistryRef={objectRegistryRef}
+                orbitControlsRef={orbitControlsRef}
+                transformMode={transformMode}
+                snapEnabled={snapEnabled}
+                snapSize={snapSize}
+                transformingObjectIdRef={transformingObjectIdRef}
+                lastTransformEndTimeRef={lastTransformEndTimeRef}
+              />
+            );
+          }
+
+          // Si es una masa de agua, renderizar su superficie y su volumen al seleccionarla
+          if (obj.type === 'water') {
+            return (
+              <EditorWaterObject
+                key={obj.id}
+                object={obj}
+                isSelected={!isMultiSelection && selectedObject === obj.id}
+                isMultiSelected={isMultiSelection && selectedIdSet.has(obj.id)}
                 onSelect={() => onSelectObject(obj.id)}
-                onUpdate={(updates) => onUpdateObject(obj.id, updates)}
+                onUpdate={(updates) => handleUpdateWorldObject(obj.id, updates)}
+                objectRegistryRef={objectRegistryRef}
                 orbitControlsRef={orbitControlsRef}
                 transformMode={transformMode}
                 snapEnabled={snapEnabled}
@@ -182,9 +405,11 @@ export const EditorCanvas = ({
               <EditorColliderObject
                 key={obj.id}
                 object={obj}
-                isSelected={selectedObject === obj.id}
+                isSelected={!isMultiSelection && selectedObject === obj.id}
+                isMultiSelected={isMultiSelection && selectedIdSet.has(obj.id)}
                 onSelect={() => onSelectObject(obj.id)}
-                onUpdate={(updates) => onUpdateObject(obj.id, updates)}
+                onUpdate={(updates) => handleUpdateWorldObject(obj.id, updates)}
+                objectRegistryRef={objectRegistryRef}
                 orbitControlsRef={orbitControlsRef}
                 transformMode={transformMode}
                 snapEnabled={snapEnabled}
@@ -192,6 +417,9 @@ export const EditorCanvas = ({
                 transformingObjectIdRef={transformingObjectIdRef}
                 lastTransformEndTimeRef={lastTransformEndTimeRef}
                 terrainHeightmap={terrainHeightmap}
+                terrainLayout={terrainLayout}
+                surfaceSnap={surfaceSnap}
+                alignToSurface={alignToSurface}
               />
             );
           }
@@ -205,9 +433,11 @@ export const EditorCanvas = ({
             <EditorSceneObject
               key={obj.id}
               object={obj}
-              isSelected={selectedObject === obj.id}
+              isSelected={!isMultiSelection && selectedObject === obj.id}
+              isMultiSelected={isMultiSelection && selectedIdSet.has(obj.id)}
               onSelect={() => onSelectObject(obj.id)}
-              onUpdate={(updates) => onUpdateObject(obj.id, updates)}
+              onUpdate={(updates) => handleUpdateWorldObject(obj.id, updates)}
+              objectRegistryRef={objectRegistryRef}
               orbitControlsRef={orbitControlsRef}
               transformMode={transformMode}
               snapEnabled={snapEnabled}
@@ -215,16 +445,70 @@ export const EditorCanvas = ({
               transformingObjectIdRef={transformingObjectIdRef}
               lastTransformEndTimeRef={lastTransformEndTimeRef}
               terrainHeightmap={terrainHeightmap}
+              terrainLayout={terrainLayout}
+              surfaceSnap={surfaceSnap}
+              alignToSurface={alignToSurface}
+              lodPreview={lodPreview}
             />
           );
         })}
+
+        {/* Simulación temporal para asentar objetos */}
+        {settleBodies && (
+          <PhysicsSettle
+            bodies={settleBodies}
+            objects={worldObjects}
+            terrainHeightmap={terrainHeightmap}
+            terrainLayout={terrainLayout}
+            onComplete={handleSettleComplete}
+          />
+        )}
+
+        {/* Gizmo compartido para la selección múltiple */}
+        {isMultiSelection && onUpdateObjects && (
+          <GroupTransformGizmo
+            objects={worldObjects}
+            selectedObjectIds={selectedObjectIds}
+            objectRegistryRef={objectRegistryRef}
+            onUpdateObjects={handleUpdateWorldObjects}
+            orbitControlsRef={orbitControlsRef}
+            transformMode={transformMode}
+            snapEnabled={snapEnabled}
+            snapSize={snapSize}
+            lastTransformEndTimeRef={lastTransformEndTimeRef}
+          />
+        )}
       </Canvas>
+      {onSelectObjects && (
+        <SelectionBox
+          containerRef={containerRef}
+          cameraRef={cameraRef}
+          objectRegistryRef={objectRegistryRef}
+          orbitControlsRef={orbitControlsRef}
+          onSelectObjects={onSelectObjects}
+        />
+      )}
+      {settleBodies && (
+        <div className="physics-settle-overlay">
+          <div className="physics-settle-banner">
+            <span>
+              Asentando {settleBodies.length === 1 ? '1 objeto' : `${settleBodies.length} objetos`} con física...
+            </span>
+            <Button variant="outline" size="sm" onClick={() => setSettleBodies(null)}>
+              Cancelar
+            </Button>
+          </div>
+        </div>
+      )}
       {/* Preview de cámara del jugador */}
-      <CameraPreview
-        objects={objects}
-        terrainHeightmap={terrainHeightmap}
-        selectedObject={selectedObject}
-      />
+      {!suspended && (
+        <CameraPreview
+          objects={worldObjects}
+          terrainHeightmap={terrainHeightmap}
+          terrainLayout={terrainLayout}
+          selectedObject={selectedObject}
+        />
+      )}
     </div>
   );
 };
@@ -408,7 +692,8 @@ const RaycastHandler = ({ onSelectObject, objects, selectedObject, transformingO
           // Buscar en el objeto y sus padres
           while (current) {
             if (current.userData?.objectId && current.userData?.isSelectable) {
-              onSelectObject(current.userData.objectId);
+              // Shift+click añade o quita el objeto de la selección
+              onSelectObject(current.userData.objectId, { additive: event.shiftKey });
               isProcessing.current = false;
               return;
             }
@@ -425,7 +710,8 @@ const RaycastHandler = ({ onSelectObject, objects, selectedObject, transformingO
       const recentlyTransformed = timeSinceLastTransform < 1000 || isCurrentlyTransforming || wasTransformingRef.current;
       
       // Solo deseleccionar si es un click explícito en espacio vacío Y no se acaba de transformar
-      if (!selectedObject) {
+      // Shift+click en vacío nunca vacía la selección
+      if (!selectedObject || event.shiftKey) {
         // No hay objeto seleccionado, no hacer nada (ya está deseleccionado)
         return;
       }
@@ -494,15 +780,21 @@ const TransformControlsClickInterceptor = ({ transformRef, objectId, isTransform
 const EditorSceneObject = memo(({
   object,
   isSelected,
+  isMultiSelected = false,
   onSelect,
   onUpdate,
   orbitControlsRef,
+  objectRegistryRef,
   transformMode = 'translate',
   snapEnabled = true,
   snapSize = 1,
   transformingObjectIdRef,
   lastTransformEndTimeRef,
   terrainHeightmap = null,
+  terrainLayout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  surfaceSnap = false,
+  alignToSurface = false,
+  lodPreview = false,
 }) => {
   const groupRef = useRef();
   const transformRef = useRef();
@@ -521,6 +813,52 @@ const EditorSceneObject = memo(({
   const boundingBoxRef = useRef(null);
   const minYOffsetRef = useRef(0);
   const offsetCalculatedRef = useRef(false);
+
+  // Posición Y base (la que se guarda) a partir de la Y visual del grupo
+  // La posición visual incluye el offset del modelo y la altura del terreno; la guardada no
+  const getBasePositionY = useCallback((x, y, z) => {
+    if (minYOffsetRef.current !== 0 && offsetCalculatedRef.current) {
+      const { segments, size } = getTerrainDimensions(terrainLayout);
+      const terrainHeight = getTerrainHeightAtWorldPosition(terrainHeightmap, segments, size, x, z);
+      return y - terrainHeight - minYOffsetRef.current;
+    }
+    return y;
+  }, [terrainHeightmap, terrainLayout]);
+
+  // Colocación sobre superficies: el origen del modelo queda a su offset sobre la superficie
+  const getSurfaceOffsetY = useCallback(() => (
+    minYOffsetRef.current !== 0 && offsetCalculatedRef.current ? minYOffsetRef.current : 0
+  ), []);
+  const placeOnSurface = useSurfacePlacement(groupRef, objectRegistryRef, getSurfaceOffsetY);
+  // Giro horizontal al empezar a arrastrar (se conserva al alinear con la superficie)
+  const placementYawRef = useRef(0);
+
+  // Registrar el grupo para la selección múltiple (gizmo compartido y selección por caja)
+  // Va antes del return de objetos sin modelo: sin grupo no se registra nada
+  useEffect(() => {
+    const registry = objectRegistryRef?.current;
+    if (!registry || !groupRef.current) return;
+    // Soltar al suelo: coloca el grupo sobre la superficie y devuelve los cambios a guardar
+    const dropToSurface = ({ alignToNormal = false, ignore = [] } = {}) => {
+      const group = groupRef.current;
+      placeOnSurface({ alignToNormal, yaw: getYawFromQuaternion(group.quaternion), ignore });
+      const { x, y, z } = group.position;
+      return {
+        position: [x, getBasePositionY(x, y, z), z],
+        rotation: [group.rotation.x * RAD_TO_DEG, group.rotation.y * RAD_TO_DEG, group.rotation.z * RAD_TO_DEG],
+      };
+    };
+    // Volver a colocar el grupo según los datos del nivel en el siguiente frame
+    // (ej: tras moverlo la simulación de asentar): la sincronización lo ve como un cambio
+    const resyncTransform = () => {
+      lastPositionRef.current.setScalar(Infinity);
+      lastRotationRef.current.set(Infinity, Infinity, Infinity);
+    };
+    registry.set(object.id, { group: groupRef.current, type: object.type, getBasePositionY, dropToSurface, resyncTransform });
+    return () => {
+      registry.delete(object.id);
+    };
+  }, [object.id, object.type, objectRegistryRef, getBasePositionY, placeOnSurface]);
   
   // Validar que object.model existe antes de cargar
   const hasValidModel = object.model && typeof object.model === 'string' && object.model.trim() !== '';
@@ -583,14 +921,9 @@ const EditorSceneObject = memo(({
     if (!terrainHeightmap || terrainHeightmap.length === 0) {
       return 0; // Sin heightmap, terreno plano
     }
-    return getTerrainHeightAtWorldPosition(
-      terrainHeightmap,
-      TERRAIN_CONFIG.SEGMENTS,
-      TERRAIN_CONFIG.SIZE,
-      x,
-      z
-    );
-  }, [terrainHeightmap]);
+    const { segments, size } = getTerrainDimensions(terrainLayout);
+    return getTerrainHeightAtWorldPosition(terrainHeightmap, segments, size, x, z);
+  }, [terrainHeightmap, terrainLayout]);
 
   // Memoizar transformaciones para evitar cálculos innecesarios
   const rotationInRadians = useMemo(() => {
@@ -661,6 +994,11 @@ const EditorSceneObject = memo(({
   useFrame(() => {
     if (!groupRef.current) return;
 
+    // Al colocar sobre superficies la altura la decide placeOnSurface
+    if (isTransforming.current && surfaceSnap && transformMode === 'translate') {
+      return;
+    }
+
     // Forzar posición Y durante arrastre para evitar que se hunda debajo del terreno
     if (isTransforming.current && transformMode !== 'scale') {
       const currentY = groupRef.current.position.y;
@@ -937,8 +1275,13 @@ const EditorSceneObject = memo(({
     
     // Aplicar transformación visual inmediatamente
     applyTransformSnap();
-    
-  }, [applyTransformSnap, transformMode]);
+
+    // Colocación sobre superficies: el objeto sigue al terreno o a los objetos que tiene debajo
+    if (surfaceSnap && transformMode === 'translate') {
+      placeOnSurface({ alignToNormal: alignToSurface, yaw: placementYawRef.current });
+      lastPositionRef.current.copy(groupRef.current.position);
+    }
+  }, [applyTransformSnap, transformMode, surfaceSnap, alignToSurface, placeOnSurface]);
 
   const handleDragStart = useCallback(() => {
     isDragging.current = true;
@@ -957,6 +1300,7 @@ const EditorSceneObject = memo(({
         groupRef.current.position.y,
         groupRef.current.position.z
       );
+      placementYawRef.current = getYawFromQuaternion(groupRef.current.quaternion);
     }
     
     // Cancelar cualquier actualización pendiente
@@ -985,7 +1329,12 @@ const EditorSceneObject = memo(({
       let scale = groupRef.current.scale;
 
       // Aplicar snap final si es necesario
-      if (snapEnabled && transformMode === 'translate') {
+      if (surfaceSnap && transformMode === 'translate') {
+        // La posición ya tiene el snap de X/Z; solo falta dejarlo sobre la superficie
+        placeOnSurface({ alignToNormal: alignToSurface, yaw: placementYawRef.current });
+        position = groupRef.current.position;
+        isDraggingY.current = false;
+      } else if (snapEnabled && transformMode === 'translate') {
         const snappedX = applySnap(position.x);
         let snappedY = applySnap(position.y);
         const snappedZ = applySnap(position.z);
@@ -1048,13 +1397,7 @@ const EditorSceneObject = memo(({
       // Actualizar estado UNA SOLA VEZ al finalizar drag
       // IMPORTANTE: Guardar posición base (sin offset y sin altura del terreno) para que coincida con el modo juego
       // La posición visual incluye el offset y la altura del terreno, pero guardamos la posición base
-      let basePositionY = position.y;
-      if (minYOffsetRef.current !== 0 && offsetCalculatedRef.current) {
-        // Calcular altura del terreno en esta posición
-        const terrainHeight = getTerrainHeight(position.x, position.z);
-        // Restar el offset y la altura del terreno para obtener la posición base
-        basePositionY = position.y - terrainHeight - minYOffsetRef.current;
-      }
+      const basePositionY = getBasePositionY(position.x, position.y, position.z);
       
       // Usar requestAnimationFrame para evitar que el RaycastHandler deseleccione
       requestAnimationFrame(() => {
@@ -1103,7 +1446,7 @@ const EditorSceneObject = memo(({
     if (orbitControlsRef.current) {
       orbitControlsRef.current.enabled = true;
     }
-  }, [orbitControlsRef, snapEnabled, transformMode, onUpdate, applySnap, object.id, transformingObjectIdRef]);
+  }, [orbitControlsRef, snapEnabled, transformMode, onUpdate, applySnap, object.id, transformingObjectIdRef, getBasePositionY, surfaceSnap, alignToSurface, placeOnSurface]);
   
   // Limpiar timeout al desmontar
   useEffect(() => {
@@ -1183,6 +1526,11 @@ const EditorSceneObject = memo(({
             return;
           }
           
+          // Shift+click lo gestiona RaycastHandler (selección múltiple)
+          if (e.nativeEvent?.shiftKey) {
+            return;
+          }
+          
           // Solo seleccionar si no está ya seleccionado o si no estamos arrastrando
           if (!isSelected || (!isDragging.current && !isTransforming.current)) {
             onSelect();
@@ -1212,10 +1560,13 @@ const EditorSceneObject = memo(({
           hasCollider={false}
           autoAdjustY={false}
           colliderScale={object.colliderScale || [0.8, 0.8, 0.8]}
+          // Fuera de la vista previa el editor muestra siempre el modelo completo
+          lod={lodPreview ? object.lod : undefined}
+          lodPreview={lodPreview}
         />
 
         {/* Highlight visual cuando está seleccionado - optimizado con useMemo */}
-        {isSelected && (
+        {(isSelected || isMultiSelected) && (
           <mesh position={[0, 0, 0]} frustumCulled={false}>
             <boxGeometry args={[3, 3, 3]} />
             <meshBasicMaterial
@@ -1295,9 +1646,15 @@ const EditorSceneObject = memo(({
   // Comparar otras props
   if (
     prevProps.isSelected !== nextProps.isSelected ||
+    prevProps.isMultiSelected !== nextProps.isMultiSelected ||
     prevProps.transformMode !== nextProps.transformMode ||
     prevProps.snapEnabled !== nextProps.snapEnabled ||
-    prevProps.snapSize !== nextProps.snapSize
+    prevProps.snapSize !== nextProps.snapSize ||
+    prevProps.surfaceSnap !== nextProps.surfaceSnap ||
+    prevProps.alignToSurface !== nextProps.alignToSurface ||
+    prevProps.lodPreview !== nextProps.lodPreview ||
+    prevProps.object.lod !== nextProps.object.lod ||
+    prevProps.terrainLayout !== nextProps.terrainLayout
   ) {
     return false;
   }
@@ -1313,15 +1670,20 @@ const EditorSceneObject = memo(({
 const EditorColliderObject = memo(({
   object,
   isSelected,
+  isMultiSelected = false,
   onSelect,
   onUpdate,
   orbitControlsRef,
+  objectRegistryRef,
   transformMode = 'translate',
   snapEnabled = true,
   snapSize = 1,
   transformingObjectIdRef,
   lastTransformEndTimeRef,
   terrainHeightmap = null,
+  terrainLayout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  surfaceSnap = false,
+  alignToSurface = false,
 }) => {
   const groupRef = useRef();
   const transformRef = useRef();
@@ -1359,14 +1721,20 @@ const EditorColliderObject = memo(({
     if (!terrainHeightmap || terrainHeightmap.length === 0) {
       return 0; // Sin heightmap, terreno plano
     }
-    return getTerrainHeightAtWorldPosition(
-      terrainHeightmap,
-      TERRAIN_CONFIG.SEGMENTS,
-      TERRAIN_CONFIG.SIZE,
-      x,
-      z
-    );
-  }, [terrainHeightmap]);
+    const { segments, size } = getTerrainDimensions(terrainLayout);
+    return getTerrainHeightAtWorldPosition(terrainHeightmap, segments, size, x, z);
+  }, [terrainHeightmap, terrainLayout]);
+
+  // Colocación sobre superficies: el centro del collider queda a media altura sobre la superficie
+  // (misma altura que usa ColliderObject: scale Y, o el radio medio en las esferas)
+  const colliderScale = object.scale;
+  const colliderType = object.colliderType;
+  const getSurfaceOffsetY = useCallback(() => {
+    const [sx, sy, sz] = colliderScale || [1, 1, 1];
+    return colliderType === 'sphere' ? (sx + sy + sz) / 6 : sy / 2;
+  }, [colliderScale, colliderType]);
+  const placeOnSurface = useSurfacePlacement(groupRef, objectRegistryRef, getSurfaceOffsetY);
+  const placementYawRef = useRef(0);
 
   // Función para aplicar snap a un valor
   const applySnap = useCallback((value) => {
@@ -1433,7 +1801,12 @@ const EditorColliderObject = memo(({
   const handleObjectChange = useCallback(() => {
     if (!groupRef.current || !isTransforming.current) return;
     applyTransformSnap();
-  }, [applyTransformSnap]);
+
+    if (surfaceSnap && transformMode === 'translate') {
+      placeOnSurface({ alignToNormal: alignToSurface, yaw: placementYawRef.current });
+      lastPositionRef.current.copy(groupRef.current.position);
+    }
+  }, [applyTransformSnap, transformMode, surfaceSnap, alignToSurface, placeOnSurface]);
 
   // Sincronizar cuando cambia el objeto externamente
   useFrame(() => {
@@ -1441,6 +1814,8 @@ const EditorColliderObject = memo(({
     
     // NO sincronizar durante arrastre para evitar parpadeo
     if (isDragging.current || isTransforming.current) {
+      // Al colocar sobre superficies la altura la decide placeOnSurface
+      if (surfaceSnap && transformMode === 'translate') return;
       // Pero durante el arrastre, asegurar que no esté debajo del terreno
       const currentY = groupRef.current.position.y;
       const currentX = groupRef.current.position.x;
@@ -1512,6 +1887,7 @@ const EditorColliderObject = memo(({
         groupRef.current.position.y,
         groupRef.current.position.z
       );
+      placementYawRef.current = getYawFromQuaternion(groupRef.current.quaternion);
     }
     
     if (orbitControlsRef.current) {
@@ -1526,7 +1902,10 @@ const EditorColliderObject = memo(({
       let scale = groupRef.current.scale;
 
       // Aplicar snap final si es necesario
-      if (snapEnabled && transformMode === 'translate') {
+      if (surfaceSnap && transformMode === 'translate') {
+        placeOnSurface({ alignToNormal: alignToSurface, yaw: placementYawRef.current });
+        position = groupRef.current.position;
+      } else if (snapEnabled && transformMode === 'translate') {
         const snappedX = applySnap(position.x);
         let snappedY = applySnap(position.y);
         const snappedZ = applySnap(position.z);
@@ -1617,7 +1996,7 @@ const EditorColliderObject = memo(({
     if (orbitControlsRef.current) {
       orbitControlsRef.current.enabled = true;
     }
-  }, [orbitControlsRef, onUpdate, object.id, transformingObjectIdRef, lastTransformEndTimeRef, snapEnabled, transformMode, applySnap]);
+  }, [orbitControlsRef, onUpdate, object.id, transformingObjectIdRef, lastTransformEndTimeRef, snapEnabled, transformMode, applySnap, surfaceSnap, alignToSurface, placeOnSurface]);
 
   // Marcar el objeto con su ID para raycasting
   useEffect(() => {
@@ -1633,6 +2012,25 @@ const EditorColliderObject = memo(({
     }
   }, [object.id]);
 
+  // Registrar el grupo para la selección múltiple (gizmo compartido y selección por caja)
+  useEffect(() => {
+    const registry = objectRegistryRef?.current;
+    if (!registry || !groupRef.current) return;
+    // Soltar al suelo: la posición de los colliders es la de mundo, sin offsets
+    const dropToSurface = ({ alignToNormal = false, ignore = [] } = {}) => {
+      const group = groupRef.current;
+      placeOnSurface({ alignToNormal, yaw: getYawFromQuaternion(group.quaternion), ignore });
+      return {
+        position: group.position.toArray(),
+        rotation: [group.rotation.x * RAD_TO_DEG, group.rotation.y * RAD_TO_DEG, group.rotation.z * RAD_TO_DEG],
+      };
+    };
+    registry.set(object.id, { group: groupRef.current, type: object.type, dropToSurface });
+    return () => {
+      registry.delete(object.id);
+    };
+  }, [object.id, object.type, objectRegistryRef, placeOnSurface]);
+
   const groupReadyRef = useRef(false);
   useEffect(() => {
     if (groupRef.current && !groupReadyRef.current) {
@@ -1806,6 +2204,9 @@ const EditorColliderObject = memo(({
             e.stopPropagation();
             return;
           }
+          if (e.nativeEvent?.shiftKey) {
+            return;
+          }
           if (!isSelected || (!isDragging.current && !isTransforming.current)) {
             onSelect();
           }
@@ -1827,7 +2228,7 @@ const EditorColliderObject = memo(({
         {renderColliderVisual()}
 
         {/* Highlight cuando está seleccionado - usar dimensiones del collider */}
-        {isSelected && (
+        {(isSelected || isMultiSelected) && (
           <mesh position={[0, 0, 0]} frustumCulled={false}>
             {object.colliderType === 'sphere' ? (
               <sphereGeometry args={[(object.scale[0] + object.scale[1] + object.scale[2]) / 6, 16, 16]} />
@@ -1889,9 +2290,13 @@ const EditorColliderObject = memo(({
   if (posChanged || rotChanged || scaleChanged) return false;
   if (
     prevProps.isSelected !== nextProps.isSelected ||
+    prevProps.isMultiSelected !== nextProps.isMultiSelected ||
     prevProps.transformMode !== nextProps.transformMode ||
     prevProps.snapEnabled !== nextProps.snapEnabled ||
-    prevProps.snapSize !== nextProps.snapSize
+    prevProps.snapSize !== nextProps.snapSize ||
+    prevProps.surfaceSnap !== nextProps.surfaceSnap ||
+    prevProps.alignToSurface !== nextProps.alignToSurface ||
+    prevProps.terrainLayout !== nextProps.terrainLayout
   ) {
     return false;
   }
@@ -1906,9 +2311,11 @@ const EditorColliderObject = memo(({
 const EditorCameraObject = memo(({
   object,
   isSelected,
+  isMultiSelected = false,
   onSelect,
   onUpdate,
   orbitControlsRef,
+  objectRegistryRef,
   transformMode = 'translate',
   snapEnabled = true,
   snapSize = 1,
@@ -2112,6 +2519,16 @@ const EditorCameraObject = memo(({
     }
   }, [object.id]);
 
+  // Registrar el grupo para la selección múltiple (gizmo compartido y selección por caja)
+  useEffect(() => {
+    const registry = objectRegistryRef?.current;
+    if (!registry || !groupRef.current) return;
+    registry.set(object.id, { group: groupRef.current, type: object.type });
+    return () => {
+      registry.delete(object.id);
+    };
+  }, [object.id, object.type, objectRegistryRef]);
+
   const groupReadyRef = useRef(false);
   useEffect(() => {
     if (groupRef.current && !groupReadyRef.current) {
@@ -2153,6 +2570,9 @@ const EditorCameraObject = memo(({
             e.stopPropagation();
             return;
           }
+          if (e.nativeEvent?.shiftKey) {
+            return;
+          }
           if (!isSelected || (!isDragging.current && !isTransforming.current)) {
             onSelect();
           }
@@ -2190,7 +2610,7 @@ const EditorCameraObject = memo(({
         />
 
         {/* Highlight cuando está seleccionado */}
-        {isSelected && (
+        {(isSelected || isMultiSelected) && (
           <mesh position={[0, 0, 0]} frustumCulled={false}>
             <boxGeometry args={[1, 1, 1]} />
             <meshBasicMaterial
@@ -2242,6 +2662,7 @@ const EditorCameraObject = memo(({
   if (posChanged || rotChanged) return false;
   if (
     prevProps.isSelected !== nextProps.isSelected ||
+    prevProps.isMultiSelected !== nextProps.isMultiSelected ||
     prevProps.transformMode !== nextProps.transformMode ||
     prevProps.snapEnabled !== nextProps.snapEnabled ||
     prevProps.snapSize !== nextProps.snapSize
@@ -2252,3 +2673,140 @@ const EditorCameraObject = memo(({
   return true;
 });
 
+
+/**
+ * Masa de agua en el editor con capacidad de selección y transformación
+ * El grupo lleva la escala del objeto (ancho, profundidad y largo) y solo gira en Y
+ */
+const EditorWaterObject = memo(({
+  object,
+  isSelected,
+  isMultiSelected = false,
+  onSelect,
+  onUpdate,
+  orbitControlsRef,
+  objectRegistryRef,
+  transformMode = 'translate',
+  snapEnabled = true,
+  snapSize = 1,
+  transformingObjectIdRef,
+  lastTransformEndTimeRef,
+}) => {
+  const groupRef = useRef(null);
+  const [group, setGroup] = useState(null);
+  const isTransforming = useRef(false);
+
+  const handleGroupRef = useCallback((node) => {
+    groupRef.current = node;
+    setGroup(node);
+  }, []);
+
+  const volumeGeometry = useMemo(
+    () => createWaterVolumeGeometry(object.shape, object.points),
+    [object.shape, object.points]
+  );
+  useEffect(() => () => volumeGeometry.dispose(), [volumeGeometry]);
+
+  // Marcar el grupo con su ID para raycasting y registrarlo para la selección múltiple
+  useEffect(() => {
+    const registry = objectRegistryRef?.current;
+    const node = groupRef.current;
+    if (!group || !node) return;
+    node.userData.objectId = object.id;
+    node.userData.isSelectable = true;
+    registry?.set(object.id, { group: node, type: object.type });
+    return () => {
+      registry?.delete(object.id);
+    };
+  }, [group, object.id, object.type, objectRegistryRef]);
+
+  const handleDragStart = useCallback(() => {
+    isTransforming.current = true;
+    if (transformingObjectIdRef) {
+      transformingObjectIdRef.current = object.id;
+    }
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.enabled = false;
+    }
+  }, [orbitControlsRef, object.id, transformingObjectIdRef]);
+
+  const handleDragEnd = useCallback(() => {
+    const current = groupRef.current;
+    if (current) {
+      const snap = (value, size) => (snapEnabled ? Math.round(value / size) * size : value);
+      const position = current.position.toArray().map((value) => (transformMode === 'translate' ? snap(value, snapSize) : value));
+      const scale = current.scale.toArray().map((value) =>
+        Math.min(OBJECT_CONFIG.MAX_SCALE, Math.max(OBJECT_CONFIG.MIN_SCALE, snap(value, EDITOR_CONFIG.SCALE_SNAP_INCREMENT)))
+      );
+      onUpdate({
+        position,
+        rotation: [0, current.rotation.y * RAD_TO_DEG, 0],
+        scale,
+      });
+    }
+
+    if (lastTransformEndTimeRef) {
+      lastTransformEndTimeRef.current = Date.now();
+    }
+    isTransforming.current = false;
+    if (transformingObjectIdRef?.current === object.id) {
+      transformingObjectIdRef.current = null;
+    }
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.enabled = true;
+    }
+  }, [orbitControlsRef, onUpdate, object.id, transformingObjectIdRef, lastTransformEndTimeRef, snapEnabled, snapSize, transformMode]);
+
+  return (
+    <>
+      <group
+        ref={handleGroupRef}
+        position={object.position}
+        rotation={[0, (object.rotation?.[1] || 0) * DEG_TO_RAD, 0]}
+        scale={object.scale}
+        onClick={(e) => {
+          e.stopPropagation();
+          const timeSinceLastTransform = lastTransformEndTimeRef ? Date.now() - lastTransformEndTimeRef.current : Infinity;
+          if (timeSinceLastTransform < EDITOR_CONFIG.TRANSFORM_PROTECTION_TIME || e.nativeEvent?.shiftKey) {
+            return;
+          }
+          if (!isTransforming.current) {
+            onSelect();
+          }
+        }}
+      >
+        <WaterSurface water={object} raycastable />
+
+        {/* Volumen del agua cuando está seleccionada */}
+        {(isSelected || isMultiSelected) && (
+          <mesh geometry={volumeGeometry} raycast={() => null}>
+            <meshBasicMaterial color="#00ff00" transparent opacity={0.2} wireframe depthWrite={false} />
+          </mesh>
+        )}
+      </group>
+
+      {/* TransformControls - el giro solo en Y: la superficie siempre es horizontal */}
+      {isSelected && group && (
+        <TransformControls
+          object={group}
+          mode={transformMode}
+          translationSnap={snapEnabled && transformMode === 'translate' ? snapSize : null}
+          rotationSnap={snapEnabled && transformMode === 'rotate' ? EDITOR_CONFIG.ROTATION_SNAP_RADIANS : null}
+          onMouseDown={handleDragStart}
+          onMouseUp={handleDragEnd}
+          showX={transformMode !== 'rotate'}
+          showZ={transformMode !== 'rotate'}
+          space={transformMode === 'rotate' ? 'world' : 'local'}
+          size={1.2}
+        />
+      )}
+    </>
+  );
+}, (prevProps, nextProps) => (
+  prevProps.object === nextProps.object &&
+  prevProps.isSelected === nextProps.isSelected &&
+  prevProps.isMultiSelected === nextProps.isMultiSelected &&
+  prevProps.transformMode === nextProps.transformMode &&
+  prevProps.snapEnabled === nextProps.snapEnabled &&
+  prevProps.snapSize === nextProps.snapSize
+));
@@ -7,6 +7,7 @@ import { Separator } from '@/components/ui/separator';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { X, Move, RotateCw, Scale } from 'lucide-react';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
+import { LOD_CONFIG } from '../../constants/gameConstants';
 
 /**
  * Componente para mostrar controles del editor y manejar atajos de teclado
@@ -16,6 +17,12 @@ export const EditorControls = ({
   onModeChange,
   snapEnabled,
   onSnapToggle,
+  surfaceSnapEnabled = false,
+  onSurfaceSnapToggle,
+  alignToSurface = false,
+  onAlignToSurfaceToggle,
+  lodPreview = false,
+  onLodPreviewToggle,
   onDelete,
   onDuplicate,
   onClose,
@@ -205,6 +212,62 @@ export const EditorControls = ({
             </div>
           )}
 
+          {/* Colocación sobre superficies (terreno y otros objetos) */}
+          {onSurfaceSnapToggle && (
+            <div className="flex items-center justify-between">
+              <Label htmlFor="surface-snap-toggle" className="cursor-pointer">
+                Colocar sobre superficies
+              </Label>
+              <Switch
+                id="surface-snap-toggle"
+                checked={surfaceSnapEnabled}
+                onCheckedChange={onSurfaceSnapToggle}
+              />
+            </div>
+          )}
+          {onAlignToSurfaceToggle && (
+            <div className="flex items-center justify-between">
+              <Label
+                htmlFor="align-surface-toggle"
+                className={surfaceSnapEnabled ? 'cursor-pointer' : 'text-muted-foreground'}
+              >
+                Alinear a la normal
+              </Label>
+              <Switch
+                id="align-surface-toggle"
+                checked={alignToSurface}
+                disabled={!surfaceSnapEnabled}
+                onCheckedChange={onAlignToSurfaceToggle}
+              />
+            </div>
+          )}
+
+          {/* Vista previa del nivel de detalle (LOD) activo */}
+          {onLodPreviewToggle && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="lod-preview-toggle" className="cursor-pointer">
+                  Vista previa de LOD
+                </Label>
+                <Switch
+                  id="lod-preview-toggle"
+                  checked={lodPreview}
+                  onCheckedChange={onLodPreviewToggle}
+                />
+              </div>
+              {lodPreview && (
+                <div className="flex items-center gap-3 text-xs text-muted-foreground">
+                  {LOD_CONFIG.PREVIEW_COLORS.map((color, level) => (
+                    <span key={color} className="flex items-center gap-1">
+                      <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+                      LOD {level}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           <Separator />
 
           {/* Atajos de Teclado */}
@@ -228,6 +291,10 @@ export const EditorControls = ({
                 <span className="text-muted-foreground">Eliminar</span>
                 <kbd className="px-2 py-1 text-xs font-semibold bg-muted rounded">Del</kbd>
               </div>
+              <div className="flex items-center justify-between">
+                <span className="text-muted-foreground">Soltar al suelo</span>
+                <kbd className="px-2 py-1 text-xs font-semibold bg-muted rounded">Fin</kbd>
+              </div>
             </div>
           </div>
 
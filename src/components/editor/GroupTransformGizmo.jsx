@@ -0,0 +1,208 @@
+import { useRef, useState, useEffect, useCallback } from 'react';
+import { TransformControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { EDITOR_CONFIG, OBJECT_CONFIG, RAD_TO_DEG } from '../../constants/gameConstants';
+import { applySnap } from '../../utils/mathUtils';
+
+/**
+ * Gizmo compartido para transformar varios objetos a la vez
+ * Mueve, rota o escala la selección completa alrededor de un pivote en su centro.
+ * Durante el arrastre solo se modifican los grupos visuales; el estado se actualiza
+ * una vez al soltar, con un único cambio para todos los objetos
+ *
+ * @param {Object} props
+ * @param {Array} props.objects - Objetos del nivel
+ * @param {Array<string>} props.selectedObjectIds - IDs seleccionados
+ * @param {Object} props.objectRegistryRef - Ref al Map id -> { group, type } de los objetos del editor
+ * @param {Function} props.onUpdateObjects - Callback con la lista de { id, updates }
+ * @param {Object} props.orbitControlsRef - Ref a los OrbitControls (se desactivan durante el arrastre)
+ * @param {string} props.transformMode - 'translate' | 'rotate' | 'scale'
+ * @param {boolean} props.snapEnabled - Si el snap está habilitado
+ * @param {number} props.snapSize - Tamaño del snap de traslación
+ * @param {Object} props.lastTransformEndTimeRef - Ref con el tiempo de la última transformación
+ */
+export const GroupTransformGizmo = ({
+  objects,
+  selectedObjectIds,
+  objectRegistryRef,
+  onUpdateObjects,
+  orbitControlsRef,
+  transformMode = 'translate',
+  snapEnabled = true,
+  snapSize = 1,
+  lastTransformEndTimeRef,
+}) => {
+  const [pivot, setPivot] = useState(null);
+  const isDraggingRef = useRef(false);
+  const dragStartRef = useRef(null);
+
+  // Colocar el pivote en el centro de los objetos seleccionados
+  const placePivot = useCallback(() => {
+    if (!pivot || isDraggingRef.current) return;
+
+    const center = new THREE.Vector3();
+    let count = 0;
+    selectedObjectIds.forEach((id) => {
+      const entry = objectRegistryRef.current.get(id);
+      if (entry?.group) {
+        center.add(entry.group.position);
+        count++;
+      }
+    });
+    if (count === 0) return;
+
+    pivot.position.copy(center.divideScalar(count));
+    pivot.quaternion.identity();
+    pivot.scale.set(1, 1, 1);
+    pivot.updateMatrixWorld();
+  }, [pivot, selectedObjectIds, objectRegistryRef]);
+
+  // Recolocar cuando cambia la selección o los objetos (p. ej. tras deshacer)
+  // Se espera un frame para que los grupos hayan aplicado sus nuevas posiciones
+  useEffect(() => {
+    const frameId = requestAnimationFrame(placePivot);
+    return () => cancelAnimationFrame(frameId);
+  }, [placePivot, objects]);
+
+  const handleDragStart = useCallback(() => {
+    if (!pivot) return;
+    isDraggingRef.current = true;
+
+    pivot.updateMatrixWorld();
+    dragStartRef.current = {
+      pivotPosition: pivot.position.clone(),
+      pivotInverse: pivot.matrixWorld.clone().invert(),
+      entries: selectedObjectIds
+        .map((id) => {
+          const entry = objectRegistryRef.current.get(id);
+          if (!entry?.group) return null;
+          entry.group.updateMatrix();
+          return {
+            id,
+            type: entry.type,
+            group: entry.group,
+            position: entry.group.position.clone(),
+            scale: entry.group.scale.clone(),
+            matrix: entry.group.matrix.clone(),
+          };
+        })
+        .filter(Boolean),
+    };
+
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.enabled = false;
+    }
+  }, [pivot, selectedObjectIds, objectRegistryRef, orbitControlsRef]);
+
+  // Aplicar la transformación del pivote a todos los grupos seleccionados
+  const handleObjectChange = useCallback(() => {
+    const start = dragStartRef.current;
+    if (!pivot || !start) return;
+
+    // El snap de traslación se aplica al desplazamiento, no a la posición absoluta del pivote,
+    // para que todos los objetos se muevan múltiplos exactos de snapSize
+    if (transformMode === 'translate' && snapEnabled) {
+      const offset = pivot.position.clone().sub(start.pivotPosition);
+      pivot.position.set(
+        start.pivotPosition.x + applySnap(offset.x, snapSize),
+        start.pivotPosition.y + applySnap(offset.y, snapSize),
+        start.pivotPosition.z + applySnap(offset.z, snapSize)
+      );
+    }
+    pivot.updateMatrixWorld();
+
+    const delta = new THREE.Matrix4().multiplyMatrices(pivot.matrixWorld, start.pivotInverse);
+    const matrix = new THREE.Matrix4();
+    start.entries.forEach((entry) => {
+      matrix.multiplyMatrices(delta, entry.matrix);
+      matrix.decompose(entry.group.position, entry.group.quaternion, entry.group.scale);
+      // Las cámaras no tienen escala
+      if (entry.type === 'camera') {
+        entry.group.scale.copy(entry.scale);
+      }
+      entry.group.updateMatrixWorld();
+    });
+  }, [pivot, transformMode, snapEnabled, snapSize]);
+
+  const handleDragEnd = useCallback(() => {
+    const start = dragStartRef.current;
+    dragStartRef.current = null;
+    isDraggingRef.current = false;
+
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.enabled = true;
+    }
+    if (lastTransformEndTimeRef) {
+      lastTransformEndTimeRef.current = Date.now();
+    }
+    if (!start) return;
+
+    // Convertir la transformación visual de cada grupo a datos del nivel
+    // La posición se actualiza con el desplazamiento visual: así los objetos con offset
+    // de terreno conservan su altura relativa al suelo
+    const changes = start.entries.map(({ id, type, group, position }) => {
+      const obj = objects.find((o) => o.id === id);
+      if (!obj) return null;
+
+      const offset = group.position.clone().sub(position);
+      const updates = {
+        position: [
+          obj.position[0] + offset.x,
+          obj.position[1] + offset.y,
+          obj.position[2] + offset.z,
+        ],
+        rotation: [
+          group.rotation.x * RAD_TO_DEG,
+          group.rotation.y * RAD_TO_DEG,
+          group.rotation.z * RAD_TO_DEG,
+        ],
+      };
+
+      if (type === 'collider') {
+        // Los colliders guardan sus dimensiones en scale y su grupo siempre tiene escala 1
+        updates.scale = obj.scale.map((value, i) =>
+          Math.min(OBJECT_CONFIG.MAX_COLLIDER_SCALE, Math.max(OBJECT_CONFIG.MIN_SCALE, value * group.scale.getComponent(i)))
+        );
+        group.scale.set(1, 1, 1);
+      } else if (type !== 'camera') {
+        const scale = [group.scale.x, group.scale.y, group.scale.z];
+        updates.scale = scale.map((value) => {
+          const snapped = snapEnabled ? applySnap(value, EDITOR_CONFIG.SCALE_SNAP_INCREMENT) : value;
+          return Math.min(OBJECT_CONFIG.MAX_SCALE, Math.max(OBJECT_CONFIG.MIN_SCALE, snapped));
+        });
+      }
+
+      return { id, updates };
+    }).filter(Boolean);
+
+    if (pivot) {
+      pivot.quaternion.identity();
+      pivot.scale.set(1, 1, 1);
+      pivot.updateMatrixWorld();
+    }
+
+    // requestAnimationFrame igual que los gizmos individuales, para no competir con el click de selección
+    requestAnimationFrame(() => {
+      onUpdateObjects(changes);
+    });
+  }, [objects, pivot, snapEnabled, onUpdateObjects, orbitControlsRef, lastTransformEndTimeRef]);
+
+  return (
+    <>
+      <group ref={setPivot} />
+      {pivot && (
+        <TransformControls
+          object={pivot}
+          mode={transformMode}
+          onMouseDown={handleDragStart}
+          onObjectChange={handleObjectChange}
+          onMouseUp={handleDragEnd}
+          rotationSnap={snapEnabled && transformMode === 'rotate' ? EDITOR_CONFIG.ROTATION_SNAP_RADIANS : null}
+          scaleSnap={snapEnabled && transformMode === 'scale' ? EDITOR_CONFIG.SCALE_SNAP_INCREMENT : null}
+          space="world"
+          size={1.4}
+        />
+      )}
+    </>
+  );
+};
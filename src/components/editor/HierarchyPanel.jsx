@@ -4,17 +4,26 @@ import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
 import { Separator } from '@/components/ui/separator';
-import { Search, ChevronRight, ChevronDown, Box, Camera, Cylinder, Circle } from 'lucide-react';
+import { Search, ChevronRight, ChevronDown, Box, Camera, Cylinder, Circle, Waves } from 'lucide-react';
 import { cn } from '@/lib/utils';
+import { buildObjectMap, getParentObject, wouldCreateCycle } from '../../utils/hierarchyUtils';
+
+// Destino de arrastre que deja el objeto en la raíz (sin padre)
+const ROOT_DROP_ID = '__root__';
 
 /**
  * Panel de jerarquía (Hierarchy) similar a Unity
  * Muestra todos los objetos del nivel en una lista organizada
+ * Shift/Ctrl+click añade o quita objetos de la selección
+ * Los hijos se muestran bajo su padre; arrastrar un objeto sobre otro lo convierte en su hijo
+ * y soltarlo en la zona superior lo vuelve a dejar en la raíz
  */
 export const HierarchyPanel = ({ 
   objects = [], 
   selectedObject, 
+  selectedObjectIds = [],
   onSelectObject,
+  onReparentObject,
   searchQuery = '',
   onSearchChange,
 }) => {
@@ -22,7 +31,27 @@ export const HierarchyPanel = ({
     objects: true,
     colliders: true,
     cameras: true,
+    water: true,
   });
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const isSearching = searchQuery.trim() !== '';
+
+  // Hijos de cada objeto (solo padres que existen en el nivel)
+  const childrenByParent = useMemo(() => {
+    const objectsById = buildObjectMap(objects);
+    const map = new Map();
+    objects.forEach(obj => {
+      const parent = getParentObject(obj, objectsById);
+      if (parent) {
+        if (!map.has(parent.id)) map.set(parent.id, []);
+        map.get(parent.id).push(obj);
+      }
+    });
+    return map;
+  }, [objects]);
 
   // Filtrar objetos según búsqueda
   const filteredObjects = useMemo(() => {
@@ -43,16 +72,24 @@ export const HierarchyPanel = ({
   }, [objects, searchQuery]);
 
   // Agrupar objetos por tipo
+  // Sin búsqueda solo se agrupan las raíces; los hijos cuelgan de su padre
   const groupedObjects = useMemo(() => {
     const groups = {
       objects: [],
       colliders: [],
       cameras: [],
+      water: [],
     };
 
+    const objectIds = new Set(objects.map(obj => obj.id));
     filteredObjects.forEach(obj => {
+      if (!isSearching && obj.parentId && objectIds.has(obj.parentId) && obj.parentId !== obj.id) {
+        return;
+      }
       if (obj.type === 'camera') {
         groups.cameras.push(obj);
+      } else if (obj.type === 'water') {
+        groups.water.push(obj);
       } else if (obj.type === 'collider') {
         groups.colliders.push(obj);
       } else {
@@ -61,7 +98,7 @@ export const HierarchyPanel = ({
     });
 
     return groups;
-  }, [filteredObjects]);
+  }, [objects, filteredObjects, isSearching]);
 
   const toggleType = (type) => {
     setExpandedTypes(prev => ({
@@ -70,8 +107,58 @@ export const HierarchyPanel = ({
     }));
   };
 
+  const toggleChildren = (objectId) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(objectId)) {
+        next.delete(objectId);
+      } else {
+        next.add(objectId);
+      }
+      return next;
+    });
+  };
+
+  // Arrastrar y soltar para cambiar el padre
+  const canDropOn = (targetId) => (
+    draggedId !== null &&
+    (targetId === ROOT_DROP_ID || !wouldCreateCycle(objects, draggedId, targetId))
+  );
+
+  const handleDragStart = (e, objectId) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', objectId);
+    setDraggedId(objectId);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  const handleDragOver = (e, targetId) => {
+    if (!canDropOn(targetId)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropTargetId !== targetId) {
+      setDropTargetId(targetId);
+    }
+  };
+
+  const handleDrop = (e, targetId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const objectId = draggedId;
+    handleDragEnd();
+    if (objectId && canDropOn(targetId)) {
+      onReparentObject?.(objectId, targetId === ROOT_DROP_ID ? null : targetId);
+    }
+  };
+
   const getObjectIcon = (obj) => {
     if (obj.type === 'camera') return Camera;
+    if (obj.type === 'water') return Waves;
     if (obj.type === 'collider') {
       if (obj.colliderType === 'sphere') return Circle;
       if (obj.colliderType === 'cylinder' || obj.colliderType === 'capsule') return Cylinder;
@@ -88,6 +175,9 @@ export const HierarchyPanel = ({
     if (obj.type === 'collider') {
       return `Collider (${obj.colliderType || 'cylinder'})`;
     }
+    if (obj.type === 'water') {
+      return `Agua (${obj.shape || 'plane'})`;
+    }
     if (obj.model) {
       const modelName = obj.model.split('/').pop().replace('.glb', '');
       return modelName || 'Object';
@@ -97,26 +187,56 @@ export const HierarchyPanel = ({
 
   const renderObjectItem = (obj) => {
     const Icon = getObjectIcon(obj);
-    const isSelected = selectedObject === obj.id;
+    const isSelected = selectedObject === obj.id || selectedObjectIds.includes(obj.id);
     const displayName = getObjectDisplayName(obj);
+    // Durante la búsqueda la lista es plana
+    const children = isSearching ? [] : (childrenByParent.get(obj.id) || []);
+    const isExpanded = !collapsedIds.has(obj.id);
 
     return (
-      <div
-        key={obj.id}
-        className={cn(
-          "flex items-center gap-2 px-2 py-1.5 rounded-md cursor-pointer transition-colors",
-          isSelected 
-            ? "bg-primary text-primary-foreground" 
-            : "hover:bg-accent hover:text-accent-foreground"
-        )}
-        onClick={() => onSelectObject(obj.id)}
-      >
-        <Icon className="h-4 w-4 flex-shrink-0" />
-        <span className="flex-1 text-sm truncate">{displayName}</span>
-        {obj.tag && obj.tag !== 'Untagged' && (
-          <span className="text-xs opacity-70 px-1.5 py-0.5 bg-background/50 rounded">
-            {obj.tag}
-          </span>
+      <div key={obj.id} className="space-y-0.5">
+        <div
+          draggable={!!onReparentObject}
+          onDragStart={(e) => handleDragStart(e, obj.id)}
+          onDragEnd={handleDragEnd}
+          onDragOver={(e) => handleDragOver(e, obj.id)}
+          onDragLeave={() => setDropTargetId(prev => (prev === obj.id ? null : prev))}
+          onDrop={(e) => handleDrop(e, obj.id)}
+          className={cn(
+            "flex items-center gap-2 px-2 py-1.5 rounded-md cursor-pointer transition-colors",
+            isSelected 
+              ? "bg-primary text-primary-foreground" 
+              : "hover:bg-accent hover:text-accent-foreground",
+            dropTargetId === obj.id && "ring-2 ring-primary ring-inset",
+            draggedId === obj.id && "opacity-50"
+          )}
+          onClick={(e) => onSelectObject(obj.id, { additive: e.shiftKey || e.ctrlKey || e.metaKey })}
+        >
+          {children.length > 0 ? (
+            <button
+              className="flex-shrink-0"
+              onClick={(e) => {
+                e.stopPropagation();
+                toggleChildren(obj.id);
+              }}
+            >
+              {isExpanded ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+            </button>
+          ) : (
+            <span className="w-3 flex-shrink-0" />
+          )}
+          <Icon className="h-4 w-4 flex-shrink-0" />
+          <span className="flex-1 text-sm truncate">{displayName}</span>
+          {obj.tag && obj.tag !== 'Untagged' && (
+            <span className="text-xs opacity-70 px-1.5 py-0.5 bg-background/50 rounded">
+              {obj.tag}
+            </span>
+          )}
+        </div>
+        {children.length > 0 && isExpanded && (
+          <div className="ml-4 pl-1 border-l border-border space-y-0.5">
+            {children.map(renderObjectItem)}
+          </div>
         )}
       </div>
     );
@@ -171,9 +291,23 @@ export const HierarchyPanel = ({
       
       <ScrollArea className="flex-1">
         <div className="p-2 space-y-2">
+          {draggedId && (
+            <div
+              onDragOver={(e) => handleDragOver(e, ROOT_DROP_ID)}
+              onDragLeave={() => setDropTargetId(prev => (prev === ROOT_DROP_ID ? null : prev))}
+              onDrop={(e) => handleDrop(e, ROOT_DROP_ID)}
+              className={cn(
+                "px-2 py-2 rounded-md border border-dashed text-xs text-center text-muted-foreground",
+                dropTargetId === ROOT_DROP_ID && "border-primary text-foreground"
+              )}
+            >
+              Soltar aquí para quitar el padre
+            </div>
+          )}
           {renderGroup('objects', groupedObjects.objects, 'Objetos', Box)}
           {renderGroup('colliders', groupedObjects.colliders, 'Colliders', Cylinder)}
           {renderGroup('cameras', groupedObjects.cameras, 'Cámaras', Camera)}
+          {renderGroup('water', groupedObjects.water, 'Agua', Waves)}
           
           {filteredObjects.length === 0 && (
             <Card className="border-dashed">
@@ -0,0 +1,134 @@
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Plus, Minus, PenLine, Mountain, Trees, Paintbrush } from 'lucide-react';
+import { hasLevelChanges } from '../../utils/levelDiff';
+
+// Nombres legibles de las propiedades del nivel
+const METADATA_LABELS = {
+  name: 'Nombre',
+  description: 'Descripción',
+};
+
+/**
+ * Sección de la lista de cambios
+ */
+const DiffSection = ({ icon, title, className, items, renderDetail }) => {
+  if (items.length === 0) return null;
+
+  const Icon = icon;
+
+  return (
+    <div className="space-y-1">
+      <div className={`flex items-center gap-2 text-sm font-medium ${className}`}>
+        <Icon className="h-4 w-4" />
+        {title} ({items.length})
+      </div>
+      {items.map((item) => (
+        <div key={item.id} className="ml-6 text-sm text-foreground">
+          {item.name}
+          {renderDetail && (
+            <span className="ml-2 text-xs text-muted-foreground">{renderDetail(item)}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Diálogo con los cambios del nivel desde el último guardado
+ * Lista los objetos añadidos, eliminados y modificados (con sus propiedades),
+ * y si han cambiado el terreno o las propiedades del nivel
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Si el diálogo está abierto
+ * @param {Function} props.onOpenChange - Callback al abrir/cerrar
+ * @param {Object|null} props.diff - Resultado de diffLevels
+ * @param {boolean} props.neverSaved - Si el nivel aún no tiene archivo
+ */
+export const LevelDiffDialog = ({ open, onOpenChange, diff, neverSaved = false }) => {
+  const hasChanges = diff && hasLevelChanges(diff);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Cambios sin guardar</DialogTitle>
+          <DialogDescription>
+            {neverSaved
+              ? 'El nivel aún no se ha guardado en un archivo.'
+              : 'Diferencias entre el nivel en el editor y la última versión guardada en el archivo.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!hasChanges ? (
+          <p className="py-6 text-center text-sm text-muted-foreground">
+            No hay cambios desde el último guardado
+          </p>
+        ) : (
+          <ScrollArea className="max-h-[360px]">
+            <div className="space-y-3 pr-2">
+              <DiffSection
+                icon={Plus}
+                title="Objetos añadidos"
+                className="text-green-500"
+                items={diff.added}
+              />
+              <DiffSection
+                icon={Minus}
+                title="Objetos eliminados"
+                className="text-destructive"
+                items={diff.removed}
+              />
+              <DiffSection
+                icon={PenLine}
+                title="Objetos modificados"
+                className="text-amber-500"
+                items={diff.changed}
+                renderDetail={(item) => item.properties.join(', ')}
+              />
+              {diff.terrainChanged && (
+                <div className="flex items-center gap-2 text-sm font-medium text-amber-500">
+                  <Mountain className="h-4 w-4" />
+                  Terreno modificado
+                </div>
+              )}
+              {diff.splatChanged && (
+                <div className="flex items-center gap-2 text-sm font-medium text-amber-500">
+                  <Paintbrush className="h-4 w-4" />
+                  Texturas del terreno modificadas
+                </div>
+              )}
+              {diff.scatterChanged && (
+                <div className="flex items-center gap-2 text-sm font-medium text-amber-500">
+                  <Trees className="h-4 w-4" />
+                  Vegetación modificada
+                </div>
+              )}
+              {diff.metadata.length > 0 && (
+                <div className="flex items-center gap-2 text-sm font-medium text-amber-500">
+                  <PenLine className="h-4 w-4" />
+                  Propiedades del nivel: {diff.metadata.map((key) => METADATA_LABELS[key] || key).join(', ')}
+                </div>
+              )}
+            </div>
+          </ScrollArea>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cerrar
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
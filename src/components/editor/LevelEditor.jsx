@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { EditorCanvas } from './EditorCanvas';
 import { ObjectLibrary } from './ObjectLibrary';
 import { PropertiesPanel } from './PropertiesPanel';
@@ -6,30 +6,268 @@ import { HierarchyPanel } from './HierarchyPanel';
 import { Toolbar } from './Toolbar';
 import { EditorControls } from './EditorControls';
 import { ToolsPanel } from './ToolsPanel';
+import { AutosaveDialog } from './AutosaveDialog';
+import { LevelDiffDialog } from './LevelDiffDialog';
+import { PlayModeView } from './PlayModeView';
 import './LevelEditor.css';
 import { useLevelManager } from '../../hooks/useLevelManager';
-import { EDITOR_CONFIG, LEVEL_DEFAULTS, TERRAIN_CONFIG } from '../../constants/gameConstants';
-import { saveLevelToStorage, loadLevelFromStorage } from '../../utils/storageUtils';
-import { prepareLevelDataForSave, createNewObject, createNewCollider, createNewCamera, duplicateObject, normalizeModelPath } from '../../utils/objectUtils';
-import { getTerrainHeightAtWorldPosition } from '../../utils/heightmapUtils';
+import { useEditorHistory } from '../../hooks/useEditorHistory';
+import { usePrefabLibrary } from '../../hooks/usePrefabLibrary';
+import { useEditorAutosave } from '../../hooks/useEditorAutosave';
+import { toast } from '@/hooks/use-toast';
+import { EDITOR_CONFIG, LEVEL_DEFAULTS, TERRAIN_CONFIG, LEVEL_FILES } from '../../constants/gameConstants';
+import { saveLocalLevel, loadLocalLevel, deleteLocalLevel, subscribeToLocalLevelChanges } from '../../utils/projectDatabase';
+import { prepareLevelDataForSave, createNewObject, createNewCollider, createNewCamera, createNewWater, normalizeModelPath } from '../../utils/objectUtils';
+import { getTerrainHeightAtWorldPosition, getTerrainHeightmap } from '../../utils/heightmapUtils';
+import { getTerrainLayout, getTerrainDimensions, resizeTerrainHeightmap } from '../../utils/terrainChunks';
+import { decodeScatterLayers } from '../../utils/scatterUtils';
+import { decodeSplatMap, resizeSplatMap, getAutoSplatMap } from '../../utils/terrainMaterial';
+import { getNextLevelFilename } from '../../utils/levelManifest';
+import { diffLevels, hasLevelChanges } from '../../utils/levelDiff';
+import { upgradeLevelData, formatValidationReport } from '../../utils/levelSchema';
+import { getDescendantIds, getReparentUpdates, duplicateWithDescendants } from '../../utils/hierarchyUtils';
+import {
+  createPrefabFromObjects,
+  instantiatePrefab,
+  trackPrefabOverrides,
+  revertPrefabOverrides,
+  applyInstanceToPrefab,
+  unlinkPrefabInstance,
+  unlinkPrefabInstances,
+  countPrefabInstances,
+  syncPrefabInstances,
+  findPrefab,
+} from '../../utils/prefabUtils';
+import {
+  createAddObjectsCommand,
+  createRemoveObjectsCommand,
+  createUpdateObjectsCommand,
+  createHeightmapCommand,
+  createTerrainLayoutCommand,
+  createScatterCommand,
+  createSplatCommand,
+  createTerrainRecipeCommand,
+  createReplaceObjectsCommand,
+  pickPreviousValues,
+  isNoopChange,
+} from '../../utils/editorCommands';
+
+// Posición del historial guardada para un nivel que no coincide con su archivo en ninguna posición
+// (abierto desde la copia local o desde un autoguardado): tiene cambios hasta que se guarde
+const UNSAVED_HISTORY_POSITION = -1;
+
+/**
+ * Decodifica el terreno de un nivel con su distribución de chunks
+ * Si los datos están dañados se anota el problema y se usa un terreno plano
+ * @param {Object} terrain - Terreno del nivel
+ * @param {Array<string>} problems - Lista donde se anotan los problemas de carga
+ * @returns {{heightmap: Float32Array|null, layout: Object}} Heightmap y distribución del terreno
+ */
+const decodeLevelTerrain = (terrain, problems) => {
+  try {
+    const layout = getTerrainLayout(terrain);
+    return { heightmap: getTerrainHeightmap(terrain, getTerrainDimensions(layout).segments), layout };
+  } catch (error) {
+    problems.push(`No se pudo cargar el terreno del nivel: ${error.message}`);
+    return { heightmap: null, layout: TERRAIN_CONFIG.DEFAULT_LAYOUT };
+  }
+};
+
+/**
+ * Decodifica el splat map (texturas pintadas) del terreno de un nivel
+ * Si los datos están dañados se anota el problema y el terreno queda con la capa base
+ */
+const decodeLevelSplat = (splat, layout, problems) => {
+  try {
+    return decodeSplatMap(splat, getTerrainDimensions(layout).segments);
+  } catch (error) {
+    problems.push(`No se pudieron cargar las texturas del terreno: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Decodifica la vegetación de un nivel
+ * Si los datos están dañados se anota el problema y el nivel queda sin vegetación
+ */
+const decodeLevelScatter = (scatter, problems) => {
+  try {
+    return decodeScatterLayers(scatter);
+  } catch (error) {
+    problems.push(`No se pudo cargar la vegetación del nivel: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Convierte un objeto del archivo de nivel al formato del editor
+ * (ruta del modelo normalizada y propiedades que el editor espera siempre presentes)
+ */
+const toEditorObject = (obj, availableModels) => {
+  // Normalizar la ruta del modelo si es necesario
+  const modelPath = normalizeModelPath(obj.model, availableModels);
+
+  return {
+    ...obj,
+    model: modelPath || obj.model,
+    // Solo agregar colliderScale a objetos normales, no a colliders ni al agua
+    ...(obj.type !== 'collider' && obj.type !== 'water' && { colliderScale: obj.colliderScale || [0.8, 0.8, 0.8] }),
+    // Para cámaras, asegurar que targetId sea null si no está definido (no undefined)
+    ...(obj.type === 'camera' && { targetId: obj.targetId !== undefined ? obj.targetId : null }),
+  };
+};
+
+/**
+ * Pasa los datos de un nivel guardado (archivo o autoguardado) por la misma conversión que al cargarlo
+ * en el editor y al volver a guardarlo, para compararlos con el estado del editor sin falsas diferencias
+ * Las partes dañadas no avisan: cuentan como modificadas al comparar
+ * @param {Object} levelData - Datos del nivel
+ * @param {Array} availableModels - Modelos disponibles (para normalizar rutas)
+ * @returns {Object} Datos del nivel tal como se guardarían desde el editor
+ */
+const prepareStoredLevel = (levelData, availableModels) => {
+  let heightmap = null;
+  let layout = TERRAIN_CONFIG.DEFAULT_LAYOUT;
+  try {
+    layout = getTerrainLayout(levelData.terrain);
+    heightmap = getTerrainHeightmap(levelData.terrain, getTerrainDimensions(layout).segments);
+  } catch {
+    // Terreno dañado
+  }
+  let splat = null;
+  try {
+    splat = decodeSplatMap(levelData.splat, getTerrainDimensions(layout).segments);
+  } catch {
+    // Texturas dañadas
+  }
+  let scatter = [];
+  try {
+    scatter = decodeScatterLayers(levelData.scatter);
+  } catch {
+    // Vegetación dañada
+  }
+  const objects = (levelData.objects || []).map((obj) => toEditorObject(obj, availableModels));
+  return prepareLevelDataForSave({
+    objects,
+    levelData,
+    terrainHeightmap: heightmap,
+    scatterLayers: scatter,
+    terrainLayout: layout,
+    terrainSplat: splat,
+    terrainRecipe: levelData.terrainRecipe || null,
+  });
+};
 
 /**
  * Componente principal del editor de niveles
  * Maneja el estado global del editor y la interfaz
+ * @param {string} initialLevel - Nivel que se abre al entrar al editor (el que se estaba jugando)
  */
-export const LevelEditor = ({ mode, onModeChange }) => {
+export const LevelEditor = ({ mode, onModeChange, initialLevel = LEVEL_FILES.DEFAULT_LEVEL }) => {
   const [objects, setObjects] = useState([]);
-  const [selectedObject, setSelectedObject] = useState(null);
+  // Selección múltiple: el último ID es el objeto activo (panel de propiedades y gizmo individual)
+  const [selectedObjectIds, setSelectedObjectIds] = useState([]);
+  const selectedObject = selectedObjectIds.length > 0 ? selectedObjectIds[selectedObjectIds.length - 1] : null;
   const [availableModels, setAvailableModels] = useState([]);
   const [transformMode, setTransformMode] = useState('translate');
   const [snapEnabled, setSnapEnabled] = useState(true);
   const [snapSize, setSnapSize] = useState(EDITOR_CONFIG.DEFAULT_SNAP_SIZE);
+  const [surfaceSnapEnabled, setSurfaceSnapEnabled] = useState(false); // Arrastrar sobre el terreno y los objetos
+  const [alignToSurface, setAlignToSurface] = useState(false); // Alinear el eje Y a la normal de la superficie
+  const [lodPreview, setLodPreview] = useState(false); // Colorear modelos y terreno según su nivel de detalle activo
   const [showEditorControls, setShowEditorControls] = useState(false); // Control de visibilidad del widget (oculto por defecto)
   const [terrainHeightmap, setTerrainHeightmap] = useState(null);
+  const [terrainLayout, setTerrainLayout] = useState(TERRAIN_CONFIG.DEFAULT_LAYOUT); // Chunks del terreno (ver getTerrainLayout)
+  const [terrainSplat, setTerrainSplat] = useState(null); // Texturas pintadas del terreno (null = capa base, ver terrainMaterial)
+  const [terrainRecipe, setTerrainRecipe] = useState(null); // Receta con la que se generó el terreno (ver terrainRecipe)
   const [terrainPaintSettings, setTerrainPaintSettings] = useState(null);
+  const [scatterLayers, setScatterLayers] = useState([]); // Vegetación: [{ model, instances }]
+  const [scatterSettings, setScatterSettings] = useState(null); // Ajustes del pincel de dispersión (null = inactivo)
   const [toolsPanelCollapsed, setToolsPanelCollapsed] = useState(false); // false = expandido, true = colapsado
   const [hierarchySearchQuery, setHierarchySearchQuery] = useState('');
 
+  // Historial de deshacer/rehacer
+  // Las refs guardan el último estado para construir el "antes" de cada comando
+  const objectsRef = useRef(objects);
+  const terrainHeightmapRef = useRef(terrainHeightmap);
+  const terrainStrokeStartRef = useRef(null);
+  const terrainLayoutRef = useRef(terrainLayout);
+  const terrainSplatRef = useRef(terrainSplat);
+  const splatStrokeStartRef = useRef(null);
+  const terrainRecipeRef = useRef(terrainRecipe);
+  const scatterLayersRef = useRef(scatterLayers);
+  const scatterStrokeStartRef = useRef(null);
+  const historyContext = useMemo(() => ({ setObjects, setTerrainHeightmap, setTerrainLayout, setTerrainSplat, setTerrainRecipe, setScatterLayers }), []);
+  const history = useEditorHistory(historyContext);
+  const {
+    execute: executeCommand,
+    record: recordCommand,
+    undo: undoCommand,
+    redo: redoCommand,
+    clear: clearHistory,
+    getPosition: getHistoryPosition,
+  } = history;
+
+  useEffect(() => {
+    objectsRef.current = objects;
+  }, [objects]);
+
+  useEffect(() => {
+    terrainHeightmapRef.current = terrainHeightmap;
+  }, [terrainHeightmap]);
+
+  useEffect(() => {
+    terrainLayoutRef.current = terrainLayout;
+  }, [terrainLayout]);
+
+  useEffect(() => {
+    terrainSplatRef.current = terrainSplat;
+  }, [terrainSplat]);
+
+  useEffect(() => {
+    terrainRecipeRef.current = terrainRecipe;
+  }, [terrainRecipe]);
+
+  useEffect(() => {
+    scatterLayersRef.current = scatterLayers;
+  }, [scatterLayers]);
+
+  // Biblioteca de prefabs (compartida entre niveles)
+  const { prefabs, savePrefab, deletePrefab } = usePrefabLibrary();
+  const prefabsRef = useRef(prefabs);
+  useEffect(() => {
+    prefabsRef.current = prefabs;
+  }, [prefabs]);
+
+  // Seleccionar un único objeto (o ninguno)
+  const setSelectedObject = useCallback((objectId) => {
+    setSelectedObjectIds(objectId ? [objectId] : []);
+  }, []);
+
+  // Selección desde el canvas o la jerarquía
+  // Con additive (Shift/Ctrl+click) el objeto se añade o se quita de la selección
+  const handleSelectObject = useCallback((objectId, { additive = false } = {}) => {
+    setSelectedObjectIds((prev) => {
+      if (!objectId) {
+        return additive ? prev : [];
+      }
+      if (!additive) {
+        return [objectId];
+      }
+      return prev.includes(objectId)
+        ? prev.filter((id) => id !== objectId)
+        : [...prev, objectId];
+    });
+  }, []);
+
+  // Selección de varios objetos a la vez (selección por caja)
+  const handleSelectObjects = useCallback((objectIds, { additive = false } = {}) => {
+    setSelectedObjectIds((prev) => {
+      const base = additive ? prev.filter((id) => !objectIds.includes(id)) : [];
+      return [...base, ...objectIds];
+    });
+  }, []);
+
   // Gestor de niveles
   const {
     levels,
@@ -38,6 +276,14 @@ export const LevelEditor = ({ mode, onModeChange }) => {
     error: levelError,
     loadLevel,
     saveLevel,
+    renameLevel,
+    deleteLevel,
+    discardLocalChanges,
+    localLevels,
+    dirtyLevels,
+    storageEstimate,
+    refreshLocalStorageInfo,
+    savedLevel,
     createNewLevel,
     validateLevel,
     setCurrentLevel,
@@ -85,8 +331,28 @@ export const LevelEditor = ({ mode, onModeChange }) => {
     setAvailableModels(models);
   }, []);
 
+  // Vaciar el historial al cambiar de nivel
+  // Va antes de la carga del nivel: la posición guardada se toma con el historial ya vacío
+  const historyFilename = currentLevel?.filename ?? null;
+  useEffect(() => {
+    clearHistory();
+  }, [historyFilename, clearHistory]);
+
+  // Cambios sin guardar: el nivel tiene cambios si el historial no está en la posición del último guardado
+  // Se fija al abrir o guardar un nivel (currentLevel cambia en ambos casos)
+  const [savedHistoryPosition, setSavedHistoryPosition] = useState(null);
+  const loadedLevelRef = useRef(null);
+  const isDirty = history.position !== savedHistoryPosition;
+
   // Cargar objetos del nivel actual
+  // Las partes dañadas del nivel no impiden abrirlo: se avisa con una notificación al terminar
   useEffect(() => {
+    const loadProblems = [];
+    if (loadedLevelRef.current !== currentLevel) {
+      loadedLevelRef.current = currentLevel;
+      setSavedHistoryPosition(currentLevel?.unsaved ? UNSAVED_HISTORY_POSITION : getHistoryPosition());
+    }
+
     if (currentLevel && currentLevel.data && currentLevel.data.objects) {
       // Preservar la selección actual y los IDs existentes
       const currentSelectedId = selectedObject;
@@ -103,36 +369,24 @@ export const LevelEditor = ({ mode, onModeChange }) => {
         const key = `${obj.position[0]},${obj.position[1]},${obj.position[2]}`;
         const existingId = existingObjectsMap.get(key);
         
-        // Normalizar la ruta del modelo si es necesario
-        const modelPath = normalizeModelPath(obj.model, availableModels);
-        
         // Preservar el ID del objeto cargado (es crítico para referencias como targetId)
         // Solo usar existingId si el objeto cargado no tiene ID (caso raro)
         const preservedId = obj.id || existingId || `obj-${index}-${Date.now()}-${Math.random()}`;
         
-        const editorObj = {
-          ...obj,
-          model: modelPath || obj.model,
-          // CRÍTICO: Preservar el ID del objeto cargado para mantener referencias
-          id: preservedId,
-          // Solo agregar colliderScale a objetos normales, no a colliders
-          ...(obj.type !== 'collider' && { colliderScale: obj.colliderScale || [0.8, 0.8, 0.8] }),
-          // Para cámaras, asegurar que targetId sea null si no está definido (no undefined)
-          ...(obj.type === 'camera' && { targetId: obj.targetId !== undefined ? obj.targetId : null }),
-        };
-        
-        return editorObj;
+        // CRÍTICO: Preservar el ID del objeto cargado para mantener referencias
+        return { ...toEditorObject(obj, availableModels), id: preservedId };
       });
       
-      setObjects(editorObjects);
+      // Las instancias de prefabs recogen los cambios hechos en sus prefabs
+      setObjects(syncPrefabInstances(editorObjects, prefabsRef.current));
       
-      // Cargar heightmap del terreno si existe
-      if (currentLevel.data.terrain && currentLevel.data.terrain.heightmap) {
-        const heightmapArray = new Float32Array(currentLevel.data.terrain.heightmap);
-        setTerrainHeightmap(heightmapArray);
-      } else {
-        setTerrainHeightmap(null);
-      }
+      // Cargar heightmap del terreno y vegetación si existen
+      const terrain = decodeLevelTerrain(currentLevel.data.terrain, loadProblems);
+      setTerrainLayout(terrain.layout);
+      setTerrainHeightmap(terrain.heightmap);
+      setTerrainSplat(decodeLevelSplat(currentLevel.data.splat, terrain.layout, loadProblems));
+      setTerrainRecipe(currentLevel.data.terrainRecipe || null);
+      setScatterLayers(decodeLevelScatter(currentLevel.data.scatter, loadProblems));
       
       // Si había un objeto seleccionado, mantenerlo si todavía existe
       if (currentSelectedId) {
@@ -146,97 +400,267 @@ export const LevelEditor = ({ mode, onModeChange }) => {
     } else if (currentLevel && currentLevel.data) {
       // Nivel sin objetos
       setObjects([]);
-      // Cargar heightmap si existe
-      if (currentLevel.data.terrain && currentLevel.data.terrain.heightmap) {
-        const heightmapArray = new Float32Array(currentLevel.data.terrain.heightmap);
-        setTerrainHeightmap(heightmapArray);
-      } else {
-        setTerrainHeightmap(null);
-      }
+      // Cargar heightmap y vegetación si existen
+      const terrain = decodeLevelTerrain(currentLevel.data.terrain, loadProblems);
+      setTerrainLayout(terrain.layout);
+      setTerrainHeightmap(terrain.heightmap);
+      setTerrainSplat(decodeLevelSplat(currentLevel.data.splat, terrain.layout, loadProblems));
+      setTerrainRecipe(currentLevel.data.terrainRecipe || null);
+      setScatterLayers(decodeLevelScatter(currentLevel.data.scatter, loadProblems));
       // NO deseleccionar automáticamente - solo si el usuario lo hace explícitamente
       // if (selectedObject) {
       //   setSelectedObject(null);
       // }
     } else if (!currentLevel) {
+      setTerrainLayout(TERRAIN_CONFIG.DEFAULT_LAYOUT);
       setTerrainHeightmap(null);
+      setTerrainSplat(null);
+      setTerrainRecipe(null);
+      setScatterLayers([]);
+    }
+
+    if (loadProblems.length > 0) {
+      toast({
+        title: "Nivel cargado con errores",
+        description: loadProblems.join(' '),
+        variant: "destructive",
+      });
     }
-  }, [currentLevel, availableModels]); // Incluir availableModels para normalizar rutas
+  }, [currentLevel, availableModels, getHistoryPosition]); // Incluir availableModels para normalizar rutas
+
+  // Autoguardados periódicos del estado del editor (nivel, selección y cámara)
+  const cameraControlsRef = useRef(null);
+  const [autosaveDialogOpen, setAutosaveDialogOpen] = useState(false);
+  const autosaveKey = currentLevel?.filename || EDITOR_CONFIG.UNSAVED_LEVEL_KEY;
+  const getAutosaveSnapshot = useCallback(() => {
+    if (!currentLevel) return null;
+    return {
+      filename: currentLevel.filename,
+      level: prepareLevelDataForSave({
+        objects,
+        levelData: currentLevel.data,
+        terrainHeightmap,
+        scatterLayers,
+        terrainLayout,
+        terrainSplat,
+        terrainRecipe,
+      }),
+      selectedObjectIds,
+      camera: cameraControlsRef.current?.getState() ?? null,
+    };
+  }, [currentLevel, objects, terrainHeightmap, scatterLayers, terrainLayout, terrainSplat, terrainRecipe, selectedObjectIds]);
+  const {
+    snapshots: autosaves,
+    interruptedSession,
+    dismissInterruptedSession,
+  } = useEditorAutosave({ autosaveKey, getSnapshot: getAutosaveSnapshot });
+
+  // Tras un cierre inesperado se ofrece restaurar el último autoguardado del nivel que se editaba,
+  // solo si es distinto del nivel que se ha abierto (ej: la copia local ya tenía esos cambios)
+  // Se decide una sola vez: si no hay nada que recuperar la sesión interrumpida se descarta
+  const isRecoveryCandidate = !!currentLevel &&
+    interruptedSession?.autosaveKey === autosaveKey &&
+    autosaves[0]?.filename === autosaveKey; // La lista puede ser aún la del nivel anterior
+  const showRecoveryPrompt = useMemo(() => {
+    if (!isRecoveryCandidate) return false;
+    const loaded = prepareStoredLevel(currentLevel.data, availableModels);
+    const newest = prepareStoredLevel(upgradeLevelData(autosaves[0].data.level), availableModels);
+    return hasLevelChanges(diffLevels(loaded, newest));
+  }, [isRecoveryCandidate, currentLevel, autosaves, availableModels]);
 
-  // Sincronizar con cambios en localStorage (cuando se selecciona un nivel desde App.jsx)
   useEffect(() => {
-    const checkForLevelChanges = () => {
-      // Verificar si hay un nivel en localStorage que no coincide con el actual
-      try {
-        const filename = currentLevel?.filename || 'level1.json';
-        const cachedData = loadLevelFromStorage(filename);
-        
-        if (cachedData) {
-          // Solo actualizar si el nivel es diferente
-          // IMPORTANTE: No actualizar si hay un objeto seleccionado para evitar deselección
-          if (!currentLevel || 
-              currentLevel.filename !== filename || 
-              JSON.stringify(currentLevel.data) !== JSON.stringify(cachedData)) {
-            setCurrentLevel({ filename, data: cachedData });
-          }
-        }
-      } catch (storageErr) {
-        // Error accediendo a localStorage
-      }
+    if (isRecoveryCandidate && !showRecoveryPrompt) {
+      dismissInterruptedSession();
+    }
+  }, [isRecoveryCandidate, showRecoveryPrompt, dismissInterruptedSession]);
+
+  const handleCloseAutosaveDialog = useCallback(() => {
+    setAutosaveDialogOpen(false);
+    dismissInterruptedSession();
+  }, [dismissInterruptedSession]);
+
+  // Restaurar un autoguardado: sustituye el nivel y vacía el historial (sus comandos ya no aplican)
+  const handleRestoreAutosave = useCallback((snapshot) => {
+    const { data } = snapshot;
+    clearHistory();
+    setCurrentLevel({ filename: data.filename, data: upgradeLevelData(data.level), unsaved: true });
+    setSelectedObjectIds(data.selectedObjectIds || []);
+    if (data.camera) {
+      cameraControlsRef.current?.setState(data.camera);
+    }
+    handleCloseAutosaveDialog();
+  }, [clearHistory, setCurrentLevel, handleCloseAutosaveDialog]);
+
+  // Diferencias con la última versión guardada en disco: solo se calculan con el diálogo abierto
+  // (preparar el nivel codifica el terreno completo). La versión guardada pasa por la misma
+  // conversión que al cargarla para que un nivel recién abierto no tenga diferencias
+  const [diffDialogOpen, setDiffDialogOpen] = useState(false);
+  const levelDiff = useMemo(() => {
+    // Mientras se lee la versión en disco no se sabe si hay cambios
+    if (!diffDialogOpen || !currentLevel || savedLevel === undefined) return null;
+    const current = prepareLevelDataForSave({
+      objects,
+      levelData: currentLevel.data,
+      terrainHeightmap,
+      scatterLayers,
+      terrainLayout,
+      terrainSplat,
+      terrainRecipe,
+    });
+    if (!savedLevel) return diffLevels(savedLevel, current);
+    return diffLevels(prepareStoredLevel(savedLevel, availableModels), current);
+  }, [diffDialogOpen, savedLevel, availableModels, currentLevel, objects, terrainHeightmap, scatterLayers, terrainLayout, terrainSplat, terrainRecipe]);
+
+  // Avisar al cerrar o recargar la pestaña con cambios sin guardar
+  useEffect(() => {
+    if (!isDirty) return;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
     };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
 
-    // Verificar cada segundo si hay cambios en localStorage
-    const interval = setInterval(checkForLevelChanges, 1000);
-    
-    return () => clearInterval(interval);
-  }, [currentLevel, setCurrentLevel]);
+  // Confirmar antes de dejar un nivel con cambios sin guardar
+  // @param {string} action - Acción que se va a realizar ("Cambiar de nivel", ...)
+  const confirmLeaveLevel = useCallback((action) => {
+    if (!isDirty) return true;
+
+    const message = currentLevel?.filename
+      ? `"${currentLevel.data?.name || currentLevel.filename}" tiene cambios sin guardar en ${currentLevel.filename}.\nSe conservan en la copia local del navegador, pero el archivo no está actualizado.`
+      : 'El nivel nuevo no se ha guardado en ningún archivo.';
+    return confirm(`${message}\n\n¿${action} de todos modos?`);
+  }, [isDirty, currentLevel]);
 
-  // Guardar automáticamente en localStorage cada vez que cambian los objetos
-  // Esto permite que los cambios se reflejen inmediatamente en el modo juego
+  // Modo Play: simula el nivel del editor en el sitio, sobre el canvas del editor
+  // Al detenerlo se restauran los objetos y la selección de antes de empezar
+  const [playSession, setPlaySession] = useState(null); // { levelData, snapshot, paused } o null
+  const playControlsRef = useRef(null);
+  const isPlaying = playSession !== null;
+  const playState = !playSession ? 'stopped' : playSession.paused ? 'paused' : 'playing';
+
+  const handlePlay = useCallback(() => {
+    if (playSession) {
+      setPlaySession((session) => session && { ...session, paused: false });
+      return;
+    }
+    if (!currentLevel) return;
+    setPlaySession({
+      levelData: upgradeLevelData(prepareLevelDataForSave({
+        objects,
+        levelData: currentLevel.data,
+        terrainHeightmap,
+        scatterLayers,
+        terrainLayout,
+        terrainSplat,
+        terrainRecipe,
+      })),
+      snapshot: { objects, selectedObjectIds },
+      paused: false,
+    });
+  }, [playSession, currentLevel, objects, terrainHeightmap, scatterLayers, terrainLayout, terrainSplat, terrainRecipe, selectedObjectIds]);
+
+  const handlePausePlay = useCallback(() => {
+    setPlaySession((session) => session && { ...session, paused: true });
+  }, []);
+
+  const handleStepPlay = useCallback(() => {
+    playControlsRef.current?.step();
+  }, []);
+
+  const handleStopPlay = useCallback(() => {
+    if (!playSession) return;
+    setObjects(playSession.snapshot.objects);
+    setSelectedObjectIds(playSession.snapshot.selectedObjectIds);
+    setPlaySession(null);
+  }, [playSession]);
+
+  // Copia local del nivel mientras tiene cambios sin guardar (el modo juego la carga antes que el archivo)
+  // Un nivel sin cambios no tiene copia: guardarlo o descartar sus cambios la borra, y también deshacer
+  // hasta el último guardado. Se escribe tras una pausa en la edición (preparar el nivel codifica el terreno)
+  // Los niveles nuevos no tienen archivo que tapar: los protegen los autoguardados
+  const localCopyLevelRef = useRef(null); // Nivel abierto cuya copia se ha escrito
+  const pendingLocalCopyRef = useRef(null); // Escritura en espera (se hace al salir del editor)
   useEffect(() => {
-    // Solo guardar si hay objetos o si hay un nivel cargado
-    // Evitar guardar en el montaje inicial antes de que se cargue el nivel
-    if (!currentLevel && objects.length === 0) {
+    pendingLocalCopyRef.current = null;
+    const filename = currentLevel?.filename;
+    if (!filename) return;
+
+    if (!isDirty) {
+      if (localCopyLevelRef.current === currentLevel) {
+        localCopyLevelRef.current = null;
+        deleteLocalLevel(filename).catch(() => {});
+      }
       return;
     }
 
-    // Determinar el nombre del archivo del nivel actual (usar level1.json por defecto)
-    const filename = currentLevel?.filename || 'level1.json';
-    
-    // Preparar datos del nivel sin los IDs internos del editor
-    const levelData = prepareLevelDataForSave(objects, currentLevel?.data, terrainHeightmap);
-    
-    // Guardar en localStorage automáticamente
-    saveLevelToStorage(filename, levelData);
-  }, [objects, currentLevel, terrainHeightmap]); // Se ejecuta cada vez que cambian los objetos, el nivel o el heightmap
+    const writeLocalCopy = () => {
+      pendingLocalCopyRef.current = null;
+      localCopyLevelRef.current = currentLevel;
+      const levelData = prepareLevelDataForSave({
+        objects,
+        levelData: currentLevel.data,
+        terrainHeightmap,
+        scatterLayers,
+        terrainLayout,
+        terrainSplat,
+        terrainRecipe,
+      });
+      // Los errores de cuota se ven en el selector de niveles
+      saveLocalLevel(filename, levelData, { dirty: true }).catch(() => {});
+    };
+    pendingLocalCopyRef.current = writeLocalCopy;
+    const timer = setTimeout(writeLocalCopy, EDITOR_CONFIG.LOCAL_COPY_DELAY);
+    return () => clearTimeout(timer);
+  }, [objects, currentLevel, terrainHeightmap, scatterLayers, terrainLayout, terrainSplat, terrainRecipe, isDirty]);
+
+  // Al salir del editor (ej: al modo juego) se escribe la copia pendiente para no perder los últimos cambios
+  useEffect(() => {
+    const pendingLocalCopy = pendingLocalCopyRef;
+    return () => pendingLocalCopy.current?.();
+  }, []);
+
+  // Cambios en la copia local hechos desde otra pestaña (ej: el mismo nivel abierto en otro editor)
+  // Sin cambios propios, el nivel se vuelve a abrir: desde la copia o, si se borró, desde el archivo
+  const currentFilename = currentLevel?.filename;
+  useEffect(() => {
+    if (!currentFilename || isDirty) return undefined;
+    return subscribeToLocalLevelChanges((filename) => {
+      if (filename === currentFilename) {
+        loadLevel(filename).catch(() => {});
+      }
+    });
+  }, [currentFilename, isDirty, loadLevel]);
 
   // Inicializar con nivel nuevo si no hay nivel cargado
-  // Primero intentar cargar desde localStorage si hay cambios sin guardar
+  // Primero intentar cargar la copia local si hay cambios sin guardar
   // Luego intentar cargar desde archivo
   useEffect(() => {
     if (!currentLevel) {
-      // Intentar cargar desde localStorage primero (cambios sin guardar)
-      const tryLoadFromLocalStorage = () => {
+      // Intentar cargar la copia local primero (cambios sin guardar)
+      const tryLoadFromLocalCopy = async () => {
         try {
-          // Intentar con level1.json por defecto
-          const filename = 'level1.json';
-          const cachedData = loadLevelFromStorage(filename);
+          // Intentar con el nivel que se estaba jugando
+          const filename = initialLevel;
+          const cachedData = await loadLocalLevel(filename);
           
           if (cachedData) {
-            setCurrentLevel({ filename, data: cachedData });
+            setCurrentLevel({ filename, data: upgradeLevelData(cachedData), unsaved: true });
             // Los objetos se cargarán en el useEffect que depende de currentLevel
             return true;
           }
-        } catch (storageErr) {
-          // Error accediendo a localStorage
+        } catch {
+          // Error accediendo a IndexedDB
         }
         return false;
       };
 
-      // Si no hay datos en localStorage, intentar cargar desde archivo
+      // Si no hay copia local, intentar cargar desde archivo
       const tryLoadFromFile = async () => {
         try {
-          const filename = 'level1.json';
-          const levelData = await loadLevel(filename);
+          const levelData = await loadLevel(initialLevel);
           if (levelData) {
             return true;
           }
@@ -246,9 +670,10 @@ export const LevelEditor = ({ mode, onModeChange }) => {
         return false;
       };
 
-      // Intentar cargar desde localStorage primero
-      if (!tryLoadFromLocalStorage()) {
-        // Si no hay en localStorage, intentar desde archivo
+      // Intentar cargar la copia local primero
+      tryLoadFromLocalCopy().then((loadedLocal) => {
+        if (loadedLocal) return;
+        // Si no hay copia local, intentar desde archivo
         tryLoadFromFile().then(loaded => {
           if (!loaded) {
             // Si no se pudo cargar, crear nivel nuevo
@@ -257,19 +682,19 @@ export const LevelEditor = ({ mode, onModeChange }) => {
             setObjects([]);
           }
         });
-      }
+      });
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   // Manejar selección de nivel
+  // loadLevel abre el nivel (con la marca unsaved si viene de la copia local)
   const handleSelectLevel = async (filename) => {
     try {
-      const levelData = await loadLevel(filename);
-      setCurrentLevel({ filename, data: levelData });
+      await loadLevel(filename);
       setSelectedObject(null);
-    } catch (error) {
-      alert(`Error al cargar el nivel: ${error.message}`);
+    } catch {
+      // loadLevel ya deja el error en levelError, que se muestra sobre el editor
     }
   };
 
@@ -281,31 +706,57 @@ export const LevelEditor = ({ mode, onModeChange }) => {
     setSelectedObject(null);
   };
 
+  // Cambiar de nivel desde el selector (pide confirmación si hay cambios sin guardar)
+  const handleSwitchLevel = async (filename) => {
+    if (filename !== currentLevel?.filename && !confirmLeaveLevel('Cambiar de nivel')) return;
+    await handleSelectLevel(filename);
+  };
+
+  const handleSwitchToNewLevel = () => {
+    if (!confirmLeaveLevel('Crear un nivel nuevo')) return;
+    handleCreateNew();
+  };
+
+  // Cambiar al modo juego (pide confirmación si hay cambios sin guardar)
+  // El modo juego abre el nivel que se está editando
+  const handleModeChange = (nextMode) => {
+    if (nextMode !== mode && !confirmLeaveLevel('Ir al modo juego')) return;
+    onModeChange(nextMode, currentLevel?.filename);
+  };
+
   // Manejar guardado
   const handleSave = useCallback(async () => {
     try {
       // Preparar datos del nivel (incluyendo heightmap)
-      const levelData = prepareLevelDataForSave(objects, currentLevel?.data, terrainHeightmap);
+      const levelData = prepareLevelDataForSave({
+        objects,
+        levelData: currentLevel?.data,
+        terrainHeightmap,
+        scatterLayers,
+        terrainLayout,
+        terrainSplat,
+        terrainRecipe,
+      });
 
-      // Validar datos
+      // Validar datos (se muestran todos los problemas, no solo el primero)
       const validation = validateLevel(levelData);
       if (!validation.valid) {
-        alert(`Error de validación: ${validation.error}`);
+        alert(`Error de validación:\n\n${formatValidationReport(validation)}`);
+        return;
+      }
+      if (validation.warnings.length > 0 &&
+          !confirm(`El nivel tiene advertencias:\n\n${formatValidationReport(validation)}\n\n¿Guardar de todos modos?`)) {
         return;
       }
 
-      // Determinar nombre de archivo
-      const filename = currentLevel?.filename || `level${levels.length + 1}.json`;
+      // Determinar nombre de archivo (los niveles nuevos usan el primer levelN.json libre del manifiesto)
+      const filename = currentLevel?.filename || getNextLevelFilename(levels);
 
       // Guardar
       await saveLevel(filename, levelData);
       
-      // Actualizar nivel actual si se guardó exitosamente
-      if (!currentLevel?.filename) {
-        setCurrentLevel({ filename, data: levelData });
-      } else {
-        setCurrentLevel({ ...currentLevel, data: levelData });
-      }
+      // Actualizar nivel actual si se guardó exitosamente (ya coincide con el archivo)
+      setCurrentLevel({ filename, data: levelData });
 
       // Actualizar lista de niveles
       await listLevels();
@@ -313,7 +764,7 @@ export const LevelEditor = ({ mode, onModeChange }) => {
       alert(`Error al guardar: ${error.message}`);
       throw error;
     }
-  }, [objects, currentLevel, terrainHeightmap, validateLevel, saveLevel, listLevels, levels.length]);
+  }, [objects, currentLevel, terrainHeightmap, scatterLayers, terrainLayout, terrainSplat, terrainRecipe, validateLevel, saveLevel, listLevels, levels]);
 
   // Manejar exportar
   const handleExport = (levelData) => {
@@ -341,13 +792,27 @@ export const LevelEditor = ({ mode, onModeChange }) => {
   };
 
   // Manejar eliminación de nivel
+  // Los errores se propagan al selector de niveles, que los muestra
   const handleDeleteLevel = async (filename) => {
-    // Nota: En el navegador no podemos eliminar archivos directamente
-    // Esto requeriría un backend. Por ahora, solo mostramos un mensaje
-    alert(
-      `Para eliminar ${filename}, elimínalo manualmente de la carpeta /public/levels/`
-    );
-    await listLevels();
+    await deleteLevel(filename);
+
+    // Si se elimina el nivel abierto, abrir el primero que quede o empezar uno nuevo
+    if (currentLevel?.filename === filename) {
+      const remaining = levels.filter((level) => level.filename !== filename);
+      if (remaining.length > 0) {
+        await handleSelectLevel(remaining[0].filename);
+      } else {
+        handleCreateNew();
+      }
+    }
+  };
+
+  // Descartar la copia local de un nivel; si es el nivel abierto, se recarga desde el archivo
+  const handleDiscardLocalChanges = async (filename) => {
+    await discardLocalChanges(filename);
+    if (currentLevel?.filename === filename) {
+      await handleSelectLevel(filename);
+    }
   };
 
   // Agregar un objeto al nivel
@@ -357,10 +822,11 @@ export const LevelEditor = ({ mode, onModeChange }) => {
     
     // Si hay heightmap, calcular altura del terreno en esa posición
     if (terrainHeightmap && terrainHeightmap.length > 0) {
+      const { segments, size } = getTerrainDimensions(terrainLayout);
       const terrainHeight = getTerrainHeightAtWorldPosition(
         terrainHeightmap,
-        TERRAIN_CONFIG.SEGMENTS,
-        TERRAIN_CONFIG.SIZE,
+        segments,
+        size,
         0, // X
         0  // Z
       );
@@ -371,43 +837,203 @@ export const LevelEditor = ({ mode, onModeChange }) => {
       model: modelPath,
       position: initialPosition
     });
-    setObjects((prev) => [...prev, newObject]);
+    executeCommand(createAddObjectsCommand([newObject], { label: 'Añadir objeto' }));
     setSelectedObject(newObject.id);
-  }, [terrainHeightmap]);
+  }, [terrainHeightmap, terrainLayout, executeCommand, setSelectedObject]);
 
   // Agregar un collider invisible al nivel
   const handleAddCollider = useCallback((colliderType) => {
     const newCollider = createNewCollider(colliderType);
-    setObjects((prev) => [...prev, newCollider]);
+    executeCommand(createAddObjectsCommand([newCollider], { label: 'Añadir collider' }));
     setSelectedObject(newCollider.id);
-  }, []);
+  }, [executeCommand, setSelectedObject]);
 
   // Agregar una cámara al nivel
   const handleAddCamera = useCallback((cameraMode) => {
     const newCamera = createNewCamera({ mode: cameraMode });
-    setObjects((prev) => [...prev, newCamera]);
+    executeCommand(createAddObjectsCommand([newCamera], { label: 'Añadir cámara' }));
     setSelectedObject(newCamera.id);
-  }, []);
+  }, [executeCommand, setSelectedObject]);
 
-  // Eliminar un objeto
-  const handleDeleteObject = (objectId) => {
-    setObjects(objects.filter((obj) => obj.id !== objectId));
-    if (selectedObject === objectId) {
-      setSelectedObject(null);
+  // Agregar una masa de agua al nivel, con la superficie a la altura del terreno en el centro
+  const handleAddWater = useCallback((shape) => {
+    let surfaceY = 0;
+    if (terrainHeightmap && terrainHeightmap.length > 0) {
+      const { segments, size } = getTerrainDimensions(terrainLayout);
+      surfaceY = getTerrainHeightAtWorldPosition(terrainHeightmap, segments, size, 0, 0);
+    }
+
+    const newWater = createNewWater(shape, { position: [0, surfaceY, 0] });
+    executeCommand(createAddObjectsCommand([newWater], { label: 'Añadir agua' }));
+    setSelectedObject(newWater.id);
+  }, [terrainHeightmap, terrainLayout, executeCommand, setSelectedObject]);
+
+  // Eliminar uno o varios objetos en un solo paso del historial (cada uno con su índice original)
+  // Los hijos se eliminan junto con su padre
+  const handleDeleteObjects = useCallback((objectIds) => {
+    const idsToDelete = new Set(objectIds);
+    objectIds.forEach((objectId) => {
+      getDescendantIds(objectsRef.current, objectId).forEach(id => idsToDelete.add(id));
+    });
+
+    const entries = [];
+    objectsRef.current.forEach((object, index) => {
+      if (idsToDelete.has(object.id)) {
+        entries.push({ object, index });
+      }
+    });
+    if (entries.length === 0) return;
+
+    executeCommand(createRemoveObjectsCommand(entries, {
+      label: entries.length > 1 ? `Eliminar ${entries.length} objetos` : 'Eliminar objeto',
+    }));
+    setSelectedObjectIds((prev) => prev.filter((id) => !idsToDelete.has(id)));
+  }, [executeCommand]);
+
+  // Duplicar uno o varios objetos (con sus hijos); los duplicados pasan a ser la selección
+  const handleDuplicateObjects = useCallback((objectIds) => {
+    const { duplicates, rootIds } = duplicateWithDescendants(objectsRef.current, objectIds);
+    if (duplicates.length === 0) return;
+
+    executeCommand(createAddObjectsCommand(duplicates, {
+      label: duplicates.length > 1 ? `Duplicar ${duplicates.length} objetos` : 'Duplicar objeto',
+    }));
+    setSelectedObjectIds(rootIds);
+  }, [executeCommand]);
+
+  // Cambiar el padre de un objeto conservando su posición en el mundo
+  const handleReparentObject = useCallback((objectId, parentId) => {
+    const obj = objectsRef.current.find((o) => o.id === objectId);
+    if (!obj || (obj.parentId || null) === (parentId || null)) return;
+
+    const updates = getReparentUpdates(objectsRef.current, objectId, parentId);
+    if (!updates) {
+      alert('No se puede asignar ese padre: el objeto no puede ser hijo de sí mismo ni de uno de sus hijos');
+      return;
     }
-  };
+
+    executeCommand(createUpdateObjectsCommand(
+      [{ id: objectId, before: pickPreviousValues(obj, updates), after: updates }],
+      { label: parentId ? 'Asignar padre' : 'Quitar padre' }
+    ));
+  }, [executeCommand]);
+
+  // Guardar la selección (con sus hijos) como prefab; los objetos pasan a ser su primera instancia
+  const handleCreatePrefab = useCallback((objectIds) => {
+    if (objectIds.length === 0) return;
+    const firstObject = objectsRef.current.find((obj) => obj.id === objectIds[0]);
+    const name = prompt('Nombre del prefab:', firstObject?.name || 'Prefab');
+    if (!name || !name.trim()) return;
+
+    const { prefab, links } = createPrefabFromObjects(objectsRef.current, objectIds, name.trim());
+    savePrefab(prefab);
+    executeCommand(createUpdateObjectsCommand(
+      links.map(({ id, updates }) => ({
+        id,
+        before: pickPreviousValues(objectsRef.current.find((obj) => obj.id === id), updates),
+        after: updates,
+      })),
+      { label: 'Crear prefab' }
+    ));
+  }, [executeCommand, savePrefab]);
+
+  // Colocar una instancia de un prefab en el centro del terreno
+  const handleAddPrefab = useCallback((prefabId) => {
+    const prefab = findPrefab(prefabsRef.current, prefabId);
+    if (!prefab) return;
+
+    let position = [0, 0, 0];
+    if (terrainHeightmap && terrainHeightmap.length > 0) {
+      const { segments, size } = getTerrainDimensions(terrainLayout);
+      position = [0, getTerrainHeightAtWorldPosition(terrainHeightmap, segments, size, 0, 0), 0];
+    }
+
+    const instanceObjects = instantiatePrefab(prefab, position);
+    executeCommand(createAddObjectsCommand(instanceObjects, { label: `Añadir prefab ${prefab.name}` }));
+    setSelectedObjectIds(instanceObjects.filter((obj) => !obj.parentId).map((obj) => obj.id));
+  }, [terrainHeightmap, terrainLayout, executeCommand]);
+
+  // Eliminar un prefab de la biblioteca (sus instancias quedan como objetos desvinculados)
+  // Las instancias del nivel abierto se desvinculan: quedan como objetos normales con sus propiedades
+  const handleDeletePrefab = useCallback((prefabId) => {
+    const prefab = findPrefab(prefabsRef.current, prefabId);
+    if (!prefab) return;
+    const instanceCount = countPrefabInstances(objectsRef.current, prefabId);
+    const usage = instanceCount > 0
+      ? `Este nivel tiene ${instanceCount} instancia(s): se desvincularán y quedarán como objetos normales.`
+      : 'Este nivel no tiene instancias.';
+    if (!confirm(`¿Eliminar el prefab "${prefab.name}"?\n\n${usage}\nLas instancias de otros niveles conservan sus objetos, pero dejarán de recibir cambios.`)) {
+      return;
+    }
+
+    const changes = unlinkPrefabInstances(objectsRef.current, prefabId).map(({ id, updates }) => ({
+      id,
+      before: pickPreviousValues(objectsRef.current.find((o) => o.id === id), updates),
+      after: updates,
+    }));
+    if (changes.length > 0) {
+      executeCommand(createUpdateObjectsCommand(changes, { label: `Desvincular prefab ${prefab.name}` }));
+    }
+    deletePrefab(prefabId);
+  }, [deletePrefab, executeCommand]);
+
+  // Revertir overrides del objeto activo (key = null revierte todos)
+  const handleRevertPrefabOverride = useCallback((objectId, key = null) => {
+    const obj = objectsRef.current.find((o) => o.id === objectId);
+    const prefab = obj && findPrefab(prefabsRef.current, obj.prefabId);
+    const updates = prefab && revertPrefabOverrides(obj, prefab, objectsRef.current, key ? [key] : null);
+    if (!updates) return;
+
+    executeCommand(createUpdateObjectsCommand(
+      [{ id: objectId, before: pickPreviousValues(obj, updates), after: updates }],
+      { label: 'Revertir override' }
+    ));
+  }, [executeCommand]);
+
+  // Llevar los cambios de una instancia a su prefab y propagarlos al resto de instancias del nivel
+  // El cambio de los objetos se puede deshacer; el del prefab queda guardado en la biblioteca
+  const handleApplyPrefab = useCallback((objectId) => {
+    const obj = objectsRef.current.find((o) => o.id === objectId);
+    const prefab = obj && findPrefab(prefabsRef.current, obj.prefabId);
+    if (!prefab) return;
+
+    const { prefab: updatedPrefab, links } = applyInstanceToPrefab(prefab, objectsRef.current, obj.prefabInstanceId);
+    const nextPrefabs = prefabsRef.current.map((p) => (p.id === updatedPrefab.id ? updatedPrefab : p));
+    savePrefab(updatedPrefab);
+
+    const linkUpdates = new Map(links.map(({ id, updates }) => [id, updates]));
+    const before = objectsRef.current;
+    const cleared = before.map((o) => (linkUpdates.has(o.id) ? { ...o, ...linkUpdates.get(o.id) } : o));
+    executeCommand(createReplaceObjectsCommand(before, syncPrefabInstances(cleared, nextPrefabs), {
+      label: `Aplicar prefab ${prefab.name}`,
+    }));
+  }, [executeCommand, savePrefab]);
+
+  // Desvincular una instancia: sus objetos quedan como objetos normales
+  const handleUnlinkPrefab = useCallback((objectId) => {
+    const obj = objectsRef.current.find((o) => o.id === objectId);
+    if (!obj?.prefabInstanceId) return;
+
+    const changes = unlinkPrefabInstance(objectsRef.current, obj.prefabInstanceId).map(({ id, updates }) => ({
+      id,
+      before: pickPreviousValues(objectsRef.current.find((o) => o.id === id), updates),
+      after: updates,
+    }));
+    executeCommand(createUpdateObjectsCommand(changes, { label: 'Desvincular prefab' }));
+  }, [executeCommand]);
+
+  // Herramientas de colocación del canvas (asentar con física y soltar al suelo)
+  const placementToolsRef = useRef(null);
+
+  // Soltar al suelo: cada objeto seleccionado baja hasta el terreno o el objeto que tiene debajo
+  const handleDropToGround = useCallback((objectIds) => {
+    placementToolsRef.current?.dropToGround(objectIds, { alignToNormal: alignToSurface });
+  }, [alignToSurface]);
 
   // Listener para atajos de teclado: eliminar objetos, cambiar modo de transformación, duplicar
   useEffect(() => {
-    // Función para eliminar el objeto seleccionado
-    const deleteSelectedObject = () => {
-      if (!selectedObject) return;
-      
-      setObjects((prevObjects) => {
-        return prevObjects.filter((obj) => obj.id !== selectedObject);
-      });
-      setSelectedObject(null);
-    };
+    // Mientras se prueba el nivel las teclas son del juego (WASD, espacio...)
+    if (isPlaying) return;
 
     const handleKeyDown = (event) => {
       // Solo procesar si hay un objeto seleccionado (excepto para algunos atajos globales)
@@ -427,6 +1053,17 @@ export const LevelEditor = ({ mode, onModeChange }) => {
       }
       
       const key = event.key.toLowerCase();
+
+      // Deshacer (Ctrl+Z) y rehacer (Ctrl+Shift+Z o Ctrl+Y)
+      if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+          redoCommand();
+        } else {
+          undoCommand();
+        }
+        return;
+      }
       
       // Atajos de transformación: M (mover), R (rotar), S (escalar)
       if (selectedObject) {
@@ -458,19 +1095,20 @@ export const LevelEditor = ({ mode, onModeChange }) => {
         event.preventDefault();
         event.stopPropagation();
         event.stopImmediatePropagation();
-        deleteSelectedObject();
+        handleDeleteObjects(selectedObjectIds);
         return false;
       }
       
-      // Atajo para duplicar con Ctrl+D
+      // Atajo para duplicar con Ctrl+D (duplica toda la selección)
       if ((event.ctrlKey || event.metaKey) && key === 'd' && selectedObject) {
         event.preventDefault();
-        const objectToDuplicate = objects.find((obj) => obj.id === selectedObject);
-        if (objectToDuplicate) {
-          const duplicatedObject = duplicateObject(objectToDuplicate);
-          setObjects((prevObjects) => [...prevObjects, duplicatedObject]);
-          setSelectedObject(duplicatedObject.id);
-        }
+        handleDuplicateObjects(selectedObjectIds);
+      }
+
+      // Atajo para soltar la selección al suelo con Fin
+      if (event.key === 'End' && selectedObject) {
+        event.preventDefault();
+        handleDropToGround(selectedObjectIds);
       }
     };
 
@@ -508,17 +1146,7 @@ export const LevelEditor = ({ mode, onModeChange }) => {
         canvas.removeEventListener('keydown', handleKeyDown, true);
       }
     };
-  }, [selectedObject, objects]); // Incluir objects para poder duplicar
-
-  // Duplicar un objeto
-  const handleDuplicateObject = useCallback((objectId) => {
-    const objectToDuplicate = objects.find((obj) => obj.id === objectId);
-    if (objectToDuplicate) {
-      const duplicatedObject = duplicateObject(objectToDuplicate);
-      setObjects((prev) => [...prev, duplicatedObject]);
-      setSelectedObject(duplicatedObject.id);
-    }
-  }, [objects]);
+  }, [isPlaying, selectedObject, selectedObjectIds, undoCommand, redoCommand, handleDeleteObjects, handleDuplicateObjects, handleDropToGround]);
 
   // Crear un mapa de índices para acceso O(1) en lugar de O(n)
   const objectIndexMap = useMemo(() => {
@@ -529,26 +1157,153 @@ export const LevelEditor = ({ mode, onModeChange }) => {
     return map;
   }, [objects]);
 
-  // Actualizar propiedades de un objeto - OPTIMIZADO
-  // En lugar de .map() completo, actualizamos solo el objeto específico
+  // Actualizar propiedades de uno o varios objetos
+  // Recibe una lista de { id, updates } y la registra como un único comando; las ediciones
+  // seguidas de las mismas propiedades (arrastres, sliders, escribir en un input) se agrupan
+  // en un solo paso de deshacer
+  const handleUpdateObjects = useCallback((objectUpdates, { label } = {}) => {
+    const changes = objectUpdates
+      .map(({ id, updates }) => {
+        const oldObj = objectsRef.current.find((obj) => obj.id === id);
+        // Objeto no encontrado, no hay nada que actualizar
+        if (!oldObj) return null;
+        // Los cambios en instancias de prefabs actualizan su lista de overrides
+        const trackedUpdates = trackPrefabOverrides(oldObj, updates, prefabsRef.current, objectsRef.current);
+        return { id, before: pickPreviousValues(oldObj, trackedUpdates), after: trackedUpdates };
+      })
+      .filter(Boolean);
+
+    if (changes.length === 0 || isNoopChange(changes)) {
+      return;
+    }
+
+    const ids = changes.map((change) => change.id).sort().join(',');
+    const keys = [...new Set(changes.flatMap((change) => Object.keys(change.after)))]
+      .filter((key) => key !== 'prefabOverrides')
+      .sort()
+      .join(',');
+    executeCommand(createUpdateObjectsCommand(changes, {
+      label: label || (changes.length > 1 ? `Modificar ${changes.length} objetos` : 'Modificar objeto'),
+      coalesceKey: `update:${ids}:${keys}`,
+    }));
+  }, [executeCommand]);
+
   const handleUpdateObject = useCallback((objectId, updates) => {
-    setObjects((prevObjects) => {
-      // Buscar índice del objeto (O(n) pero solo una vez)
-      const index = prevObjects.findIndex((obj) => obj.id === objectId);
-      
-      if (index === -1) {
-        // Objeto no encontrado, retornar array sin cambios
-        return prevObjects;
-      }
+    handleUpdateObjects([{ id: objectId, updates }]);
+  }, [handleUpdateObjects]);
 
-      // Crear nuevo array con solo el objeto actualizado
-      const newObjects = [...prevObjects];
-      const oldObj = newObjects[index];
-      newObjects[index] = { ...oldObj, ...updates };
-      
-      return newObjects;
-    });
-  }, []); // Sin dependencias - usa función de actualización de estado
+  // Asentar con física: los objetos caen sobre el terreno y los colliders y se guarda dónde quedan
+  const handleSettleObjects = useCallback((objectIds) => {
+    const count = placementToolsRef.current?.settle(objectIds) ?? 0;
+    if (count === 0) {
+      alert('Solo se pueden asentar objetos con modelo (no colliders ni cámaras).');
+    }
+  }, []);
+
+  const handleSettleComplete = useCallback((changes) => {
+    handleUpdateObjects(changes, { label: 'Asentar con física' });
+  }, [handleUpdateObjects]);
+
+  // Cambios del heightmap que no son acciones del usuario (generación inicial, sincronización)
+  const handleTerrainHeightmapChange = useCallback((newHeightmap) => {
+    terrainHeightmapRef.current = newHeightmap;
+    setTerrainHeightmap(newHeightmap);
+  }, []);
+
+  // Pincel de texturas: el splat map cambia en cada pincelada (el trazo se registra al soltar)
+  const handleTerrainSplatChange = useCallback((newSplat) => {
+    terrainSplatRef.current = newSplat;
+    setTerrainSplat(newSplat);
+  }, []);
+
+  // Un trazo de pincel completo (de mousedown a mouseup) es un solo paso de deshacer
+  const handleTerrainStrokeStart = useCallback(() => {
+    terrainStrokeStartRef.current = terrainHeightmapRef.current;
+    splatStrokeStartRef.current = terrainSplatRef.current;
+  }, []);
+
+  const handleTerrainStrokeEnd = useCallback(() => {
+    const before = terrainStrokeStartRef.current;
+    const after = terrainHeightmapRef.current;
+    const splatBefore = splatStrokeStartRef.current;
+    const splatAfter = terrainSplatRef.current;
+    terrainStrokeStartRef.current = null;
+    splatStrokeStartRef.current = null;
+    if (before && after && before !== after) {
+      recordCommand(createHeightmapCommand(before, after, { label: 'Pintar terreno' }));
+    }
+    if (splatAfter && splatBefore !== splatAfter) {
+      recordCommand(createSplatCommand(splatBefore, splatAfter, { label: 'Texturizar terreno' }));
+    }
+  }, [recordCommand]);
+
+  // Texturizado automático por altura y pendiente (un paso de deshacer)
+  const handleAutoTexture = useCallback((rules) => {
+    const { segments, size } = getTerrainDimensions(terrainLayoutRef.current);
+    const after = getAutoSplatMap(terrainHeightmapRef.current, segments, size, rules);
+    executeCommand(createSplatCommand(terrainSplatRef.current, after, { label: 'Texturizar automáticamente' }));
+  }, [executeCommand]);
+
+  // Herramientas del panel de terreno (generar, normalizar, suavizar): un paso cada una
+  const handleTerrainEdit = useCallback((newHeightmap) => {
+    const before = terrainHeightmapRef.current;
+    if (before && newHeightmap) {
+      executeCommand(createHeightmapCommand(before, newHeightmap, { label: 'Editar terreno' }));
+    } else {
+      handleTerrainHeightmapChange(newHeightmap);
+    }
+  }, [executeCommand, handleTerrainHeightmapChange]);
+
+  // Generar el terreno con una receta: el heightmap y la receta cambian juntos (un paso de deshacer)
+  const handleTerrainGenerate = useCallback((newHeightmap, recipe) => {
+    executeCommand(createTerrainRecipeCommand(
+      { heightmap: terrainHeightmapRef.current, recipe: terrainRecipeRef.current },
+      { heightmap: newHeightmap, recipe }
+    ));
+  }, [executeCommand]);
+
+  // Tamaño del mundo: el heightmap y el splat map se adaptan a la nueva distribución de chunks (un paso de deshacer)
+  // Si se pasa un heightmap (el terreno regenerado con su receta a la nueva resolución) se usa ese
+  const handleTerrainLayoutChange = useCallback((newLayout, regeneratedHeightmap = null) => {
+    const before = {
+      layout: terrainLayoutRef.current,
+      heightmap: terrainHeightmapRef.current,
+      splat: terrainSplatRef.current,
+    };
+    const after = {
+      layout: newLayout,
+      heightmap: regeneratedHeightmap || resizeTerrainHeightmap(before.heightmap, before.layout, newLayout),
+      splat: resizeSplatMap(before.splat, before.layout, newLayout),
+    };
+    executeCommand(createTerrainLayoutCommand(before, after));
+  }, [executeCommand]);
+
+  // Pincel de dispersión: las capas cambian en cada pincelada y el trazo completo es un paso de deshacer
+  const handleScatterLayersChange = useCallback((newLayers) => {
+    scatterLayersRef.current = newLayers;
+    setScatterLayers(newLayers);
+  }, []);
+
+  const handleScatterStrokeStart = useCallback(() => {
+    scatterStrokeStartRef.current = scatterLayersRef.current;
+  }, []);
+
+  const handleScatterStrokeEnd = useCallback(() => {
+    const before = scatterStrokeStartRef.current;
+    const after = scatterLayersRef.current;
+    scatterStrokeStartRef.current = null;
+    if (before && before !== after) {
+      const label = scatterSettings?.mode === 'erase' ? 'Borrar vegetación' : 'Pintar vegetación';
+      recordCommand(createScatterCommand(before, after, { label }));
+    }
+  }, [recordCommand, scatterSettings]);
+
+  const handleClearScatterLayer = useCallback((model) => {
+    const before = scatterLayersRef.current;
+    executeCommand(createScatterCommand(before, before.filter((layer) => layer.model !== model), {
+      label: 'Borrar vegetación',
+    }));
+  }, [executeCommand]);
 
   // Obtener el objeto seleccionado - MEMOIZADO para evitar recálculo
   const selectedObjectData = useMemo(() => {
@@ -556,6 +1311,17 @@ export const LevelEditor = ({ mode, onModeChange }) => {
     return objects.find((obj) => obj.id === selectedObject);
   }, [objects, selectedObject]);
 
+  // Objetos seleccionados que siguen existiendo (p. ej. tras deshacer la creación de uno)
+  const selectedObjectsData = useMemo(() => {
+    return selectedObjectIds
+      .map((id) => objects[objectIndexMap.get(id)])
+      .filter(Boolean);
+  }, [objects, objectIndexMap, selectedObjectIds]);
+  const existingSelectedIds = useMemo(
+    () => selectedObjectsData.map((obj) => obj.id),
+    [selectedObjectsData]
+  );
+
   return (
     <div className="level-editor">
       <Toolbar
@@ -566,12 +1332,46 @@ export const LevelEditor = ({ mode, onModeChange }) => {
         currentLevel={currentLevel}
         loading={levelLoading}
         mode={mode}
-        onModeChange={onModeChange}
+        onModeChange={handleModeChange}
         levels={levels}
-        onSelectLevel={handleSelectLevel}
-        onCreateNew={handleCreateNew}
+        onSelectLevel={handleSwitchLevel}
+        onCreateNew={handleSwitchToNewLevel}
         onDeleteLevel={handleDeleteLevel}
+        onRenameLevel={renameLevel}
+        onDiscardLocalChanges={handleDiscardLocalChanges}
+        onRefreshLocalStorageInfo={refreshLocalStorageInfo}
+        localLevels={localLevels}
+        dirtyLevels={dirtyLevels}
+        isDirty={isDirty}
+        onShowChanges={() => setDiffDialogOpen(true)}
+        storageEstimate={storageEstimate}
         levelLoading={levelLoading}
+        onUndo={undoCommand}
+        onRedo={redoCommand}
+        canUndo={history.canUndo}
+        canRedo={history.canRedo}
+        undoLabel={history.undoLabel}
+        redoLabel={history.redoLabel}
+        onOpenAutosaves={() => setAutosaveDialogOpen(true)}
+        autosaveCount={autosaves.length}
+        playState={playState}
+        onPlay={handlePlay}
+        onPause={handlePausePlay}
+        onStep={handleStepPlay}
+        onStop={handleStopPlay}
+      />
+      <LevelDiffDialog
+        open={diffDialogOpen}
+        onOpenChange={setDiffDialogOpen}
+        diff={levelDiff}
+        neverSaved={savedLevel === null}
+      />
+      <AutosaveDialog
+        open={autosaveDialogOpen || showRecoveryPrompt}
+        onOpenChange={(open) => !open && handleCloseAutosaveDialog()}
+        snapshots={autosaves}
+        onRestore={handleRestoreAutosave}
+        recovering={showRecoveryPrompt && !autosaveDialogOpen}
       />
       {levelError && (
         <div className="error-message">
@@ -579,73 +1379,129 @@ export const LevelEditor = ({ mode, onModeChange }) => {
         </div>
       )}
       <div className="editor-layout">
-        <HierarchyPanel
-          objects={objects}
-          selectedObject={selectedObject}
-          onSelectObject={setSelectedObject}
-          searchQuery={hierarchySearchQuery}
-          onSearchChange={setHierarchySearchQuery}
-        />
-        <ObjectLibrary
-          models={availableModels}
-          onAddObject={handleAddObject}
-          onAddCollider={handleAddCollider}
-          onAddCamera={handleAddCamera}
-        />
+        <div className="editor-panel-slot" inert={isPlaying}>
+          <HierarchyPanel
+            objects={objects}
+            selectedObject={selectedObject}
+            selectedObjectIds={existingSelectedIds}
+            onSelectObject={handleSelectObject}
+            onReparentObject={handleReparentObject}
+            searchQuery={hierarchySearchQuery}
+            onSearchChange={setHierarchySearchQuery}
+          />
+          <ObjectLibrary
+            models={availableModels}
+            onAddObject={handleAddObject}
+            onAddCollider={handleAddCollider}
+            onAddCamera={handleAddCamera}
+            onAddWater={handleAddWater}
+            prefabs={prefabs}
+            onAddPrefab={handleAddPrefab}
+            onDeletePrefab={handleDeletePrefab}
+          />
+        </div>
         <div className="editor-canvas-wrapper">
           <EditorCanvas
             objects={objects}
             selectedObject={selectedObject}
-            onSelectObject={setSelectedObject}
+            selectedObjectIds={existingSelectedIds}
+            onSelectObject={handleSelectObject}
+            onSelectObjects={handleSelectObjects}
             onUpdateObject={handleUpdateObject}
+            onUpdateObjects={handleUpdateObjects}
             transformMode={transformMode}
             snapEnabled={snapEnabled}
             snapSize={snapSize}
+            surfaceSnap={surfaceSnapEnabled}
+            alignToSurface={alignToSurface}
+            lodPreview={lodPreview}
             terrainHeightmap={terrainHeightmap}
-            onTerrainHeightmapChange={setTerrainHeightmap}
+            terrainLayout={terrainLayout}
+            terrainSplat={terrainSplat}
+            onTerrainHeightmapChange={handleTerrainHeightmapChange}
+            onTerrainSplatChange={handleTerrainSplatChange}
+            onTerrainStrokeStart={handleTerrainStrokeStart}
+            onTerrainStrokeEnd={handleTerrainStrokeEnd}
             showTerrainEditor={!toolsPanelCollapsed}
             terrainPaintSettings={terrainPaintSettings}
+            scatterLayers={scatterLayers}
+            scatterSettings={scatterSettings}
+            onScatterLayersChange={handleScatterLayersChange}
+            onScatterStrokeStart={handleScatterStrokeStart}
+            onScatterStrokeEnd={handleScatterStrokeEnd}
+            cameraControlsRef={cameraControlsRef}
+            suspended={isPlaying}
+            placementToolsRef={placementToolsRef}
+            onSettleComplete={handleSettleComplete}
           />
           {/* Panel de herramientas posicionado sobre el canvas */}
-          <ToolsPanel
-            collapsed={toolsPanelCollapsed}
-            onToggleCollapse={() => setToolsPanelCollapsed(!toolsPanelCollapsed)}
-            terrainHeightmap={terrainHeightmap}
-            onTerrainHeightmapChange={setTerrainHeightmap}
-            onTerrainPaintSettingsChange={setTerrainPaintSettings}
+          {!isPlaying && (
+            <ToolsPanel
+              collapsed={toolsPanelCollapsed}
+              onToggleCollapse={() => setToolsPanelCollapsed(!toolsPanelCollapsed)}
+              terrainHeightmap={terrainHeightmap}
+              terrainLayout={terrainLayout}
+              onTerrainHeightmapChange={handleTerrainEdit}
+              onTerrainLayoutChange={handleTerrainLayoutChange}
+              onAutoTexture={handleAutoTexture}
+              terrainRecipe={terrainRecipe}
+              onTerrainGenerate={handleTerrainGenerate}
+              onTerrainPaintSettingsChange={setTerrainPaintSettings}
+              models={availableModels}
+              scatterLayers={scatterLayers}
+              onScatterSettingsChange={setScatterSettings}
+              onClearScatterLayer={handleClearScatterLayer}
+            />
+          )}
+          {playSession && (
+            <PlayModeView
+              levelData={playSession.levelData}
+              paused={playSession.paused}
+              controlsRef={playControlsRef}
+            />
+          )}
+        </div>
+        <div className="editor-panel-slot" inert={isPlaying}>
+          <PropertiesPanel
+            object={selectedObjectData}
+            selectedObjects={selectedObjectsData}
+            allObjects={objects}
+            models={availableModels}
+            onUpdate={(updates) =>
+              selectedObject &&
+              handleUpdateObject(selectedObject, updates)
+            }
+            onUpdateMany={handleUpdateObjects}
+            prefab={selectedObjectData?.prefabId ? findPrefab(prefabs, selectedObjectData.prefabId) : null}
+            onCreatePrefab={() => handleCreatePrefab(existingSelectedIds)}
+            onRevertPrefabOverride={(key) => selectedObject && handleRevertPrefabOverride(selectedObject, key)}
+            onApplyPrefab={() => selectedObject && handleApplyPrefab(selectedObject)}
+            onUnlinkPrefab={() => selectedObject && handleUnlinkPrefab(selectedObject)}
+            onDelete={() => handleDeleteObjects(existingSelectedIds)}
+            onDuplicate={() => handleDuplicateObjects(existingSelectedIds)}
+            onSettle={() => handleSettleObjects(existingSelectedIds)}
+            onDropToGround={() => handleDropToGround(existingSelectedIds)}
+            onToggleControls={() => setShowEditorControls(!showEditorControls)}
+            toolsPanelCollapsed={toolsPanelCollapsed}
+            onToggleToolsPanel={() => setToolsPanelCollapsed(!toolsPanelCollapsed)}
           />
         </div>
-        <PropertiesPanel
-          object={selectedObjectData}
-          allObjects={objects}
-          onUpdate={(updates) =>
-            selectedObject &&
-            handleUpdateObject(selectedObject, updates)
-          }
-          onDelete={() =>
-            selectedObject && handleDeleteObject(selectedObject)
-          }
-          onDuplicate={() =>
-            selectedObject && handleDuplicateObject(selectedObject)
-          }
-          onToggleControls={() => setShowEditorControls(!showEditorControls)}
-          toolsPanelCollapsed={toolsPanelCollapsed}
-          onToggleToolsPanel={() => setToolsPanelCollapsed(!toolsPanelCollapsed)}
-        />
       </div>
       {/* Controles del editor fuera del editor-layout para posicionamiento fijo */}
-      {showEditorControls && (
+      {showEditorControls && !isPlaying && (
         <EditorControls
           transformMode={transformMode}
           onModeChange={setTransformMode}
           snapEnabled={snapEnabled}
           onSnapToggle={setSnapEnabled}
-          onDelete={() =>
-            selectedObject && handleDeleteObject(selectedObject)
-          }
-          onDuplicate={() =>
-            selectedObject && handleDuplicateObject(selectedObject)
-          }
+          surfaceSnapEnabled={surfaceSnapEnabled}
+          onSurfaceSnapToggle={setSurfaceSnapEnabled}
+          alignToSurface={alignToSurface}
+          onAlignToSurfaceToggle={setAlignToSurface}
+          lodPreview={lodPreview}
+          onLodPreviewToggle={setLodPreview}
+          onDelete={() => handleDeleteObjects(existingSelectedIds)}
+          onDuplicate={() => handleDuplicateObjects(existingSelectedIds)}
           onClose={() => setShowEditorControls(false)}
         />
       )}
@@ -17,12 +17,33 @@ import {
   DialogTitle,
 } from '@/components/ui/dialog';
 import { ScrollArea } from '@/components/ui/scroll-area';
-import { FolderOpen, Plus, Trash2, ChevronDown } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { FolderOpen, Plus, Trash2, ChevronDown, Pencil, RotateCcw, HardDrive } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
+import { isValidLevelFilename, parseLevelTags } from '../../utils/levelManifest';
+
+/**
+ * Formatea un tamaño en bytes (KB, MB, GB)
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+};
 
 /**
  * Componente selector de niveles
  * Permite seleccionar, crear y gestionar niveles
+ * La lista viene del manifiesto /levels/index.json (nombre, descripción, miniatura y etiquetas).
+ * Los niveles con cambios sin guardar en el archivo se marcan; los que tienen copia local en
+ * IndexedDB pueden descartarla para volver al archivo
  */
 export const LevelSelector = ({
   levels,
@@ -30,11 +51,21 @@ export const LevelSelector = ({
   onSelectLevel,
   onCreateNew,
   onDeleteLevel,
+  onRenameLevel,
+  onDiscardLocalChanges,
+  onRefreshLocalStorageInfo,
+  localLevels = [],
+  dirtyLevels = [],
+  isDirty = false,
+  storageEstimate,
   loading,
 }) => {
   const [isOpen, setIsOpen] = useState(false);
+  const [levelToDiscard, setLevelToDiscard] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [levelToDelete, setLevelToDelete] = useState(null);
+  const [levelToRename, setLevelToRename] = useState(null);
+  const [renameForm, setRenameForm] = useState({ name: '', filename: '', description: '', tags: '' });
   const { toast } = useToast();
 
   const handleDeleteClick = (level) => {
@@ -42,27 +73,117 @@ export const LevelSelector = ({
     setDeleteDialogOpen(true);
   };
 
-  const handleDeleteConfirm = () => {
-    if (levelToDelete) {
-      onDeleteLevel(levelToDelete.filename);
-      setDeleteDialogOpen(false);
-      setLevelToDelete(null);
+  const handleDeleteConfirm = async () => {
+    if (!levelToDelete) return;
+
+    const { filename } = levelToDelete;
+    setDeleteDialogOpen(false);
+    setLevelToDelete(null);
+    try {
+      await onDeleteLevel(filename);
       toast({
         title: "Nivel eliminado",
-        description: `Se ha eliminado ${levelToDelete.filename}`,
+        description: `Se ha eliminado ${filename}`,
+      });
+    } catch (error) {
+      toast({
+        title: "No se pudo eliminar",
+        description: error.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleOpenChange = (open) => {
+    setIsOpen(open);
+    // Las copias locales cambian con cada autoguardado: refrescar al abrir
+    if (open && onRefreshLocalStorageInfo) {
+      onRefreshLocalStorageInfo();
+    }
+  };
+
+  const handleDiscardConfirm = async () => {
+    if (!levelToDiscard) return;
+
+    const { filename } = levelToDiscard;
+    setLevelToDiscard(null);
+    try {
+      await onDiscardLocalChanges(filename);
+      toast({
+        title: "Cambios locales descartados",
+        description: `${filename} vuelve a la versión del archivo`,
+      });
+    } catch (error) {
+      toast({
+        title: "No se pudieron descartar los cambios",
+        description: error.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleRenameClick = (level) => {
+    setLevelToRename(level);
+    setRenameForm({
+      name: level.name,
+      filename: level.filename,
+      description: level.description || '',
+      tags: (level.tags || []).join(', '),
+    });
+    setIsOpen(false);
+  };
+
+  const renameFilenameValid = isValidLevelFilename(renameForm.filename.trim());
+  const renameFilenameTaken = levelToRename &&
+    renameForm.filename.trim() !== levelToRename.filename &&
+    levels.some((level) => level.filename === renameForm.filename.trim());
+
+  const handleRenameConfirm = async () => {
+    if (!levelToRename) return;
+
+    const { filename } = levelToRename;
+    setLevelToRename(null);
+    try {
+      const newFilename = await onRenameLevel(filename, {
+        name: renameForm.name.trim() || filename.replace('.json', ''),
+        description: renameForm.description.trim(),
+        tags: parseLevelTags(renameForm.tags),
+        newFilename: renameForm.filename.trim(),
+      });
+      toast({
+        title: "Nivel renombrado",
+        description: newFilename !== filename
+          ? `${filename} ahora es ${newFilename}`
+          : `Se ha actualizado ${filename}`,
+      });
+    } catch (error) {
+      toast({
+        title: "No se pudo renombrar",
+        description: error.message,
+        variant: "destructive",
       });
     }
   };
 
+  // El nivel abierto usa el estado del editor; el resto, el indicador de su copia local
+  const isLevelDirty = (filename) => (
+    filename === currentLevel?.filename ? isDirty : dirtyLevels.includes(filename)
+  );
+
+  const updateRenameForm = (field) => (e) => {
+    setRenameForm((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
   return (
     <>
-      <DropdownMenu open={isOpen} onOpenChange={setIsOpen}>
+      <DropdownMenu open={isOpen} onOpenChange={handleOpenChange}>
         <DropdownMenuTrigger asChild>
           <Button variant="outline" size="sm" disabled={loading}>
             <FolderOpen className="h-4 w-4 mr-2" />
             {currentLevel
               ? currentLevel.filename || 'Nuevo Nivel'
               : 'Nivel'}
+            {isDirty && <span className="ml-1 text-amber-500">*</span>}
             <ChevronDown className="h-4 w-4 ml-2" />
           </Button>
         </DropdownMenuTrigger>
@@ -118,20 +239,67 @@ export const LevelSelector = ({
                         setIsOpen(false);
                       }}
                     >
+                      {level.thumbnail && (
+                        <img
+                          src={level.thumbnail}
+                          alt=""
+                          className="h-10 w-10 rounded object-cover mr-2 flex-shrink-0"
+                        />
+                      )}
                       <div className="flex-1 min-w-0">
                         <div className="text-sm font-medium text-foreground truncate">
                           {level.name}
                         </div>
                         <div className="text-xs text-muted-foreground font-mono truncate">
                           {level.filename}
+                          {isLevelDirty(level.filename) && (
+                            <span className="ml-2 font-sans text-amber-500">• sin guardar</span>
+                          )}
                         </div>
                         {level.description && (
                           <div className="text-xs text-muted-foreground mt-1 italic truncate">
                             {level.description}
                           </div>
                         )}
+                        {level.tags?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {level.tags.map((tag) => (
+                              <span
+                                key={tag}
+                                className="text-[10px] px-1.5 py-0.5 rounded bg-muted text-muted-foreground"
+                              >
+                                {tag}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </DropdownMenuItem>
+                    {onDiscardLocalChanges && localLevels.includes(level.filename) && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8 opacity-0 group-hover:opacity-100 transition-opacity"
+                        onClick={() => {
+                          setLevelToDiscard(level);
+                          setIsOpen(false);
+                        }}
+                        title="Descartar cambios locales"
+                      >
+                        <RotateCcw className="h-4 w-4" />
+                      </Button>
+                    )}
+                    {onRenameLevel && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-8 w-8 opacity-0 group-hover:opacity-100 transition-opacity"
+                        onClick={() => handleRenameClick(level)}
+                        title="Renombrar"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                    )}
                     {currentLevel?.filename === level.filename && (
                       <Button
                         variant="ghost"
@@ -147,6 +315,18 @@ export const LevelSelector = ({
               </div>
             )}
           </ScrollArea>
+          {storageEstimate && storageEstimate.quota > 0 && (
+            <>
+              <DropdownMenuSeparator />
+              <div className="flex items-center gap-2 px-2 py-1.5 text-xs text-muted-foreground">
+                <HardDrive className="h-3 w-3" />
+                <span>
+                  Almacenamiento local: {formatBytes(storageEstimate.usage)} de {formatBytes(storageEstimate.quota)}
+                  {!storageEstimate.persisted && ' (no persistente)'}
+                </span>
+              </div>
+            </>
+          )}
         </DropdownMenuContent>
       </DropdownMenu>
 
@@ -175,6 +355,83 @@ export const LevelSelector = ({
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      <Dialog open={!!levelToDiscard} onOpenChange={(open) => !open && setLevelToDiscard(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Descartar cambios locales</DialogTitle>
+            <DialogDescription>
+              Se borrará la copia local de "{levelToDiscard?.filename}" y sus autoguardados,
+              y el nivel volverá a la versión guardada en el archivo. Esta acción no se puede deshacer.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setLevelToDiscard(null)}>
+              Cancelar
+            </Button>
+            <Button variant="destructive" onClick={handleDiscardConfirm}>
+              Descartar
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!levelToRename} onOpenChange={(open) => !open && setLevelToRename(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Renombrar nivel</DialogTitle>
+            <DialogDescription>
+              Los cambios se guardan en el archivo del nivel y en el manifiesto de niveles.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-3">
+            <div className="space-y-1">
+              <Label htmlFor="level-rename-name">Nombre</Label>
+              <Input id="level-rename-name" value={renameForm.name} onChange={updateRenameForm('name')} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="level-rename-filename">Archivo</Label>
+              <Input
+                id="level-rename-filename"
+                className="font-mono"
+                value={renameForm.filename}
+                onChange={updateRenameForm('filename')}
+              />
+              {!renameFilenameValid && (
+                <p className="text-xs text-destructive">
+                  Usa solo letras, números, guiones y la extensión .json
+                </p>
+              )}
+              {renameFilenameTaken && (
+                <p className="text-xs text-destructive">Ya existe un nivel con ese archivo</p>
+              )}
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="level-rename-description">Descripción</Label>
+              <Input
+                id="level-rename-description"
+                value={renameForm.description}
+                onChange={updateRenameForm('description')}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="level-rename-tags">Etiquetas (separadas por comas)</Label>
+              <Input id="level-rename-tags" value={renameForm.tags} onChange={updateRenameForm('tags')} />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setLevelToRename(null)}>
+              Cancelar
+            </Button>
+            <Button
+              onClick={handleRenameConfirm}
+              disabled={!renameFilenameValid || renameFilenameTaken}
+            >
+              Guardar
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </>
   );
 };
@@ -2,13 +2,22 @@ import { Card, CardContent } from '@/components/ui/card';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Separator } from '@/components/ui/separator';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
-import { Box, Cylinder, Camera, Circle } from 'lucide-react';
+import { Box, Cylinder, Camera, Circle, Package, Trash2, Waves, Hexagon } from 'lucide-react';
 
 /**
  * Panel lateral que muestra los objetos disponibles para agregar al nivel
- * Incluye modelos 3D, colliders invisibles y cámaras
+ * Incluye prefabs, modelos 3D, colliders invisibles, cámaras y masas de agua
  */
-export const ObjectLibrary = ({ models, onAddObject, onAddCollider, onAddCamera }) => {
+export const ObjectLibrary = ({
+  models,
+  onAddObject,
+  onAddCollider,
+  onAddCamera,
+  onAddWater,
+  prefabs = [],
+  onAddPrefab,
+  onDeletePrefab,
+}) => {
   // Colliders disponibles
   const colliders = [
     { type: 'cylinder', name: 'Collider Cilíndrico', icon: Cylinder },
@@ -24,6 +33,12 @@ export const ObjectLibrary = ({ models, onAddObject, onAddCollider, onAddCamera
     { type: 'free', name: 'Cámara Libre', icon: Camera },
   ];
 
+  // Masas de agua disponibles
+  const waters = [
+    { shape: 'plane', name: 'Agua Rectangular', icon: Waves },
+    { shape: 'polygon', name: 'Agua Poligonal', icon: Hexagon },
+  ];
+
   return (
     <div className="w-[240px] border-r border-border bg-card flex flex-col h-full">
       <div className="p-4 border-b border-border">
@@ -32,6 +47,67 @@ export const ObjectLibrary = ({ models, onAddObject, onAddCollider, onAddCamera
       
       <ScrollArea className="flex-1">
         <div className="p-4 space-y-6">
+          {/* Sección de Prefabs */}
+          <div>
+            <h4 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-3">
+              Prefabs
+            </h4>
+            {prefabs.length === 0 ? (
+              <Card className="border-dashed">
+                <CardContent className="p-4 text-center">
+                  <p className="text-xs text-muted-foreground">
+                    Selecciona objetos y usa "Crear Prefab" en el panel de propiedades
+                  </p>
+                </CardContent>
+              </Card>
+            ) : (
+              <div className="space-y-2">
+                {prefabs.map((prefab) => (
+                  <TooltipProvider key={prefab.id}>
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Card
+                          className="cursor-pointer transition-all hover:border-primary hover:bg-accent/50 border-l-4 border-l-purple-500"
+                          onClick={() => onAddPrefab && onAddPrefab(prefab.id)}
+                        >
+                          <CardContent className="p-3">
+                            <div className="flex items-center gap-3">
+                              <Package className="h-5 w-5 text-purple-500" />
+                              <div className="flex-1 min-w-0">
+                                <div className="text-sm font-medium text-foreground truncate">
+                                  {prefab.name}
+                                </div>
+                                <div className="text-xs text-muted-foreground">
+                                  {prefab.objects.length} objeto{prefab.objects.length !== 1 ? 's' : ''}
+                                </div>
+                              </div>
+                              {onDeletePrefab && (
+                                <button
+                                  className="text-muted-foreground hover:text-destructive"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    onDeletePrefab(prefab.id);
+                                  }}
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </button>
+                              )}
+                            </div>
+                          </CardContent>
+                        </Card>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        <p>Click para agregar una instancia de {prefab.name}</p>
+                      </TooltipContent>
+                    </Tooltip>
+                  </TooltipProvider>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <Separator />
+
           {/* Sección de Colliders */}
           <div>
             <h4 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-3">
@@ -118,6 +194,49 @@ export const ObjectLibrary = ({ models, onAddObject, onAddCollider, onAddCamera
 
           <Separator />
 
+          {/* Sección de Agua */}
+          <div>
+            <h4 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-3">
+              Agua
+            </h4>
+            <div className="space-y-2">
+              {waters.map((water) => {
+                const Icon = water.icon;
+                return (
+                  <TooltipProvider key={`water-${water.shape}`}>
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Card
+                          className="cursor-pointer transition-all hover:border-primary hover:bg-accent/50 border-l-4 border-l-cyan-500"
+                          onClick={() => onAddWater && onAddWater(water.shape)}
+                        >
+                          <CardContent className="p-3">
+                            <div className="flex items-center gap-3">
+                              <Icon className="h-5 w-5 text-cyan-500" />
+                              <div className="flex-1 min-w-0">
+                                <div className="text-sm font-medium text-foreground truncate">
+                                  {water.name}
+                                </div>
+                                <div className="text-xs text-muted-foreground">
+                                  Nado y flotación
+                                </div>
+                              </div>
+                            </div>
+                          </CardContent>
+                        </Card>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        <p>Click para agregar {water.name}</p>
+                      </TooltipContent>
+                    </Tooltip>
+                  </TooltipProvider>
+                );
+              })}
+            </div>
+          </div>
+
+          <Separator />
+
           {/* Sección de Modelos 3D */}
           <div>
             <h4 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-3">
@@ -0,0 +1,118 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Physics, RigidBody, TrimeshCollider, ConvexHullCollider } from '@react-three/rapier';
+import { ColliderObject } from '../game/ColliderObject';
+import { createTerrainTrimesh } from '../../utils/heightmapUtils';
+import { getTerrainDimensions } from '../../utils/terrainChunks';
+import { isSolidCollider, getSettledUpdates } from '../../utils/physicsSettle';
+import { getWaterZones, applyBuoyancy } from '../../utils/waterUtils';
+import { EDITOR_CONFIG, PHYSICS_CONFIG, TERRAIN_CONFIG } from '../../constants/gameConstants';
+
+/**
+ * Simulación física temporal para asentar objetos en el editor
+ * Los cuerpos caen contra el terreno y los colliders del nivel hasta que se detienen
+ * (o se agota el tiempo máximo); mientras tanto los grupos del editor siguen a los cuerpos
+ * Dentro de las masas de agua del nivel los cuerpos flotan o se hunden según su flotabilidad
+ * @param {Object} props
+ * @param {Array} props.bodies - Cuerpos a simular (ver createSettleBody)
+ * @param {Array} props.objects - Objetos del nivel (transformaciones de mundo)
+ * @param {Float32Array|null} props.terrainHeightmap - Heightmap del terreno
+ * @param {Object} props.terrainLayout - Distribución de chunks del terreno (ver getTerrainLayout)
+ * @param {Function} props.onComplete - Callback con los cambios [{ id, updates: { position, rotation } }] (de mundo)
+ */
+export const PhysicsSettle = ({
+  bodies,
+  objects,
+  terrainHeightmap,
+  terrainLayout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  onComplete,
+}) => {
+  const rigidBodiesRef = useRef(new Map());
+  const elapsedRef = useRef(0);
+  const completedRef = useRef(false);
+
+  const terrainMesh = useMemo(() => {
+    const { segments, size } = getTerrainDimensions(terrainLayout);
+    return createTerrainTrimesh(terrainHeightmap, segments, size);
+  }, [terrainHeightmap, terrainLayout]);
+
+  // Los demás colliders del nivel son obstáculos fijos
+  const obstacles = useMemo(() => {
+    const bodyIds = new Set(bodies.map((body) => body.id));
+    return objects.filter((obj) => !bodyIds.has(obj.id) && isSolidCollider(obj));
+  }, [bodies, objects]);
+
+  const waterZones = useMemo(() => getWaterZones(objects), [objects]);
+
+  // Al terminar (o cancelar) el editor vuelve a colocar los grupos según los datos del nivel,
+  // que ya incluyen las posiciones asentadas si la simulación terminó
+  useEffect(() => {
+    return () => {
+      bodies.forEach((body) => body.resyncTransform?.());
+    };
+  }, [bodies]);
+
+  useFrame((state, delta) => {
+    if (completedRef.current) return;
+
+    const rigidBodies = bodies.map((body) => rigidBodiesRef.current.get(body.id));
+    // Los cuerpos se crean al montarse: esperar a que existan todos
+    if (rigidBodies.some((rigidBody) => !rigidBody)) return;
+
+    rigidBodies.forEach((rigidBody, index) => {
+      applyBuoyancy(rigidBody, waterZones, bodies[index].bounds, delta);
+      const translation = rigidBody.translation();
+      const rotation = rigidBody.rotation();
+      bodies[index].group.position.set(translation.x, translation.y, translation.z);
+      bodies[index].group.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    });
+
+    elapsedRef.current += delta;
+    const settled = rigidBodies.every((rigidBody) => rigidBody.isSleeping());
+    if (!settled && elapsedRef.current < EDITOR_CONFIG.SETTLE_MAX_TIME) return;
+
+    completedRef.current = true;
+    onComplete(rigidBodies.map((rigidBody, index) => getSettledUpdates(bodies[index], rigidBody)));
+  });
+
+  return (
+    <Physics gravity={PHYSICS_CONFIG.GRAVITY}>
+      {/* Terreno con sus elevaciones reales */}
+      <RigidBody type="fixed" colliders={false}>
+        <TrimeshCollider args={[terrainMesh.vertices, terrainMesh.indices]} />
+      </RigidBody>
+
+      {/* Colliders del nivel (sin visual) */}
+      {obstacles.map((obj) => (
+        <ColliderObject
+          key={obj.id}
+          colliderType={obj.colliderType}
+          position={obj.position}
+          scale={obj.scale}
+          rotation={obj.rotation}
+          physicsMaterial={obj.physicsMaterial}
+        />
+      ))}
+
+      {/* Objetos que se asientan */}
+      {bodies.map((body) => (
+        <RigidBody
+          key={body.id}
+          ref={(rigidBody) => {
+            if (rigidBody) {
+              rigidBodiesRef.current.set(body.id, rigidBody);
+            } else {
+              rigidBodiesRef.current.delete(body.id);
+            }
+          }}
+          type="dynamic"
+          colliders={false}
+          position={body.position}
+          rotation={body.rotation}
+        >
+          <ConvexHullCollider args={[body.points]} />
+        </RigidBody>
+      ))}
+    </Physics>
+  );
+};
@@ -0,0 +1,49 @@
+import { useImperativeHandle } from 'react';
+import { Canvas, useThree } from '@react-three/fiber';
+import { KeyboardControls } from '@react-three/drei';
+import { GameWorld } from '../game/Scene';
+import { CAMERA_CONFIG, EDITOR_CONFIG, KEYBOARD_MAP } from '../../constants/gameConstants';
+
+/**
+ * Expone el avance de un solo frame mientras la simulación está en pausa
+ * (con frameloop 'never' el Canvas solo renderiza cuando se llama a advance)
+ */
+const FrameStepper = ({ controlsRef }) => {
+  const { advance, clock } = useThree();
+
+  useImperativeHandle(controlsRef, () => ({
+    step: () => advance(clock.elapsedTime + EDITOR_CONFIG.PLAY_STEP_SECONDS),
+  }), [advance, clock]);
+
+  return null;
+};
+
+/**
+ * Vista de juego dentro del editor (modo Play)
+ * Simula el nivel del editor con la misma escena que el modo juego (física, controladores
+ * del jugador y cámara activa) sobre el canvas del editor, que queda congelado debajo
+ * @param {Object} props
+ * @param {Object} props.levelData - Datos del nivel tomados al pulsar Play
+ * @param {boolean} props.paused - Si la simulación está en pausa
+ * @param {Object} props.controlsRef - Ref que recibe { step } para avanzar un frame en pausa
+ */
+export const PlayModeView = ({ levelData, paused = false, controlsRef }) => {
+  return (
+    <div className="play-mode-view">
+      <KeyboardControls map={KEYBOARD_MAP}>
+        <Canvas
+          shadows
+          frameloop={paused ? 'never' : 'always'}
+          camera={{
+            position: [0, 40, 60],
+            fov: CAMERA_CONFIG.GAME_FOV
+          }}
+          style={{ width: '100%', height: '100%' }}
+        >
+          <GameWorld levelData={levelData} worldKey="play" />
+          <FrameStepper controlsRef={controlsRef} />
+        </Canvas>
+      </KeyboardControls>
+    </div>
+  );
+};
@@ -6,10 +6,10 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Separator } from '@/components/ui/separator';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { Copy, Trash2, Settings, Camera, ChevronDown, ChevronRight } from 'lucide-react';
+import { Copy, Trash2, Settings, Camera, ChevronDown, ChevronRight, Package, RotateCcw, ArrowDownToLine, ArrowDown, Plus } from 'lucide-react';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
 import { useState } from 'react';
-import { TAGS_AND_LAYERS } from '../../constants/gameConstants';
+import { TAGS_AND_LAYERS, LOD_CONFIG, OBJECT_CONFIG, WATER_CONFIG } from '../../constants/gameConstants';
 
 /**
  * Componente de sección expandible/colapsable
@@ -36,19 +36,698 @@ const CollapsibleSection = ({ title, defaultOpen = true, children, icon: Icon })
   );
 };
 
+/**
+ * Información de la instancia de prefab a la que pertenece el objeto
+ * Lista las propiedades modificadas (overrides) y permite revertirlas, aplicarlas al prefab o desvincular
+ */
+const PrefabInstanceSection = ({ object, prefab, onRevertOverride, onApply, onUnlink }) => {
+  if (!object.prefabId) return null;
+  const overrides = object.prefabOverrides || [];
+
+  return (
+    <Card className="bg-purple-500/10 border-purple-500/20">
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-center gap-2">
+          <Package className="h-4 w-4 text-purple-500" />
+          <span className="flex-1 text-sm font-medium text-foreground truncate">
+            {prefab ? prefab.name : 'Prefab no encontrado'}
+          </span>
+        </div>
+        {!prefab && (
+          <p className="text-xs text-muted-foreground italic">
+            El prefab ya no está en la biblioteca; la instancia no recibirá cambios
+          </p>
+        )}
+        {prefab && overrides.length === 0 && (
+          <p className="text-xs text-muted-foreground italic">
+            Sin overrides: el objeto es igual al prefab
+          </p>
+        )}
+        {prefab && overrides.length > 0 && (
+          <div className="space-y-1">
+            <Label className="text-xs">Overrides</Label>
+            {overrides.map(key => (
+              <div key={key} className="flex items-center justify-between gap-2">
+                <span className="text-xs font-mono truncate">{key}</span>
+                <Button variant="ghost" size="sm" className="h-6 px-2 text-xs" onClick={() => onRevertOverride?.(key)}>
+                  <RotateCcw className="h-3 w-3 mr-1" />
+                  Revertir
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="grid grid-cols-2 gap-2">
+          {prefab && (
+            <>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={overrides.length === 0}
+                onClick={() => onRevertOverride?.(null)}
+              >
+                Revertir todo
+              </Button>
+              <Button variant="outline" size="sm" onClick={onApply}>
+                Aplicar al prefab
+              </Button>
+            </>
+          )}
+          <Button variant="outline" size="sm" className="col-span-2" onClick={onUnlink}>
+            Desvincular
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Valor del selector de origen para los niveles que simplifican el propio modelo
+const SIMPLIFY_SOURCE = '__simplify__';
+
+/**
+ * Niveles de detalle (LOD) de un modelo
+ * Cada nivel se usa a partir de su distancia a la cámara: otro GLB o el propio modelo simplificado
+ */
+const LodSection = ({ lod = [], models = [], onChange }) => {
+  const updateLevel = (index, level) => {
+    onChange(lod.map((current, i) => (i === index ? level : current)));
+  };
+
+  const addLevel = () => {
+    const last = lod[lod.length - 1];
+    onChange([
+      ...lod,
+      {
+        distance: last ? last.distance + LOD_CONFIG.DISTANCE_STEP : LOD_CONFIG.DEFAULT_DISTANCE,
+        simplify: LOD_CONFIG.DEFAULT_SIMPLIFY,
+      },
+    ]);
+  };
+
+  const changeSource = (index, value) => {
+    const { distance } = lod[index];
+    updateLevel(index, value === SIMPLIFY_SOURCE
+      ? { distance, simplify: LOD_CONFIG.DEFAULT_SIMPLIFY }
+      : { distance, model: value });
+  };
+
+  return (
+    <div className="space-y-3">
+      {lod.length === 0 && (
+        <p className="text-xs text-muted-foreground">Sin niveles: el modelo se dibuja siempre completo</p>
+      )}
+      {lod.map((level, index) => (
+        <div key={index} className="space-y-2 rounded-md border border-border p-2">
+          <div className="flex items-center justify-between">
+            <span className="flex items-center gap-2 text-xs font-medium">
+              <span
+                className="inline-block w-2 h-2 rounded-full"
+                style={{ backgroundColor: LOD_CONFIG.PREVIEW_COLORS[index + 1] }}
+              />
+              LOD {index + 1}
+            </span>
+            <Button
+              size="icon"
+              variant="ghost"
+              className="h-6 w-6"
+              title="Quitar nivel"
+              onClick={() => onChange(lod.filter((_, i) => i !== index))}
+            >
+              <Trash2 className="h-3 w-3" />
+            </Button>
+          </div>
+          <Select value={level.model || SIMPLIFY_SOURCE} onValueChange={(value) => changeSource(index, value)}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={SIMPLIFY_SOURCE}>Modelo simplificado</SelectItem>
+              {level.model && !models.some((entry) => entry.path === level.model) && (
+                <SelectItem value={level.model}>{level.model.split('/').pop()}</SelectItem>
+              )}
+              {models.map((entry) => (
+                <SelectItem key={entry.path} value={entry.path}>{entry.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1">
+              <Label className="text-xs text-muted-foreground">Distancia (m)</Label>
+              <Input
+                type="number"
+                step="5"
+                min="1"
+                value={level.distance}
+                onChange={(e) => updateLevel(index, { ...level, distance: Math.max(1, parseFloat(e.target.value) || 1) })}
+              />
+            </div>
+            {!level.model && (
+              <div className="space-y-1">
+                <Label className="text-xs text-muted-foreground">Vértices (%)</Label>
+                <Input
+                  type="number"
+                  step="5"
+                  min={LOD_CONFIG.MIN_SIMPLIFY * 100}
+                  max="100"
+                  value={Math.round((level.simplify ?? LOD_CONFIG.DEFAULT_SIMPLIFY) * 100)}
+                  onChange={(e) => {
+                    const percent = parseFloat(e.target.value) || 100;
+                    const simplify = Math.min(1, Math.max(LOD_CONFIG.MIN_SIMPLIFY, percent / 100));
+                    updateLevel(index, { ...level, simplify });
+                  }}
+                />
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+      <Button
+        variant="outline"
+        size="sm"
+        className="w-full"
+        disabled={lod.length >= LOD_CONFIG.MAX_LEVELS}
+        onClick={addLevel}
+      >
+        <Plus className="h-4 w-4 mr-2" />
+        Añadir nivel
+      </Button>
+      <p className="text-xs text-muted-foreground italic">
+        Activa la vista previa de LOD en los controles para ver el nivel activo de cada objeto
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Obtiene el valor común de una propiedad en varios objetos
+ * @returns {*} El valor si todos coinciden, undefined si hay valores mezclados
+ */
+const getSharedValue = (objects, getValue) => {
+  const first = getValue(objects[0]);
+  return objects.every(obj => getValue(obj) === first) ? first : undefined;
+};
+
+const VECTOR_FIELDS = [
+  { key: 'position', label: 'Posición', step: '0.1' },
+  { key: 'rotation', label: 'Rotación (grados)', step: '1' },
+  { key: 'scale', label: 'Escala', step: '0.1' },
+];
+
+const AXES = ['X', 'Y', 'Z'];
+
+/**
+ * Propiedades de una selección múltiple
+ * Solo muestra las propiedades comunes; los valores distintos entre objetos aparecen como "—"
+ * y al editar un campo se aplica el mismo valor a todos los objetos de la selección
+ */
+const MultiObjectProperties = ({ objects, onUpdateMany, onDelete, onDuplicate, onCreatePrefab, onSettle, onDropToGround, onToggleControls }) => {
+  // Las cámaras no tienen escala y las propiedades de render solo existen en objetos normales
+  const scalableObjects = objects.filter(obj => obj.type !== 'camera');
+  const meshObjects = objects.filter(obj => !obj.type || obj.type === 'object');
+
+  const updateAll = (targets, getUpdates) => {
+    onUpdateMany(targets.map(obj => ({ id: obj.id, updates: getUpdates(obj) })));
+  };
+
+  const handleAxisChange = (key, axis, rawValue) => {
+    const value = parseFloat(rawValue);
+    if (Number.isNaN(value)) return;
+    const targets = key === 'scale' ? scalableObjects : objects;
+    updateAll(targets, (obj) => {
+      const vector = [...obj[key]];
+      vector[axis] = value;
+      return { [key]: vector };
+    });
+  };
+
+  const tag = getSharedValue(objects, obj => obj.tag || 'Untagged');
+  const layer = getSharedValue(objects, obj => obj.layer ?? 0);
+
+  const renderCheckbox = (id, label, property) => {
+    const shared = getSharedValue(meshObjects, obj => !!obj[property]);
+    return (
+      <div className="flex items-center space-x-2">
+        <Checkbox
+          id={id}
+          checked={shared === undefined ? 'indeterminate' : shared}
+          onCheckedChange={(checked) => updateAll(meshObjects, () => ({ [property]: checked === true }))}
+        />
+        <Label htmlFor={id} className="cursor-pointer">
+          {label}
+          {shared === undefined && (
+            <span className="ml-2 text-xs text-muted-foreground italic">(mixto)</span>
+          )}
+        </Label>
+      </div>
+    );
+  };
+
+  return (
+    <div className="w-[320px] border-l border-border bg-card flex flex-col h-full">
+      <div className="p-6 border-b border-border">
+        <h3 className="text-lg font-semibold text-foreground">Propiedades</h3>
+        <p className="text-sm text-muted-foreground">{objects.length} objetos seleccionados</p>
+      </div>
+      <ScrollArea className="flex-1">
+        <div className="p-6 space-y-6">
+          <CollapsibleSection title="Información" defaultOpen={true}>
+            <div className="space-y-2">
+              <Label>Tag</Label>
+              <Select
+                value={tag}
+                onValueChange={(value) => updateAll(objects, () => ({ tag: value }))}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="—" />
+                </SelectTrigger>
+                <SelectContent>
+                  {TAGS_AND_LAYERS.TAGS.map(tagName => (
+                    <SelectItem key={tagName} value={tagName}>{tagName}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Layer</Label>
+              <Select
+                value={layer !== undefined ? String(layer) : undefined}
+                onValueChange={(value) => updateAll(objects, () => ({ layer: parseInt(value) }))}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="—" />
+                </SelectTrigger>
+                <SelectContent>
+                  {TAGS_AND_LAYERS.LAYERS.map(layerItem => (
+                    <SelectItem key={layerItem.id} value={String(layerItem.id)}>
+                      {layerItem.id}: {layerItem.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </CollapsibleSection>
+
+          <Separator />
+
+          <CollapsibleSection title="Transform" defaultOpen={true}>
+            {VECTOR_FIELDS.map(({ key, label, step }) => {
+              const targets = key === 'scale' ? scalableObjects : objects;
+              if (targets.length === 0) return null;
+              return (
+                <div key={key} className="space-y-2">
+                  <Label>{label}</Label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {AXES.map((axisLabel, axis) => {
+                      const shared = getSharedValue(targets, obj => obj[key][axis]);
+                      return (
+                        <div key={axisLabel} className="space-y-1">
+                          <Label className="text-xs text-muted-foreground">{axisLabel}</Label>
+                          <Input
+                            type="number"
+                            step={step}
+                            value={shared ?? ''}
+                            placeholder="—"
+                            onChange={(e) => handleAxisChange(key, axis, e.target.value)}
+                          />
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })}
+            <p className="text-xs text-muted-foreground italic">
+              Los valores se aplican a todos los objetos seleccionados
+            </p>
+          </CollapsibleSection>
+
+          {meshObjects.length > 0 && (
+            <>
+              <Separator />
+              <CollapsibleSection title="Mesh Renderer" defaultOpen={false}>
+                <div className="space-y-4">
+                  {renderCheckbox('multiCastShadow', 'Proyectar sombras', 'castShadow')}
+                  {renderCheckbox('multiReceiveShadow', 'Recibir sombras', 'receiveShadow')}
+                </div>
+              </CollapsibleSection>
+            </>
+          )}
+        </div>
+      </ScrollArea>
+      <div className="p-6 border-t border-border space-y-2">
+        <Button variant="default" className="w-full" onClick={onDuplicate}>
+          <Copy className="h-4 w-4 mr-2" />
+          Duplicar {objects.length} Objetos
+        </Button>
+        {onSettle && objects.some((obj) => !obj.type || obj.type === 'object') && (
+          <Button variant="outline" className="w-full" onClick={onSettle}>
+            <ArrowDownToLine className="h-4 w-4 mr-2" />
+            Asentar con física
+          </Button>
+        )}
+        {onDropToGround && objects.some((obj) => obj.type !== 'camera' && obj.type !== 'water') && (
+          <Button variant="outline" className="w-full" onClick={onDropToGround}>
+            <ArrowDown className="h-4 w-4 mr-2" />
+            Soltar al suelo
+          </Button>
+        )}
+        {onCreatePrefab && (
+          <Button variant="outline" className="w-full" onClick={onCreatePrefab}>
+            <Package className="h-4 w-4 mr-2" />
+            Crear Prefab
+          </Button>
+        )}
+        <Button variant="destructive" className="w-full" onClick={onDelete}>
+          <Trash2 className="h-4 w-4 mr-2" />
+          Eliminar {objects.length} Objetos
+        </Button>
+        {onToggleControls && (
+          <Button variant="outline" className="w-full" onClick={onToggleControls}>
+            <Settings className="h-4 w-4 mr-2" />
+            Controles
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Campo numérico de las propiedades del agua
+ * El valor se limita a [min, max] al editarlo
+ */
+const WaterNumberField = ({ label, value, step = '0.1', min, max, onChange }) => (
+  <div className="space-y-1">
+    <Label className="text-xs text-muted-foreground">{label}</Label>
+    <Input
+      type="number"
+      step={step}
+      min={min}
+      max={max}
+      value={value}
+      onChange={(e) => {
+        const parsed = parseFloat(e.target.value);
+        if (Number.isNaN(parsed)) return;
+        onChange(Math.min(max ?? Infinity, Math.max(min ?? -Infinity, parsed)));
+      }}
+    />
+  </div>
+);
+
+/**
+ * Campo de color de las propiedades del agua
+ */
+const WaterColorField = ({ label, value, onChange }) => (
+  <div className="space-y-1">
+    <Label className="text-xs text-muted-foreground">{label}</Label>
+    <Input type="color" className="h-9 p-1" value={value} onChange={(e) => onChange(e.target.value)} />
+  </div>
+);
+
+/**
+ * Editor del contorno de un agua poligonal
+ * Los puntos son [x, z] locales (la escala X/Z del objeto los lleva al tamaño real)
+ */
+const WaterPointsSection = ({ points = [], onChange }) => {
+  const updatePoint = (index, axis, value) => {
+    onChange(points.map((point, i) => (i === index ? point.map((v, a) => (a === axis ? value : v)) : point)));
+  };
+
+  // El punto nuevo va entre el último y el primero: el contorno no se cruza
+  const addPoint = () => {
+    const first = points[0] || [0, 0];
+    const last = points[points.length - 1] || [0, 0];
+    onChange([...points, [(first[0] + last[0]) / 2, (first[1] + last[1]) / 2]]);
+  };
+
+  return (
+    <div className="space-y-2">
+      {points.map((point, index) => (
+        <div key={index} className="flex items-end gap-2">
+          <span className="text-xs text-muted-foreground w-4 pb-2">{index + 1}</span>
+          {['X', 'Z'].map((axis, axisIndex) => (
+            <div key={axis} className="flex-1">
+              <WaterNumberField
+                label={axis}
+                step="0.05"
+                value={point[axisIndex]}
+                onChange={(value) => updatePoint(index, axisIndex, value)}
+              />
+            </div>
+          ))}
+          <Button
+            size="icon"
+            variant="ghost"
+            className="h-9 w-9"
+            title="Quitar punto"
+            disabled={points.length <= WATER_CONFIG.MIN_POINTS}
+            onClick={() => onChange(points.filter((_, i) => i !== index))}
+          >
+            <Trash2 className="h-3 w-3" />
+          </Button>
+        </div>
+      ))}
+      <Button
+        variant="outline"
+        size="sm"
+        className="w-full"
+        disabled={points.length >= WATER_CONFIG.MAX_POINTS}
+        onClick={addPoint}
+      >
+        <Plus className="h-4 w-4 mr-2" />
+        Añadir punto
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * Propiedades de una masa de agua
+ * La escala Y es la profundidad del volumen bajo la superficie y solo se usa el giro en Y
+ */
+const WaterProperties = ({ object, onUpdate, prefabSection, onDelete, onDuplicate, onCreatePrefab, onToggleControls }) => {
+  const scale = object.scale || WATER_CONFIG.DEFAULT_SCALE;
+  const updateScale = (axis, value) => onUpdate({ scale: scale.map((v, i) => (i === axis ? value : v)) });
+
+  return (
+    <div className="w-[320px] border-l border-border bg-card flex flex-col h-full">
+      <div className="p-6 border-b border-border">
+        <h3 className="text-lg font-semibold text-foreground">Propiedades del Agua</h3>
+      </div>
+      <ScrollArea className="flex-1">
+        <div className="p-6 space-y-6">
+          {prefabSection}
+          <CollapsibleSection title="Información" defaultOpen={true}>
+            <div className="space-y-2">
+              <Label>Nombre</Label>
+              <Input
+                type="text"
+                value={object.name || ''}
+                onChange={(e) => onUpdate({ name: e.target.value })}
+                placeholder="Nombre del objeto"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Tag</Label>
+              <Select value={object.tag || TAGS_AND_LAYERS.DEFAULT_TAG} onValueChange={(value) => onUpdate({ tag: value })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {TAGS_AND_LAYERS.TAGS.map(tag => (
+                    <SelectItem key={tag} value={tag}>{tag}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Layer</Label>
+              <Select
+                value={String(object.layer ?? WATER_CONFIG.LAYER)}
+                onValueChange={(value) => onUpdate({ layer: parseInt(value) })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {TAGS_AND_LAYERS.LAYERS.map(layer => (
+                    <SelectItem key={layer.id} value={String(layer.id)}>
+                      {layer.id}: {layer.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </CollapsibleSection>
+
+          <Separator />
+
+          <CollapsibleSection title="Transform" defaultOpen={true}>
+            <div className="space-y-2">
+              <Label>Posición de la superficie</Label>
+              <div className="grid grid-cols-3 gap-2">
+                {AXES.map((axis, index) => (
+                  <WaterNumberField
+                    key={axis}
+                    label={axis}
+                    value={object.position[index]}
+                    onChange={(value) => onUpdate({ position: object.position.map((v, i) => (i === index ? value : v)) })}
+                  />
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <WaterNumberField
+                label="Giro Y (grados)"
+                step="1"
+                value={object.rotation?.[1] || 0}
+                onChange={(value) => onUpdate({ rotation: [0, value, 0] })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Tamaño</Label>
+              <div className="grid grid-cols-3 gap-2">
+                <WaterNumberField label="Ancho" min={OBJECT_CONFIG.MIN_SCALE} max={OBJECT_CONFIG.MAX_SCALE} value={scale[0]} onChange={(value) => updateScale(0, value)} />
+                <WaterNumberField label="Profundidad" min={OBJECT_CONFIG.MIN_SCALE} max={OBJECT_CONFIG.MAX_SCALE} value={scale[1]} onChange={(value) => updateScale(1, value)} />
+                <WaterNumberField label="Largo" min={OBJECT_CONFIG.MIN_SCALE} max={OBJECT_CONFIG.MAX_SCALE} value={scale[2]} onChange={(value) => updateScale(2, value)} />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          <Separator />
+
+          <CollapsibleSection title="Forma" defaultOpen={true}>
+            <div className="space-y-2">
+              <Label>Tipo</Label>
+              <Select value={object.shape || WATER_CONFIG.DEFAULT_SHAPE} onValueChange={(value) => onUpdate({ shape: value })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="plane">Rectángulo</SelectItem>
+                  <SelectItem value="polygon">Polígono</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {object.shape === 'polygon' && (
+              <WaterPointsSection points={object.points} onChange={(points) => onUpdate({ points })} />
+            )}
+          </CollapsibleSection>
+
+          <Separator />
+
+          <CollapsibleSection title="Aspecto" defaultOpen={true}>
+            <div className="grid grid-cols-2 gap-2">
+              <WaterColorField label="Color" value={object.color || WATER_CONFIG.DEFAULT_COLOR} onChange={(color) => onUpdate({ color })} />
+              <WaterColorField label="Color profundo" value={object.deepColor || WATER_CONFIG.DEFAULT_DEEP_COLOR} onChange={(deepColor) => onUpdate({ deepColor })} />
+              <WaterNumberField label="Opacidad" step="0.05" min={0} max={1} value={object.opacity ?? WATER_CONFIG.DEFAULT_OPACITY} onChange={(opacity) => onUpdate({ opacity })} />
+              <WaterNumberField label="Reflejo" step="0.05" min={0} max={1} value={object.reflectivity ?? WATER_CONFIG.DEFAULT_REFLECTIVITY} onChange={(reflectivity) => onUpdate({ reflectivity })} />
+              <WaterNumberField label="Altura de olas (m)" step="0.05" min={0} max={5} value={object.waveHeight ?? WATER_CONFIG.DEFAULT_WAVE_HEIGHT} onChange={(waveHeight) => onUpdate({ waveHeight })} />
+              <WaterNumberField label="Velocidad de olas" step="0.1" min={0} max={10} value={object.waveSpeed ?? WATER_CONFIG.DEFAULT_WAVE_SPEED} onChange={(waveSpeed) => onUpdate({ waveSpeed })} />
+            </div>
+          </CollapsibleSection>
+
+          <Separator />
+
+          <CollapsibleSection title="Bajo el agua" defaultOpen={false}>
+            <div className="grid grid-cols-2 gap-2">
+              <WaterColorField label="Color de niebla" value={object.fogColor || WATER_CONFIG.DEFAULT_FOG_COLOR} onChange={(fogColor) => onUpdate({ fogColor })} />
+              <WaterNumberField label="Densidad" step="0.01" min={0} max={1} value={object.fogDensity ?? WATER_CONFIG.DEFAULT_FOG_DENSITY} onChange={(fogDensity) => onUpdate({ fogDensity })} />
+            </div>
+            <p className="text-xs text-muted-foreground italic">
+              Niebla y tinte de la imagen cuando la cámara está sumergida
+            </p>
+          </CollapsibleSection>
+
+          <Separator />
+
+          <CollapsibleSection title="Física" defaultOpen={false}>
+            <div className="grid grid-cols-2 gap-2">
+              <WaterNumberField label="Flotabilidad" step="0.05" min={0} max={5} value={object.buoyancy ?? WATER_CONFIG.DEFAULT_BUOYANCY} onChange={(buoyancy) => onUpdate({ buoyancy })} />
+              <WaterNumberField label="Frenado" step="0.1" min={0} max={20} value={object.drag ?? WATER_CONFIG.DEFAULT_DRAG} onChange={(drag) => onUpdate({ drag })} />
+            </div>
+            <p className="text-xs text-muted-foreground italic">
+              Con flotabilidad mayor que 1 los jugadores y los cuerpos flotan; con menos se hunden
+            </p>
+          </CollapsibleSection>
+        </div>
+      </ScrollArea>
+      <div className="p-6 border-t border-border space-y-2">
+        <Button variant="default" className="w-full" onClick={onDuplicate}>
+          <Copy className="h-4 w-4 mr-2" />
+          Duplicar Agua
+        </Button>
+        {onCreatePrefab && (
+          <Button variant="outline" className="w-full" onClick={onCreatePrefab}>
+            <Package className="h-4 w-4 mr-2" />
+            Crear Prefab
+          </Button>
+        )}
+        <Button variant="destructive" className="w-full" onClick={onDelete}>
+          <Trash2 className="h-4 w-4 mr-2" />
+          Eliminar Agua
+        </Button>
+        {onToggleControls && (
+          <Button variant="outline" className="w-full" onClick={onToggleControls}>
+            <Settings className="h-4 w-4 mr-2" />
+            Controles
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
 /**
  * Panel de propiedades para editar el objeto seleccionado
  */
 export const PropertiesPanel = ({ 
   object, 
+  selectedObjects = [],
   onUpdate, 
+  onUpdateMany,
+  prefab = null,
+  onCreatePrefab,
+  onRevertPrefabOverride,
+  onApplyPrefab,
+  onUnlinkPrefab,
   onDelete, 
   onDuplicate, 
+  onSettle,
+  onDropToGround,
   onToggleControls,
   toolsPanelCollapsed = false,
   onToggleToolsPanel = null,
   allObjects = [], // Lista de todos los objetos para el selector de targetId
+  models = [], // Modelos disponibles [{ name, path }] para los niveles de LOD
 }) => {
+  if (selectedObjects.length > 1 && onUpdateMany) {
+    return (
+      <MultiObjectProperties
+        objects={selectedObjects}
+        onUpdateMany={onUpdateMany}
+        onDelete={onDelete}
+        onDuplicate={onDuplicate}
+        onCreatePrefab={onCreatePrefab}
+        onSettle={onSettle}
+        onDropToGround={onDropToGround}
+        onToggleControls={onToggleControls}
+      />
+    );
+  }
+
+  const prefabSection = object && (
+    <PrefabInstanceSection
+      object={object}
+      prefab={prefab}
+      onRevertOverride={onRevertPrefabOverride}
+      onApply={onApplyPrefab}
+      onUnlink={onUnlinkPrefab}
+    />
+  );
+
   if (!object) {
     return (
       <div className="w-[320px] border-l border-border bg-card flex flex-col h-full">
@@ -99,6 +778,21 @@ export const PropertiesPanel = ({
     );
   }
 
+  // Si es una masa de agua, mostrar propiedades específicas del agua
+  if (object.type === 'water') {
+    return (
+      <WaterProperties
+        object={object}
+        onUpdate={onUpdate}
+        prefabSection={prefabSection}
+        onDelete={onDelete}
+        onDuplicate={onDuplicate}
+        onCreatePrefab={onCreatePrefab}
+        onToggleControls={onToggleControls}
+      />
+    );
+  }
+
   // Si es una cámara, mostrar propiedades específicas de cámara
   if (object.type === 'camera') {
     return (
@@ -108,6 +802,7 @@ export const PropertiesPanel = ({
         </div>
         <ScrollArea className="flex-1">
           <div className="p-6 space-y-6">
+            {prefabSection}
             {/* Información básica */}
             <CollapsibleSection title="Información" defaultOpen={true}>
               <div className="space-y-2">
@@ -467,6 +1162,12 @@ export const PropertiesPanel = ({
             <Copy className="h-4 w-4 mr-2" />
             Duplicar Cámara
           </Button>
+          {onCreatePrefab && (
+            <Button variant="outline" className="w-full" onClick={onCreatePrefab}>
+              <Package className="h-4 w-4 mr-2" />
+              Crear Prefab
+            </Button>
+          )}
           <Button variant="destructive" className="w-full" onClick={onDelete}>
             <Trash2 className="h-4 w-4 mr-2" />
             Eliminar Cámara
@@ -491,6 +1192,7 @@ export const PropertiesPanel = ({
         </div>
         <ScrollArea className="flex-1">
           <div className="p-6 space-y-6">
+            {prefabSection}
             {/* Información básica */}
             <CollapsibleSection title="Información" defaultOpen={true}>
               <div className="space-y-2">
@@ -943,6 +1645,18 @@ export const PropertiesPanel = ({
             <Copy className="h-4 w-4 mr-2" />
             Duplicar Collider
           </Button>
+          {onDropToGround && (
+            <Button variant="outline" className="w-full" onClick={onDropToGround}>
+              <ArrowDown className="h-4 w-4 mr-2" />
+              Soltar al suelo
+            </Button>
+          )}
+          {onCreatePrefab && (
+            <Button variant="outline" className="w-full" onClick={onCreatePrefab}>
+              <Package className="h-4 w-4 mr-2" />
+              Crear Prefab
+            </Button>
+          )}
           <Button variant="destructive" className="w-full" onClick={onDelete}>
             <Trash2 className="h-4 w-4 mr-2" />
             Eliminar Collider
@@ -975,6 +1689,7 @@ export const PropertiesPanel = ({
       </div>
       <ScrollArea className="flex-1">
         <div className="p-6 space-y-6">
+          {prefabSection}
           {/* Información básica */}
           <CollapsibleSection title="Información" defaultOpen={true}>
             <div className="space-y-2">
@@ -1172,6 +1887,17 @@ export const PropertiesPanel = ({
 
           <Separator />
 
+          {/* Nivel de detalle */}
+          <CollapsibleSection title="LOD" defaultOpen={false}>
+            <LodSection
+              lod={object.lod}
+              models={models}
+              onChange={(lod) => handleChange('lod', lod)}
+            />
+          </CollapsibleSection>
+
+          <Separator />
+
           {/* Collider Component */}
           <CollapsibleSection title="Collider" defaultOpen={false}>
             <div className="space-y-4">
@@ -1367,6 +2093,24 @@ export const PropertiesPanel = ({
           <Copy className="h-4 w-4 mr-2" />
           Duplicar Objeto
         </Button>
+        {onSettle && (
+          <Button variant="outline" className="w-full" onClick={onSettle}>
+            <ArrowDownToLine className="h-4 w-4 mr-2" />
+            Asentar con física
+          </Button>
+        )}
+        {onDropToGround && (
+          <Button variant="outline" className="w-full" onClick={onDropToGround}>
+            <ArrowDown className="h-4 w-4 mr-2" />
+            Soltar al suelo
+          </Button>
+        )}
+        {onCreatePrefab && (
+          <Button variant="outline" className="w-full" onClick={onCreatePrefab}>
+            <Package className="h-4 w-4 mr-2" />
+            Crear Prefab
+          </Button>
+        )}
         <Button variant="destructive" className="w-full" onClick={onDelete}>
           <Trash2 className="h-4 w-4 mr-2" />
           Eliminar Objeto
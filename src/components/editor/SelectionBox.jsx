@@ -0,0 +1,128 @@
+import { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { EDITOR_CONFIG } from '../../constants/gameConstants';
+
+/**
+ * Selección por caja: Shift + arrastrar sobre el canvas añade a la selección
+ * todos los objetos cuyo centro queda dentro del rectángulo
+ *
+ * @param {Object} props
+ * @param {Object} props.containerRef - Ref al contenedor del canvas
+ * @param {Object} props.cameraRef - Ref a la cámara del editor
+ * @param {Object} props.objectRegistryRef - Ref al Map id -> { group, type } de los objetos del editor
+ * @param {Object} props.orbitControlsRef - Ref a los OrbitControls (se desactivan mientras se dibuja la caja)
+ * @param {Function} props.onSelectObjects - Callback con los IDs dentro de la caja
+ */
+export const SelectionBox = ({
+  containerRef,
+  cameraRef,
+  objectRegistryRef,
+  orbitControlsRef,
+  onSelectObjects,
+}) => {
+  const [rect, setRect] = useState(null);
+  const startRef = useRef(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const getRect = (start, event) => {
+      const x = event.clientX - start.bounds.left;
+      const y = event.clientY - start.bounds.top;
+      return {
+        left: Math.min(start.x, x),
+        top: Math.min(start.y, y),
+        width: Math.abs(x - start.x),
+        height: Math.abs(y - start.y),
+      };
+    };
+
+    const handlePointerDown = (event) => {
+      // Solo con Shift y sobre el canvas (no sobre paneles superpuestos)
+      if (event.button !== 0 || !event.shiftKey || event.target.tagName !== 'CANVAS') return;
+
+      const bounds = container.getBoundingClientRect();
+      startRef.current = {
+        x: event.clientX - bounds.left,
+        y: event.clientY - bounds.top,
+        bounds,
+      };
+
+      // Desactivar la órbita antes de que OrbitControls procese el evento (Shift+arrastrar = pan)
+      if (orbitControlsRef.current) {
+        orbitControlsRef.current.enabled = false;
+      }
+    };
+
+    const handlePointerMove = (event) => {
+      const start = startRef.current;
+      if (!start) return;
+
+      const nextRect = getRect(start, event);
+      if (nextRect.width > EDITOR_CONFIG.DRAG_THRESHOLD || nextRect.height > EDITOR_CONFIG.DRAG_THRESHOLD) {
+        setRect(nextRect);
+      }
+    };
+
+    const handlePointerUp = (event) => {
+      const start = startRef.current;
+      if (!start) return;
+      startRef.current = null;
+      setRect(null);
+
+      if (orbitControlsRef.current) {
+        orbitControlsRef.current.enabled = true;
+      }
+
+      const box = getRect(start, event);
+      const camera = cameraRef.current;
+      // Un Shift+click sin arrastre lo gestiona el RaycastHandler
+      if (!camera || (box.width <= EDITOR_CONFIG.DRAG_THRESHOLD && box.height <= EDITOR_CONFIG.DRAG_THRESHOLD)) {
+        return;
+      }
+
+      const projected = new THREE.Vector3();
+      const ids = [];
+      objectRegistryRef.current.forEach((entry, id) => {
+        if (!entry.group) return;
+        entry.group.getWorldPosition(projected).project(camera);
+        // Descartar objetos detrás de la cámara
+        if (projected.z > 1) return;
+
+        const screenX = ((projected.x + 1) / 2) * start.bounds.width;
+        const screenY = ((1 - projected.y) / 2) * start.bounds.height;
+        if (
+          screenX >= box.left && screenX <= box.left + box.width &&
+          screenY >= box.top && screenY <= box.top + box.height
+        ) {
+          ids.push(id);
+        }
+      });
+
+      if (ids.length > 0) {
+        onSelectObjects(ids, { additive: true });
+      }
+    };
+
+    // Fase de captura para adelantarse a OrbitControls
+    container.addEventListener('pointerdown', handlePointerDown, true);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+
+    return () => {
+      container.removeEventListener('pointerdown', handlePointerDown, true);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+  }, [containerRef, cameraRef, objectRegistryRef, orbitControlsRef, onSelectObjects]);
+
+  if (!rect) return null;
+
+  return (
+    <div
+      className="selection-box"
+      style={{ left: rect.left, top: rect.top, width: rect.width, height: rect.height }}
+    />
+  );
+};
@@ -2,11 +2,12 @@ import { useState } from 'react';
 import { LevelSelector } from './LevelSelector';
 import { Button } from '@/components/ui/button';
 import { useToast } from '@/hooks/use-toast';
-import { Save, Copy, Download, Gamepad2, Pencil } from 'lucide-react';
+import { Save, Copy, Download, Gamepad2, Pencil, Undo2, Redo2, History, CircleDot, Play, Pause, StepForward, Square } from 'lucide-react';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
 
 /**
  * Barra de herramientas del editor
+ * playState indica el estado del modo Play: 'stopped', 'playing' o 'paused'
  */
 export const Toolbar = ({
   objects,
@@ -21,8 +22,30 @@ export const Toolbar = ({
   onSelectLevel,
   onCreateNew,
   onDeleteLevel,
+  onRenameLevel,
+  onDiscardLocalChanges,
+  onRefreshLocalStorageInfo,
+  localLevels,
+  dirtyLevels,
+  isDirty = false,
+  onShowChanges,
+  storageEstimate,
   levelLoading,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  undoLabel = null,
+  redoLabel = null,
+  onOpenAutosaves,
+  autosaveCount = 0,
+  playState = 'stopped',
+  onPlay,
+  onPause,
+  onStep,
+  onStop,
 }) => {
+  const isPlaying = playState !== 'stopped';
   const [saveStatus, setSaveStatus] = useState(null);
   const { toast } = useToast();
 
@@ -93,9 +116,74 @@ export const Toolbar = ({
             • {currentLevel.data?.name || 'Sin nombre'}
           </span>
         )}
+        {isDirty && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7 px-2 text-amber-500 hover:text-amber-500"
+            onClick={onShowChanges}
+            title="Ver los cambios desde el último guardado"
+          >
+            <CircleDot className="h-3 w-3 mr-1" />
+            Sin guardar
+          </Button>
+        )}
       </div>
       <div className="flex items-center gap-2">
         <TooltipProvider>
+          {onPlay && (
+            <>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button
+                    variant={playState === 'playing' ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={playState === 'playing' ? onPause : onPlay}
+                    disabled={loading}
+                  >
+                    {playState === 'playing' ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>
+                    {playState === 'stopped' && 'Probar el nivel aquí (Play)'}
+                    {playState === 'playing' && 'Pausar'}
+                    {playState === 'paused' && 'Continuar'}
+                  </p>
+                </TooltipContent>
+              </Tooltip>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={onStep}
+                    disabled={playState !== 'paused'}
+                  >
+                    <StepForward className="h-4 w-4" />
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Avanzar un frame</p>
+                </TooltipContent>
+              </Tooltip>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={onStop}
+                    disabled={!isPlaying}
+                  >
+                    <Square className="h-4 w-4" />
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Detener y restaurar la escena</p>
+                </TooltipContent>
+              </Tooltip>
+            </>
+          )}
           {mode && onModeChange && (
             <>
               <Tooltip>
@@ -137,9 +225,67 @@ export const Toolbar = ({
               onSelectLevel={onSelectLevel}
               onCreateNew={onCreateNew}
               onDeleteLevel={onDeleteLevel}
-              loading={levelLoading}
+              onRenameLevel={onRenameLevel}
+              onDiscardLocalChanges={onDiscardLocalChanges}
+              onRefreshLocalStorageInfo={onRefreshLocalStorageInfo}
+              localLevels={localLevels}
+              dirtyLevels={dirtyLevels}
+              isDirty={isDirty}
+              storageEstimate={storageEstimate}
+              loading={levelLoading || isPlaying}
             />
           )}
+          {onUndo && onRedo && (
+            <>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={onUndo}
+                    disabled={!canUndo || isPlaying}
+                  >
+                    <Undo2 className="h-4 w-4" />
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>{undoLabel ? `Deshacer: ${undoLabel}` : 'Deshacer'} (Ctrl+Z)</p>
+                </TooltipContent>
+              </Tooltip>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={onRedo}
+                    disabled={!canRedo || isPlaying}
+                  >
+                    <Redo2 className="h-4 w-4" />
+                  </Button>
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>{redoLabel ? `Rehacer: ${redoLabel}` : 'Rehacer'} (Ctrl+Shift+Z)</p>
+                </TooltipContent>
+              </Tooltip>
+            </>
+          )}
+          {onOpenAutosaves && (
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={onOpenAutosaves}
+                  disabled={isPlaying}
+                >
+                  <History className="h-4 w-4" />
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent>
+                <p>Autoguardados ({autosaveCount})</p>
+              </TooltipContent>
+            </Tooltip>
+          )}
           <Tooltip>
             <TooltipTrigger asChild>
               <Button
@@ -3,6 +3,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Button } from '@/components/ui/button';
 import { ChevronDown, ChevronUp } from 'lucide-react';
 import { TerrainEditorTab } from '../terrain/TerrainEditorTab';
+import { ScatterEditorTab } from '../terrain/ScatterEditorTab';
 import './ToolsPanel.css';
 
 /**
@@ -14,15 +15,33 @@ import './ToolsPanel.css';
  * @param {boolean} props.collapsed - Si el panel está colapsado
  * @param {Function} props.onToggleCollapse - Callback para colapsar/expandir el panel
  * @param {Float32Array} props.terrainHeightmap - Heightmap del terreno
+ * @param {Object} props.terrainLayout - Distribución de chunks del terreno
  * @param {Function} props.onTerrainHeightmapChange - Callback cuando cambia el heightmap
+ * @param {Function} props.onTerrainLayoutChange - Callback cuando cambia el tamaño del mundo
+ * @param {Function} props.onAutoTexture - Callback para texturizar el terreno según altura y pendiente
+ * @param {Object|null} props.terrainRecipe - Receta con la que se generó el terreno
+ * @param {Function} props.onTerrainGenerate - Callback con el heightmap generado y su receta
  * @param {Function} props.onTerrainPaintSettingsChange - Callback cuando cambian los ajustes de pintura
+ * @param {Array} props.models - Modelos disponibles para el pincel de dispersión
+ * @param {Array} props.scatterLayers - Capas de vegetación del nivel
+ * @param {Function} props.onScatterSettingsChange - Callback cuando cambian los ajustes del pincel de dispersión
+ * @param {Function} props.onClearScatterLayer - Callback para borrar todas las instancias de un modelo
  */
 export const ToolsPanel = ({
   collapsed = false,
   onToggleCollapse,
   terrainHeightmap,
+  terrainLayout,
   onTerrainHeightmapChange,
+  onTerrainLayoutChange,
+  onAutoTexture,
+  terrainRecipe = null,
+  onTerrainGenerate,
   onTerrainPaintSettingsChange,
+  models = [],
+  scatterLayers = [],
+  onScatterSettingsChange,
+  onClearScatterLayer,
 }) => {
   const [activeTab, setActiveTab] = useState('terrain');
 
@@ -34,6 +53,7 @@ export const ToolsPanel = ({
           <Tabs value={activeTab} onValueChange={setActiveTab} className="tools-panel-tabs-inline">
             <TabsList className="tools-panel-tabs-list-inline">
               <TabsTrigger value="terrain" className="text-xs">🗻 Terreno</TabsTrigger>
+              <TabsTrigger value="scatter" className="text-xs">🌲 Vegetación</TabsTrigger>
               {/* Se pueden agregar más pestañas aquí en el futuro */}
             </TabsList>
           </Tabs>
@@ -54,10 +74,23 @@ export const ToolsPanel = ({
           <TabsContent value="terrain" className="tools-panel-content">
             <TerrainEditorTab
               heightmap={terrainHeightmap}
+              layout={terrainLayout}
               onHeightmapChange={onTerrainHeightmapChange}
+              onLayoutChange={onTerrainLayoutChange}
+              onAutoTexture={onAutoTexture}
+              recipe={terrainRecipe}
+              onGenerate={onTerrainGenerate}
               onPaintSettingsChange={onTerrainPaintSettingsChange}
             />
           </TabsContent>
+          <TabsContent value="scatter" className="tools-panel-content">
+            <ScatterEditorTab
+              models={models}
+              layers={scatterLayers}
+              onSettingsChange={onScatterSettingsChange}
+              onClearLayer={onClearScatterLayer}
+            />
+          </TabsContent>
         </Tabs>
       )}
     </div>
@@ -22,6 +22,7 @@ import * as THREE from 'three';
  * @param {string} props.objectId - ID del objeto para identificación (para cámaras que siguen colliders)
  * @param {Array<string>} props.components - Lista de componentes activos (ej: ['playerController'])
  * @param {Object} props.componentProps - Props de los componentes (ej: { playerController: { speed: 5 } })
+ * @param {Array} props.waterZones - Zonas de agua en las que nada el PlayerController (ver getWaterZones)
  */
 export const ColliderObject = ({
   colliderType = COLLIDER_CONFIG.DEFAULT_TYPE,
@@ -35,6 +36,7 @@ export const ColliderObject = ({
   objectId = null,
   components = [],
   componentProps = {},
+  waterZones = [],
 }) => {
   const rigidBodyRef = useRef(null);
   const colliderGroupRef = useRef(null);
@@ -313,6 +315,7 @@ export const ColliderObject = ({
             speed={playerControllerProps.speed || 5}
             enabled={playerControllerProps.enabled !== false}
             usePhysics={false} // Sin física, solo movimiento directo
+            waterZones={waterZones}
           />
         </group>
       );
@@ -405,6 +408,7 @@ export const ColliderObject = ({
             speed={playerControllerProps.speed || 5}
             enabled={playerControllerProps.enabled !== false}
             usePhysics={false} // Sin física, solo movimiento directo
+            waterZones={waterZones}
           />
         )}
       </RigidBody>
@@ -431,6 +435,7 @@ export const ColliderObject = ({
             speed={playerControllerProps.speed || 5}
             enabled={playerControllerProps.enabled !== false}
             usePhysics={false} // Sin física, solo movimiento directo
+            waterZones={waterZones}
           />
         </group>
       );
@@ -499,6 +504,7 @@ export const ColliderObject = ({
             speed={playerControllerProps.speed || 5}
             enabled={playerControllerProps.enabled !== false}
             usePhysics={false} // Sin física, solo movimiento directo
+            waterZones={waterZones}
           />
         </group>
       );
@@ -0,0 +1,48 @@
+import { useRef, useMemo } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { isPointInsideZone } from '../../utils/levelFlow';
+
+/**
+ * Detecta cuándo el jugador entra en una zona de meta (colliders con el tag Finish)
+ * El jugador se mueve sin RigidBody (PlayerController), así que no genera eventos de
+ * colisión: se comprueba su posición contra el volumen de cada zona en cada frame
+ * @param {Object} props
+ * @param {Array} props.zones - Zonas de meta (ver getFinishZones)
+ * @param {Array<string>} props.playerIds - IDs de los objetos del jugador
+ * @param {Function} props.onEnter - Callback al entrar en una zona (se llama una sola vez)
+ */
+export const FinishTrigger = ({ zones, playerIds, onEnter }) => {
+  const { scene } = useThree();
+  const triggeredRef = useRef(false);
+  const playersRef = useRef([]);
+  const playerPosition = useMemo(() => new THREE.Vector3(), []);
+
+  useFrame(() => {
+    if (triggeredRef.current || zones.length === 0 || playerIds.length === 0) return;
+
+    // Los objetos del jugador se montan después que este componente: buscarlos hasta encontrarlos todos
+    if (playersRef.current.length < playerIds.length) {
+      const found = new Map();
+      scene.traverse((obj) => {
+        const objectId = obj.userData?.objectId;
+        if (objectId && playerIds.includes(objectId) && !found.has(objectId)) {
+          found.set(objectId, obj);
+        }
+      });
+      playersRef.current = [...found.values()];
+    }
+
+    const entered = playersRef.current.some((player) => {
+      const point = player.getWorldPosition(playerPosition).toArray();
+      return zones.some((zone) => isPointInsideZone(point, zone));
+    });
+
+    if (entered) {
+      triggeredRef.current = true;
+      onEnter();
+    }
+  });
+
+  return null;
+};
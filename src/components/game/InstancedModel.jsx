@@ -0,0 +1,46 @@
+import { useLayoutEffect, useRef } from 'react';
+import * as THREE from 'three';
+
+/**
+ * Dibuja muchas copias de un modelo con un InstancedMesh por malla
+ * (una llamada de dibujo por malla sin importar cuántas copias haya)
+ * @param {Object} props
+ * @param {Array} props.parts - Mallas del modelo (ver getModelParts)
+ * @param {Array<THREE.Matrix4>} props.matrices - Transformación de la raíz del modelo en cada copia
+ * @param {boolean} props.castShadow - Si las copias proyectan sombras (opcional, por defecto true)
+ * @param {boolean} props.receiveShadow - Si las copias reciben sombras (opcional, por defecto true)
+ * @param {Object} props.userData - userData de cada InstancedMesh (opcional)
+ */
+export const InstancedModel = ({ parts, matrices, castShadow = true, receiveShadow = true, userData = {} }) => {
+  const meshesRef = useRef([]);
+  const count = matrices.length;
+
+  useLayoutEffect(() => {
+    const meshes = meshesRef.current.slice(0, parts.length);
+    if (meshes.some((mesh) => !mesh)) return;
+
+    const matrix = new THREE.Matrix4();
+    meshes.forEach((mesh, index) => {
+      matrices.forEach((instanceMatrix, i) => {
+        mesh.setMatrixAt(i, matrix.multiplyMatrices(instanceMatrix, parts[index].matrix));
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      // El frustum culling usa la esfera que envuelve todas las copias
+      mesh.computeBoundingSphere();
+    });
+  }, [parts, matrices]);
+
+  return parts.map((part, index) => (
+    <instancedMesh
+      // Al cambiar el número de copias se crea otro InstancedMesh (su tamaño es fijo)
+      key={`${index}-${count}`}
+      ref={(mesh) => {
+        meshesRef.current[index] = mesh;
+      }}
+      args={[part.geometry, part.material, count]}
+      castShadow={castShadow}
+      receiveShadow={receiveShadow}
+      userData={userData}
+    />
+  ));
+};
@@ -0,0 +1,55 @@
+import { useMemo } from 'react';
+import { useGLTF } from '@react-three/drei';
+import { RigidBody, CuboidCollider } from '@react-three/rapier';
+import { InstancedModel } from './InstancedModel';
+import { getModelParts, getObjectInstanceMatrix, getInstanceCollider } from '../../utils/instancingUtils';
+
+/**
+ * Objetos del nivel que comparten modelo, dibujados como instancias (ver groupInstancedObjects)
+ * Cada objeto conserva su posición, rotación y escala, y su collider de caja (el mismo que
+ * crea SceneObject) va en un único cuerpo fijo compartido por todas las instancias.
+ * userData.instanceObjectIds relaciona el instanceId de un raycast con el ID del objeto
+ * @param {Object} props
+ * @param {string} props.model - Ruta al archivo GLB
+ * @param {Array} props.objects - Objetos del nivel (transformaciones de mundo)
+ * @param {boolean} props.castShadow - Si los objetos proyectan sombras
+ * @param {boolean} props.receiveShadow - Si los objetos reciben sombras
+ */
+export const InstancedSceneObjects = ({ model, objects, castShadow = true, receiveShadow = true }) => {
+  const { scene } = useGLTF(model);
+  const { parts, bounds } = useMemo(() => getModelParts(scene), [scene]);
+
+  const matrices = useMemo(
+    () => objects.map((obj) => getObjectInstanceMatrix(obj, bounds.min.y)),
+    [objects, bounds]
+  );
+  const colliders = useMemo(
+    () => objects.filter((obj) => obj.hasCollider !== false).map((obj) => getInstanceCollider(obj, bounds)),
+    [objects, bounds]
+  );
+  const userData = useMemo(() => ({ instanceObjectIds: objects.map((obj) => obj.id) }), [objects]);
+
+  return (
+    <>
+      <InstancedModel
+        parts={parts}
+        matrices={matrices}
+        castShadow={castShadow}
+        receiveShadow={receiveShadow}
+        userData={userData}
+      />
+      {colliders.length > 0 && (
+        <RigidBody type="fixed" colliders={false}>
+          {colliders.map((collider) => (
+            <CuboidCollider
+              key={collider.id}
+              args={collider.halfExtents}
+              position={collider.position}
+              rotation={collider.rotation}
+            />
+          ))}
+        </RigidBody>
+      )}
+    </>
+  );
+};
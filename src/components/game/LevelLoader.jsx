@@ -1,27 +1,97 @@
+import { useMemo } from 'react';
 import { SceneObject } from './SceneObject';
 import { ColliderObject } from './ColliderObject';
 import { CameraComponent } from './CameraComponent';
+import { FinishTrigger } from './FinishTrigger';
+import { ScatterLayers } from './ScatterInstances';
+import { InstancedSceneObjects } from './InstancedSceneObjects';
+import { WaterBody } from './WaterBody';
+import { WaterBuoyancy } from './WaterBuoyancy';
+import { ParentAttachment } from './ParentAttachment';
 import { useLevel } from '../../hooks/useLevel';
-import { OBJECT_CONFIG, COLLIDER_CONFIG } from '../../constants/gameConstants';
+import { OBJECT_CONFIG, COLLIDER_CONFIG, LEVEL_FLOW, TERRAIN_CONFIG } from '../../constants/gameConstants';
 import { validateObject } from '../../utils/objectUtils';
+import { resolveWorldTransforms, buildObjectMap, findAncestor } from '../../utils/hierarchyUtils';
+import { applySpawnPoint, getFinishZones, isPlayerObject } from '../../utils/levelFlow';
+import { getTerrainHeightmap } from '../../utils/heightmapUtils';
+import { decodeScatterLayers } from '../../utils/scatterUtils';
+import { groupInstancedObjects } from '../../utils/instancingUtils';
+import { getTerrainLayout, getTerrainDimensions } from '../../utils/terrainChunks';
+import { getWaterZones } from '../../utils/waterUtils';
 
 /**
  * Componente que carga y renderiza un nivel completo desde un archivo JSON
+ * Los modelos repetidos sin componentes se dibujan con instancing (ver groupInstancedObjects);
+ * el editor sigue usando un objeto por entrada, así la selección individual no cambia
+ * Los controladores de jugador reciben las zonas de agua del nivel para nadar en ellas y los
+ * cuerpos dinámicos flotan en ellas (ver WaterBuoyancy)
+ * Los modelos que descienden de un jugador se cuelgan de él (ver ParentAttachment) y lo siguen
+ * al moverse; se dibujan sin collider porque un cuerpo fijo no puede acompañar al padre
  * @param {Object} props - Props del componente
  * @param {string} props.levelPath - Ruta al archivo JSON del nivel (ej: '/levels/level1.json')
  * @param {Object} props.levelData - Datos del nivel directamente (opcional, alternativa a levelPath)
+ * @param {Function} props.onLevelComplete - Callback cuando el jugador entra en un collider con el tag Finish
  */
-export const LevelLoader = ({ levelPath, levelData }) => {
+export const LevelLoader = ({ levelPath, levelData, onLevelComplete }) => {
   // Si se proporciona levelData directamente, usarlo
   // Si no, cargar desde levelPath usando el hook
-  const { levelData: loadedLevelData, loading, error } = useLevel(levelPath);
+  const { levelData: loadedLevelData, loading, error } = useLevel(levelData ? null : levelPath);
   const level = levelData || loadedLevelData;
 
-  if (loading) {
+  // El jugador empieza en el punto de aparición (tag Respawn) si el nivel tiene uno
+  // Los hijos guardan transformaciones relativas a su padre: se resuelven a coordenadas de mundo
+  const levelObjects = useMemo(() => resolveWorldTransforms(applySpawnPoint(level?.objects)), [level]);
+  const finishZones = useMemo(() => getFinishZones(levelObjects), [levelObjects]);
+  const waterZones = useMemo(() => getWaterZones(levelObjects), [levelObjects]);
+  const playerIds = useMemo(
+    () => (levelObjects || []).filter(isPlayerObject).map((obj) => obj.id),
+    [levelObjects]
+  );
+
+  // Modelos que siguen a un jugador ancestro: id del modelo -> id del jugador más cercano
+  const attachedToPlayer = useMemo(() => {
+    const attached = new Map();
+    if (!levelObjects?.some((obj) => obj?.parentId)) return attached;
+    const objectsById = buildObjectMap(levelObjects);
+    levelObjects.forEach((obj) => {
+      if (!obj?.model || obj.type === 'collider' || obj.type === 'camera' || obj.type === 'water' || isPlayerObject(obj)) return;
+      const player = findAncestor(obj, objectsById, isPlayerObject);
+      if (player) {
+        attached.set(obj.id, player.id);
+      }
+    });
+    return attached;
+  }, [levelObjects]);
+
+  // Modelos repetidos: una llamada de dibujo por modelo y celda del mapa en lugar de una por objeto
+  const instancing = useMemo(
+    () => groupInstancedObjects(
+      (levelObjects || []).filter((obj, index) => validateObject(obj, index).valid && !attachedToPlayer.has(obj.id))
+    ),
+    [levelObjects, attachedToPlayer]
+  );
+
+  // Vegetación del pincel de dispersión: se apoya en el mismo terreno que dibuja Terrain
+  const scatter = useMemo(() => {
+    try {
+      const layout = getTerrainLayout(level?.terrain);
+      return {
+        layers: decodeScatterLayers(level?.scatter),
+        heightmap: getTerrainHeightmap(level?.terrain, getTerrainDimensions(layout).segments),
+        layout,
+      };
+    } catch {
+      // Vegetación o terreno dañados: el nivel se juega sin vegetación
+      return { layers: [], heightmap: null, layout: TERRAIN_CONFIG.DEFAULT_LAYOUT };
+    }
+  }, [level]);
+
+  // El estado de carga solo aplica cuando el nivel se carga desde levelPath
+  if (!levelData && loading) {
     return null; // O puedes mostrar un indicador de carga
   }
 
-  if (error) {
+  if (!levelData && error) {
     return null;
   }
 
@@ -29,20 +99,44 @@ export const LevelLoader = ({ levelPath, levelData }) => {
     return null;
   }
 
-  // Si no hay objetos, retornar null sin error
-  if (level.objects.length === 0) {
+  // Si no hay objetos ni vegetación, retornar null sin error
+  if (level.objects.length === 0 && scatter.layers.length === 0) {
     return null;
   }
 
   return (
     <>
-      {level.objects.map((obj, index) => {
+      <ScatterLayers layers={scatter.layers} heightmap={scatter.heightmap} layout={scatter.layout} />
+      {waterZones.length > 0 && <WaterBuoyancy waterZones={waterZones} />}
+      {onLevelComplete && finishZones.length > 0 && (
+        <FinishTrigger zones={finishZones} playerIds={playerIds} onEnter={onLevelComplete} />
+      )}
+      {instancing.batches.map((batch) => (
+        <InstancedSceneObjects
+          key={batch.key}
+          model={batch.model}
+          objects={batch.objects}
+          castShadow={batch.castShadow}
+          receiveShadow={batch.receiveShadow}
+        />
+      ))}
+      {levelObjects.map((obj, index) => {
         // Validar que el objeto tenga las propiedades mínimas
         const validation = validateObject(obj, index);
         if (!validation.valid) {
           return null;
         }
 
+        // Ya dibujado como instancia de su modelo
+        if (instancing.instancedIds.has(obj.id)) {
+          return null;
+        }
+
+        // Si es una masa de agua, renderizar su superficie (el nado usa waterZones)
+        if (obj.type === 'water') {
+          return <WaterBody key={`water-${index}-${obj.id}`} water={obj} />;
+        }
+
         // Si es una cámara, renderizar CameraComponent
         if (obj.type === 'camera') {
           return (
@@ -78,12 +172,14 @@ export const LevelLoader = ({ levelPath, levelData }) => {
               position={colliderPosition}
               scale={colliderScale}
               rotation={colliderRotation}
-              isTrigger={obj.isTrigger || false}
-              isSensor={obj.isSensor || false}
+              // La meta nunca bloquea al jugador
+              isTrigger={obj.isTrigger || obj.tag === LEVEL_FLOW.FINISH_TAG}
+              isSensor={obj.isSensor || obj.tag === LEVEL_FLOW.FINISH_TAG}
               physicsMaterial={obj.physicsMaterial || COLLIDER_CONFIG.DEFAULT_PHYSICS_MATERIAL}
               visibleInGame={obj.visibleInGame || false}
               components={obj.components || []}
               componentProps={obj.componentProps || {}}
+              waterZones={waterZones}
             />
           );
           } catch (error) {
@@ -96,7 +192,8 @@ export const LevelLoader = ({ levelPath, levelData }) => {
           return null;
         }
         
-        return (
+        const attachedPlayerId = attachedToPlayer.get(obj.id);
+        const sceneObject = (
           <SceneObject
             key={`${obj.model}-${index}-${obj.id}`} // Incluir ID en la key para evitar problemas de re-render
             objectId={obj.id} // Pasar el ID del objeto (CRÍTICO para que las cámaras lo encuentren)
@@ -106,12 +203,23 @@ export const LevelLoader = ({ levelPath, levelData }) => {
             rotation={obj.rotation || OBJECT_CONFIG.DEFAULT_ROTATION}
             castShadow={obj.castShadow !== false}
             receiveShadow={obj.receiveShadow !== false}
-            hasCollider={obj.hasCollider !== false}
+            hasCollider={obj.hasCollider !== false && !attachedPlayerId}
             colliderScale={obj.colliderScale || OBJECT_CONFIG.DEFAULT_COLLIDER_SCALE}
             components={obj.components || []}
             componentProps={obj.componentProps || {}}
+            lod={obj.lod}
+            waterZones={waterZones}
           />
         );
+
+        if (attachedPlayerId) {
+          return (
+            <ParentAttachment key={`attached-${index}-${obj.id}`} parentId={attachedPlayerId}>
+              {sceneObject}
+            </ParentAttachment>
+          );
+        }
+        return sceneObject;
       })}
     </>
   );
@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { fetchLevelManifest } from '../../utils/levelManifest';
+
+/**
+ * Menú de niveles del modo juego
+ * Lista los niveles del manifiesto (/levels/index.json) para elegir cuál jugar
+ * @param {Object} props
+ * @param {string} props.currentLevel - Nombre del archivo del nivel que se está jugando
+ * @param {Function} props.onSelectLevel - Callback con el nombre del archivo elegido
+ */
+export const LevelMenu = ({ currentLevel, onSelectLevel }) => {
+  const [levels, setLevels] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchLevelManifest().then((manifest) => {
+      if (!cancelled) {
+        setLevels(manifest.levels);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <div className="level-menu">
+      <h3>Niveles</h3>
+      {levels === null && <p className="level-menu-empty">Cargando...</p>}
+      {levels?.length === 0 && <p className="level-menu-empty">No hay niveles en el manifiesto</p>}
+      {levels?.map((level) => (
+        <button
+          key={level.filename}
+          className={level.filename === currentLevel ? 'active' : ''}
+          onClick={() => onSelectLevel(level.filename)}
+        >
+          {level.name}
+          {level.description && (
+            <span className="level-menu-description">{level.description}</span>
+          )}
+        </button>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { createPortal, useFrame } from '@react-three/fiber';
+
+/**
+ * Busca el grupo de un objeto del nivel (el que lleva su objectId en userData)
+ * @param {THREE.Object3D} scene - Escena
+ * @param {string} objectId - ID del objeto
+ * @returns {THREE.Object3D|null} Grupo o null si aún no está montado
+ */
+function findObjectGroup(scene, objectId) {
+  let found = null;
+  scene.traverse((child) => {
+    if (!found && child.userData?.objectId === objectId) {
+      found = child;
+    }
+  });
+  return found;
+}
+
+/**
+ * Hijos de un objeto que se mueve durante el juego (ej: un jugador)
+ * Los hijos llegan con su transformación de mundo de la carga; se cuelgan del grupo del padre
+ * deshaciendo la pose que tenía el padre al encontrarlo, así siguen cualquier movimiento posterior
+ * El padre se busca antes que los demás useFrame del frame, antes de que su controlador lo mueva
+ * @param {Object} props
+ * @param {string} props.parentId - ID del objeto padre
+ * @param {React.ReactNode} props.children - Objetos hijos
+ */
+export const ParentAttachment = ({ parentId, children }) => {
+  const [anchor, setAnchor] = useState(null);
+
+  useFrame(({ scene }) => {
+    // Si el padre se desmonta (ej: al recargar el nivel) se vuelve a buscar
+    if (anchor && anchor.target.parent) return;
+
+    const target = findObjectGroup(scene, parentId);
+    if (!target) {
+      if (anchor) setAnchor(null);
+      return;
+    }
+    target.updateWorldMatrix(true, false);
+    setAnchor({ target, inverseRestMatrix: target.matrixWorld.clone().invert() });
+  }, -1);
+
+  if (!anchor) {
+    return null;
+  }
+
+  return createPortal(
+    <group matrix={anchor.inverseRestMatrix} matrixAutoUpdate={false}>
+      {children}
+    </group>,
+    anchor.target
+  );
+};
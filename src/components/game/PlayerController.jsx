@@ -2,7 +2,8 @@ import { useRef, useEffect } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import { useKeyboardControls } from '@react-three/drei';
 import { usePlayerControls } from '../../hooks/usePlayerControls';
-import { PHYSICS_CONFIG } from '../../constants/gameConstants';
+import { PHYSICS_CONFIG, PLAYER_CONFIG, WATER_CONFIG } from '../../constants/gameConstants';
+import { getWaterZoneAt, getSubmersion, getSwimVelocity } from '../../utils/waterUtils';
 import * as THREE from 'three';
 
 /**
@@ -19,6 +20,7 @@ import * as THREE from 'three';
  * @param {Object} props.rigidBodyRef - Ref al RigidBody si usePhysics es true
  * @param {Object} props.boundingBox - BoundingBox del modelo para calcular altura
  * @param {Array<number>} props.scale - Escala del modelo [x, y, z]
+ * @param {Array} props.waterZones - Zonas de agua (ver getWaterZones): con el cuerpo sumergido se nada
  */
 export const PlayerController = ({
   objectRef,
@@ -29,6 +31,7 @@ export const PlayerController = ({
   rigidBodyRef = null,
   boundingBox = null,
   scale = [1, 1, 1],
+  waterZones = [],
 }) => {
   const { camera, scene } = useThree();
   
@@ -40,6 +43,7 @@ export const PlayerController = ({
   const currentRotation = useRef(new THREE.Euler(0, 0, 0));
   const velocity = useRef(new THREE.Vector3(0, 0, 0)); // Inicializar velocidad Y a 0
   const isGrounded = useRef(false);
+  const hasGroundBelow = useRef(false); // El último raycast de suelo encontró superficie (sin el fallback por velocidad)
   const initialized = useRef(false);
   
   // Calcular altura del objeto (desde el centro del bounding box hasta la base)
@@ -133,6 +137,7 @@ export const PlayerController = ({
     });
     
     // Si hay un hit válido y la velocidad Y es cercana a 0 o negativa, está en el suelo
+    hasGroundBelow.current = validHits.length > 0;
     if (validHits.length > 0) {
       const closestHit = validHits[0];
       // Está en el suelo si la distancia es pequeña y la velocidad Y es <= 0.1
@@ -180,6 +185,14 @@ export const PlayerController = ({
       checkGrounded();
     }
 
+    // Nado: con el cuerpo sumergido a partir de SWIM_DEPTH la flotación sustituye a la gravedad
+    const bodyPosition = usePhysics ? rigidBodyRef.current.translation() : currentPosition.current;
+    const halfHeight = objectHeight.current > 0 ? objectHeight.current : PLAYER_CONFIG.HEIGHT / 2;
+    const waterZone = getWaterZoneAt(waterZones, bodyPosition.x, bodyPosition.y + halfHeight, bodyPosition.z);
+    const submersion = getSubmersion(waterZone, bodyPosition.y, halfHeight);
+    const isSwimming = submersion >= WATER_CONFIG.SWIM_DEPTH;
+    const moveSpeed = isSwimming ? speed * WATER_CONFIG.SWIM_SPEED_FACTOR : speed;
+
     // Leer controles de teclado
     const keyboardState = get();
     const forward = keyboardState.forward || false;
@@ -247,36 +260,44 @@ export const PlayerController = ({
       // Con kinematicPositionBased, debemos usar setTranslation en lugar de setLinvel
       // Calcular movimiento horizontal basado en la dirección y velocidad
       const horizontalMovement = new THREE.Vector3(
-        moveDirection.x * speed * delta,
+        moveDirection.x * moveSpeed * delta,
         0,
-        moveDirection.z * speed * delta
+        moveDirection.z * moveSpeed * delta
       );
       
       // GRAVEDAD MANUAL: Aplicar gravedad solo cuando no está en el suelo
       // Con kinematicPositionBased, debemos aplicar gravedad manualmente usando setTranslation
       let verticalMovement = 0;
       
-      // Actualizar velocidad Y interna para tracking
-      if (isGrounded.current) {
-        // Si está en el suelo y no está saltando, mantener velocidad Y en 0
-        if (!jump && velocity.current.y <= 0) {
+      if (isSwimming) {
+        // En el agua: flotación, impulso hacia arriba con salto y frenado (el fondo detiene la bajada)
+        velocity.current.y = getSwimVelocity(velocity.current.y, waterZone, submersion, jump, delta);
+        if (hasGroundBelow.current && velocity.current.y < 0) {
           velocity.current.y = 0;
         }
       } else {
-        // Si no está en el suelo, aplicar gravedad manualmente
-        velocity.current.y -= PHYSICS_CONFIG.GRAVITY_STRENGTH * delta;
-      }
-      
-      // Manejar salto: aplicar fuerza de salto cuando se presiona la tecla y está en el suelo
-      if (jump && isGrounded.current && velocity.current.y <= 0) {
-        // Fuerza de salto (ajustar según necesidad, típicamente 5-8 unidades/segundo)
-        velocity.current.y = 5; // Valor de salto razonable
+        // Actualizar velocidad Y interna para tracking
+        if (isGrounded.current) {
+          // Si está en el suelo y no está saltando, mantener velocidad Y en 0
+          if (!jump && velocity.current.y <= 0) {
+            velocity.current.y = 0;
+          }
+        } else {
+          // Si no está en el suelo, aplicar gravedad manualmente
+          velocity.current.y -= PHYSICS_CONFIG.GRAVITY_STRENGTH * delta;
+        }
+        
+        // Manejar salto: aplicar fuerza de salto cuando se presiona la tecla y está en el suelo
+        if (jump && isGrounded.current && velocity.current.y <= 0) {
+          // Fuerza de salto (ajustar según necesidad, típicamente 5-8 unidades/segundo)
+          velocity.current.y = 5; // Valor de salto razonable
+        }
+        
+        // Limitar velocidad Y hacia abajo para evitar caídas infinitamente rápidas
+        const MAX_FALL_VELOCITY = -20; // Velocidad máxima de caída
+        velocity.current.y = Math.max(MAX_FALL_VELOCITY, velocity.current.y);
       }
       
-      // Limitar velocidad Y hacia abajo para evitar caídas infinitamente rápidas
-      const MAX_FALL_VELOCITY = -20; // Velocidad máxima de caída
-      velocity.current.y = Math.max(MAX_FALL_VELOCITY, velocity.current.y);
-      
       // Calcular movimiento vertical basado en la velocidad Y
       verticalMovement = velocity.current.y * delta;
       
@@ -322,28 +343,36 @@ export const PlayerController = ({
       }
       
       // Calcular movimiento horizontal
-      const horizontalMovement = moveDirection.multiplyScalar(speed * delta);
+      const horizontalMovement = moveDirection.multiplyScalar(moveSpeed * delta);
       
-      // Aplicar gravedad manualmente también en modo sin física
-      if (isGrounded.current) {
-        // Si está en el suelo y no está saltando, mantener velocidad Y en 0
-        if (!jump && velocity.current.y <= 0) {
+      if (isSwimming) {
+        // En el agua: flotación, impulso hacia arriba con salto y frenado (el fondo detiene la bajada)
+        velocity.current.y = getSwimVelocity(velocity.current.y, waterZone, submersion, jump, delta);
+        if (hasGroundBelow.current && velocity.current.y < 0) {
           velocity.current.y = 0;
         }
       } else {
-        // Si no está en el suelo, aplicar gravedad manualmente
-        velocity.current.y -= PHYSICS_CONFIG.GRAVITY_STRENGTH * delta;
-      }
-      
-      // Manejar salto
-      if (jump && isGrounded.current && velocity.current.y <= 0) {
-        velocity.current.y = 5; // Fuerza de salto
+        // Aplicar gravedad manualmente también en modo sin física
+        if (isGrounded.current) {
+          // Si está en el suelo y no está saltando, mantener velocidad Y en 0
+          if (!jump && velocity.current.y <= 0) {
+            velocity.current.y = 0;
+          }
+        } else {
+          // Si no está en el suelo, aplicar gravedad manualmente
+          velocity.current.y -= PHYSICS_CONFIG.GRAVITY_STRENGTH * delta;
+        }
+        
+        // Manejar salto
+        if (jump && isGrounded.current && velocity.current.y <= 0) {
+          velocity.current.y = 5; // Fuerza de salto
+        }
+        
+        // Limitar velocidad Y hacia abajo
+        const MAX_FALL_VELOCITY = -20;
+        velocity.current.y = Math.max(MAX_FALL_VELOCITY, velocity.current.y);
       }
       
-      // Limitar velocidad Y hacia abajo
-      const MAX_FALL_VELOCITY = -20;
-      velocity.current.y = Math.max(MAX_FALL_VELOCITY, velocity.current.y);
-      
       // Calcular movimiento vertical
       const verticalMovement = velocity.current.y * delta;
       
@@ -369,6 +398,7 @@ export const PlayerController = ({
           return !intersect.object.userData?.isPlayer && intersect.distance < groundCheckDistance;
         });
         
+        hasGroundBelow.current = validHits.length > 0;
         if (validHits.length > 0) {
           const closestHit = validHits[0];
           isGrounded.current = closestHit.distance < groundCheckDistance && velocity.current.y <= 0.1;
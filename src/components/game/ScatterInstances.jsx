@@ -0,0 +1,75 @@
+import { Suspense, useMemo } from 'react';
+import { useGLTF } from '@react-three/drei';
+import * as THREE from 'three';
+import { InstancedModel } from './InstancedModel';
+import { getTerrainHeightAtWorldPosition } from '../../utils/heightmapUtils';
+import { getModelParts } from '../../utils/instancingUtils';
+import { getTerrainDimensions } from '../../utils/terrainChunks';
+import { SCATTER_CONFIG, TERRAIN_CONFIG } from '../../constants/gameConstants';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Instancias de un modelo de vegetación (una capa del pincel de dispersión)
+ * Se dibujan con InstancedModel. Igual que SceneObject, la base del modelo queda
+ * apoyada en el terreno (Y = altura del terreno - minY * escala). No tienen física
+ * @param {Object} props
+ * @param {string} props.model - Ruta al archivo GLB
+ * @param {Float32Array} props.instances - Instancias [x, z, giroY, escala, ...]
+ * @param {Float32Array|null} props.heightmap - Heightmap del terreno
+ * @param {Object} props.layout - Distribución de chunks del terreno (ver getTerrainLayout)
+ * @param {boolean} props.castShadow - Si las instancias proyectan sombras (opcional, por defecto true)
+ * @param {boolean} props.receiveShadow - Si las instancias reciben sombras (opcional, por defecto true)
+ */
+export const ScatterLayer = ({
+  model,
+  instances,
+  heightmap = null,
+  layout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  castShadow = true,
+  receiveShadow = true,
+}) => {
+  const { scene } = useGLTF(model);
+  const { parts, bounds } = useMemo(() => getModelParts(scene), [scene]);
+
+  const matrices = useMemo(() => {
+    const { segments, size } = getTerrainDimensions(layout);
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const result = [];
+
+    for (let offset = 0; offset < instances.length; offset += SCATTER_CONFIG.STRIDE) {
+      const x = instances[offset];
+      const z = instances[offset + 1];
+      const instanceScale = instances[offset + 3];
+      const terrainHeight = getTerrainHeightAtWorldPosition(heightmap, segments, size, x, z);
+
+      position.set(x, terrainHeight - bounds.min.y * instanceScale, z);
+      quaternion.setFromAxisAngle(UP, instances[offset + 2]);
+      scale.setScalar(instanceScale);
+      result.push(new THREE.Matrix4().compose(position, quaternion, scale));
+    }
+    return result;
+  }, [bounds, instances, heightmap, layout]);
+
+  return (
+    <InstancedModel parts={parts} matrices={matrices} castShadow={castShadow} receiveShadow={receiveShadow} />
+  );
+};
+
+/**
+ * Todas las capas de vegetación de un nivel
+ * Cada capa carga su modelo por separado para no bloquear el resto de la escena
+ * @param {Object} props
+ * @param {Array} props.layers - Capas [{ model, instances }]
+ * @param {Float32Array|null} props.heightmap - Heightmap del terreno
+ * @param {Object} props.layout - Distribución de chunks del terreno (ver getTerrainLayout)
+ */
+export const ScatterLayers = ({ layers, heightmap = null, layout = TERRAIN_CONFIG.DEFAULT_LAYOUT }) => {
+  return layers.map((layer) => (
+    <Suspense key={layer.model} fallback={null}>
+      <ScatterLayer model={layer.model} instances={layer.instances} heightmap={heightmap} layout={layout} />
+    </Suspense>
+  ));
+};
@@ -4,9 +4,11 @@ import { Sky, KeyboardControls } from '@react-three/drei';
 import { Terrain } from './Terrain';
 import { Player } from './Player';
 import { LevelLoader } from './LevelLoader';
+import { UnderwaterEffect, UnderwaterFog } from './Underwater';
+import { useLevel } from '../../hooks/useLevel';
 import { EffectComposer, Bloom } from '@react-three/postprocessing';
 import { useThree } from '@react-three/fiber';
-import { useEffect } from 'react';
+import { useEffect, useMemo } from 'react';
 import {
   PHYSICS_CONFIG,
   LIGHTING_CONFIG,
@@ -14,7 +16,11 @@ import {
   CAMERA_CONFIG,
   POSTPROCESSING_CONFIG,
   PLAYER_CONFIG,
+  LEVEL_FILES,
+  KEYBOARD_MAP,
 } from '../../constants/gameConstants';
+import { resolveWorldTransforms } from '../../utils/hierarchyUtils';
+import { getWaterZones } from '../../utils/waterUtils';
 
 // Componente que configura la cámara inicial si no hay cámara activa
 const DefaultCameraSetup = () => {
@@ -46,31 +52,20 @@ const DefaultCameraSetup = () => {
 };
 
 /**
- * Mapa de controles de teclado
+ * Contenido del mundo de juego: iluminación, cielo, física, terreno, objetos del nivel y post-procesamiento
+ * Se usa dentro de un Canvas, tanto en el modo juego como al probar el nivel desde el editor
+ * Con la cámara dentro de una masa de agua se añaden niebla y un efecto de post-procesado
+ * @param {Object} props
+ * @param {Object|null} props.levelData - Datos del nivel
+ * @param {boolean} props.loading - Si el nivel aún se está cargando (no se monta el terreno)
+ * @param {string} props.worldKey - Al cambiar se recrea el mundo físico
+ * @param {Function} props.onLevelComplete - Callback cuando el jugador llega a la meta
  */
-const keyboardMap = [
-  { name: 'forward', keys: ['KeyW', 'ArrowUp'] },
-  { name: 'backward', keys: ['KeyS', 'ArrowDown'] },
-  { name: 'left', keys: ['KeyA', 'ArrowLeft'] },
-  { name: 'right', keys: ['KeyD', 'ArrowRight'] },
-  { name: 'jump', keys: ['Space'] },
-];
+export const GameWorld = ({ levelData, loading = false, worldKey, onLevelComplete }) => {
+  const waterZones = useMemo(() => getWaterZones(resolveWorldTransforms(levelData?.objects)), [levelData]);
 
-/**
- * Componente principal de la escena del juego
- * Configura el Canvas, física, iluminación y elementos del juego
- */
-export const GameScene = () => {
   return (
-    <KeyboardControls map={keyboardMap}>
-      <Canvas
-        shadows
-        camera={{ 
-          position: [0, 40, 60], // Vista aérea del terreno completo por defecto (si no hay cámara activa)
-          fov: CAMERA_CONFIG.GAME_FOV
-        }}
-        style={{ width: '100vw', height: '100vh' }}
-      >
+    <>
       {/* Iluminación - sincronizada con la posición del sol */}
       <ambientLight intensity={LIGHTING_CONFIG.AMBIENT_INTENSITY} />
       <directionalLight
@@ -102,23 +97,74 @@ export const GameScene = () => {
       {/* Configurar cámara inicial si no hay cámara activa */}
       <DefaultCameraSetup />
 
-      {/* Física */}
-      <Physics gravity={PHYSICS_CONFIG.GRAVITY}>
-        {/* Terreno con colisión */}
-        <Terrain />
+      {/* Física: un mundo nuevo por nivel, así los cuerpos del nivel anterior se desmontan */}
+      <Physics key={worldKey} gravity={PHYSICS_CONFIG.GRAVITY}>
+        {/* Terreno con colisión (procedural si el nivel no tiene uno guardado) */}
+        {!loading && <Terrain levelData={levelData} />}
 
         {/* NOTA: El Player por defecto ha sido eliminado.
             El usuario debe agregar una cámara activa desde el editor para controlar la vista.
             Si necesita un personaje con física, debe agregar un collider cilíndrico con una cámara activa. */}
 
-        {/* Cargar nivel desde JSON */}
-        <LevelLoader levelPath="/levels/level1.json" />
+        {/* Objetos del nivel */}
+        {levelData && (
+          <LevelLoader
+            levelData={levelData}
+            onLevelComplete={onLevelComplete}
+          />
+        )}
       </Physics>
 
+      {/* Bajo el agua: niebla de la zona y post-procesado */}
+      {waterZones.length > 0 && <UnderwaterFog zones={waterZones} />}
+
       {/* Efectos post-procesamiento */}
       <EffectComposer>
         <Bloom intensity={POSTPROCESSING_CONFIG.BLOOM_INTENSITY} />
+        {waterZones.length > 0 && <UnderwaterEffect zones={waterZones} />}
       </EffectComposer>
+    </>
+  );
+};
+
+/**
+ * Componente principal de la escena del juego
+ * Configura el Canvas, física, iluminación y elementos del juego
+ * El terreno y los objetos salen de los mismos datos del nivel (copia local del editor o archivo)
+ * @param {string} levelFilename - Nombre del archivo del nivel a jugar
+ * @param {number} attempt - Cambia al reiniciar el nivel (recrea el mundo físico aunque el nivel sea el mismo)
+ * @param {Function} onLevelComplete - Callback con el nombre del archivo cuando el jugador llega a la meta
+ */
+export const GameScene = ({ levelFilename = LEVEL_FILES.DEFAULT_LEVEL, attempt = 0, onLevelComplete }) => {
+  const { levelData, loading, error } = useLevel(`${LEVEL_FILES.DIRECTORY}/${levelFilename}`);
+
+  return (
+    <KeyboardControls map={KEYBOARD_MAP}>
+      {loading && (
+        <div className="level-loading">
+          <div className="level-loading-spinner" />
+          <p>Cargando {levelFilename}...</p>
+        </div>
+      )}
+      {error && (
+        <div className="level-error">
+          ⚠️ No se pudo cargar {levelFilename}: {error}
+        </div>
+      )}
+      <Canvas
+        shadows
+        camera={{ 
+          position: [0, 40, 60], // Vista aérea del terreno completo por defecto (si no hay cámara activa)
+          fov: CAMERA_CONFIG.GAME_FOV
+        }}
+        style={{ width: '100vw', height: '100vh' }}
+      >
+        <GameWorld
+          levelData={levelData}
+          loading={loading}
+          worldKey={`${levelFilename}:${attempt}`}
+          onLevelComplete={onLevelComplete ? () => onLevelComplete(levelFilename) : undefined}
+        />
       </Canvas>
     </KeyboardControls>
   );
@@ -1,11 +1,34 @@
-import { useGLTF } from '@react-three/drei';
+import { useGLTF, Detailed } from '@react-three/drei';
 import { RigidBody, CuboidCollider } from '@react-three/rapier';
 import { useMemo, useEffect, useRef } from 'react';
-import { OBJECT_CONFIG } from '../../constants/gameConstants';
+import { OBJECT_CONFIG, LOD_CONFIG } from '../../constants/gameConstants';
 import { degreesToRadians } from '../../utils/mathUtils';
+import { getLodLevels, createLodScene } from '../../utils/lodUtils';
 import { PlayerController } from './PlayerController';
 import * as THREE from 'three';
 
+/**
+ * Nivel de LOD de un modelo: otro GLB o una versión simplificada del modelo base
+ * Se coloca igual que el modelo base (los GLB alternativos deben compartir su origen)
+ */
+const LodLevelModel = ({ model, simplify, previewLevel, scale, rotation, castShadow, receiveShadow }) => {
+  const { scene } = useGLTF(model);
+  const levelScene = useMemo(
+    () => createLodScene(scene, { simplify, previewLevel }),
+    [scene, simplify, previewLevel]
+  );
+
+  return (
+    <primitive
+      object={levelScene}
+      scale={scale}
+      rotation={rotation}
+      castShadow={castShadow}
+      receiveShadow={receiveShadow}
+    />
+  );
+};
+
 /**
  * Componente genérico para cargar y mostrar cualquier modelo GLB
  * @param {Object} props - Props del componente
@@ -21,6 +44,9 @@ import * as THREE from 'three';
  * @param {Array<string>} props.components - Lista de componentes activos (ej: ['playerController']) (opcional)
  * @param {Object} props.componentProps - Propiedades de los componentes (opcional)
  * @param {string} props.objectId - ID del objeto para identificación (opcional)
+ * @param {Array} props.lod - Niveles de LOD [{ distance, model }] o [{ distance, simplify }] (opcional, ver lodUtils)
+ * @param {boolean} props.lodPreview - Colorea cada nivel de LOD según LOD_CONFIG.PREVIEW_COLORS (vista previa del editor)
+ * @param {Array} props.waterZones - Zonas de agua en las que nada el PlayerController (ver getWaterZones)
  */
 export const SceneObject = ({ 
   model,
@@ -34,7 +60,10 @@ export const SceneObject = ({
   colliderScale = OBJECT_CONFIG.DEFAULT_COLLIDER_SCALE,
   components = [],
   componentProps = {},
-  objectId = null
+  objectId = null,
+  lod = [],
+  lodPreview = false,
+  waterZones = [],
 }) => {
   const objectGroupRef = useRef(null);
   const rigidBodyRef = useRef(null);
@@ -48,6 +77,13 @@ export const SceneObject = ({
   // Clonar la escena para evitar problemas con múltiples instancias
   const clonedScene = useMemo(() => scene.clone(), [scene]);
 
+  // Niveles de detalle: el modelo base es el nivel 0 (distancia 0)
+  const lodLevels = useMemo(() => getLodLevels(lod), [lod]);
+  const previewScene = useMemo(
+    () => (lodPreview ? createLodScene(scene, { previewLevel: 0 }) : null),
+    [scene, lodPreview]
+  );
+
   // Calcular el bounding box del modelo para posicionarlo correctamente
   const boundingBox = useMemo(() => {
     const box = new THREE.Box3().setFromObject(clonedScene);
@@ -100,9 +136,9 @@ export const SceneObject = ({
     });
   }, [clonedScene]);
 
-  const objectContent = (
+  const modelContent = (
     <primitive 
-      object={clonedScene} 
+      object={previewScene || clonedScene} 
       scale={scale}
       rotation={rotationInRadians}
       castShadow={castShadow}
@@ -110,12 +146,38 @@ export const SceneObject = ({
     />
   );
 
+  // Con niveles de LOD (o en la vista previa) el nivel visible depende de la distancia a la cámara
+  const objectContent = lodLevels.length > 0 || lodPreview ? (
+    <Detailed distances={[0, ...lodLevels.map((level) => level.distance)]} hysteresis={LOD_CONFIG.HYSTERESIS}>
+      {modelContent}
+      {lodLevels.map((level, index) => (
+        <LodLevelModel
+          key={`${index}-${level.distance}`}
+          model={level.model || model}
+          simplify={level.simplify}
+          previewLevel={lodPreview ? index + 1 : null}
+          scale={scale}
+          rotation={rotationInRadians}
+          castShadow={castShadow}
+          receiveShadow={receiveShadow}
+        />
+      ))}
+    </Detailed>
+  ) : modelContent;
+
   // Si tiene PlayerController, usar kinematicPositionBased para control total del movimiento
   const rigidBodyType = hasPlayerController ? 'kinematicPositionBased' : 'fixed';
 
   // Configurar userData para identificación (para cámaras que siguen objetos)
   useEffect(() => {
     if (objectId) {
+      // Marcar el grupo en cuanto se monta: los hijos de un jugador lo buscan en su primer frame
+      // (ver ParentAttachment), antes de que el PlayerController lo mueva
+      if (objectGroupRef.current) {
+        objectGroupRef.current.userData.objectId = objectId;
+        objectGroupRef.current.userData.hasPhysics = hasCollider;
+        objectGroupRef.current.userData.rigidBodyRef = rigidBodyRef;
+      }
       // Usar un pequeño delay para asegurar que el RigidBody esté montado
       const timer = setTimeout(() => {
         // Marcar el RigidBody si existe y tiene userData
@@ -127,16 +189,6 @@ export const SceneObject = ({
           rigidBodyRef.current.userData.objectId = objectId;
           rigidBodyRef.current.userData.hasPhysics = true;
         }
-        // Marcar el grupo también
-        if (objectGroupRef.current) {
-          // Asegurar que userData existe antes de asignar
-          if (!objectGroupRef.current.userData) {
-            objectGroupRef.current.userData = {};
-          }
-          objectGroupRef.current.userData.objectId = objectId;
-          objectGroupRef.current.userData.hasPhysics = hasCollider;
-          objectGroupRef.current.userData.rigidBodyRef = rigidBodyRef;
-        }
       }, 100);
       
       return () => clearTimeout(timer);
@@ -178,6 +230,7 @@ export const SceneObject = ({
           speed={playerControllerProps.speed || 5}
           enabled={playerControllerProps.enabled !== false}
           usePhysics={false} // Sin física, solo movimiento directo
+          waterZones={waterZones}
         />
       </group>
     );
@@ -1,31 +1,34 @@
-import { useState, useEffect } from 'react';
+import { useMemo } from 'react';
 import { TerrainGenerator } from '../terrain/TerrainGenerator';
 import { TERRAIN_CONFIG } from '../../constants/gameConstants';
 import { generateProceduralTerrain } from '../../utils/noise/TerrainGenerator';
-import { loadLevelFromStorage } from '../../utils/storageUtils';
+import { getTerrainHeightmap } from '../../utils/heightmapUtils';
+import { getTerrainLayout, getTerrainDimensions } from '../../utils/terrainChunks';
+import { decodeSplatMap } from '../../utils/terrainMaterial';
 
 /**
  * Componente de terreno para el juego
  * Usa el nuevo sistema de heightmap con elevaciones
+ * Con física (modo juego) solo se construyen los chunks cercanos a la cámara activa y, para los
+ * colliders, también los que rodean a cada cuerpo físico
  * @param {boolean} hasPhysics - Si es false, no incluye física (útil para editor)
- * @param {string} levelFilename - Nombre del archivo del nivel para cargar heightmap guardado
+ * @param {Object} levelData - Datos del nivel con el heightmap y el splat map guardados (los mismos que usa LevelLoader)
  */
-export const Terrain = ({ hasPhysics = true, levelFilename = 'level1.json' }) => {
-  const [heightmap, setHeightmap] = useState(null);
-
-  // Cargar heightmap del nivel o generar uno por defecto
-  useEffect(() => {
-    // Intentar cargar heightmap guardado del nivel
-    try {
-      const levelData = loadLevelFromStorage(levelFilename);
-      if (levelData && levelData.terrain && levelData.terrain.heightmap) {
-        // Convertir array normal a Float32Array
-        const savedHeightmap = new Float32Array(levelData.terrain.heightmap);
-        setHeightmap(savedHeightmap);
-        return;
+export const Terrain = ({ hasPhysics = true, levelData = null }) => {
+  // Heightmap guardado en el nivel (copia local o archivo) o uno procedural por defecto
+  const terrain = useMemo(() => {
+    if (levelData?.terrain) {
+      try {
+        const layout = getTerrainLayout(levelData.terrain);
+        const { segments } = getTerrainDimensions(layout);
+        return {
+          heightmap: getTerrainHeightmap(levelData.terrain, segments),
+          layout,
+          splat: decodeSplatMap(levelData.splat, segments),
+        };
+      } catch {
+        // Terreno dañado: se usa el procedural
       }
-    } catch (e) {
-      // No se encontró heightmap guardado, generando uno por defecto
     }
 
     // Generar terreno procedural por defecto
@@ -37,22 +40,17 @@ export const Terrain = ({ hasPhysics = true, levelFilename = 'level1.json' }) =>
       height: TERRAIN_CONFIG.MAX_HEIGHT,
       smoothIterations: TERRAIN_CONFIG.SMOOTH_ITERATIONS,
     });
-    
-    setHeightmap(defaultHeightmap);
-  }, [levelFilename]);
-
-  if (!heightmap) {
-    return null; // Esperar a que se cargue el heightmap
-  }
+    return { heightmap: defaultHeightmap, layout: TERRAIN_CONFIG.DEFAULT_LAYOUT, splat: null };
+  }, [levelData]);
 
   return (
     <TerrainGenerator
-      heightmap={heightmap}
+      heightmap={terrain.heightmap}
       hasPhysics={hasPhysics}
-      size={TERRAIN_CONFIG.SIZE}
-      segments={TERRAIN_CONFIG.SEGMENTS}
+      layout={terrain.layout}
+      splat={terrain.splat}
       maxHeight={TERRAIN_CONFIG.MAX_HEIGHT}
+      streaming={hasPhysics}
     />
   );
 };
-
@@ -0,0 +1,115 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Effect } from 'postprocessing';
+import * as THREE from 'three';
+import { WATER_CONFIG } from '../../constants/gameConstants';
+import { getUnderwaterZone } from '../../utils/waterUtils';
+
+// Tinte, ondulación y viñeta; strength (0 a 1) los funde al entrar y salir del agua
+// time lo declara el EffectPass para todos los efectos
+const UNDERWATER_SHADER = `
+  uniform float strength;
+  uniform vec3 tint;
+  uniform float tintAmount;
+  uniform float distortion;
+  uniform float vignette;
+
+  void mainUv( inout vec2 uv ) {
+    uv += strength * distortion * vec2( sin( uv.y * 40.0 + time * 2.0 ), cos( uv.x * 32.0 + time * 1.6 ) );
+  }
+
+  void mainImage( const in vec4 inputColor, const in vec2 uv, out vec4 outputColor ) {
+    float luma = dot( inputColor.rgb, vec3( 0.2126, 0.7152, 0.0722 ) );
+    vec3 color = mix( inputColor.rgb, tint * ( 0.4 + luma ), tintAmount * strength );
+    color *= 1.0 - vignette * strength * smoothstep( 0.3, 0.8, distance( uv, vec2( 0.5 ) ) );
+    outputColor = vec4( color, inputColor.a );
+  }
+`;
+
+/**
+ * Efecto de post-procesado para la cámara bajo el agua
+ */
+class UnderwaterEffectImpl extends Effect {
+  constructor() {
+    super('UnderwaterEffect', UNDERWATER_SHADER, {
+      uniforms: new Map([
+        ['strength', new THREE.Uniform(0)],
+        ['tint', new THREE.Uniform(new THREE.Color(WATER_CONFIG.DEFAULT_FOG_COLOR))],
+        ['tintAmount', new THREE.Uniform(WATER_CONFIG.UNDERWATER_TINT)],
+        ['distortion', new THREE.Uniform(WATER_CONFIG.UNDERWATER_DISTORTION)],
+        ['vignette', new THREE.Uniform(WATER_CONFIG.UNDERWATER_VIGNETTE)],
+      ]),
+    });
+  }
+}
+
+/**
+ * Post-procesado bajo el agua: se usa dentro del EffectComposer
+ * Tiñe la imagen con el color de niebla de la zona en la que está la cámara
+ * @param {Object} props
+ * @param {Array<Object>} props.zones - Zonas de agua (ver getWaterZones)
+ */
+export const UnderwaterEffect = ({ zones }) => {
+  const effectRef = useRef(null);
+  const effect = useMemo(() => new UnderwaterEffectImpl(), []);
+
+  useEffect(() => () => effect.dispose(), [effect]);
+
+  useFrame((state, delta) => {
+    const uniforms = effectRef.current?.uniforms;
+    if (!uniforms) return;
+
+    const zone = getUnderwaterZone(zones, state.camera.position);
+    if (zone) {
+      uniforms.get('tint').value.set(zone.fogColor);
+    }
+    // Transición corta para que cruzar la superficie no sea un corte brusco
+    const strength = uniforms.get('strength');
+    const target = zone ? 1 : 0;
+    strength.value += (target - strength.value) * Math.min(1, delta * 10);
+  });
+
+  return <primitive ref={effectRef} object={effect} dispose={null} />;
+};
+
+/**
+ * Niebla bajo el agua: mientras la cámara está sumergida la escena usa una niebla exponencial
+ * con el color y la densidad de la zona; al salir se recupera la niebla anterior
+ * @param {Object} props
+ * @param {Array<Object>} props.zones - Zonas de agua (ver getWaterZones)
+ */
+export const UnderwaterFog = ({ zones }) => {
+  const fogRef = useRef(null);
+  const previousFogRef = useRef(null);
+  const sceneRef = useRef(null);
+
+  useFrame((state) => {
+    const { scene } = state;
+    sceneRef.current = scene;
+    const zone = getUnderwaterZone(zones, state.camera.position);
+    if (!fogRef.current) {
+      fogRef.current = new THREE.FogExp2(WATER_CONFIG.DEFAULT_FOG_COLOR, WATER_CONFIG.DEFAULT_FOG_DENSITY);
+    }
+    const fog = fogRef.current;
+
+    if (zone) {
+      if (scene.fog !== fog) {
+        previousFogRef.current = scene.fog;
+        scene.fog = fog;
+      }
+      fog.color.set(zone.fogColor);
+      fog.density = zone.fogDensity;
+    } else if (scene.fog === fog) {
+      scene.fog = previousFogRef.current;
+    }
+  });
+
+  useEffect(() => () => {
+    const scene = sceneRef.current;
+    if (scene?.fog && scene.fog === fogRef.current) {
+      scene.fog = previousFogRef.current;
+    }
+  }, []);
+
+  return null;
+};
@@ -0,0 +1,57 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { OBJECT_CONFIG, WATER_CONFIG, DEG_TO_RAD } from '../../constants/gameConstants';
+import { createWaterGeometry, createWaterMaterial } from '../../utils/waterMaterial';
+
+const ignoreRaycast = () => null;
+
+/**
+ * Superficie animada de una masa de agua, sin transformación propia (la pone el grupo padre)
+ * En el juego no intercepta rayos: así la detección de suelo del jugador atraviesa el agua
+ * @param {Object} props
+ * @param {Object} props.water - Objeto de agua (ver createNewWater)
+ * @param {boolean} props.raycastable - Si la superficie se puede seleccionar con el ratón (editor)
+ */
+export const WaterSurface = ({ water, raycastable = false }) => {
+  const meshRef = useRef(null);
+
+  const geometry = useMemo(() => createWaterGeometry(water.shape, water.points), [water.shape, water.points]);
+  const material = useMemo(() => createWaterMaterial(water), [water]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame((state) => {
+    if (meshRef.current) {
+      meshRef.current.material.uniforms.time.value = state.clock.elapsedTime;
+    }
+  });
+
+  return (
+    <mesh
+      ref={meshRef}
+      geometry={geometry}
+      material={material}
+      userData={{ isWater: true }}
+      {...(!raycastable && { raycast: ignoreRaycast })}
+    />
+  );
+};
+
+/**
+ * Masa de agua del nivel en el juego
+ * Solo se aplica el giro en Y; la escala Y (profundidad del volumen) no afecta a la superficie
+ * @param {Object} props
+ * @param {Object} props.water - Objeto de agua con transformación de mundo
+ */
+export const WaterBody = ({ water }) => {
+  const position = water.position || OBJECT_CONFIG.DEFAULT_POSITION;
+  const [scaleX, , scaleZ] = water.scale || WATER_CONFIG.DEFAULT_SCALE;
+  const rotationY = (water.rotation?.[1] || 0) * DEG_TO_RAD;
+
+  return (
+    <group position={position} rotation={[0, rotationY, 0]} scale={[scaleX, 1, scaleZ]}>
+      <WaterSurface water={water} />
+    </group>
+  );
+};
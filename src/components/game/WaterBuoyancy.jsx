@@ -0,0 +1,87 @@
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useRapier } from '@react-three/rapier';
+import { applyBuoyancy } from '../../utils/waterUtils';
+
+/**
+ * Altura mínima y máxima de la forma de un collider respecto a su centro (sin giros)
+ * @param {Object} shape - Forma del collider de Rapier
+ * @param {Object} ShapeType - Enum de tipos de forma de Rapier
+ * @returns {{minY: number, maxY: number}|null} Alturas o null si la forma no tiene volumen medible
+ */
+const getShapeExtentY = (shape, ShapeType) => {
+  if (shape.vertices) {
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (let i = 1; i < shape.vertices.length; i += 3) {
+      minY = Math.min(minY, shape.vertices[i]);
+      maxY = Math.max(maxY, shape.vertices[i]);
+    }
+    return Number.isFinite(minY) ? { minY, maxY } : null;
+  }
+
+  let halfHeight;
+  if (shape.halfExtents) {
+    halfHeight = shape.halfExtents.y;
+  } else if (shape.type === ShapeType.Capsule) {
+    halfHeight = shape.halfHeight + shape.radius;
+  } else if (shape.halfHeight !== undefined) {
+    halfHeight = shape.halfHeight;
+  } else if (shape.radius !== undefined) {
+    halfHeight = shape.radius;
+  } else {
+    return null;
+  }
+  const extent = halfHeight + (shape.borderRadius || 0);
+  return { minY: -extent, maxY: extent };
+};
+
+/**
+ * Altura mínima y máxima de un cuerpo respecto a su origen, a partir de sus colliders sólidos
+ * @param {Object} rigidBody - Cuerpo de Rapier
+ * @param {Object} ShapeType - Enum de tipos de forma de Rapier
+ * @returns {{minY: number, maxY: number}|null} Alturas o null si aún no tiene colliders
+ */
+const getBodyBounds = (rigidBody, ShapeType) => {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < rigidBody.numColliders(); i++) {
+    const collider = rigidBody.collider(i);
+    if (collider.isSensor()) continue;
+    const extent = getShapeExtentY(collider.shape, ShapeType);
+    if (!extent) continue;
+    const offsetY = collider.translationWrtParent()?.y ?? 0;
+    minY = Math.min(minY, offsetY + extent.minY);
+    maxY = Math.max(maxY, offsetY + extent.maxY);
+  }
+  return Number.isFinite(minY) ? { minY, maxY } : null;
+};
+
+/**
+ * Flotación de los cuerpos dinámicos del mundo físico en las masas de agua del nivel (modo juego)
+ * Cada frame aplica applyBuoyancy a todos los cuerpos dinámicos; los jugadores son cinemáticos
+ * y nadan con su PlayerController. La altura de cada cuerpo se calcula una vez desde sus colliders
+ * @param {Object} props
+ * @param {Array} props.waterZones - Zonas de agua del nivel (ver getWaterZones)
+ */
+export const WaterBuoyancy = ({ waterZones }) => {
+  const { world, rapier } = useRapier();
+  const boundsRef = useRef(new WeakMap());
+
+  useFrame((state, delta) => {
+    world.forEachRigidBody((rigidBody) => {
+      if (!rigidBody.isDynamic()) return;
+
+      let bounds = boundsRef.current.get(rigidBody);
+      if (!bounds) {
+        // Los colliders se crean justo después del cuerpo: si aún no hay, se reintenta el siguiente frame
+        bounds = getBodyBounds(rigidBody, rapier.ShapeType);
+        if (!bounds) return;
+        boundsRef.current.set(rigidBody, bounds);
+      }
+      applyBuoyancy(rigidBody, waterZones, bounds, delta);
+    });
+  });
+
+  return null;
+};
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Card } from '@/components/ui/card';
+import { Trash2 } from 'lucide-react';
+import { SCATTER_CONFIG, TERRAIN_CONFIG } from '../../constants/gameConstants';
+import { getScatterCount } from '../../utils/scatterUtils';
+import { SettingSlider } from './SettingSlider';
+
+/**
+ * Nombre legible de un modelo a partir de su ruta
+ */
+const getModelName = (model, models) => (
+  models.find((entry) => entry.path === model)?.name || model.split('/').pop()
+);
+
+/**
+ * Pestaña del pincel de dispersión (vegetación) dentro del panel de herramientas
+ * Mientras está abierta, arrastrar sobre el terreno pinta o borra instancias del modelo elegido
+ *
+ * @param {Object} props
+ * @param {Array} props.models - Modelos disponibles [{ name, path }]
+ * @param {Array} props.layers - Capas de vegetación del nivel [{ model, instances }]
+ * @param {Function} props.onSettingsChange - Callback con los ajustes del pincel (null al cerrar la pestaña)
+ * @param {Function} props.onClearLayer - Callback para borrar todas las instancias de un modelo
+ */
+export const ScatterEditorTab = ({
+  models = [],
+  layers = [],
+  onSettingsChange,
+  onClearLayer,
+}) => {
+  const [model, setModel] = useState(null);
+  const [settings, setSettings] = useState(SCATTER_CONFIG.DEFAULT_SETTINGS);
+  // Sin modelo elegido se usa el primero disponible
+  const activeModel = model || models[0]?.path || null;
+
+  const updateSetting = (key) => (value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // Notificar los ajustes del pincel; al cerrar la pestaña el pincel se desactiva
+  useEffect(() => {
+    if (!onSettingsChange) return;
+    onSettingsChange(activeModel ? { ...settings, model: activeModel } : null);
+    return () => onSettingsChange(null);
+  }, [settings, activeModel, onSettingsChange]);
+
+  return (
+    <div className="terrain-editor-tab">
+      <div className="grid grid-cols-3 gap-4">
+        {/* Columna 1: Pincel */}
+        <Card className="p-4 space-y-3 bg-muted/20">
+          <div className="flex items-center gap-2 mb-2">
+            <div className="w-1 h-4 bg-primary rounded-full"></div>
+            <h3 className="text-sm font-semibold">Pincel</h3>
+          </div>
+
+          <div className="space-y-3">
+            <div className="space-y-1.5">
+              <Label className="text-xs font-medium">Modelo</Label>
+              <Select value={activeModel ?? ''} onValueChange={setModel}>
+                <SelectTrigger className="h-8 text-xs">
+                  <SelectValue placeholder="Sin modelos" />
+                </SelectTrigger>
+                <SelectContent>
+                  {models.map((entry) => (
+                    <SelectItem key={entry.path} value={entry.path}>{entry.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-1.5">
+              <Label className="text-xs font-medium">Modo</Label>
+              <Select value={settings.mode} onValueChange={updateSetting('mode')}>
+                <SelectTrigger className="h-8 text-xs">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="paint">Pintar</SelectItem>
+                  <SelectItem value="erase">Borrar</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <SettingSlider
+              label="Tamaño"
+              value={settings.brushSize}
+              onChange={updateSetting('brushSize')}
+              min={1}
+              max={20}
+              step={0.5}
+            />
+            <SettingSlider
+              label="Densidad (por 100 m²)"
+              value={settings.density}
+              onChange={updateSetting('density')}
+              min={0.1}
+              max={20}
+              step={0.1}
+            />
+          </div>
+
+          <p className="text-xs text-muted-foreground pt-2 border-t border-border">
+            Click y arrastra sobre el terreno para {settings.mode === 'erase' ? 'borrar' : 'pintar'} instancias
+          </p>
+        </Card>
+
+        {/* Columna 2: Variación y límites */}
+        <Card className="p-4 space-y-3 bg-muted/20">
+          <div className="flex items-center gap-2 mb-2">
+            <div className="w-1 h-4 bg-primary rounded-full"></div>
+            <h3 className="text-sm font-semibold">Variación y Límites</h3>
+          </div>
+
+          <div className="grid grid-cols-2 gap-x-4 gap-y-3">
+            <SettingSlider
+              label="Escala mín."
+              value={settings.minScale}
+              onChange={updateSetting('minScale')}
+              min={0.1}
+              max={5}
+              step={0.1}
+            />
+            <SettingSlider
+              label="Escala máx."
+              value={settings.maxScale}
+              onChange={updateSetting('maxScale')}
+              min={0.1}
+              max={5}
+              step={0.1}
+            />
+            <SettingSlider
+              label="Giro aleatorio"
+              value={settings.rotationRange}
+              onChange={updateSetting('rotationRange')}
+              min={0}
+              max={360}
+              step={5}
+              format={(v) => `${v}°`}
+            />
+            <SettingSlider
+              label="Pendiente máx."
+              value={settings.maxSlope}
+              onChange={updateSetting('maxSlope')}
+              min={0}
+              max={90}
+              step={1}
+              format={(v) => `${v}°`}
+            />
+            <SettingSlider
+              label="Altura mín."
+              value={settings.minHeight}
+              onChange={updateSetting('minHeight')}
+              min={TERRAIN_CONFIG.MIN_HEIGHT}
+              max={TERRAIN_CONFIG.MAX_HEIGHT}
+              step={0.5}
+            />
+            <SettingSlider
+              label="Altura máx."
+              value={settings.maxHeight}
+              onChange={updateSetting('maxHeight')}
+              min={TERRAIN_CONFIG.MIN_HEIGHT}
+              max={TERRAIN_CONFIG.MAX_HEIGHT}
+              step={0.5}
+            />
+            <SettingSlider
+              label="Separación mín."
+              value={settings.minSpacing}
+              onChange={updateSetting('minSpacing')}
+              min={0}
+              max={10}
+              step={0.5}
+            />
+          </div>
+        </Card>
+
+        {/* Columna 3: Capas del nivel */}
+        <Card className="p-4 space-y-3 bg-muted/20">
+          <div className="flex items-center gap-2 mb-2">
+            <div className="w-1 h-4 bg-primary rounded-full"></div>
+            <h3 className="text-sm font-semibold">Capas</h3>
+          </div>
+
+          {layers.length === 0 ? (
+            <p className="text-xs text-muted-foreground">El nivel no tiene vegetación</p>
+          ) : (
+            <div className="space-y-1">
+              {layers.map((layer) => (
+                <div key={layer.model} className="flex items-center justify-between gap-2 text-xs">
+                  <span className="truncate">{getModelName(layer.model, models)}</span>
+                  <div className="flex items-center gap-1 shrink-0">
+                    <span className="text-muted-foreground">{getScatterCount(layer)}</span>
+                    {onClearLayer && (
+                      <Button
+                        size="icon"
+                        variant="ghost"
+                        className="h-6 w-6"
+                        title="Borrar todas las instancias"
+                        onClick={() => onClearLayer(layer.model)}
+                      >
+                        <Trash2 className="h-3 w-3" />
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="pt-2 border-t border-border">
+            <p className="text-xs text-muted-foreground leading-relaxed">
+              Las instancias siguen al terreno y se dibujan con instancing en el juego
+            </p>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,130 @@
+import { useCallback, useRef, useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+import { Raycaster, Vector2 } from 'three';
+import { paintScatter, eraseScatter } from '../../utils/scatterUtils';
+import { getTerrainDimensions } from '../../utils/terrainChunks';
+import { TERRAIN_CONFIG } from '../../constants/gameConstants';
+
+/**
+ * Componente que maneja el pincel de dispersión dentro del Canvas
+ * Pinta o borra instancias del modelo elegido sobre el terreno mientras se arrastra
+ *
+ * @param {Object} props
+ * @param {Array} props.layers - Capas de vegetación actuales [{ model, instances }]
+ * @param {Float32Array} props.heightmap - Heightmap del terreno (pendiente y altura de cada instancia)
+ * @param {Object} props.layout - Distribución de chunks del terreno (ver getTerrainLayout)
+ * @param {Function} props.onLayersChange - Callback con las nuevas capas en cada pincelada
+ * @param {Function} props.onStrokeStart - Callback al empezar un trazo (mousedown)
+ * @param {Function} props.onStrokeEnd - Callback al terminar un trazo (mouseup o salir del canvas)
+ * @param {Object} props.settings - Ajustes del pincel (ver SCATTER_CONFIG.DEFAULT_SETTINGS) y model
+ * @param {boolean} props.enabled - Si el pincel está habilitado
+ */
+export const ScatterPainter = ({
+  layers,
+  heightmap,
+  layout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  onLayersChange,
+  onStrokeStart = null,
+  onStrokeEnd = null,
+  settings = null,
+  enabled = false,
+}) => {
+  const { camera, scene, gl } = useThree();
+  const raycaster = useRef(new Raycaster());
+  const currentLayers = useRef(layers);
+  const isPaintingRef = useRef(false);
+  const lastPaintPositionRef = useRef(null);
+
+  // Actualizar referencia cuando cambian las capas (deshacer, cargar otro nivel)
+  useEffect(() => {
+    currentLayers.current = layers;
+  }, [layers]);
+
+  // Obtener posición del terreno bajo el mouse (solo la malla del terreno)
+  const getTerrainPosition = useCallback((event) => {
+    const terrain = scene.getObjectByName('terrain');
+    if (!terrain) return null;
+
+    const rect = gl.domElement.getBoundingClientRect();
+    const mouse = new Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.current.setFromCamera(mouse, camera);
+    const [hit] = raycaster.current.intersectObject(terrain, true);
+    return hit ? hit.point : null;
+  }, [camera, scene, gl]);
+
+  // Una pincelada en una posición
+  const paintAt = useCallback((worldPos) => {
+    if (!settings?.model) return;
+
+    const center = { x: worldPos.x, z: worldPos.z };
+    const newLayers = settings.mode === 'erase'
+      ? eraseScatter(currentLayers.current, center, settings)
+      : paintScatter(currentLayers.current, center, settings, {
+        heightmap,
+        ...getTerrainDimensions(layout),
+      });
+
+    if (newLayers !== currentLayers.current) {
+      currentLayers.current = newLayers;
+      onLayersChange(newLayers);
+    }
+  }, [settings, heightmap, layout, onLayersChange]);
+
+  // Event listeners para pintar
+  useEffect(() => {
+    if (!enabled || !settings) return;
+
+    const canvas = gl.domElement;
+
+    const handleMouseMove = (event) => {
+      if (!isPaintingRef.current) return;
+      const terrainPos = getTerrainPosition(event);
+      if (!terrainPos) return;
+
+      // Evitar pintar en el mismo lugar repetidamente
+      const last = lastPaintPositionRef.current;
+      if (last && terrainPos.distanceTo(last) < settings.brushSize * 0.3) return;
+
+      paintAt(terrainPos);
+      lastPaintPositionRef.current = terrainPos;
+    };
+
+    const handleMouseDown = (event) => {
+      // Shift+arrastrar está reservado para la selección por caja del editor
+      if (event.button !== 0 || event.shiftKey) return;
+      isPaintingRef.current = true;
+      lastPaintPositionRef.current = null;
+      if (onStrokeStart) {
+        onStrokeStart();
+      }
+      handleMouseMove(event);
+    };
+
+    const handleMouseUp = () => {
+      if (!isPaintingRef.current) return;
+      isPaintingRef.current = false;
+      lastPaintPositionRef.current = null;
+      if (onStrokeEnd) {
+        onStrokeEnd();
+      }
+    };
+
+    canvas.addEventListener('mousedown', handleMouseDown);
+    canvas.addEventListener('mousemove', handleMouseMove);
+    canvas.addEventListener('mouseup', handleMouseUp);
+    canvas.addEventListener('mouseleave', handleMouseUp);
+
+    return () => {
+      canvas.removeEventListener('mousedown', handleMouseDown);
+      canvas.removeEventListener('mousemove', handleMouseMove);
+      canvas.removeEventListener('mouseup', handleMouseUp);
+      canvas.removeEventListener('mouseleave', handleMouseUp);
+    };
+  }, [gl, enabled, settings, getTerrainPosition, paintAt, onStrokeStart, onStrokeEnd]);
+
+  // Este componente no renderiza nada visual
+  return null;
+};
@@ -0,0 +1,30 @@
+import { Slider } from '@/components/ui/slider';
+import { Label } from '@/components/ui/label';
+
+/**
+ * Slider con etiqueta y valor (formato común de los paneles de terreno y vegetación)
+ * @param {Object} props
+ * @param {string} props.label - Etiqueta
+ * @param {number} props.value - Valor actual
+ * @param {Function} props.onChange - Callback con el nuevo valor
+ * @param {number} props.min - Valor mínimo
+ * @param {number} props.max - Valor máximo
+ * @param {number} props.step - Paso
+ * @param {Function} props.format - Formato del valor mostrado (por defecto un decimal)
+ */
+export const SettingSlider = ({ label, value, onChange, min, max, step, format = (v) => v.toFixed(1) }) => (
+  <div className="space-y-1.5">
+    <div className="flex items-center justify-between">
+      <Label className="text-xs font-medium">{label}</Label>
+      <span className="text-xs text-muted-foreground">{format(value)}</span>
+    </div>
+    <Slider
+      value={[value]}
+      onValueChange={([newValue]) => onChange(newValue)}
+      min={min}
+      max={max}
+      step={step}
+      className="h-2"
+    />
+  </div>
+);
@@ -2,13 +2,37 @@ import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
 import { Raycaster, Vector3 } from 'three';
 import * as THREE from 'three';
+import { TERRAIN_MATERIAL_CONFIG } from '../../constants/gameConstants';
+
+/**
+ * Pinceles de 4 lados (sellos, pinceles cuadrados y en rombo): un anillo de 4 segmentos
+ * Los cuadrados tienen las esquinas a brushSize * √2. El grupo está tumbado, así que el giro
+ * en Y del sello es el contrario en el plano del anillo
+ * @returns {Object|null} { radius, thetaStart } o null si el pincel es circular
+ */
+const getBrushPolygon = (paintMode, paintSettings, brushSize) => {
+  if (paintMode === 'stamp') {
+    return {
+      radius: brushSize * Math.SQRT2,
+      thetaStart: -(Math.PI / 4 + ((paintSettings.stampRotation || 0) * Math.PI) / 180),
+    };
+  }
+  if (paintMode === 'texture') return null;
+  if (paintSettings.shape === 'square') {
+    return { radius: brushSize * Math.SQRT2, thetaStart: Math.PI / 4 };
+  }
+  if (paintSettings.shape === 'diamond') {
+    return { radius: brushSize, thetaStart: 0 };
+  }
+  return null;
+};
 
 /**
  * Componente que muestra un indicador visual del cursor cuando el editor de terreno está activo
  * Muestra un círculo/disco que representa el área de influencia del pincel
  * 
  * @param {Object} props
- * @param {Object} props.paintSettings - Ajustes de pintura (brushSize, brushIntensity, paintMode)
+ * @param {Object} props.paintSettings - Ajustes de pintura (brushSize, brushIntensity, paintMode, layer, shape, stampRotation)
  * @param {boolean} props.enabled - Si el indicador está habilitado
  */
 export const TerrainBrushIndicator = ({
@@ -29,12 +53,14 @@ export const TerrainBrushIndicator = ({
 
     raycaster.current.setFromCamera(mouse, camera);
     
-    // Buscar intersección con el terreno
+    // Buscar intersección con el terreno (la superficie del agua no cuenta)
     const intersects = raycaster.current.intersectObjects(scene.children, true);
     const terrainMesh = intersects.find(
-      obj => obj.object.name === 'terrain' || 
-             obj.object.parent?.name === 'terrain' ||
-             obj.object.type === 'Mesh'
+      obj => !obj.object.userData?.isWater && (
+        obj.object.name === 'terrain' || 
+        obj.object.parent?.name === 'terrain' ||
+        obj.object.type === 'Mesh'
+      )
     );
     
     if (terrainMesh) {
@@ -106,7 +132,27 @@ export const TerrainBrushIndicator = ({
         case 'smooth':
           return '#00aaff'; // Azul para suavizar
         case 'flatten':
+        case 'setHeight':
           return '#ffff00'; // Amarillo para aplanar
+        case 'noise':
+        case 'terrace':
+        case 'pinch':
+          return '#2dd4bf'; // Turquesa para los pinceles de relieve
+        case 'erode':
+          return '#f97316'; // Naranja para erosionar
+        case 'ramp':
+          return '#facc15'; // Amarillo oscuro para las rampas
+        case 'clone':
+          return '#60a5fa'; // Azul claro para clonar
+        case 'stamp':
+          return '#c084fc'; // Violeta para los sellos
+        case 'texture':
+          // Color de la capa que se pinta
+          return TERRAIN_MATERIAL_CONFIG.LAYERS.find((layer) => layer.id === paintSettings.layer)?.color || '#ffffff';
+        case 'scatter':
+          return '#22c55e'; // Verde para pintar vegetación
+        case 'erase':
+          return '#ff8800'; // Naranja para borrar vegetación
         default:
           return '#00ff00';
       }
@@ -115,6 +161,7 @@ export const TerrainBrushIndicator = ({
     return {
       brushSize,
       color: getColor(),
+      polygon: getBrushPolygon(paintMode, paintSettings, brushSize),
     };
   }, [paintSettings]);
 
@@ -123,7 +170,34 @@ export const TerrainBrushIndicator = ({
     return null;
   }
 
-  const { brushSize, color } = indicatorProps;
+  const { brushSize, color, polygon } = indicatorProps;
+
+  if (polygon) {
+    return (
+      <group ref={groupRef} position={[0, 0.1, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+        <mesh>
+          <ringGeometry args={[polygon.radius * 0.97, polygon.radius, 4, 1, polygon.thetaStart]} />
+          <meshBasicMaterial
+            color={color}
+            transparent
+            opacity={0.8}
+            side={THREE.DoubleSide}
+            depthWrite={false}
+          />
+        </mesh>
+        <mesh>
+          <circleGeometry args={[0.3, 16]} />
+          <meshBasicMaterial
+            color={color}
+            transparent
+            opacity={0.9}
+            side={THREE.DoubleSide}
+            depthWrite={false}
+          />
+        </mesh>
+      </group>
+    );
+  }
 
   return (
     <group ref={groupRef} position={[0, 0.1, 0]} rotation={[-Math.PI / 2, 0, 0]}>
@@ -1,77 +1,950 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { Button } from '@/components/ui/button';
 import { Slider } from '@/components/ui/slider';
 import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Card } from '@/components/ui/card';
-import { TERRAIN_CONFIG } from '../../constants/gameConstants';
-import {
-  generateProceduralTerrain,
-  generateHillsTerrain,
-  generateMountainTerrain,
-  generateFlatTerrain,
-  generateValleyTerrain,
-} from '../../utils/noise/TerrainGenerator';
+import { TERRAIN_CONFIG, TERRAIN_MATERIAL_CONFIG } from '../../constants/gameConstants';
+import { Input } from '@/components/ui/input';
+import { Switch } from '@/components/ui/switch';
 import {
   smoothHeightmap,
   normalizeHeightmap,
 } from '../../utils/heightmapUtils';
+import { getTerrainDimensions } from '../../utils/terrainChunks';
+import { EROSION_CONFIG } from '../../utils/noise/erosion';
+import {
+  TERRAIN_RECIPE_PRESETS,
+  createRecipeFromPreset,
+  createRecipeSeed,
+} from '../../utils/noise/terrainRecipe';
+import { useTerrainWorker } from '../../hooks/useTerrainWorker';
+import {
+  HEIGHTMAP_EXPORT_FORMATS,
+  HEIGHTMAP_FILE_ACCEPT,
+  readHeightmapFile,
+  heightmapImageToTerrain,
+  parseHeightmapFileRange,
+  exportHeightmapFile,
+} from '../../utils/heightmapFiles';
+import {
+  TERRAIN_STAMP_CONFIG,
+  TERRAIN_STAMP_PRESETS,
+  STAMP_BLEND_MODES,
+  createStampPreset,
+} from '../../utils/terrainStamps';
+import {
+  TERRAIN_BRUSH_CONFIG,
+  SCULPT_BRUSH_MODES,
+  BRUSH_FALLOFFS,
+  BRUSH_SHAPES,
+  BRUSH_PRESSURE_CURVES,
+} from '../../utils/terrainBrushes';
+import { toast } from '@/hooks/use-toast';
+import { SettingSlider } from './SettingSlider';
+import { TerrainRecipeDialog } from './TerrainRecipeDialog';
+
+const PRESET_ICONS = {
+  hills: '🏔️',
+  mountains: '⛰️',
+  flat: '🟩',
+  valley: '🏞️',
+  island: '🏝️',
+  default: '🎲',
+};
+
+const getLayerName = (layerId) => (
+  TERRAIN_MATERIAL_CONFIG.LAYERS.find((layer) => layer.id === layerId)?.name || layerId
+);
+
+/**
+ * Tarjeta del texturizado automático: rangos de altura y pendiente de cada regla
+ * Las reglas se aplican en orden sobre la capa base al pulsar el botón (ver getAutoSplatMap)
+ */
+const AutoTextureSettings = ({ onApply }) => {
+  const [rules, setRules] = useState(TERRAIN_MATERIAL_CONFIG.DEFAULT_AUTO_RULES);
+  const [ruleIndex, setRuleIndex] = useState(0);
+  const rule = rules[ruleIndex];
+
+  const updateRule = (key) => (value) => {
+    setRules((prev) => prev.map((entry, index) => (index === ruleIndex ? { ...entry, [key]: value } : entry)));
+  };
+
+  return (
+    <Card className="p-4 space-y-3 bg-muted/20">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="w-1 h-4 bg-primary rounded-full"></div>
+        <h3 className="text-sm font-semibold">Texturas</h3>
+      </div>
+
+      <div className="space-y-3">
+        <div className="space-y-1.5">
+          <Label className="text-xs font-medium">Regla</Label>
+          <Select value={String(ruleIndex)} onValueChange={(value) => setRuleIndex(Number(value))}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {rules.map((entry, index) => (
+                <SelectItem key={entry.layer} value={String(index)}>{getLayerName(entry.layer)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="grid grid-cols-2 gap-x-4 gap-y-3">
+          <SettingSlider
+            label="Altura mín."
+            value={rule.minHeight}
+            onChange={updateRule('minHeight')}
+            min={TERRAIN_CONFIG.MIN_HEIGHT}
+            max={TERRAIN_CONFIG.MAX_HEIGHT}
+            step={0.5}
+          />
+          <SettingSlider
+            label="Altura máx."
+            value={rule.maxHeight}
+            onChange={updateRule('maxHeight')}
+            min={TERRAIN_CONFIG.MIN_HEIGHT}
+            max={TERRAIN_CONFIG.MAX_HEIGHT}
+            step={0.5}
+          />
+          <SettingSlider
+            label="Pendiente mín."
+            value={rule.minSlope}
+            onChange={updateRule('minSlope')}
+            min={0}
+            max={90}
+            step={1}
+            format={(v) => `${v}°`}
+          />
+          <SettingSlider
+            label="Pendiente máx."
+            value={rule.maxSlope}
+            onChange={updateRule('maxSlope')}
+            min={0}
+            max={90}
+            step={1}
+            format={(v) => `${v}°`}
+          />
+        </div>
+      </div>
+
+      <div className="pt-2 border-t border-border">
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => onApply(rules)}
+          className="w-full h-9 text-xs"
+        >
+          🎨 Texturizar automáticamente
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+/**
+ * Las tareas del worker tardan y mientras tanto el terreno puede cambiar (pinceles, herramientas, deshacer)
+ * Devuelve una función que indica si el heightmap sigue siendo con el que empezó la tarea: si no,
+ * el resultado se descarta para no pisar esos cambios ni dejar un "antes" equivocado en el historial
+ * @param {Float32Array|null} heightmap - Heightmap actual del nivel
+ * @returns {Function} (startHeightmap) => boolean
+ */
+const useHeightmapUnchanged = (heightmap) => {
+  const heightmapRef = useRef(heightmap);
+
+  useEffect(() => {
+    heightmapRef.current = heightmap;
+  }, [heightmap]);
+
+  return useCallback((startHeightmap) => heightmapRef.current === startHeightmap, []);
+};
+
+/**
+ * Avisa de que se descartó el resultado de una tarea del worker porque el terreno cambió mientras corría
+ * @param {string} title - Título del aviso (ej: "Erosión descartada")
+ */
+const notifyDiscardedResult = (title) => {
+  toast({
+    title,
+    description: 'El terreno cambió mientras se calculaba. Vuelve a intentarlo.',
+    variant: 'destructive',
+  });
+};
+
+/**
+ * Barra de progreso de una tarea del worker del terreno con botón para cancelarla
+ */
+const WorkerProgress = ({ progress, onCancel }) => (
+  <div className="space-y-2">
+    <div className="h-2 w-full overflow-hidden rounded-full bg-secondary">
+      <div className="h-full bg-primary transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+    </div>
+    <Button size="sm" variant="outline" onClick={onCancel} className="w-full h-9 text-xs">
+      Cancelar ({Math.round(progress * 100)}%)
+    </Button>
+  </div>
+);
+
+/**
+ * Tarjeta de generación por recetas: predefinidas, semilla y editor de pasos
+ * La receta se prepara aquí y solo pasa al nivel al generar (junto con el heightmap resultante),
+ * salvo que el terreno haya cambiado mientras se generaba
+ */
+const RecipeGenerator = ({ heightmap, recipe, layout, onGenerate, onHeightmapChange }) => {
+  const [draft, setDraft] = useState(() => recipe || createRecipeFromPreset('default'));
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const { generate, cancel, running, progress } = useTerrainWorker();
+  const isHeightmapUnchanged = useHeightmapUnchanged(heightmap);
+
+  const handleGenerate = async (recipeToGenerate) => {
+    const { segments, size } = getTerrainDimensions(layout);
+    try {
+      const generated = await generate(recipeToGenerate, segments, size);
+      if (!generated) return;
+      if (!isHeightmapUnchanged(heightmap)) {
+        notifyDiscardedResult('Generación descartada');
+        return;
+      }
+      if (onGenerate) {
+        onGenerate(generated, recipeToGenerate);
+      } else if (onHeightmapChange) {
+        onHeightmapChange(generated);
+      }
+    } catch (error) {
+      alert(`No se pudo generar el terreno: ${error.message}`);
+    }
+  };
+
+  // Las predefinidas cargan su receta con una semilla nueva y generan directamente
+  const handlePreset = (presetId) => {
+    const presetRecipe = createRecipeFromPreset(presetId);
+    setDraft(presetRecipe);
+    handleGenerate(presetRecipe);
+  };
+
+  const handleSeedChange = (e) => {
+    const seed = parseInt(e.target.value, 10);
+    setDraft((prev) => ({ ...prev, seed: Number.isFinite(seed) && seed >= 0 ? seed : 0 }));
+  };
+
+  return (
+    <Card className="p-4 space-y-3 bg-muted/20">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="w-1 h-4 bg-primary rounded-full"></div>
+        <h3 className="text-sm font-semibold">Generar Terreno</h3>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {Object.entries(TERRAIN_RECIPE_PRESETS).map(([presetId, preset]) => (
+          <Button
+            key={presetId}
+            size="sm"
+            onClick={() => handlePreset(presetId)}
+            disabled={running}
+            className="h-9 text-xs"
+          >
+            {PRESET_ICONS[presetId]} {preset.name}
+          </Button>
+        ))}
+      </div>
+
+      <div className="pt-2 border-t border-border space-y-2">
+        <div className="space-y-1.5">
+          <Label className="text-xs font-medium">Semilla</Label>
+          <div className="flex gap-2">
+            <Input
+              type="number"
+              min={0}
+              value={draft.seed}
+              onChange={handleSeedChange}
+              className="h-8 text-xs"
+            />
+            <Button
+              size="sm"
+              variant="outline"
+              title="Semilla aleatoria"
+              onClick={() => setDraft((prev) => ({ ...prev, seed: createRecipeSeed() }))}
+              className="h-8 px-2 text-xs"
+            >
+              🎲
+            </Button>
+          </div>
+        </div>
+
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => setDialogOpen(true)}
+          className="w-full h-9 text-xs justify-start"
+        >
+          🧩 Editar pasos ({draft.steps.length})
+        </Button>
+
+        {running ? (
+          <WorkerProgress progress={progress} onCancel={cancel} />
+        ) : (
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => handleGenerate(draft)}
+            className="w-full h-9 text-xs"
+          >
+            Generar
+          </Button>
+        )}
+      </div>
+
+      <TerrainRecipeDialog
+        open={dialogOpen}
+        onOpenChange={setDialogOpen}
+        recipe={draft}
+        onChange={setDraft}
+      />
+    </Card>
+  );
+};
+
+/**
+ * Ajustes y botón de la erosión (hidráulica y térmica) dentro de la tarjeta de edición
+ * La erosión corre en un Web Worker; el resultado se aplica como una edición más del terreno,
+ * salvo que el terreno haya cambiado mientras corría
+ */
+const ErosionSettings = ({ heightmap, layout, onHeightmapChange }) => {
+  const [settings, setSettings] = useState({
+    dropletDensity: EROSION_CONFIG.DEFAULT_DROPLET_DENSITY,
+    hydraulicStrength: EROSION_CONFIG.DEFAULT_HYDRAULIC_STRENGTH,
+    thermalIterations: EROSION_CONFIG.DEFAULT_THERMAL_ITERATIONS,
+    talusAngle: EROSION_CONFIG.DEFAULT_TALUS_ANGLE,
+  });
+  const { erode, cancel, running, progress } = useTerrainWorker();
+  const isHeightmapUnchanged = useHeightmapUnchanged(heightmap);
+
+  const updateSetting = (key) => (value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleErode = async () => {
+    if (!heightmap) return;
+    const { segments, size } = getTerrainDimensions(layout);
+    try {
+      const eroded = await erode(heightmap, segments, size, {
+        hydraulic: {
+          droplets: Math.round(segments * segments * settings.dropletDensity),
+          strength: settings.hydraulicStrength,
+        },
+        thermal: {
+          iterations: settings.thermalIterations,
+          talusAngle: settings.talusAngle,
+          strength: EROSION_CONFIG.DEFAULT_THERMAL_STRENGTH,
+        },
+      });
+      if (!eroded) return;
+      if (!isHeightmapUnchanged(heightmap)) {
+        notifyDiscardedResult('Erosión descartada');
+        return;
+      }
+      if (onHeightmapChange) {
+        onHeightmapChange(eroded);
+      }
+    } catch (error) {
+      alert(`No se pudo erosionar el terreno: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="pt-2 border-t border-border space-y-3">
+      <Label className="text-xs font-semibold">Erosión</Label>
+      <div className="grid grid-cols-2 gap-x-4 gap-y-3">
+        <SettingSlider
+          label="Gotas por muestra"
+          value={settings.dropletDensity}
+          onChange={updateSetting('dropletDensity')}
+          min={0}
+          max={EROSION_CONFIG.MAX_DROPLET_DENSITY}
+          step={0.5}
+        />
+        <SettingSlider
+          label="Fuerza"
+          value={settings.hydraulicStrength}
+          onChange={updateSetting('hydraulicStrength')}
+          min={0.05}
+          max={1}
+          step={0.05}
+          format={(v) => v.toFixed(2)}
+        />
+        <SettingSlider
+          label="Iteraciones térmicas"
+          value={settings.thermalIterations}
+          onChange={updateSetting('thermalIterations')}
+          min={0}
+          max={EROSION_CONFIG.MAX_THERMAL_ITERATIONS}
+          step={5}
+          format={(v) => `${v}`}
+        />
+        <SettingSlider
+          label="Ángulo de reposo"
+          value={settings.talusAngle}
+          onChange={updateSetting('talusAngle')}
+          min={10}
+          max={60}
+          step={1}
+          format={(v) => `${v}°`}
+        />
+      </div>
+
+      {running ? (
+        <WorkerProgress progress={progress} onCancel={cancel} />
+      ) : (
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={handleErode}
+          disabled={!heightmap || (settings.dropletDensity === 0 && settings.thermalIterations === 0)}
+          className="w-full h-9 text-xs justify-start"
+        >
+          🌊 Erosionar
+        </Button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Importación y exportación del heightmap dentro de la tarjeta de edición
+ * Al importar, el negro y el blanco de la imagen pasan a la altura mínima y máxima elegidas
+ * (o al rango que indica el nombre, si el archivo se exportó desde aquí)
+ */
+const HeightmapFileSettings = ({ heightmap, layout, onHeightmapChange }) => {
+  const [range, setRange] = useState({ minHeight: TERRAIN_CONFIG.MIN_HEIGHT, maxHeight: TERRAIN_CONFIG.MAX_HEIGHT });
+  const [format, setFormat] = useState(HEIGHTMAP_EXPORT_FORMATS[0].id);
+  const fileInputRef = useRef(null);
+
+  const updateRange = (key) => (value) => {
+    setRange((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const image = await readHeightmapFile(file);
+      const fileRange = parseHeightmapFileRange(image.name);
+      const { minHeight, maxHeight } = fileRange || range;
+      if (fileRange) {
+        setRange(fileRange);
+      }
+      const { segments } = getTerrainDimensions(layout);
+      if (onHeightmapChange) {
+        onHeightmapChange(heightmapImageToTerrain(image, segments, minHeight, maxHeight));
+      }
+    } catch (error) {
+      alert(`No se pudo importar el heightmap: ${error.message}`);
+    }
+  };
+
+  const handleExport = async () => {
+    if (!heightmap) return;
+    const { segments } = getTerrainDimensions(layout);
+    try {
+      const { blob, fileName } = await exportHeightmapFile(heightmap, segments, format);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`No se pudo exportar el heightmap: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="pt-2 border-t border-border space-y-3">
+      <Label className="text-xs font-semibold">Heightmap</Label>
+      <div className="grid grid-cols-2 gap-x-4 gap-y-3">
+        <SettingSlider
+          label="Altura del negro"
+          value={range.minHeight}
+          onChange={updateRange('minHeight')}
+          min={-TERRAIN_STAMP_CONFIG.MAX_HEIGHT}
+          max={range.maxHeight - 0.5}
+          step={0.5}
+        />
+        <SettingSlider
+          label="Altura del blanco"
+          value={range.maxHeight}
+          onChange={updateRange('maxHeight')}
+          min={range.minHeight + 0.5}
+          max={TERRAIN_STAMP_CONFIG.MAX_HEIGHT}
+          step={0.5}
+        />
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={HEIGHTMAP_FILE_ACCEPT}
+        className="hidden"
+        onChange={handleImport}
+      />
+      <Button
+        size="sm"
+        variant="outline"
+        onClick={() => fileInputRef.current?.click()}
+        className="w-full h-9 text-xs justify-start"
+      >
+        📥 Importar (PNG, RAW)
+      </Button>
+      <div className="flex gap-2">
+        <Select value={format} onValueChange={setFormat}>
+          <SelectTrigger className="h-9 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {HEIGHTMAP_EXPORT_FORMATS.map((entry) => (
+              <SelectItem key={entry.id} value={entry.id}>{entry.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={handleExport}
+          disabled={!heightmap}
+          className="h-9 text-xs"
+        >
+          📤 Exportar
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Ajustes del pincel de sellos: sello (predefinido o importado), giro, altura y mezcla
+ * El tamaño del sello es el del pincel (mitad del lado del cuadrado)
+ */
+const StampSettings = ({ stamps, settings, onChange, onImport }) => {
+  const fileInputRef = useRef(null);
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const image = await readHeightmapFile(file);
+      onImport({ id: `import-${Date.now()}`, ...image });
+    } catch (error) {
+      alert(`No se pudo importar el sello: ${error.message}`);
+    }
+  };
+
+  return (
+    <>
+      <div className="space-y-1.5">
+        <Label className="text-xs font-medium">Sello</Label>
+        <div className="flex gap-2">
+          <Select value={settings.stampId} onValueChange={(value) => onChange({ stampId: value })}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {stamps.map((stamp) => (
+                <SelectItem key={stamp.id} value={stamp.id}>{stamp.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={HEIGHTMAP_FILE_ACCEPT}
+            className="hidden"
+            onChange={handleImport}
+          />
+          <Button
+            size="sm"
+            variant="outline"
+            title="Importar sello (PNG, RAW)"
+            onClick={() => fileInputRef.current?.click()}
+            className="h-8 px-2 text-xs"
+          >
+            📥
+          </Button>
+        </div>
+      </div>
+
+      <div className="space-y-1.5">
+        <Label className="text-xs font-medium">Mezcla</Label>
+        <Select value={settings.blend} onValueChange={(value) => onChange({ blend: value })}>
+          <SelectTrigger className="h-8 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {STAMP_BLEND_MODES.map((mode) => (
+              <SelectItem key={mode.id} value={mode.id}>{mode.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <SettingSlider
+        label="Giro"
+        value={settings.rotation}
+        onChange={(value) => onChange({ rotation: value })}
+        min={0}
+        max={360}
+        step={5}
+        format={(v) => `${v}°`}
+      />
+      <SettingSlider
+        label="Altura"
+        value={settings.height}
+        onChange={(value) => onChange({ height: value })}
+        min={0.5}
+        max={TERRAIN_STAMP_CONFIG.MAX_HEIGHT}
+        step={0.5}
+        format={(v) => `${v.toFixed(1)} m`}
+      />
+    </>
+  );
+};
+
+/**
+ * Selector compacto con etiqueta para una lista { id, name }
+ */
+const OptionSelect = ({ label, value, options, onChange }) => (
+  <div className="space-y-1.5">
+    <Label className="text-xs font-medium">{label}</Label>
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="h-8 text-xs">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {options.map((option) => (
+          <SelectItem key={option.id} value={option.id}>{option.name}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  </div>
+);
+
+/**
+ * Ajustes de los pinceles de esculpido: los propios del modo y la forma, caída y presión
+ * Ctrl+click sobre el terreno toma la altura objetivo o el origen de la clonación (ver TerrainPainter)
+ */
+const SculptSettings = ({ mode, settings, onChange }) => (
+  <>
+    {mode === 'flatten' && (
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-xs text-muted-foreground">
+          Objetivo: {settings.flattenTarget === null ? 'inicio del trazo' : `${settings.flattenTarget.toFixed(1)} m`}
+        </span>
+        {settings.flattenTarget !== null && (
+          <Button size="sm" variant="ghost" className="h-6 px-2 text-xs" onClick={() => onChange({ flattenTarget: null })}>
+            Quitar
+          </Button>
+        )}
+      </div>
+    )}
+
+    {mode === 'setHeight' && (
+      <SettingSlider
+        label="Altura objetivo"
+        value={settings.targetHeight}
+        onChange={(value) => onChange({ targetHeight: value })}
+        min={TERRAIN_BRUSH_CONFIG.MIN_TARGET_HEIGHT}
+        max={TERRAIN_BRUSH_CONFIG.MAX_TARGET_HEIGHT}
+        step={0.5}
+        format={(v) => `${v.toFixed(1)} m`}
+      />
+    )}
+
+    {mode === 'noise' && (
+      <SettingSlider
+        label="Escala del ruido"
+        value={settings.noiseScale}
+        onChange={(value) => onChange({ noiseScale: value })}
+        min={0.02}
+        max={0.5}
+        step={0.01}
+        format={(v) => v.toFixed(2)}
+      />
+    )}
+
+    {mode === 'terrace' && (
+      <SettingSlider
+        label="Altura del escalón"
+        value={settings.terraceHeight}
+        onChange={(value) => onChange({ terraceHeight: value })}
+        min={0.5}
+        max={10}
+        step={0.5}
+        format={(v) => `${v.toFixed(1)} m`}
+      />
+    )}
+
+    {mode === 'clone' && (
+      <p className="text-xs text-muted-foreground">
+        Origen: {settings.cloneSource
+          ? `${settings.cloneSource.x.toFixed(1)}, ${settings.cloneSource.z.toFixed(1)}`
+          : 'sin elegir'}
+      </p>
+    )}
+
+    <OptionSelect label="Forma" value={settings.shape} options={BRUSH_SHAPES} onChange={(value) => onChange({ shape: value })} />
+    <OptionSelect label="Caída" value={settings.falloff} options={BRUSH_FALLOFFS} onChange={(value) => onChange({ falloff: value })} />
+    {mode !== 'ramp' && (
+      <OptionSelect
+        label="Presión del lápiz"
+        value={settings.pressureCurve}
+        options={BRUSH_PRESSURE_CURVES}
+        onChange={(value) => onChange({ pressureCurve: value })}
+      />
+    )}
+  </>
+);
+
+// Texto de ayuda del pincel según el modo
+const getBrushHint = (paintMode) => {
+  switch (paintMode) {
+    case 'stamp':
+      return 'Click sobre el terreno para colocar el sello';
+    case 'ramp':
+      return 'Click en el inicio y en el final de la rampa';
+    case 'flatten':
+    case 'setHeight':
+      return 'Click y arrastra para pintar; Ctrl+click toma la altura del punto';
+    case 'clone':
+      return 'Ctrl+click elige el origen; después arrastra para copiar el relieve';
+    case 'texture':
+      return 'Click y arrastra sobre el terreno para pintar la capa';
+    default:
+      return 'Click y arrastra sobre el terreno para pintar';
+  }
+};
+
+/**
+ * Tarjeta del tamaño del mundo: chunks por lado, resolución y tamaño de cada chunk
+ * Los cambios se preparan aquí y solo se aplican al pulsar "Aplicar". El heightmap se adapta
+ * a la nueva resolución o, si el nivel tiene receta, se puede regenerar con ella
+ */
+const WorldSettings = ({ heightmap, layout, recipe, onApply }) => {
+  const [draft, setDraft] = useState(layout);
+  const [regenerate, setRegenerate] = useState(false);
+  const { generate, cancel, running, progress } = useTerrainWorker();
+  const isHeightmapUnchanged = useHeightmapUnchanged(heightmap);
+  const { segments, size } = getTerrainDimensions(draft);
+  const changed = draft.chunks !== layout.chunks ||
+    draft.chunkResolution !== layout.chunkResolution ||
+    draft.chunkSize !== layout.chunkSize;
+
+  const updateDraft = (key) => (value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleApply = async () => {
+    if (!recipe || !regenerate) {
+      onApply(draft);
+      return;
+    }
+    try {
+      const regenerated = await generate(recipe, segments, size);
+      if (!regenerated) return;
+      if (!isHeightmapUnchanged(heightmap)) {
+        notifyDiscardedResult('Cambio de tamaño descartado');
+        return;
+      }
+      onApply(draft, regenerated);
+    } catch (error) {
+      alert(`No se pudo regenerar el terreno: ${error.message}`);
+    }
+  };
+
+  return (
+    <Card className="p-4 space-y-3 bg-muted/20">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="w-1 h-4 bg-primary rounded-full"></div>
+        <h3 className="text-sm font-semibold">Mundo</h3>
+      </div>
+
+      <div className="space-y-3">
+        <div className="space-y-1.5">
+          <div className="flex items-center justify-between">
+            <Label className="text-xs font-medium">Chunks por lado</Label>
+            <span className="text-xs text-muted-foreground">{draft.chunks}</span>
+          </div>
+          <Slider
+            value={[draft.chunks]}
+            onValueChange={([value]) => updateDraft('chunks')(value)}
+            min={1}
+            max={TERRAIN_CONFIG.MAX_CHUNKS}
+            step={1}
+            className="h-2"
+          />
+        </div>
+
+        <div className="space-y-1.5">
+          <div className="flex items-center justify-between">
+            <Label className="text-xs font-medium">Tamaño del chunk</Label>
+            <span className="text-xs text-muted-foreground">{draft.chunkSize} m</span>
+          </div>
+          <Slider
+            value={[draft.chunkSize]}
+            onValueChange={([value]) => updateDraft('chunkSize')(value)}
+            min={TERRAIN_CONFIG.MIN_CHUNK_SIZE}
+            max={TERRAIN_CONFIG.MAX_CHUNK_SIZE}
+            step={25}
+            className="h-2"
+          />
+        </div>
+
+        <div className="space-y-1.5">
+          <Label className="text-xs font-medium">Resolución del chunk</Label>
+          <Select
+            value={String(draft.chunkResolution)}
+            onValueChange={(value) => updateDraft('chunkResolution')(Number(value))}
+          >
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {/* Un nivel guardado puede usar una resolución que no está en la lista */}
+              {[...new Set([...TERRAIN_CONFIG.CHUNK_RESOLUTIONS, layout.chunkResolution])]
+                .sort((a, b) => a - b)
+                .map((resolution) => (
+                  <SelectItem key={resolution} value={String(resolution)}>
+                    {resolution} celdas
+                  </SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="pt-2 border-t border-border space-y-2">
+        <p className="text-xs text-muted-foreground">
+          {size} × {size} m · {segments} × {segments} muestras
+        </p>
+        {recipe && (
+          <div className="flex items-center justify-between">
+            <Label htmlFor="terrain-regenerate" className="text-xs font-medium">Regenerar con la receta</Label>
+            <Switch id="terrain-regenerate" checked={regenerate} onCheckedChange={setRegenerate} />
+          </div>
+        )}
+        {running ? (
+          <WorkerProgress progress={progress} onCancel={cancel} />
+        ) : (
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={handleApply}
+            disabled={!changed}
+            className="w-full h-9 text-xs"
+          >
+            Aplicar
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+};
 
 /**
  * Pestaña del editor de terreno dentro del panel de herramientas
  * 
  * @param {Object} props
  * @param {Float32Array} props.heightmap - Heightmap actual
- * @param {number} props.segments - Número de segmentos
+ * @param {Object} props.layout - Distribución de chunks del terreno (ver getTerrainLayout)
+ * @param {Object|null} props.recipe - Receta con la que se generó el terreno (ver terrainRecipe)
  * @param {Function} props.onHeightmapChange - Callback cuando cambia el heightmap
+ * @param {Function} props.onGenerate - Callback con el heightmap generado y su receta
+ * @param {Function} props.onLayoutChange - Callback con la nueva distribución de chunks
+ *   (y el heightmap regenerado con la receta, si se pidió)
  * @param {Function} props.onPaintSettingsChange - Callback cuando cambian los ajustes de pintura
+ * @param {Function} props.onAutoTexture - Callback con las reglas del texturizado automático
  */
 export const TerrainEditorTab = ({
   heightmap,
-  segments = TERRAIN_CONFIG.SEGMENTS,
+  layout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  recipe = null,
   onHeightmapChange,
+  onGenerate,
+  onLayoutChange,
   onPaintSettingsChange,
+  onAutoTexture,
 }) => {
+  const { segments } = getTerrainDimensions(layout);
   const [brushSize, setBrushSize] = useState(5);
   const [brushIntensity, setBrushIntensity] = useState(1);
-  const [paintMode, setPaintMode] = useState('raise'); // 'raise', 'lower', 'smooth', 'flatten'
+  const [paintMode, setPaintMode] = useState('raise'); // Un modo de SCULPT_BRUSH_MODES, 'texture' o 'stamp'
+  const [paintLayer, setPaintLayer] = useState(TERRAIN_MATERIAL_CONFIG.LAYERS[0].id); // Capa del modo 'texture'
+  // Sellos del modo 'stamp': los predefinidos y los importados en esta sesión
+  const [stamps, setStamps] = useState(() => (
+    Object.keys(TERRAIN_STAMP_PRESETS).map((presetId) => ({ id: presetId, ...createStampPreset(presetId) }))
+  ));
+  const [sculptSettings, setSculptSettings] = useState({
+    shape: BRUSH_SHAPES[0].id,
+    falloff: BRUSH_FALLOFFS[0].id,
+    pressureCurve: BRUSH_PRESSURE_CURVES[0].id,
+    flattenTarget: null, // null = altura del inicio del trazo
+    targetHeight: 0,
+    noiseScale: TERRAIN_BRUSH_CONFIG.DEFAULT_NOISE_SCALE,
+    terraceHeight: TERRAIN_BRUSH_CONFIG.DEFAULT_TERRACE_HEIGHT,
+    cloneSource: null,
+  });
+  const [stampSettings, setStampSettings] = useState({
+    stampId: Object.keys(TERRAIN_STAMP_PRESETS)[0],
+    rotation: 0,
+    height: TERRAIN_STAMP_CONFIG.DEFAULT_HEIGHT,
+    blend: TERRAIN_STAMP_CONFIG.DEFAULT_BLEND,
+  });
+
+  // Ctrl+click sobre el terreno (ver TerrainPainter)
+  const handleSample = useCallback(({ x, z, height }) => {
+    if (paintMode === 'clone') {
+      setSculptSettings((prev) => ({ ...prev, cloneSource: { x, z } }));
+    } else if (paintMode === 'flatten') {
+      setSculptSettings((prev) => ({ ...prev, flattenTarget: height }));
+    } else if (paintMode === 'setHeight') {
+      setSculptSettings((prev) => ({ ...prev, targetHeight: Math.round(height * 2) / 2 }));
+    }
+  }, [paintMode]);
 
   // Notificar cambios en los ajustes de pintura cuando cambian
+  // Al cerrar la pestaña (otra herramienta o panel colapsado) el pincel se desactiva
   useEffect(() => {
-    if (onPaintSettingsChange) {
-      onPaintSettingsChange({
-        brushSize,
-        brushIntensity,
-        paintMode,
-      });
-    }
-  }, [brushSize, brushIntensity, paintMode, onPaintSettingsChange]);
+    if (!onPaintSettingsChange) return;
+    onPaintSettingsChange({
+      brushSize,
+      brushIntensity,
+      paintMode,
+      layer: paintLayer,
+      ...sculptSettings,
+      onSample: handleSample,
+      stamp: stamps.find((stamp) => stamp.id === stampSettings.stampId) || null,
+      stampRotation: stampSettings.rotation,
+      stampHeight: stampSettings.height,
+      stampBlend: stampSettings.blend,
+    });
+    return () => onPaintSettingsChange(null);
+  }, [brushSize, brushIntensity, paintMode, paintLayer, sculptSettings, handleSample, stamps, stampSettings, onPaintSettingsChange]);
 
-  // Generar terreno procedural
-  const handleGenerateTerrain = useCallback((type) => {
-    let newHeightmap;
-    
-    switch (type) {
-      case 'hills':
-        newHeightmap = generateHillsTerrain({ segments });
-        break;
-      case 'mountains':
-        newHeightmap = generateMountainTerrain({ segments });
-        break;
-      case 'flat':
-        newHeightmap = generateFlatTerrain({ segments });
-        break;
-      case 'valley':
-        newHeightmap = generateValleyTerrain({ segments });
-        break;
-      default:
-        newHeightmap = generateProceduralTerrain({ segments });
-    }
+  const updateSculptSettings = (updates) => {
+    setSculptSettings((prev) => ({ ...prev, ...updates }));
+  };
 
-    if (onHeightmapChange) {
-      onHeightmapChange(newHeightmap);
-    }
-  }, [segments, onHeightmapChange]);
+  const updateStampSettings = (updates) => {
+    setStampSettings((prev) => ({ ...prev, ...updates }));
+  };
+
+  const handleStampImport = (stamp) => {
+    setStamps((prev) => [...prev, stamp]);
+    updateStampSettings({ stampId: stamp.id });
+  };
 
   // Normalizar terreno
   const handleNormalize = useCallback(() => {
@@ -115,11 +988,15 @@ export const TerrainEditorTab = ({
 
   const handlePaintModeChange = (value) => {
     setPaintMode(value);
+    // Los sellos admiten un tamaño mayor que el resto de pinceles
+    if (value !== 'stamp') {
+      setBrushSize((prev) => Math.min(prev, 20));
+    }
   };
 
   return (
     <div className="terrain-editor-tab">
-      <div className="grid grid-cols-3 gap-4">
+      <div className="grid grid-cols-5 gap-4">
         {/* Columna 1: Herramientas de Pintura */}
         <Card className="p-4 space-y-3 bg-muted/20">
           <div className="flex items-center gap-2 mb-2">
@@ -135,14 +1012,44 @@ export const TerrainEditorTab = ({
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="raise">Elevar</SelectItem>
-                  <SelectItem value="lower">Bajar</SelectItem>
-                  <SelectItem value="smooth">Suavizar</SelectItem>
-                  <SelectItem value="flatten">Aplanar</SelectItem>
+                  {SCULPT_BRUSH_MODES.map((mode) => (
+                    <SelectItem key={mode.id} value={mode.id}>{mode.name}</SelectItem>
+                  ))}
+                  <SelectItem value="texture">Texturizar</SelectItem>
+                  <SelectItem value="stamp">Estampar</SelectItem>
                 </SelectContent>
               </Select>
             </div>
 
+            {paintMode === 'texture' && (
+              <div className="space-y-1.5">
+                <Label className="text-xs font-medium">Capa</Label>
+                <Select value={paintLayer} onValueChange={setPaintLayer}>
+                  <SelectTrigger className="h-8 text-xs">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {TERRAIN_MATERIAL_CONFIG.LAYERS.map((layer) => (
+                      <SelectItem key={layer.id} value={layer.id}>{layer.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            {paintMode !== 'texture' && paintMode !== 'stamp' && (
+              <SculptSettings mode={paintMode} settings={sculptSettings} onChange={updateSculptSettings} />
+            )}
+
+            {paintMode === 'stamp' && (
+              <StampSettings
+                stamps={stamps}
+                settings={stampSettings}
+                onChange={updateStampSettings}
+                onImport={handleStampImport}
+              />
+            )}
+
             <div className="space-y-1.5">
               <div className="flex items-center justify-between">
                 <Label className="text-xs font-medium">Tamaño</Label>
@@ -152,7 +1059,7 @@ export const TerrainEditorTab = ({
                 value={[brushSize]}
                 onValueChange={([value]) => handleBrushSizeChange(value)}
                 min={1}
-                max={20}
+                max={paintMode === 'stamp' ? 50 : 20}
                 step={0.5}
                 className="h-2"
               />
@@ -175,59 +1082,19 @@ export const TerrainEditorTab = ({
           </div>
 
           <p className="text-xs text-muted-foreground pt-2 border-t border-border">
-            Click y arrastra sobre el terreno para pintar
+            {getBrushHint(paintMode)}
           </p>
         </Card>
 
-        {/* Columna 2: Generadores Procedurales */}
-        <Card className="p-4 space-y-3 bg-muted/20">
-          <div className="flex items-center gap-2 mb-2">
-            <div className="w-1 h-4 bg-primary rounded-full"></div>
-            <h3 className="text-sm font-semibold">Generar Terreno</h3>
-          </div>
-          
-          <div className="grid grid-cols-2 gap-2">
-            <Button 
-              size="sm" 
-              onClick={() => handleGenerateTerrain('hills')}
-              className="h-9 text-xs"
-            >
-              🏔️ Colinas
-            </Button>
-            <Button 
-              size="sm" 
-              onClick={() => handleGenerateTerrain('mountains')}
-              className="h-9 text-xs"
-            >
-              ⛰️ Montañas
-            </Button>
-            <Button 
-              size="sm" 
-              onClick={() => handleGenerateTerrain('flat')}
-              className="h-9 text-xs"
-            >
-              🟩 Plano
-            </Button>
-            <Button 
-              size="sm" 
-              onClick={() => handleGenerateTerrain('valley')}
-              className="h-9 text-xs"
-            >
-              🏞️ Valle
-            </Button>
-          </div>
-          
-          <div className="pt-2 border-t border-border">
-            <Button 
-              size="sm" 
-              variant="outline"
-              onClick={() => handleGenerateTerrain('default')}
-              className="w-full h-9 text-xs"
-            >
-              🎲 Aleatorio
-            </Button>
-          </div>
-        </Card>
+        {/* Columna 2: Generación por recetas (se reinicia al cambiar la receta, p. ej. al deshacer) */}
+        <RecipeGenerator
+          key={JSON.stringify(recipe)}
+          heightmap={heightmap}
+          recipe={recipe}
+          layout={layout}
+          onGenerate={onGenerate}
+          onHeightmapChange={onHeightmapChange}
+        />
 
         {/* Columna 3: Herramientas de Edición */}
         <Card className="p-4 space-y-3 bg-muted/20">
@@ -255,12 +1122,30 @@ export const TerrainEditorTab = ({
             </Button>
           </div>
           
+          <ErosionSettings heightmap={heightmap} layout={layout} onHeightmapChange={onHeightmapChange} />
+
+          <HeightmapFileSettings heightmap={heightmap} layout={layout} onHeightmapChange={onHeightmapChange} />
+
           <div className="pt-2 border-t border-border">
             <p className="text-xs text-muted-foreground leading-relaxed">
               Usa las herramientas para ajustar y refinar el terreno generado
             </p>
           </div>
         </Card>
+
+        {/* Columna 4: Texturizado automático por altura y pendiente */}
+        {onAutoTexture && <AutoTextureSettings onApply={onAutoTexture} />}
+
+        {/* Columna 5: Tamaño del mundo (se reinicia al cambiar la distribución, p. ej. al deshacer) */}
+        {onLayoutChange && (
+          <WorldSettings
+            key={`${layout.chunks}-${layout.chunkResolution}-${layout.chunkSize}`}
+            heightmap={heightmap}
+            layout={layout}
+            recipe={recipe}
+            onApply={onLayoutChange}
+          />
+        )}
       </div>
     </div>
   );
@@ -1,39 +1,239 @@
-import { useMemo, useRef, useEffect } from 'react';
-import { useLoader } from '@react-three/fiber';
-import { TextureLoader, RepeatWrapping, PlaneGeometry, Vector3 } from 'three';
-import { RigidBody, HeightfieldCollider, CuboidCollider } from '@react-three/rapier';
-import { TERRAIN_CONFIG } from '../../constants/gameConstants';
+import { memo, useMemo, useEffect, useRef, useState, useCallback } from 'react';
+import { useLoader, useFrame, useThree } from '@react-three/fiber';
+import { Detailed } from '@react-three/drei';
+import { TextureLoader, RepeatWrapping } from 'three';
+import { RigidBody, TrimeshCollider, useRapier } from '@react-three/rapier';
+import { TERRAIN_CONFIG, TERRAIN_MATERIAL_CONFIG, LOD_CONFIG } from '../../constants/gameConstants';
 import grassTexture from '../../assets/textures/grass-min.jpg';
-import { getHeightAt } from '../../utils/heightmapUtils';
+import { createTerrainTrimesh } from '../../utils/heightmapUtils';
+import {
+  getTerrainPatches,
+  getTerrainPatchCenter,
+  createTerrainPatchGeometry,
+  getLodPreviewMaterial,
+} from '../../utils/lodUtils';
+import {
+  getTerrainDimensions,
+  getTerrainChunks,
+  getChunksNearPosition,
+  isTerrainChunkUnchanged,
+} from '../../utils/terrainChunks';
+import {
+  createSplatTexture,
+  updateSplatTexture,
+  createTerrainMaterial,
+  getNoiseTexture,
+} from '../../utils/terrainMaterial';
+
+// Los parches de LOD solo se dibujan: los raycasts (pinceles, colocación) usan la malla completa
+const ignoreRaycast = () => {};
+
+// Un chunk solo se reconstruye si cambian las alturas de su zona (ver isTerrainChunkUnchanged),
+// así una pincelada no regenera los chunks que no toca
+const isSameChunkTerrain = (prev, next) => (
+  prev.chunk === next.chunk &&
+  prev.segments === next.segments &&
+  prev.size === next.size &&
+  isTerrainChunkUnchanged(prev.heightmap, next.heightmap, next.segments, next.chunk)
+);
+
+/**
+ * Collider de un chunk del terreno
+ * Va aparte de la malla: el streaming de los colliders sigue a los cuerpos, no solo a la cámara
+ */
+const TerrainChunkCollider = memo(({ chunk, heightmap, segments, size }) => {
+  const trimesh = useMemo(
+    () => createTerrainTrimesh(heightmap, segments, size, chunk),
+    [heightmap, segments, size, chunk]
+  );
+
+  return (
+    <RigidBody type="fixed" colliders={false}>
+      <TrimeshCollider args={[trimesh.vertices, trimesh.indices]} />
+    </RigidBody>
+  );
+}, isSameChunkTerrain);
+
+/**
+ * Malla de un chunk del terreno: malla a detalle completo y parches de LOD
+ */
+const TerrainChunk = memo(({ chunk, heightmap, segments, size, material, lod, lodPreview }) => {
+  const center = useMemo(() => getTerrainPatchCenter(chunk, segments, size), [chunk, segments, size]);
+
+  // Malla a detalle completo (oculta con LOD: sigue en la escena para los raycasts)
+  const geometry = useMemo(
+    () => createTerrainPatchGeometry(heightmap, segments, size, chunk, 1, 0),
+    [heightmap, segments, size, chunk]
+  );
+
+  // Parches de LOD: una geometría por nivel, centrada en el parche
+  const patches = useMemo(() => {
+    if (!lod) return [];
+    return getTerrainPatches(chunk).map((patch) => ({
+      key: `${patch.x0}-${patch.z0}`,
+      position: getTerrainPatchCenter(patch, segments, size),
+      geometries: LOD_CONFIG.TERRAIN_LEVELS.map((level) => (
+        createTerrainPatchGeometry(heightmap, segments, size, patch, level.step)
+      )),
+    }));
+  }, [lod, heightmap, segments, size, chunk]);
+
+  // Liberar las geometrías al regenerarlas o al descargar el chunk
+  useEffect(() => {
+    return () => geometry.dispose();
+  }, [geometry]);
+
+  useEffect(() => {
+    return () => patches.forEach((patch) => patch.geometries.forEach((geom) => geom.dispose()));
+  }, [patches]);
+
+  return (
+    <>
+      <mesh
+        geometry={geometry}
+        material={material}
+        position={center}
+        receiveShadow
+        visible={!lod}
+        name={`terrain-chunk-${chunk.key}`}
+      />
+      {patches.map((patch) => (
+        <Detailed
+          key={patch.key}
+          position={patch.position}
+          distances={LOD_CONFIG.TERRAIN_LEVELS.map((level) => level.distance)}
+          hysteresis={LOD_CONFIG.HYSTERESIS}
+        >
+          {patch.geometries.map((patchGeometry, level) => (
+            <mesh
+              key={level}
+              geometry={patchGeometry}
+              material={lodPreview ? getLodPreviewMaterial(level) : material}
+              receiveShadow
+              raycast={ignoreRaycast}
+            />
+          ))}
+        </Detailed>
+      ))}
+    </>
+  );
+}, (prev, next) => (
+  prev.material === next.material &&
+  prev.lod === next.lod &&
+  prev.lodPreview === next.lodPreview &&
+  isSameChunkTerrain(prev, next)
+));
+
+// Claves de los chunks unidas en un texto: solo hay render si cambia el conjunto
+const getChunkKeys = (chunks) => chunks.map((chunk) => chunk.key).join('|');
+
+/**
+ * Chunks que deben estar construidos con streaming (modo juego)
+ * Se comprueba cada TERRAIN_CONFIG.STREAM_INTERVAL segundos; la primera vez, en el primer frame
+ * @param {Array} chunks - Chunks del terreno (ver getTerrainChunks)
+ * @param {boolean} enabled - Si el streaming está activo (si no, se devuelven todos los chunks)
+ * @param {Function} getNearChunks - (chunks, camera) => chunks que deben estar construidos
+ * @returns {Array} Chunks que deben estar construidos
+ */
+const useChunkStreaming = (chunks, enabled, getNearChunks) => {
+  const camera = useThree((state) => state.camera);
+  const elapsedRef = useRef(TERRAIN_CONFIG.STREAM_INTERVAL);
+  const [activeKeys, setActiveKeys] = useState(() => getChunkKeys(getNearChunks(chunks, camera)));
+
+  useFrame((state, delta) => {
+    if (!enabled) return;
+    elapsedRef.current += delta;
+    if (elapsedRef.current < TERRAIN_CONFIG.STREAM_INTERVAL) return;
+    elapsedRef.current = 0;
+    setActiveKeys(getChunkKeys(getNearChunks(chunks, state.camera)));
+  });
+
+  return useMemo(() => {
+    if (!enabled) return chunks;
+    const keys = new Set(activeKeys.split('|'));
+    return chunks.filter((chunk) => keys.has(chunk.key));
+  }, [chunks, enabled, activeKeys]);
+};
+
+// Mallas: chunks cercanos a la cámara activa
+const getChunksNearCamera = (chunks, camera) => (
+  getChunksNearPosition(chunks, camera.position.x, camera.position.z, TERRAIN_CONFIG.STREAM_RADIUS)
+);
+
+/**
+ * Colliders de los chunks del terreno
+ * Con streaming se montan los de los chunks cercanos a la cámara (los que se ven) y los de
+ * alrededor de cada cuerpo no fijo del mundo físico, aunque esté dormido o lejos de la cámara,
+ * así ningún cuerpo se queda sin suelo. Va aparte porque necesita el mundo de <Physics>
+ */
+const TerrainColliders = ({ chunks, heightmap, segments, size, streaming }) => {
+  const { world } = useRapier();
+
+  const getColliderChunks = useCallback((allChunks, camera) => {
+    const keys = new Set(getChunksNearCamera(allChunks, camera).map((chunk) => chunk.key));
+    world.forEachRigidBody((body) => {
+      if (body.isFixed()) return;
+      const { x, z } = body.translation();
+      getChunksNearPosition(allChunks, x, z, TERRAIN_CONFIG.COLLIDER_STREAM_RADIUS)
+        .forEach((chunk) => keys.add(chunk.key));
+    });
+    return allChunks.filter((chunk) => keys.has(chunk.key));
+  }, [world]);
+
+  const activeChunks = useChunkStreaming(chunks, streaming, getColliderChunks);
+
+  return activeChunks.map((chunk) => (
+    <TerrainChunkCollider
+      key={chunk.key}
+      chunk={chunk}
+      heightmap={heightmap}
+      segments={segments}
+      size={size}
+    />
+  ));
+};
 
 /**
  * Componente de terreno con heightmap
  * Permite terrenos con elevaciones y protuberancias realistas
- * 
+ * El terreno se divide en chunks (ver terrainChunks) que comparten un único heightmap; cada
+ * chunk tiene su malla y su collider. Con streaming solo se construyen las mallas de los chunks
+ * cercanos a la cámara y los colliders de esos chunks y de los que rodean a cada cuerpo no fijo
+ * (ver TerrainColliders). Con LOD cada chunk se dibuja en parches que pierden
+ * resolución con la distancia (ver LOD_CONFIG.TERRAIN_LEVELS); la malla completa sigue en
+ * la escena, oculta, para los raycasts. El grupo "terrain" guarda en userData el heightmap
+ * que leen los demás componentes. El material mezcla las capas de TERRAIN_MATERIAL_CONFIG
+ * según el splat map (ver terrainMaterial)
+ *
  * @param {Object} props
- * @param {Float32Array} props.heightmap - Heightmap del terreno (opcional, genera uno procedural si no se proporciona)
+ * @param {Float32Array} props.heightmap - Heightmap del terreno (opcional, plano si no se proporciona)
  * @param {boolean} props.hasPhysics - Si incluye física (default: true)
- * @param {number} props.size - Tamaño del terreno (default: TERRAIN_CONFIG.SIZE)
- * @param {number} props.segments - Número de segmentos (default: TERRAIN_CONFIG.SEGMENTS)
+ * @param {Object} props.layout - Distribución de chunks (default: TERRAIN_CONFIG.DEFAULT_LAYOUT)
+ * @param {Uint8Array|null} props.splat - Splat map del terreno (opcional, toda la capa base si no se proporciona)
  * @param {number} props.maxHeight - Altura máxima (default: TERRAIN_CONFIG.MAX_HEIGHT)
  * @param {Function} props.onHeightmapChange - Callback cuando cambia el heightmap
+ * @param {boolean} props.lod - Si dibuja el terreno con niveles de detalle (default: true)
+ * @param {boolean} props.lodPreview - Colorea cada parche según su nivel activo (vista previa del editor)
+ * @param {boolean} props.streaming - Solo construye los chunks cercanos a la cámara activa y a los cuerpos (modo juego)
  */
 export const TerrainGenerator = ({
   heightmap = null,
   hasPhysics = true,
-  size = TERRAIN_CONFIG.SIZE,
-  segments = TERRAIN_CONFIG.SEGMENTS,
+  layout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  splat = null,
   maxHeight = TERRAIN_CONFIG.MAX_HEIGHT,
   onHeightmapChange = null,
+  lod = true,
+  lodPreview = false,
+  streaming = false,
 }) => {
   const texture = useLoader(TextureLoader, grassTexture);
-  const meshRef = useRef();
-  const geometryRef = useRef();
+  const { segments, size } = getTerrainDimensions(layout);
 
-  // Configurar textura
+  // Configurar textura (misma densidad de repetición por metro sea cual sea el tamaño del mundo)
   texture.wrapS = RepeatWrapping;
   texture.wrapT = RepeatWrapping;
-  texture.repeat.set(TERRAIN_CONFIG.TEXTURE_REPEAT, TERRAIN_CONFIG.TEXTURE_REPEAT);
+  const textureRepeat = TERRAIN_CONFIG.TEXTURE_REPEAT * (size / TERRAIN_CONFIG.SIZE);
 
   // Crear o usar heightmap proporcionado
   const currentHeightmap = useMemo(() => {
@@ -44,44 +244,34 @@ export const TerrainGenerator = ({
     return new Float32Array(segments * segments).fill(0);
   }, [heightmap, segments]);
 
-  // Crear geometría del terreno
-  const geometry = useMemo(() => {
-    const geom = new PlaneGeometry(size, size, segments - 1, segments - 1);
-    geom.rotateX(-Math.PI / 2); // Rotar para que esté horizontal
-    
-    // Aplicar heightmap a los vértices
-    const positions = geom.attributes.position;
-    const halfSize = size / 2;
-    
-    for (let i = 0; i < positions.count; i++) {
-      const x = positions.getX(i);
-      const z = positions.getZ(i);
-      
-      // Convertir coordenadas del mundo a índices del heightmap
-      const heightmapX = ((x + halfSize) / size) * (segments - 1);
-      const heightmapZ = ((z + halfSize) / size) * (segments - 1);
-      
-      // Obtener altura usando interpolación
-      const height = getHeightAt(currentHeightmap, segments, segments, heightmapX, heightmapZ);
-      
-      // Aplicar altura al vértice
-      positions.setY(i, height);
-    }
-    
-    // Recalcular normales para iluminación correcta
-    geom.computeVertexNormals();
-    geom.attributes.position.needsUpdate = true;
-    geom.attributes.normal.needsUpdate = true;
-    
-    return geom;
-  }, [currentHeightmap, size, segments]);
-
-  // Guardar referencia a la geometría
+  const chunks = useMemo(() => getTerrainChunks(layout), [layout]);
+  const activeChunks = useChunkStreaming(chunks, streaming, getChunksNearCamera);
+
+  // La capa base usa la textura de hierba; el resto, una textura de ruido de su color
+  const layerTextures = useMemo(() => (
+    TERRAIN_MATERIAL_CONFIG.LAYERS.map((layer, index) => (index === 0 ? texture : getNoiseTexture(layer.color)))
+  ), [texture]);
+
+  const splatTexture = useMemo(() => createSplatTexture(segments), [segments]);
+
+  // Subir el splat map a la GPU al pintar (sin recrear la textura ni el material)
   useEffect(() => {
-    if (geometryRef.current) {
-      geometryRef.current = geometry;
-    }
-  }, [geometry]);
+    updateSplatTexture(splatTexture, splat);
+  }, [splat, splatTexture]);
+
+  useEffect(() => {
+    return () => splatTexture.dispose();
+  }, [splatTexture]);
+
+  // Material compartido por todos los chunks
+  const material = useMemo(
+    () => createTerrainMaterial(layerTextures, splatTexture, textureRepeat),
+    [layerTextures, splatTexture, textureRepeat]
+  );
+
+  useEffect(() => {
+    return () => material.dispose();
+  }, [material]);
 
   // Notificar cambios en el heightmap
   useEffect(() => {
@@ -90,30 +280,8 @@ export const TerrainGenerator = ({
     }
   }, [currentHeightmap, onHeightmapChange]);
 
-  // Preparar datos para HeightfieldCollider
-  // Rapier espera un array plano de alturas (Float32Array)
-  // El formato es: heights[z * ncols + x] donde z es la fila y x es la columna
-  const heightfieldHeights = useMemo(() => {
-    const heights = new Float32Array(segments * segments);
-    
-    // Copiar heightmap asegurándonos de que esté en el formato correcto
-    // El heightmap está indexado como [y * segments + x]
-    for (let z = 0; z < segments; z++) {
-      for (let x = 0; x < segments; x++) {
-        const idx = z * segments + x;
-        heights[idx] = currentHeightmap[idx] || 0;
-      }
-    }
-    
-    return heights;
-  }, [currentHeightmap, segments]);
-
-  const terrainMesh = (
-    <mesh
-      ref={meshRef}
-      geometry={geometry}
-      receiveShadow
-      position={[0, 0, 0]}
+  return (
+    <group
       name="terrain"
       userData={{
         heightmap: currentHeightmap,
@@ -122,53 +290,27 @@ export const TerrainGenerator = ({
         maxHeight: maxHeight
       }}
     >
-      <meshStandardMaterial map={texture} />
-    </mesh>
-  );
-
-  // Si no hay física, solo retornar el mesh
-  if (!hasPhysics) {
-    return terrainMesh;
-  }
-
-  // Calcular altura promedio para usar como fallback
-  const averageHeight = useMemo(() => {
-    let sum = 0;
-    for (let i = 0; i < currentHeightmap.length; i++) {
-      sum += currentHeightmap[i] || 0;
-    }
-    return sum / currentHeightmap.length;
-  }, [currentHeightmap]);
-
-  // Determinar si usar HeightfieldCollider o fallback
-  // Por ahora, deshabilitado debido a problemas con la API
-  const USE_HEIGHTFIELD = false; // Cambiar a true cuando se verifique la API correcta
-
-  return (
-    <>
-      {terrainMesh}
-      
-      {/* Colisión del terreno */}
-      <RigidBody type="fixed" position={[0, 0, 0]}>
-        {USE_HEIGHTFIELD && segments > 1 && heightfieldHeights.length === segments * segments ? (
-          // Intentar usar HeightfieldCollider (deshabilitado por ahora)
-          <HeightfieldCollider
-            args={[
-              segments, // nrows
-              segments, // ncols  
-              heightfieldHeights, // heights: Float32Array
-              { x: size, y: maxHeight * 2, z: size }, // scale
-            ]}
-          />
-        ) : (
-          // Fallback: CuboidCollider plano (no refleja elevaciones, pero funciona)
-          <CuboidCollider 
-            args={[size / 2, Math.max(0.1, Math.abs(averageHeight) + maxHeight / 2), size / 2]} 
-            position={[0, averageHeight / 2, 0]} 
-          />
-        )}
-      </RigidBody>
-    </>
+      {activeChunks.map((chunk) => (
+        <TerrainChunk
+          key={chunk.key}
+          chunk={chunk}
+          heightmap={currentHeightmap}
+          segments={segments}
+          size={size}
+          material={material}
+          lod={lod}
+          lodPreview={lodPreview}
+        />
+      ))}
+      {hasPhysics && (
+        <TerrainColliders
+          chunks={chunks}
+          heightmap={currentHeightmap}
+          segments={segments}
+          size={size}
+          streaming={streaming}
+        />
+      )}
+    </group>
   );
 };
-
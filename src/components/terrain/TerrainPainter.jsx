@@ -1,18 +1,39 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
 import { Raycaster, Vector3 } from 'three';
-import { modifyHeightmap, smoothHeightmap } from '../../utils/heightmapUtils';
+import { getTerrainHeightAtWorldPosition } from '../../utils/heightmapUtils';
+import { sculptHeightmap, applyRamp, getBrushPressure } from '../../utils/terrainBrushes';
+import { createSplatMap, paintSplatMap, getTerrainLayerIndex } from '../../utils/terrainMaterial';
+import { applyStamp } from '../../utils/terrainStamps';
 import { TERRAIN_CONFIG } from '../../constants/gameConstants';
 
+// Modos que actúan una vez por click (arrastrar no repite)
+const SINGLE_CLICK_MODES = ['stamp', 'ramp'];
+
+// Presión del lápiz; el ratón y el tacto cuentan como presión completa
+const getPointerPressure = (event) => (event.pointerType === 'pen' && event.pressure > 0 ? event.pressure : 1);
+
 /**
  * Componente que maneja la pintura del terreno dentro del Canvas
  * Se comunica con el modal del editor para aplicar modificaciones
+ * El heightmap es único para todos los chunks del terreno: una pincelada sobre un borde
+ * modifica los chunks de ambos lados a la vez y estos solo reconstruyen su zona
+ * En modo 'texture' no cambia el heightmap: pinta la capa paintSettings.layer en el splat map
+ * En modo 'stamp' cada click coloca paintSettings.stamp en el cursor (ver applyStamp); arrastrar no repite
+ * En modo 'ramp' se hace click en el inicio y en el final de la rampa (ver applyRamp)
+ * Ctrl+click no pinta: toma la altura (aplanar, fijar altura) o el origen (clonar) del punto y
+ * lo envía a paintSettings.onSample({ x, z, height })
+ * La presión del lápiz (eventos de puntero) modula la intensidad según paintSettings.pressureCurve
  * 
  * @param {Object} props
  * @param {Float32Array} props.heightmap - Heightmap actual
  * @param {number} props.segments - Número de segmentos
  * @param {number} props.terrainSize - Tamaño del terreno
  * @param {Function} props.onHeightmapChange - Callback cuando cambia el heightmap
+ * @param {Uint8Array|null} props.splat - Splat map actual (null = toda la capa base)
+ * @param {Function} props.onSplatChange - Callback cuando cambia el splat map
+ * @param {Function} props.onStrokeStart - Callback al empezar un trazo (mousedown)
+ * @param {Function} props.onStrokeEnd - Callback al terminar un trazo (mouseup o salir del canvas)
  * @param {Object} props.paintSettings - Ajustes de pintura desde el modal
  * @param {boolean} props.enabled - Si la pintura está habilitada
  */
@@ -21,6 +42,10 @@ export const TerrainPainter = ({
   segments = TERRAIN_CONFIG.SEGMENTS,
   terrainSize = TERRAIN_CONFIG.SIZE,
   onHeightmapChange,
+  splat = null,
+  onSplatChange = null,
+  onStrokeStart = null,
+  onStrokeEnd = null,
   paintSettings = null,
   enabled = false,
 }) => {
@@ -29,12 +54,27 @@ export const TerrainPainter = ({
   const [lastPaintPosition, setLastPaintPosition] = useState(null);
   const raycaster = useRef(new Raycaster());
   const currentHeightmap = useRef(heightmap);
+  const currentSplat = useRef(splat);
+  const strokeActiveRef = useRef(false);
+  const strokeTargetRef = useRef(null); // Altura bajo el cursor al empezar el trazo (aplanar)
+  const cloneOffsetRef = useRef(null); // Del punto pintado al origen de la clonación, fijado al empezar el trazo
+  const rampStartRef = useRef(null);
 
   // Actualizar referencia cuando cambia el heightmap
   useEffect(() => {
     currentHeightmap.current = heightmap;
   }, [heightmap]);
 
+  useEffect(() => {
+    currentSplat.current = splat;
+  }, [splat]);
+
+  // Una rampa a medias se descarta al cambiar de modo
+  const paintMode = paintSettings?.paintMode;
+  useEffect(() => {
+    rampStartRef.current = null;
+  }, [paintMode]);
+
   // Obtener posición del terreno bajo el mouse
   const getTerrainPosition = useCallback((event) => {
     const mouse = new Vector3();
@@ -44,12 +84,14 @@ export const TerrainPainter = ({
 
     raycaster.current.setFromCamera(mouse, camera);
     
-    // Buscar intersección con el terreno
+    // Buscar intersección con el terreno (la superficie del agua no cuenta)
     const intersects = raycaster.current.intersectObjects(scene.children, true);
     const terrainMesh = intersects.find(
-      obj => obj.object.name === 'terrain' || 
-             obj.object.parent?.name === 'terrain' ||
-             obj.object.type === 'Mesh'
+      obj => !obj.object.userData?.isWater && (
+        obj.object.name === 'terrain' || 
+        obj.object.parent?.name === 'terrain' ||
+        obj.object.type === 'Mesh'
+      )
     );
     
     if (terrainMesh) {
@@ -60,55 +102,93 @@ export const TerrainPainter = ({
   }, [camera, scene, gl]);
 
   // Modificar terreno en una posición
-  const modifyTerrainAt = useCallback((worldPos, intensity) => {
+  // pressure: presión del lápiz (0 a 1; 1 con ratón)
+  const modifyTerrainAt = useCallback((worldPos, pressure = 1) => {
     if (!currentHeightmap.current || !paintSettings) return;
 
     const { brushSize, brushIntensity, paintMode } = paintSettings;
 
-    if (paintMode === 'smooth') {
-      // Suavizar requiere un enfoque diferente
-      const smoothed = smoothHeightmap(
-        currentHeightmap.current,
-        segments,
-        segments,
-        1
-      );
-      currentHeightmap.current = smoothed;
+    if (paintMode === 'texture') {
+      const layerIndex = getTerrainLayerIndex(paintSettings.layer);
+      if (layerIndex === -1) return;
+      const source = currentSplat.current?.length === segments * segments * 4
+        ? currentSplat.current
+        : createSplatMap(segments);
+      const newSplat = paintSplatMap(source, segments, terrainSize, worldPos.x, worldPos.z, brushSize, layerIndex, brushIntensity);
+      currentSplat.current = newSplat;
+      if (onSplatChange) {
+        onSplatChange(newSplat);
+      }
+      return;
+    }
+
+    if (paintMode === 'stamp') {
+      if (!paintSettings.stamp) return;
+      const stamped = applyStamp(currentHeightmap.current, segments, terrainSize, paintSettings.stamp, {
+        x: worldPos.x,
+        z: worldPos.z,
+        radius: brushSize,
+        rotation: paintSettings.stampRotation,
+        height: paintSettings.stampHeight,
+        blend: paintSettings.stampBlend,
+      });
+      currentHeightmap.current = stamped;
       if (onHeightmapChange) {
-        onHeightmapChange(new Float32Array(smoothed));
+        onHeightmapChange(new Float32Array(stamped));
       }
       return;
     }
 
-    let finalIntensity = intensity;
-    if (paintMode === 'raise') {
-      finalIntensity = 1;
-    } else if (paintMode === 'lower') {
-      finalIntensity = -1;
-    } else if (paintMode === 'flatten') {
-      finalIntensity = 0; // Aplanar a altura 0
+    if (paintMode === 'ramp') {
+      // Primer click: inicio de la rampa; segundo click: la crea hasta ahí
+      const point = {
+        x: worldPos.x,
+        z: worldPos.z,
+        height: getTerrainHeightAtWorldPosition(currentHeightmap.current, segments, terrainSize, worldPos.x, worldPos.z),
+      };
+      if (!rampStartRef.current) {
+        rampStartRef.current = point;
+        return;
+      }
+      const ramped = applyRamp(currentHeightmap.current, segments, terrainSize, rampStartRef.current, point, {
+        radius: brushSize,
+        falloff: paintSettings.falloff,
+        strength: brushIntensity,
+      });
+      rampStartRef.current = null;
+      currentHeightmap.current = ramped;
+      if (onHeightmapChange) {
+        onHeightmapChange(new Float32Array(ramped));
+      }
+      return;
     }
 
-    const newHeightmap = modifyHeightmap(
-      currentHeightmap.current,
-      segments,
-      segments,
-      worldPos.x,
-      worldPos.z,
-      brushSize,
-      finalIntensity * brushIntensity,
-      terrainSize
-    );
+    const newHeightmap = sculptHeightmap(currentHeightmap.current, segments, terrainSize, {
+      x: worldPos.x,
+      z: worldPos.z,
+      radius: brushSize,
+      mode: paintMode,
+      strength: brushIntensity * getBrushPressure(paintSettings.pressureCurve, pressure),
+      falloff: paintSettings.falloff,
+      shape: paintSettings.shape,
+      // Aplanar usa la altura tomada con Ctrl+click o, si no hay, la del inicio del trazo
+      targetHeight: paintMode === 'flatten'
+        ? paintSettings.flattenTarget ?? strokeTargetRef.current ?? 0
+        : paintSettings.targetHeight,
+      noiseScale: paintSettings.noiseScale,
+      terraceHeight: paintSettings.terraceHeight,
+      cloneOffset: cloneOffsetRef.current,
+    });
 
     currentHeightmap.current = newHeightmap;
     if (onHeightmapChange) {
       onHeightmapChange(new Float32Array(newHeightmap));
     }
-  }, [segments, terrainSize, paintSettings, onHeightmapChange]);
+  }, [segments, terrainSize, paintSettings, onHeightmapChange, onSplatChange]);
 
   // Manejar pintura del terreno
   const handleMouseMove = useCallback((event) => {
-    if (!isPainting || !enabled || !paintSettings) return;
+    if (!isPainting || !enabled || !paintSettings || SINGLE_CLICK_MODES.includes(paintSettings.paintMode)) return;
 
     const terrainPos = getTerrainPosition(event);
     if (!terrainPos) return;
@@ -119,7 +199,7 @@ export const TerrainPainter = ({
       if (dist < paintSettings.brushSize * 0.3) return;
     }
 
-    modifyTerrainAt(terrainPos, 1);
+    modifyTerrainAt(terrainPos, getPointerPressure(event));
     setLastPaintPosition(terrainPos);
   }, [isPainting, enabled, paintSettings, getTerrainPosition, modifyTerrainAt, lastPaintPosition]);
 
@@ -130,33 +210,66 @@ export const TerrainPainter = ({
     const canvas = gl.domElement;
     
     const handleMouseDown = (e) => {
-      if (e.button === 0) { // Botón izquierdo
-        setIsPainting(true);
-        const terrainPos = getTerrainPosition(e);
-        if (terrainPos) {
-          setLastPaintPosition(terrainPos);
-          handleMouseMove(e);
+      // Shift+arrastrar está reservado para la selección por caja del editor
+      if (e.button !== 0 || e.shiftKey || !paintSettings) return; // Botón izquierdo
+      const terrainPos = getTerrainPosition(e);
+
+      if (e.ctrlKey || e.metaKey) {
+        if (terrainPos && paintSettings.onSample) {
+          paintSettings.onSample({
+            x: terrainPos.x,
+            z: terrainPos.z,
+            height: getTerrainHeightAtWorldPosition(currentHeightmap.current, segments, terrainSize, terrainPos.x, terrainPos.z),
+          });
         }
+        return;
+      }
+
+      setIsPainting(true);
+      strokeActiveRef.current = true;
+      if (onStrokeStart) {
+        onStrokeStart();
+      }
+      if (!terrainPos) return;
+
+      strokeTargetRef.current = getTerrainHeightAtWorldPosition(
+        currentHeightmap.current, segments, terrainSize, terrainPos.x, terrainPos.z
+      );
+      const { cloneSource } = paintSettings;
+      cloneOffsetRef.current = cloneSource
+        ? { x: cloneSource.x - terrainPos.x, z: cloneSource.z - terrainPos.z }
+        : null;
+
+      modifyTerrainAt(terrainPos, getPointerPressure(e));
+      if (!SINGLE_CLICK_MODES.includes(paintSettings.paintMode)) {
+        setLastPaintPosition(terrainPos);
       }
     };
 
     const handleMouseUp = () => {
       setIsPainting(false);
       setLastPaintPosition(null);
+      if (strokeActiveRef.current) {
+        strokeActiveRef.current = false;
+        if (onStrokeEnd) {
+          onStrokeEnd();
+        }
+      }
     };
 
-    canvas.addEventListener('mousedown', handleMouseDown);
-    canvas.addEventListener('mousemove', handleMouseMove);
-    canvas.addEventListener('mouseup', handleMouseUp);
-    canvas.addEventListener('mouseleave', handleMouseUp);
+    // Eventos de puntero para tener la presión del lápiz
+    canvas.addEventListener('pointerdown', handleMouseDown);
+    canvas.addEventListener('pointermove', handleMouseMove);
+    canvas.addEventListener('pointerup', handleMouseUp);
+    canvas.addEventListener('pointerleave', handleMouseUp);
 
     return () => {
-      canvas.removeEventListener('mousedown', handleMouseDown);
-      canvas.removeEventListener('mousemove', handleMouseMove);
-      canvas.removeEventListener('mouseup', handleMouseUp);
-      canvas.removeEventListener('mouseleave', handleMouseUp);
+      canvas.removeEventListener('pointerdown', handleMouseDown);
+      canvas.removeEventListener('pointermove', handleMouseMove);
+      canvas.removeEventListener('pointerup', handleMouseUp);
+      canvas.removeEventListener('pointerleave', handleMouseUp);
     };
-  }, [gl, handleMouseMove, getTerrainPosition, enabled]);
+  }, [gl, handleMouseMove, getTerrainPosition, modifyTerrainAt, paintSettings, segments, terrainSize, enabled, onStrokeStart, onStrokeEnd]);
 
   // Este componente no renderiza nada visual
   return null;
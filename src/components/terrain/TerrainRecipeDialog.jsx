@@ -0,0 +1,160 @@
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Label } from '@/components/ui/label';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ChevronUp, ChevronDown, Trash2 } from 'lucide-react';
+import { SettingSlider } from './SettingSlider';
+import { TERRAIN_RECIPE_STEPS, MAX_RECIPE_STEPS, createRecipeStep } from '../../utils/noise/terrainRecipe';
+
+// Decimales del valor mostrado según el paso del slider
+const formatParam = (step) => (value) => (Number.isInteger(step) ? `${value}` : value.toFixed(2));
+
+/**
+ * Controles de un paso de la receta (generados a partir de TERRAIN_RECIPE_STEPS)
+ */
+const RecipeStep = ({ step, index, count, onChange, onMove, onRemove }) => {
+  const definition = TERRAIN_RECIPE_STEPS[step.type];
+
+  return (
+    <div className="rounded-md border border-border bg-muted/20 p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-semibold">{index + 1}. {definition.name}</span>
+        <div className="flex items-center gap-1">
+          <Button size="icon" variant="ghost" className="h-6 w-6" title="Subir" disabled={index === 0} onClick={() => onMove(-1)}>
+            <ChevronUp className="h-3 w-3" />
+          </Button>
+          <Button size="icon" variant="ghost" className="h-6 w-6" title="Bajar" disabled={index === count - 1} onClick={() => onMove(1)}>
+            <ChevronDown className="h-3 w-3" />
+          </Button>
+          <Button size="icon" variant="ghost" className="h-6 w-6" title="Quitar paso" onClick={onRemove}>
+            <Trash2 className="h-3 w-3" />
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-x-4 gap-y-3">
+        {definition.params.map((param) => {
+          const value = step[param.key] ?? definition.defaults[param.key];
+          if (param.options) {
+            return (
+              <div key={param.key} className="space-y-1.5">
+                <Label className="text-xs font-medium">{param.label}</Label>
+                <Select value={value} onValueChange={(newValue) => onChange({ [param.key]: newValue })}>
+                  <SelectTrigger className="h-8 text-xs">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {param.options.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            );
+          }
+          return (
+            <SettingSlider
+              key={param.key}
+              label={param.label}
+              value={value}
+              onChange={(newValue) => onChange({ [param.key]: newValue })}
+              min={param.min}
+              max={param.max}
+              step={param.step}
+              format={formatParam(param.step)}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Diálogo para editar los pasos de una receta de terreno
+ * Los pasos se aplican en orden sobre un terreno plano (ver generateTerrainFromRecipe)
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Si el diálogo está abierto
+ * @param {Function} props.onOpenChange - Callback al abrir/cerrar
+ * @param {Object} props.recipe - Receta { seed, steps }
+ * @param {Function} props.onChange - Callback con la receta modificada
+ */
+export const TerrainRecipeDialog = ({ open, onOpenChange, recipe, onChange }) => {
+  const { steps } = recipe;
+
+  const setSteps = (newSteps) => onChange({ ...recipe, steps: newSteps });
+
+  const updateStep = (index, updates) => {
+    setSteps(steps.map((step, i) => (i === index ? { ...step, ...updates } : step)));
+  };
+
+  const moveStep = (index, direction) => {
+    const newSteps = [...steps];
+    [newSteps[index], newSteps[index + direction]] = [newSteps[index + direction], newSteps[index]];
+    setSteps(newSteps);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Receta del terreno</DialogTitle>
+          <DialogDescription>
+            Los pasos se aplican en orden sobre un terreno plano. Con la misma semilla se obtiene
+            el mismo terreno a cualquier resolución.
+          </DialogDescription>
+        </DialogHeader>
+
+        <ScrollArea className="max-h-[420px]">
+          <div className="space-y-2 pr-2">
+            {steps.length === 0 && (
+              <p className="py-6 text-center text-sm text-muted-foreground">
+                La receta no tiene pasos: el terreno será plano
+              </p>
+            )}
+            {steps.map((step, index) => (
+              <RecipeStep
+                key={step.id || index}
+                step={step}
+                index={index}
+                count={steps.length}
+                onChange={(updates) => updateStep(index, updates)}
+                onMove={(direction) => moveStep(index, direction)}
+                onRemove={() => setSteps(steps.filter((_, i) => i !== index))}
+              />
+            ))}
+          </div>
+        </ScrollArea>
+
+        <DialogFooter className="sm:justify-between">
+          <Select
+            value=""
+            onValueChange={(type) => setSteps([...steps, createRecipeStep(type)])}
+            disabled={steps.length >= MAX_RECIPE_STEPS}
+          >
+            <SelectTrigger className="h-9 w-48 text-xs">
+              <SelectValue placeholder="Añadir paso" />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(TERRAIN_RECIPE_STEPS).map(([type, definition]) => (
+                <SelectItem key={type} value={type}>{definition.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cerrar
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -4,20 +4,29 @@ import { TerrainPainter } from './TerrainPainter';
 import { TerrainBrushIndicator } from './TerrainBrushIndicator';
 import { TERRAIN_CONFIG } from '../../constants/gameConstants';
 import { generateProceduralTerrain } from '../../utils/noise/TerrainGenerator';
+import { getTerrainDimensions } from '../../utils/terrainChunks';
 
 /**
  * Componente que combina TerrainGenerator con TerrainEditor
  * Permite editar el terreno en tiempo real en el editor
+ * Sin lodPreview el terreno se dibuja a detalle completo (solo se regeneran los chunks que toca cada pincelada)
  */
 export const TerrainWithEditor = ({
   hasPhysics = false,
   heightmap = null,
+  layout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  splat = null,
   onHeightmapChange = null,
+  onSplatChange = null,
+  onStrokeStart = null,
+  onStrokeEnd = null,
   showEditor = false,
   levelFilename = 'level1.json',
   paintSettings = null,
+  lodPreview = false,
 }) => {
   const [currentHeightmap, setCurrentHeightmap] = useState(null);
+  const { segments, size } = getTerrainDimensions(layout);
 
   // Inicializar heightmap
   useEffect(() => {
@@ -31,7 +40,7 @@ export const TerrainWithEditor = ({
     } else {
       // Generar uno por defecto
       const defaultHeightmap = generateProceduralTerrain({
-        segments: TERRAIN_CONFIG.SEGMENTS,
+        segments,
         scale: TERRAIN_CONFIG.NOISE_SCALE,
         octaves: TERRAIN_CONFIG.NOISE_OCTAVES,
         persistence: TERRAIN_CONFIG.NOISE_PERSISTENCE,
@@ -40,7 +49,7 @@ export const TerrainWithEditor = ({
       });
       setCurrentHeightmap(defaultHeightmap);
     }
-  }, [heightmap]);
+  }, [heightmap, segments]);
 
   // Manejar cambios en el heightmap
   const handleHeightmapChange = (newHeightmap) => {
@@ -50,7 +59,9 @@ export const TerrainWithEditor = ({
     }
   };
 
-  if (!currentHeightmap) {
+  // Al cambiar el tamaño del mundo el heightmap nuevo llega en el siguiente render: hasta entonces
+  // no se dibuja, así TerrainGenerator no sustituye el terreno por uno plano del tamaño nuevo
+  if (!currentHeightmap || currentHeightmap.length !== segments * segments) {
     return null;
   }
 
@@ -59,18 +70,24 @@ export const TerrainWithEditor = ({
       <TerrainGenerator
         heightmap={currentHeightmap}
         hasPhysics={hasPhysics}
-        size={TERRAIN_CONFIG.SIZE}
-        segments={TERRAIN_CONFIG.SEGMENTS}
+        layout={layout}
+        splat={splat}
         maxHeight={TERRAIN_CONFIG.MAX_HEIGHT}
         onHeightmapChange={handleHeightmapChange}
+        lod={lodPreview}
+        lodPreview={lodPreview}
       />
       {showEditor && (
         <>
           <TerrainPainter
             heightmap={currentHeightmap}
-            segments={TERRAIN_CONFIG.SEGMENTS}
-            terrainSize={TERRAIN_CONFIG.SIZE}
+            segments={segments}
+            terrainSize={size}
             onHeightmapChange={handleHeightmapChange}
+            splat={splat}
+            onSplatChange={onSplatChange}
+            onStrokeStart={onStrokeStart}
+            onStrokeEnd={onStrokeEnd}
             paintSettings={paintSettings}
             enabled={showEditor && paintSettings !== null}
           />
@@ -23,6 +23,15 @@ export const PLAYER_CONFIG = {
   SWEEP_TEST_MARGIN: 0.01, // Margen adicional para sweep tests (evitar penetración)
 };
 
+// Mapa de controles de teclado (KeyboardControls)
+export const KEYBOARD_MAP = [
+  { name: 'forward', keys: ['KeyW', 'ArrowUp'] },
+  { name: 'backward', keys: ['KeyS', 'ArrowDown'] },
+  { name: 'left', keys: ['KeyA', 'ArrowLeft'] },
+  { name: 'right', keys: ['KeyD', 'ArrowRight'] },
+  { name: 'jump', keys: ['Space'] },
+];
+
 // Configuración de física
 export const PHYSICS_CONFIG = {
   GRAVITY: [0, -9.81, 0],
@@ -81,6 +90,41 @@ export const TERRAIN_CONFIG = {
   NOISE_OCTAVES: 4,
   NOISE_PERSISTENCE: 0.5,
   SMOOTH_ITERATIONS: 1,
+  // Terreno por chunks: el mundo mide chunks * chunkSize y el heightmap tiene
+  // chunks * chunkResolution + 1 muestras por lado (por defecto, un chunk de SEGMENTS x SIZE)
+  DEFAULT_LAYOUT: { chunks: 1, chunkResolution: 63, chunkSize: 100 },
+  MAX_CHUNKS: 8, // Chunks por lado
+  CHUNK_RESOLUTIONS: [15, 31, 63, 127], // Celdas por lado de cada chunk
+  MIN_CHUNK_SIZE: 25,
+  MAX_CHUNK_SIZE: 400,
+  // Streaming en el modo juego: solo se construyen los chunks cercanos a la cámara activa
+  // Los colliders se montan además alrededor de cada cuerpo no fijo (jugador, objetos dinámicos),
+  // con margen para que un cuerpo no llegue a un chunk sin collider entre dos comprobaciones
+  STREAM_RADIUS: 150, // Distancia (m) de la cámara al borde del chunk
+  COLLIDER_STREAM_RADIUS: 50, // Distancia (m) de cada cuerpo no fijo al borde del chunk
+  STREAM_INTERVAL: 0.5, // Segundos entre comprobaciones
+};
+
+// Material del terreno por capas: un splat map guarda el peso de cada capa (canales RGBA)
+// en cada muestra del heightmap
+export const TERRAIN_MATERIAL_CONFIG = {
+  // Máximo 4 capas (una por canal); la primera es la base de los terrenos sin pintar
+  LAYERS: [
+    { id: 'grass', name: 'Hierba', color: '#5f8a3a' },
+    { id: 'dirt', name: 'Tierra', color: '#7a5a3c' },
+    { id: 'rock', name: 'Roca', color: '#807d78' },
+    { id: 'sand', name: 'Arena', color: '#d6c290' },
+  ],
+  PAINT_RATE: 0.2, // Fracción de la capa que aplica cada pincelada por unidad de intensidad (en el centro del pincel)
+  // Texturizado automático: cada regla cubre con su capa las muestras dentro de sus rangos
+  // (las reglas posteriores se pintan encima); los bordes se funden en estos márgenes
+  AUTO_BLEND_HEIGHT: 0.5, // Metros
+  AUTO_BLEND_SLOPE: 4, // Grados
+  DEFAULT_AUTO_RULES: [
+    { layer: 'sand', minHeight: TERRAIN_CONFIG.MIN_HEIGHT, maxHeight: -0.5, minSlope: 0, maxSlope: 90 },
+    { layer: 'dirt', minHeight: TERRAIN_CONFIG.MIN_HEIGHT, maxHeight: TERRAIN_CONFIG.MAX_HEIGHT, minSlope: 20, maxSlope: 35 },
+    { layer: 'rock', minHeight: TERRAIN_CONFIG.MIN_HEIGHT, maxHeight: TERRAIN_CONFIG.MAX_HEIGHT, minSlope: 35, maxSlope: 90 },
+  ],
 };
 
 // Configuración de objetos
@@ -105,6 +149,60 @@ export const EDITOR_CONFIG = {
   TRANSFORM_PROTECTION_TIME: 3000, // Tiempo en ms para proteger contra deselección después de transformar
   DRAG_THRESHOLD: 5, // Píxeles de movimiento para considerar arrastre
   MIN_DRAG_TIME: 500, // Tiempo mínimo en ms para considerar arrastre válido
+  HISTORY_LIMIT: 100, // Número máximo de pasos de deshacer
+  HISTORY_COALESCE_TIME: 800, // Ediciones seguidas de la misma propiedad dentro de este tiempo (ms) forman un solo paso
+  AUTOSAVE_INTERVAL: 30000, // Cada cuánto (ms) se guarda un autoguardado si el nivel ha cambiado
+  LOCAL_COPY_DELAY: 1000, // Pausa (ms) tras el último cambio antes de escribir la copia local de un nivel con cambios
+  UNSAVED_LEVEL_KEY: 'nuevo-nivel', // Clave de los autoguardados de un nivel que aún no tiene archivo
+  PLAY_STEP_SECONDS: 1 / 60, // Tiempo que avanza la simulación al pulsar "Paso" con el modo Play en pausa
+  SETTLE_MAX_TIME: 8, // Segundos máximos de simulación al asentar objetos con física
+  SETTLE_MAX_HULL_POINTS: 512, // Puntos máximos por objeto para su envolvente convexa al asentarlo
+};
+
+// Instancing de modelos repetidos en el modo juego (LevelLoader)
+export const INSTANCING_CONFIG = {
+  MIN_INSTANCES: 4, // Copias mínimas de un modelo para dibujarlas con InstancedMesh
+  CHUNK_SIZE: 25, // Lado (m) de las celdas en que se reparten las instancias (frustum culling por celda)
+};
+
+// Nivel de detalle (LOD) de modelos y terreno
+export const LOD_CONFIG = {
+  MAX_LEVELS: 3, // Niveles por objeto además del modelo original
+  DEFAULT_DISTANCE: 30, // Distancia (m) del primer nivel al añadirlo
+  DISTANCE_STEP: 30, // Separación (m) entre niveles al añadir uno nuevo
+  DEFAULT_SIMPLIFY: 0.5, // Fracción de vértices que conserva un nivel simplificado
+  MIN_SIMPLIFY: 0.05,
+  HYSTERESIS: 0.1, // Margen (fracción de la distancia) para no alternar niveles en el límite
+  // Terreno: parches por lado, cada uno con un paso de vértices del heightmap según la distancia
+  TERRAIN_PATCHES: 4,
+  TERRAIN_LEVELS: [
+    { distance: 0, step: 1 },
+    { distance: 40, step: 2 },
+    { distance: 70, step: 4 },
+    { distance: 110, step: 8 },
+  ],
+  TERRAIN_SKIRT_DEPTH: 1, // Faldón (m) bajo el borde de cada parche para tapar grietas entre niveles
+  PREVIEW_COLORS: ['#22c55e', '#eab308', '#f97316', '#ef4444'], // Vista previa en el editor, por nivel
+};
+
+// Configuración del pincel de dispersión (vegetación)
+export const SCATTER_CONFIG = {
+  STRIDE: 4, // Valores por instancia: x, z, giro en Y (radianes), escala
+  DENSITY_AREA: 100, // La densidad se mide en instancias por cada 100 m² (10x10)
+  PLACEMENT_ATTEMPTS: 8, // Intentos por instancia que falta en el pincel (se descartan por pendiente, altura o separación)
+  MAX_INSTANCES_PER_LAYER: 20000,
+  DEFAULT_SETTINGS: {
+    mode: 'paint', // 'paint' | 'erase'
+    brushSize: 5,
+    density: 2,
+    minScale: 0.8,
+    maxScale: 1.2,
+    rotationRange: 360, // Giro aleatorio máximo en grados alrededor del eje Y
+    maxSlope: 35, // Pendiente máxima del terreno en grados
+    minHeight: TERRAIN_CONFIG.MIN_HEIGHT,
+    maxHeight: TERRAIN_CONFIG.MAX_HEIGHT,
+    minSpacing: 1.5, // Distancia mínima entre instancias (de cualquier capa)
+  },
 };
 
 // Configuración de colliders
@@ -136,6 +234,38 @@ export const CAMERA_COMPONENT_CONFIG = {
   MODES: ['firstPerson', 'thirdPerson', 'free'],
 };
 
+// Configuración de masas de agua
+export const WATER_CONFIG = {
+  SHAPES: ['plane', 'polygon'], // Rectángulo o polígono con los puntos del objeto
+  DEFAULT_SHAPE: 'plane',
+  DEFAULT_SCALE: [10, 3, 10], // Ancho, profundidad del volumen y largo
+  LAYER: 3, // Capa 'Water' de TAGS_AND_LAYERS
+  MIN_POINTS: 3,
+  MAX_POINTS: 32,
+  DEFAULT_COLOR: '#1f6f8b',
+  DEFAULT_DEEP_COLOR: '#0a2a3d',
+  DEFAULT_OPACITY: 0.8,
+  DEFAULT_WAVE_HEIGHT: 0.15, // Metros
+  DEFAULT_WAVE_SPEED: 1,
+  DEFAULT_REFLECTIVITY: 0.6,
+  DEFAULT_FOG_COLOR: '#0d4a5e',
+  DEFAULT_FOG_DENSITY: 0.08, // Niebla exponencial bajo el agua
+  DEFAULT_BUOYANCY: 1.2, // > 1 flota, < 1 se hunde
+  DEFAULT_DRAG: 2, // Frenado del agua (1/s)
+  SURFACE_SEGMENTS: 64, // Subdivisiones del plano para las olas
+  SKY_COLOR: '#7fb2dd', // Cielo reflejado en la superficie (cenit)
+  HORIZON_COLOR: '#d6e6f0', // Cielo reflejado cerca del horizonte
+  // Post-procesado con la cámara bajo la superficie
+  UNDERWATER_TINT: 0.45, // Mezcla de la imagen con el color de la niebla
+  UNDERWATER_DISTORTION: 0.004, // Ondulación de la imagen (fracción de la pantalla)
+  UNDERWATER_VIGNETTE: 0.6,
+  // Nado de los controladores de jugador
+  SWIM_DEPTH: 0.5, // Fracción del cuerpo sumergida a partir de la que se nada
+  SWIM_SPEED_FACTOR: 0.6, // Velocidad horizontal nadando respecto a la normal
+  SWIM_UP_ACCELERATION: 14, // Aceleración al pulsar salto bajo el agua
+  MAX_SWIM_VELOCITY: 4,
+};
+
 // Sistema de Tags y Layers (similar a Unity)
 export const TAGS_AND_LAYERS = {
   DEFAULT_TAG: 'Untagged',
@@ -179,12 +309,64 @@ export const RAD_TO_DEG = 180 / Math.PI;
 export const LEVEL_DEFAULTS = {
   NAME: 'Nivel Editado',
   DESCRIPTION: 'Nivel creado en el editor',
-  CACHE_MAX_AGE: 24 * 60 * 60 * 1000, // 24 horas en ms
+};
+
+// Esquema de los archivos de nivel
+export const LEVEL_SCHEMA = {
+  VERSION: 3, // Incrementar al añadir una migración en utils/levelSchema.js
+  OBJECT_TYPES: ['object', 'collider', 'camera', 'water'],
+};
+
+// Archivos de nivel en /public/levels
+export const LEVEL_FILES = {
+  DIRECTORY: '/levels',
+  MANIFEST: 'index.json', // Lista de niveles (nombre, descripción, miniatura, orden, etiquetas)
+  MANIFEST_VERSION: 1,
+  DEV_API: '/__levels', // Middleware del servidor de desarrollo (vite.config.js) para escribir archivos
+  DEV_MANIFEST_API: '/__level-manifest', // Ruta del mismo middleware para escribir el manifiesto
+  FILENAME_PATTERN: /^[a-z0-9_-]+\.json$/i,
+  DEFAULT_LEVEL: 'level1.json', // Nivel que se juega si no se elige otro
+  URL_PARAM: 'level', // Parámetro de la URL con el nivel a jugar (?level=level2)
+  CAMPAIGN: 'campaign.json', // Orden en que se juegan los niveles (si no existe, se usa el orden del manifiesto)
+  CAMPAIGN_VERSION: 1,
+};
+
+// Flujo entre niveles (punto de aparición, meta y transición al siguiente nivel)
+export const LEVEL_FLOW = {
+  SPAWN_TAG: 'Respawn', // El jugador aparece en el primer objeto con este tag
+  FINISH_TAG: 'Finish', // Los colliders con este tag completan el nivel al entrar el jugador
+  PLAYER_COMPONENT: 'playerController', // Los objetos con este componente son el jugador
+  TRANSITION_DELAY: 1500, // Tiempo (ms) que se muestra "Nivel completado" antes de cargar el siguiente
+};
+
+// Base de datos IndexedDB del proyecto (copias locales de niveles, heightmaps y autoguardados)
+export const PROJECT_DB = {
+  NAME: 'ghost-project',
+  VERSION: 1,
+  STORES: {
+    LEVELS: 'levels', // Copia local de cada nivel (sin heightmap), clave: filename
+    HEIGHTMAPS: 'heightmaps', // Heightmaps en binario (Float32Array), clave: filename
+    AUTOSAVES: 'autosaves', // Autoguardados del editor, clave autoincremental con índice por filename
+  },
+  MAX_AUTOSAVES_PER_LEVEL: 10,
+  CHANNEL: 'ghost-project', // BroadcastChannel con el que las pestañas se avisan de cambios en las copias locales
 };
 
 // Configuración de localStorage
 export const STORAGE_KEYS = {
   LEVEL_PREFIX: 'level_',
   TIMESTAMP_SUFFIX: '_timestamp',
+  PREFABS: 'prefabs',
+  EDITOR_SESSION: 'editor_session', // Presente mientras el editor está abierto (detecta cierres inesperados)
+};
+
+// Configuración de prefabs
+export const PREFAB_CONFIG = {
+  // Propiedades propias de cada instancia: nunca se copian del prefab ni cuentan como override
+  INSTANCE_KEYS: ['id', 'parentId', 'prefabId', 'prefabInstanceId', 'prefabSourceId', 'prefabOverrides'],
+  // La posición y rotación de las raíces de una instancia siempre son de la instancia
+  ROOT_INSTANCE_KEYS: ['position', 'rotation'],
+  // Propiedades que referencian a otros objetos del prefab (se remapean en cada instancia)
+  REFERENCE_KEYS: ['targetId'],
 };
 
@@ -0,0 +1,160 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { EDITOR_CONFIG, STORAGE_KEYS } from '../constants/gameConstants';
+import { saveAutosave, listAutosaves } from '../utils/projectDatabase';
+
+/**
+ * Lee la marca de sesión del editor que dejó la sesión anterior
+ * Si sigue ahí, el editor no se cerró desde la app (pestaña cerrada, recarga o fallo)
+ */
+const readPreviousSession = () => {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.EDITOR_SESSION);
+    return data ? JSON.parse(data) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Marca la sesión del editor como abierta con el nivel que se está editando
+ * @param {string} autosaveKey - Clave de los autoguardados del nivel
+ */
+const markSession = (autosaveKey) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.EDITOR_SESSION, JSON.stringify({ autosaveKey, startedAt: Date.now() }));
+  } catch {
+    // localStorage no disponible
+  }
+};
+
+/**
+ * Desmarca la sesión del editor (se cerró correctamente)
+ */
+const clearSession = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.EDITOR_SESSION);
+  } catch {
+    // localStorage no disponible
+  }
+};
+
+/**
+ * Hook para los autoguardados periódicos del editor
+ * Cada EDITOR_CONFIG.AUTOSAVE_INTERVAL ms guarda una instantánea si el nivel o la selección
+ * han cambiado, y también al ocultar la pestaña y al salir del editor
+ * @param {Object} options
+ * @param {string} options.autosaveKey - Clave de los autoguardados (nombre del archivo del nivel)
+ * @param {Function} options.getSnapshot - Devuelve el estado actual del editor ({ level, selectedObjectIds, camera }) o null
+ * @returns {Object} { snapshots, interruptedSession, saveSnapshot, refreshSnapshots, dismissInterruptedSession }
+ *   interruptedSession es { autosaveKey, startedAt } si la sesión anterior no se cerró correctamente
+ */
+export const useEditorAutosave = ({ autosaveKey, getSnapshot }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  // La sesión anterior se lee una sola vez, antes de marcar la actual
+  const [interruptedSession, setInterruptedSession] = useState(readPreviousSession);
+  const getSnapshotRef = useRef(getSnapshot);
+  const autosaveKeyRef = useRef(autosaveKey);
+  const lastSavedRef = useRef(null);
+
+  useEffect(() => {
+    getSnapshotRef.current = getSnapshot;
+    autosaveKeyRef.current = autosaveKey;
+  }, [getSnapshot, autosaveKey]);
+
+  const refreshSnapshots = useCallback(async () => {
+    try {
+      setSnapshots(await listAutosaves(autosaveKeyRef.current));
+    } catch {
+      setSnapshots([]);
+    }
+  }, []);
+
+  // Guardar una instantánea (se omite si no hay cambios desde la última)
+  const saveSnapshot = useCallback(async () => {
+    const snapshot = getSnapshotRef.current();
+    if (!snapshot) return false;
+
+    // La cámara no cuenta como cambio: moverla no justifica un autoguardado nuevo
+    const key = `${autosaveKeyRef.current}:${JSON.stringify(snapshot.level)}:${snapshot.selectedObjectIds.join(',')}`;
+    if (key === lastSavedRef.current) return false;
+    lastSavedRef.current = key;
+
+    try {
+      await saveAutosave(autosaveKeyRef.current, snapshot);
+      await refreshSnapshots();
+      return true;
+    } catch {
+      // Sin espacio o IndexedDB no disponible: se reintenta en el siguiente intervalo
+      lastSavedRef.current = null;
+      return false;
+    }
+  }, [refreshSnapshots]);
+
+  // Lista de autoguardados del nivel actual
+  useEffect(() => {
+    refreshSnapshots();
+  }, [autosaveKey, refreshSnapshots]);
+
+  // Autoguardado periódico y al ocultar la pestaña o cerrarla
+  useEffect(() => {
+    const interval = setInterval(saveSnapshot, EDITOR_CONFIG.AUTOSAVE_INTERVAL);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        saveSnapshot();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [saveSnapshot]);
+
+  // Marcar la sesión como abierta con el nivel que se está editando
+  useEffect(() => {
+    markSession(autosaveKey);
+  }, [autosaveKey]);
+
+  // Al cerrar o recargar la pestaña se guarda una última instantánea y después se desmarca la sesión:
+  // si la pestaña se cierra antes de terminar, la marca sigue y el cierre cuenta como inesperado
+  // Si la página vuelve de la caché del navegador (bfcache) la sesión se marca de nuevo
+  useEffect(() => {
+    const handlePageHide = async () => {
+      await saveSnapshot();
+      clearSession();
+    };
+    const handlePageShow = (e) => {
+      if (e.persisted) {
+        markSession(autosaveKeyRef.current);
+      }
+    };
+    window.addEventListener('pagehide', handlePageHide);
+    window.addEventListener('pageshow', handlePageShow);
+
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      window.removeEventListener('pageshow', handlePageShow);
+    };
+  }, [saveSnapshot]);
+
+  // Al salir del editor desde la app se guarda una última instantánea y se desmarca la sesión
+  useEffect(() => {
+    return () => {
+      saveSnapshot();
+      clearSession();
+    };
+  }, [saveSnapshot]);
+
+  const dismissInterruptedSession = useCallback(() => {
+    setInterruptedSession(null);
+  }, []);
+
+  return {
+    snapshots,
+    interruptedSession,
+    saveSnapshot,
+    refreshSnapshots,
+    dismissInterruptedSession,
+  };
+};
@@ -0,0 +1,115 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { EDITOR_CONFIG } from '../constants/gameConstants';
+
+/**
+ * Hook para el historial de deshacer/rehacer del editor basado en comandos
+ * Los comandos se crean con las utilidades de utils/editorCommands.js
+ * La posición del historial identifica el estado del nivel: cada comando registrado (o fusionado)
+ * tiene un número propio y la posición es la del último comando aplicado (null con la pila vacía).
+ * Si la posición vuelve a la que tenía al guardar, el nivel vuelve a coincidir con el archivo
+ * @param {Object} context - Setters del editor que reciben los comandos ({ setObjects, setTerrainHeightmap })
+ * @returns {Object} { execute, record, undo, redo, clear, getPosition, position, canUndo, canRedo, undoLabel, redoLabel }
+ */
+export const useEditorHistory = (context) => {
+  // Las pilas viven en refs para poder leerlas desde listeners sin recrearlos;
+  // el estado solo sirve para que la UI sepa si hay algo que deshacer/rehacer
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const contextRef = useRef(context);
+  const commandIdsRef = useRef(new WeakMap());
+  const nextCommandIdRef = useRef(1);
+  const [historyState, setHistoryState] = useState({ undoLabel: null, redoLabel: null, position: null });
+
+  useEffect(() => {
+    contextRef.current = context;
+  }, [context]);
+
+  // Posición actual leída de la pila (válida aunque el estado aún no se haya actualizado)
+  const getPosition = useCallback(() => {
+    const undoTop = undoStackRef.current[undoStackRef.current.length - 1];
+    return undoTop ? commandIdsRef.current.get(undoTop) : null;
+  }, []);
+
+  const syncState = useCallback(() => {
+    const undoTop = undoStackRef.current[undoStackRef.current.length - 1];
+    const redoTop = redoStackRef.current[redoStackRef.current.length - 1];
+    setHistoryState({
+      undoLabel: undoTop ? undoTop.label : null,
+      redoLabel: redoTop ? redoTop.label : null,
+      position: getPosition(),
+    });
+  }, [getPosition]);
+
+  // Registrar un comando que ya se aplicó
+  // Si coincide la coalesceKey con el último comando y llega dentro de la ventana de tiempo,
+  // se fusiona con él para que un arrastre o una edición continua sea un único paso
+  const record = useCallback((command) => {
+    const undoStack = undoStackRef.current;
+    const last = undoStack[undoStack.length - 1];
+
+    if (
+      last &&
+      command.coalesceKey &&
+      last.coalesceKey === command.coalesceKey &&
+      last.merge &&
+      command.timestamp - last.timestamp < EDITOR_CONFIG.HISTORY_COALESCE_TIME
+    ) {
+      undoStack[undoStack.length - 1] = last.merge(command);
+    } else {
+      undoStack.push(command);
+      if (undoStack.length > EDITOR_CONFIG.HISTORY_LIMIT) {
+        undoStack.shift();
+      }
+    }
+    // El comando fusionado también es un estado nuevo: recibe su propio número
+    commandIdsRef.current.set(undoStack[undoStack.length - 1], nextCommandIdRef.current++);
+
+    redoStackRef.current = [];
+    syncState();
+  }, [syncState]);
+
+  // Aplicar un comando y registrarlo
+  const execute = useCallback((command) => {
+    command.redo(contextRef.current);
+    record(command);
+  }, [record]);
+
+  const undo = useCallback(() => {
+    const command = undoStackRef.current.pop();
+    if (!command) return false;
+    command.undo(contextRef.current);
+    redoStackRef.current.push(command);
+    syncState();
+    return true;
+  }, [syncState]);
+
+  const redo = useCallback(() => {
+    const command = redoStackRef.current.pop();
+    if (!command) return false;
+    command.redo(contextRef.current);
+    undoStackRef.current.push(command);
+    syncState();
+    return true;
+  }, [syncState]);
+
+  // Vaciar el historial (al cambiar de nivel)
+  const clear = useCallback(() => {
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    syncState();
+  }, [syncState]);
+
+  return {
+    execute,
+    record,
+    undo,
+    redo,
+    clear,
+    getPosition,
+    position: historyState.position,
+    canUndo: historyState.undoLabel !== null,
+    canRedo: historyState.redoLabel !== null,
+    undoLabel: historyState.undoLabel,
+    redoLabel: historyState.redoLabel,
+  };
+};
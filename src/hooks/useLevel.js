@@ -1,54 +1,63 @@
 import { useState, useEffect } from 'react';
-import { loadLevelFromStorage } from '../utils/storageUtils';
+import { loadLocalLevel } from '../utils/projectDatabase';
+import { upgradeLevelData } from '../utils/levelSchema';
 
 /**
  * Hook para cargar datos de un nivel desde un archivo JSON
- * Primero intenta cargar desde localStorage (si fue guardado desde el editor),
- * luego desde el archivo JSON
+ * Primero intenta cargar la copia local de IndexedDB (si fue guardado desde el editor),
+ * luego desde el archivo JSON. Los niveles antiguos se migran a la versión actual del esquema
  * @param {string} levelPath - Ruta al archivo JSON del nivel
  * @returns {Object} { levelData, loading, error }
  */
 export const useLevel = (levelPath) => {
-  const [levelData, setLevelData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // El resultado se guarda junto a la ruta que lo produjo: mientras no coincide con la ruta
+  // actual el nivel está cargando, sin mostrar los datos del anterior
+  const [result, setResult] = useState({ path: null, data: null, error: null });
 
   useEffect(() => {
-    if (!levelPath) {
-      setError('No se proporcionó una ruta de nivel');
-      setLoading(false);
-      return;
-    }
+    if (!levelPath) return;
 
     // Extraer el nombre del archivo de la ruta (ej: "/levels/level1.json" -> "level1.json")
     const filename = levelPath.split('/').pop();
     
-    // Primero intentar cargar desde localStorage (si fue guardado desde el editor)
-    const cachedData = loadLevelFromStorage(filename);
-    if (cachedData) {
-      setLevelData(cachedData);
-      setLoading(false);
-      return;
-    }
+    let cancelled = false;
 
-    // Si no hay datos en localStorage, cargar desde el archivo JSON
-    fetch(levelPath)
-      .then((response) => {
+    // Primero intentar cargar la copia local (si fue guardado desde el editor)
+    // Si no hay copia local, cargar desde el archivo JSON
+    loadLocalLevel(filename)
+      .catch(() => null)
+      .then(async (cachedData) => {
+        if (cachedData) {
+          return cachedData;
+        }
+        const response = await fetch(levelPath);
         if (!response.ok) {
           throw new Error(`Error al cargar el nivel: ${response.statusText}`);
         }
         return response.json();
       })
       .then((data) => {
-        setLevelData(data);
-        setLoading(false);
+        if (cancelled) return;
+        setResult({ path: levelPath, data: upgradeLevelData(data), error: null });
       })
       .catch((err) => {
-        setError(err.message);
-        setLoading(false);
+        if (cancelled) return;
+        setResult({ path: levelPath, data: null, error: err.message });
       });
+
+    return () => {
+      cancelled = true;
+    };
   }, [levelPath]);
 
-  return { levelData, loading, error };
-};
+  if (!levelPath) {
+    return { levelData: null, loading: false, error: 'No se proporcionó una ruta de nivel' };
+  }
 
+  const isCurrent = result.path === levelPath;
+  return {
+    levelData: isCurrent ? result.data : null,
+    loading: !isCurrent,
+    error: isCurrent ? result.error : null,
+  };
+};
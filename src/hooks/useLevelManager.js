@@ -1,52 +1,69 @@
 import { useState, useEffect, useCallback } from 'react';
-import { LEVEL_DEFAULTS } from '../constants/gameConstants';
-import { saveLevelToStorage, loadLevelFromStorage, removeLevelFromStorage } from '../utils/storageUtils';
-import { prepareLevelDataForSave, validateObject } from '../utils/objectUtils';
+import { LEVEL_DEFAULTS, LEVEL_SCHEMA, LEVEL_FILES } from '../constants/gameConstants';
+import {
+  saveLocalLevel,
+  loadLocalLevel,
+  deleteLocalLevel,
+  deleteAutosaves,
+  listLocalLevels,
+  getStorageEstimate,
+  requestPersistentStorage,
+} from '../utils/projectDatabase';
+import { prepareLevelDataForSave } from '../utils/objectUtils';
+import { upgradeLevelData, validateLevelData } from '../utils/levelSchema';
+import {
+  fetchLevelManifest,
+  upsertManifestEntry,
+  renameManifestEntry,
+  removeManifestEntry,
+  isValidLevelFilename,
+} from '../utils/levelManifest';
+import {
+  isLevelFileApiAvailable,
+  writeLevelFile,
+  writeLevelManifest,
+  renameLevelFile,
+  deleteLevelFile,
+} from '../utils/levelFileApi';
+
+/**
+ * Lee la versión guardada en disco de un nivel (sin pasar por la copia local)
+ * @param {string} filename - Nombre del archivo del nivel
+ * @returns {Promise<Object|null>} Datos del nivel o null si el archivo no existe
+ */
+const fetchSavedLevel = async (filename) => {
+  const response = await fetch(`${LEVEL_FILES.DIRECTORY}/${filename}`, { cache: 'no-store' });
+  if (!response.ok) return null;
+  return upgradeLevelData(await response.json());
+};
 
 /**
  * Hook para gestionar niveles: guardar, cargar, listar, crear, eliminar
+ * También recuerda la última versión guardada en disco de cada nivel abierto (savedLevel),
+ * con la que el editor muestra los cambios sin guardar
+ * currentLevel es { filename, data, unsaved }; unsaved indica que los datos no vienen del archivo
+ * (copia local o autoguardado) y por tanto tienen cambios sin guardar desde que se abren
  */
 export const useLevelManager = () => {
   const [levels, setLevels] = useState([]);
   const [currentLevel, setCurrentLevel] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [localLevels, setLocalLevels] = useState([]);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  // Versión en disco de cada nivel: { [filename]: datos | null si el archivo no existe }
+  const [savedLevels, setSavedLevels] = useState({});
+  const [dirtyLevels, setDirtyLevels] = useState([]);
 
-  // Listar niveles disponibles
+  // Listar niveles disponibles (según el manifiesto /levels/index.json)
   const listLevels = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      
-      // En desarrollo, podemos leer desde /public/levels/
-      // En producción, esto requeriría un backend
-      // Por ahora, usamos una lista estática que se puede expandir
-      const levelFiles = [
-        'level1.json',
-        'level2.json',
-        'level3.json',
-      ];
-
-      // Verificar qué archivos realmente existen
-      const existingLevels = [];
-      for (const file of levelFiles) {
-        try {
-          const response = await fetch(`/levels/${file}`);
-          if (response.ok) {
-            const data = await response.json();
-            existingLevels.push({
-              filename: file,
-              name: data.name || file.replace('.json', ''),
-              description: data.description || '',
-            });
-          }
-        } catch (err) {
-          // Archivo no existe, continuar
-        }
-      }
 
-      setLevels(existingLevels);
-      return existingLevels;
+      const manifest = await fetchLevelManifest();
+      setLevels(manifest.levels);
+      return manifest.levels;
     } catch (err) {
       setError(`Error al listar niveles: ${err.message}`);
       return [];
@@ -55,27 +72,38 @@ export const useLevelManager = () => {
     }
   }, []);
 
+  // Modificar el manifiesto en disco (se relee antes de escribir para no pisar cambios externos)
+  const updateManifest = useCallback(async (updater) => {
+    const manifest = updater(await fetchLevelManifest());
+    await writeLevelManifest(manifest);
+    setLevels(manifest.levels);
+    return manifest;
+  }, []);
+
   // Cargar un nivel
   const loadLevel = useCallback(async (filename) => {
     try {
       setLoading(true);
       setError(null);
       
-      // Primero intentar cargar desde localStorage (cambios sin guardar)
-      const cachedData = loadLevelFromStorage(filename);
+      // Primero intentar cargar la copia local (cambios sin guardar)
+      const cachedData = await loadLocalLevel(filename).catch(() => null);
       if (cachedData) {
-        setCurrentLevel({ filename, data: cachedData });
+        const data = upgradeLevelData(cachedData);
+        setCurrentLevel({ filename, data, unsaved: true });
         setLoading(false);
-        return cachedData;
+        return data;
       }
       
-      // Si no hay datos en localStorage, cargar desde el archivo JSON
+      // Si no hay copia local, cargar desde el archivo JSON
       const response = await fetch(`/levels/${filename}`);
       if (!response.ok) {
         throw new Error(`No se pudo cargar el nivel: ${response.statusText}`);
       }
       
-      const data = await response.json();
+      // Migrar niveles guardados con versiones anteriores del esquema
+      const data = upgradeLevelData(await response.json());
+      setSavedLevels((prev) => ({ ...prev, [filename]: data }));
       setCurrentLevel({ filename, data });
       return data;
     } catch (err) {
@@ -93,26 +121,37 @@ export const useLevelManager = () => {
       setError(null);
 
       // Validar datos del nivel
-      if (!levelData || !levelData.objects || !Array.isArray(levelData.objects)) {
-        throw new Error('Datos del nivel inválidos');
-      }
-
-      // Validar cada objeto
-      for (let i = 0; i < levelData.objects.length; i++) {
-        const validation = validateObject(levelData.objects[i], i);
-        if (!validation.valid) {
-          throw new Error(validation.error);
-        }
+      const validation = validateLevelData(levelData);
+      if (!validation.valid) {
+        throw new Error(validation.errors.join('; '));
       }
 
       // Crear el JSON
       const jsonString = JSON.stringify(levelData, null, 2);
+
+      // El nivel deja de tener cambios sin guardar
+      const markAsSaved = () => {
+        setSavedLevels((prev) => ({ ...prev, [filename]: levelData }));
+        setDirtyLevels((prev) => prev.filter((dirtyFilename) => dirtyFilename !== filename));
+      };
+
+      // Sin servidor de desarrollo el archivo de /public/levels no cambia: la copia local (ya sin
+      // cambios pendientes) es lo que ve el modo juego hasta que se coloque el archivo descargado
+      // Un fallo aquí (p. ej. cuota agotada) no debe impedir guardar el archivo
+      const keepLocalCopy = () => saveLocalLevel(filename, levelData, { dirty: false }).catch(() => {});
       
-      // Guardar también en localStorage para sincronización inmediata con el modo juego
-      // Esto permite que los cambios se reflejen sin necesidad de guardar archivos manualmente
-      saveLevelToStorage(filename, levelData);
-      
-      // En el navegador, no podemos escribir directamente al sistema de archivos
+      // En desarrollo, el servidor de Vite escribe el archivo y el manifiesto en /public/levels
+      // La copia local sobra: el archivo ya tiene los cambios y la copia lo taparía al cargar el nivel
+      if (isLevelFileApiAvailable()) {
+        await writeLevelFile(filename, levelData);
+        await updateManifest((manifest) => upsertManifestEntry(manifest, filename, levelData));
+        await deleteLocalLevel(filename).catch(() => {});
+        setLocalLevels((prev) => prev.filter((localFilename) => localFilename !== filename));
+        markAsSaved();
+        return true;
+      }
+
+      // Sin servidor de desarrollo, no podemos escribir directamente al sistema de archivos
       // Usamos el File System Access API si está disponible, o descarga
       if ('showSaveFilePicker' in window) {
         // File System Access API (Chrome/Edge)
@@ -128,6 +167,8 @@ export const useLevelManager = () => {
           const writable = await fileHandle.createWritable();
           await writable.write(jsonString);
           await writable.close();
+          await keepLocalCopy();
+          markAsSaved();
           
           // Actualizar lista de niveles
           await listLevels();
@@ -150,12 +191,14 @@ export const useLevelManager = () => {
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
+        await keepLocalCopy();
+        markAsSaved();
         
         // Mostrar mensaje al usuario
         if (filename === 'level1.json') {
           alert(`✅ Nivel guardado como ${filename}.\n\nLos cambios ya están disponibles en el modo juego.\n\nSi quieres guardar permanentemente, coloca el archivo descargado en /public/levels/`);
         } else {
-          alert(`Nivel guardado como ${filename}. Por favor, colócalo manualmente en /public/levels/`);
+          alert(`Nivel guardado como ${filename}. Por favor, colócalo manualmente en /public/levels/ y añádelo a /public/levels/${LEVEL_FILES.MANIFEST}`);
         }
         return true;
       }
@@ -165,11 +208,129 @@ export const useLevelManager = () => {
     } finally {
       setLoading(false);
     }
-  }, [listLevels]);
+  }, [listLevels, updateManifest]);
+
+  // Renombrar un nivel: nombre visible, descripción, etiquetas y, opcionalmente, el archivo
+  const renameLevel = useCallback(async (filename, { name, description, tags, newFilename = filename }) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      if (!isLevelFileApiAvailable()) {
+        throw new Error(`Renombrar niveles requiere el servidor de desarrollo. Edita /public/levels/${LEVEL_FILES.MANIFEST} manualmente`);
+      }
+      if (!isValidLevelFilename(newFilename)) {
+        throw new Error(`Nombre de archivo no válido: ${newFilename}`);
+      }
+
+      // El nombre y la descripción también se guardan en el propio archivo del nivel
+      const response = await fetch(`${LEVEL_FILES.DIRECTORY}/${filename}`, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`No se pudo leer ${filename}: ${response.statusText}`);
+      }
+      const fileData = await response.json();
+
+      if (newFilename !== filename) {
+        await renameLevelFile(filename, newFilename);
+      }
+      await writeLevelFile(newFilename, { ...fileData, name, description });
+
+      // Mover los cambios sin guardar al nuevo nombre
+      const cachedData = await loadLocalLevel(filename);
+      if (cachedData) {
+        await deleteLocalLevel(filename);
+        await saveLocalLevel(newFilename, { ...cachedData, name, description });
+      }
+
+      await updateManifest((manifest) =>
+        renameManifestEntry(manifest, filename, newFilename, { name, description, tags })
+      );
+
+      setSavedLevels((prev) => {
+        const next = { ...prev, [newFilename]: upgradeLevelData({ ...fileData, name, description }) };
+        if (newFilename !== filename) delete next[filename];
+        return next;
+      });
+      setDirtyLevels((prev) => prev.map((dirtyFilename) => (dirtyFilename === filename ? newFilename : dirtyFilename)));
+      // Si el nivel abierto tiene copia local se reabre desde ella: tiene sus últimos cambios sin guardar
+      setCurrentLevel((current) => {
+        if (current?.filename !== filename) return current;
+        return cachedData
+          ? { filename: newFilename, data: upgradeLevelData({ ...cachedData, name, description }), unsaved: true }
+          : { filename: newFilename, data: { ...current.data, name, description } };
+      });
+      return newFilename;
+    } catch (err) {
+      setError(`Error al renombrar nivel: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [updateManifest]);
+
+  // Eliminar un nivel (archivo, entrada del manifiesto y cambios sin guardar)
+  const deleteLevel = useCallback(async (filename) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      if (!isLevelFileApiAvailable()) {
+        throw new Error(`Para eliminar ${filename}, elimínalo manualmente de la carpeta /public/levels/ y de ${LEVEL_FILES.MANIFEST}`);
+      }
+
+      await deleteLevelFile(filename);
+      await updateManifest((manifest) => removeManifestEntry(manifest, filename));
+      await deleteLocalLevel(filename);
+      await deleteAutosaves(filename);
+      setSavedLevels((prev) => {
+        const next = { ...prev };
+        delete next[filename];
+        return next;
+      });
+      setDirtyLevels((prev) => prev.filter((dirtyFilename) => dirtyFilename !== filename));
+      return true;
+    } catch (err) {
+      setError(`Error al eliminar nivel: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [updateManifest]);
+
+  // Actualizar qué niveles tienen cambios locales y el uso del almacenamiento
+  const refreshLocalStorageInfo = useCallback(async () => {
+    try {
+      const [records, estimate] = await Promise.all([listLocalLevels(), getStorageEstimate()]);
+      setLocalLevels(records.map((record) => record.filename));
+      setDirtyLevels(records.filter((record) => record.dirty).map((record) => record.filename));
+      setStorageEstimate(estimate);
+    } catch (err) {
+      setError(`Error al leer el almacenamiento local: ${err.message}`);
+    }
+  }, []);
+
+  // Descartar la copia local de un nivel (y sus autoguardados) para volver al archivo
+  const discardLocalChanges = useCallback(async (filename) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      await deleteLocalLevel(filename);
+      await deleteAutosaves(filename);
+      await refreshLocalStorageInfo();
+      return true;
+    } catch (err) {
+      setError(`Error al descartar cambios locales: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [refreshLocalStorageInfo]);
 
   // Crear nuevo nivel
   const createNewLevel = useCallback((name = 'Nuevo Nivel') => {
     const newLevel = {
+      version: LEVEL_SCHEMA.VERSION,
       name,
       description: LEVEL_DEFAULTS.DESCRIPTION,
       objects: [],
@@ -178,30 +339,35 @@ export const useLevelManager = () => {
     return newLevel;
   }, []);
 
-  // Validar datos del nivel
-  const validateLevel = useCallback((levelData) => {
-    if (!levelData) {
-      return { valid: false, error: 'No hay datos del nivel' };
-    }
-
-    if (!levelData.objects || !Array.isArray(levelData.objects)) {
-      return { valid: false, error: 'El nivel debe tener un array de objetos' };
-    }
+  // Leer la versión en disco del nivel abierto si aún no se conoce
+  // (p. ej. al abrirlo desde la copia local o al restaurar un autoguardado)
+  const currentFilename = currentLevel?.filename;
+  const savedLevelKnown = !currentFilename || currentFilename in savedLevels;
+  useEffect(() => {
+    if (savedLevelKnown) return;
 
-    for (let i = 0; i < levelData.objects.length; i++) {
-      const validation = validateObject(levelData.objects[i], i);
-      if (!validation.valid) {
-        return validation;
-      }
-    }
+    let cancelled = false;
+    fetchSavedLevel(currentFilename)
+      .catch(() => null)
+      .then((data) => {
+        if (!cancelled) {
+          setSavedLevels((prev) => (currentFilename in prev ? prev : { ...prev, [currentFilename]: data }));
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentFilename, savedLevelKnown]);
 
-    return { valid: true };
-  }, []);
+  // Validar datos del nivel (reporte con todos los errores y advertencias)
+  const validateLevel = useCallback((levelData) => validateLevelData(levelData), []);
 
   // Cargar lista de niveles al montar
+  // Se pide almacenamiento persistente para que el navegador no borre las copias locales
   useEffect(() => {
     listLevels();
-  }, [listLevels]);
+    requestPersistentStorage().then(refreshLocalStorageInfo);
+  }, [listLevels, refreshLocalStorageInfo]);
 
   return {
     levels,
@@ -211,6 +377,15 @@ export const useLevelManager = () => {
     listLevels,
     loadLevel,
     saveLevel,
+    renameLevel,
+    deleteLevel,
+    discardLocalChanges,
+    localLevels,
+    dirtyLevels,
+    storageEstimate,
+    refreshLocalStorageInfo,
+    // Versión en disco del nivel abierto: null si nunca se ha guardado, undefined mientras se lee
+    savedLevel: currentFilename ? savedLevels[currentFilename] : null,
     createNewLevel,
     validateLevel,
     setCurrentLevel,
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadPrefabsFromStorage, savePrefabsToStorage } from '../utils/storageUtils';
+
+/**
+ * Hook para la biblioteca de prefabs del editor
+ * Los prefabs se guardan en localStorage y se comparten entre todos los niveles
+ * @returns {Object} { prefabs, savePrefab, deletePrefab }
+ */
+export const usePrefabLibrary = () => {
+  const [prefabs, setPrefabs] = useState(() => loadPrefabsFromStorage());
+
+  useEffect(() => {
+    savePrefabsToStorage(prefabs);
+  }, [prefabs]);
+
+  // Crear o actualizar un prefab (se identifica por su ID)
+  const savePrefab = useCallback((prefab) => {
+    setPrefabs((prev) => {
+      const exists = prev.some(p => p.id === prefab.id);
+      return exists ? prev.map(p => (p.id === prefab.id ? prefab : p)) : [...prev, prefab];
+    });
+  }, []);
+
+  const deletePrefab = useCallback((prefabId) => {
+    setPrefabs(prev => prev.filter(p => p.id !== prefabId));
+  }, []);
+
+  return {
+    prefabs,
+    savePrefab,
+    deletePrefab,
+  };
+};
@@ -0,0 +1,85 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+/**
+ * Hook para las tareas lentas del terreno (erosión, recetas) en un Web Worker (ver terrain.worker.js)
+ * Solo hay una tarea en marcha a la vez: empezar otra o cancelar termina el worker anterior
+ * @returns {Object} { erode, generate, cancel, running, progress }
+ *   erode(heightmap, segments, terrainSize, settings) y generate(recipe, segments, terrainSize)
+ *   devuelven una promesa con el heightmap resultante (null si se cancela); progress va de 0 a 1
+ */
+export const useTerrainWorker = () => {
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const jobRef = useRef(null); // { worker, resolve }
+
+  const stopJob = useCallback(() => {
+    const job = jobRef.current;
+    if (!job) return;
+    jobRef.current = null;
+    job.worker.terminate();
+    job.resolve(null);
+  }, []);
+
+  const cancel = useCallback(() => {
+    stopJob();
+    setRunning(false);
+    setProgress(0);
+  }, [stopJob]);
+
+  const run = useCallback((message) => {
+    stopJob();
+    setRunning(true);
+    setProgress(0);
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../utils/noise/terrain.worker.js', import.meta.url), { type: 'module' });
+      const job = { worker, resolve };
+      jobRef.current = job;
+
+      const finish = () => {
+        if (jobRef.current !== job) return false;
+        jobRef.current = null;
+        worker.terminate();
+        setRunning(false);
+        setProgress(0);
+        return true;
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'progress') {
+          if (jobRef.current === job) setProgress(message.progress);
+        } else if (message.type === 'done') {
+          if (finish()) resolve(message.heightmap);
+        } else if (message.type === 'error') {
+          if (finish()) reject(new Error(message.message));
+        }
+      };
+      worker.onerror = (event) => {
+        if (finish()) reject(new Error(event.message || 'Error en la tarea del terreno'));
+      };
+
+      worker.postMessage(message);
+    });
+  }, [stopJob]);
+
+  // Se envía una copia del heightmap: el del editor no cambia hasta que termina
+  const erode = useCallback((heightmap, segments, terrainSize, settings) => (
+    run({ task: 'erode', heightmap: new Float32Array(heightmap), segments, terrainSize, settings })
+  ), [run]);
+
+  const generate = useCallback((recipe, segments, terrainSize) => (
+    run({ task: 'recipe', recipe, segments, terrainSize })
+  ), [run]);
+
+  // Terminar el worker al salir del editor
+  useEffect(() => stopJob, [stopJob]);
+
+  return {
+    erode,
+    generate,
+    cancel,
+    running,
+    progress,
+  };
+};
@@ -0,0 +1,237 @@
+/**
+ * Utilidades para el historial de deshacer/rehacer del editor
+ * Cada comando sabe aplicarse (redo) y revertirse (undo) sobre el contexto del editor:
+ * { setObjects, setTerrainHeightmap, setTerrainLayout, setTerrainSplat, setTerrainRecipe, setScatterLayers }
+ */
+
+/**
+ * Aplica a una lista de objetos los valores "before" o "after" de un conjunto de cambios
+ * @param {Array} objects - Objetos actuales
+ * @param {Array} changes - Lista de { id, before, after }
+ * @param {string} side - 'before' o 'after'
+ * @returns {Array} Nuevo array de objetos
+ */
+function applyObjectChanges(objects, changes, side) {
+  const changesById = new Map(changes.map(change => [change.id, change[side]]));
+  return objects.map((obj) => (changesById.has(obj.id) ? { ...obj, ...changesById.get(obj.id) } : obj));
+}
+
+/**
+ * Obtiene los valores actuales de las propiedades que se van a modificar
+ * @param {Object} object - Objeto antes del cambio
+ * @param {Object} updates - Propiedades nuevas
+ * @returns {Object} Valores anteriores de esas mismas propiedades
+ */
+export function pickPreviousValues(object, updates) {
+  const before = {};
+  Object.keys(updates).forEach((key) => {
+    before[key] = object[key];
+  });
+  return before;
+}
+
+/**
+ * Comprueba si un cambio no modifica nada (para no llenar el historial de pasos vacíos)
+ * @param {Array} changes - Lista de { id, before, after }
+ * @returns {boolean} True si ningún valor cambia
+ */
+export function isNoopChange(changes) {
+  return changes.every(({ before, after }) =>
+    Object.keys(after).every(key => JSON.stringify(before[key]) === JSON.stringify(after[key]))
+  );
+}
+
+/**
+ * Crea un comando que modifica propiedades de uno o varios objetos
+ * @param {Array} changes - Lista de { id, before, after }
+ * @param {Object} options - { label, coalesceKey }
+ * @returns {Object} Comando
+ */
+export function createUpdateObjectsCommand(changes, { label = 'Modificar objeto', coalesceKey = null } = {}) {
+  return {
+    label,
+    coalesceKey,
+    timestamp: Date.now(),
+    changes,
+    redo: (ctx) => ctx.setObjects(prev => applyObjectChanges(prev, changes, 'after')),
+    undo: (ctx) => ctx.setObjects(prev => applyObjectChanges(prev, changes, 'before')),
+    // Fusiona un comando posterior conservando el estado inicial de este
+    merge(next) {
+      const merged = new Map(changes.map(change => [change.id, { ...change }]));
+      next.changes.forEach((change) => {
+        const current = merged.get(change.id);
+        if (current) {
+          merged.set(change.id, {
+            id: change.id,
+            before: { ...change.before, ...current.before },
+            after: { ...current.after, ...change.after },
+          });
+        } else {
+          merged.set(change.id, change);
+        }
+      });
+      return {
+        ...createUpdateObjectsCommand(Array.from(merged.values()), { label, coalesceKey }),
+        timestamp: next.timestamp,
+      };
+    },
+  };
+}
+
+/**
+ * Crea un comando que añade objetos al nivel
+ * @param {Array} objects - Objetos añadidos (se insertan al final)
+ * @param {Object} options - { label }
+ * @returns {Object} Comando
+ */
+export function createAddObjectsCommand(objects, { label = 'Añadir objeto' } = {}) {
+  const ids = new Set(objects.map(obj => obj.id));
+  return {
+    label,
+    coalesceKey: null,
+    timestamp: Date.now(),
+    redo: (ctx) => ctx.setObjects(prev => [...prev.filter(obj => !ids.has(obj.id)), ...objects]),
+    undo: (ctx) => ctx.setObjects(prev => prev.filter(obj => !ids.has(obj.id))),
+  };
+}
+
+/**
+ * Crea un comando que elimina objetos del nivel
+ * Guarda el índice original de cada objeto para restaurarlo en el mismo lugar
+ * @param {Array} entries - Lista de { object, index }
+ * @param {Object} options - { label }
+ * @returns {Object} Comando
+ */
+export function createRemoveObjectsCommand(entries, { label = 'Eliminar objeto' } = {}) {
+  const ids = new Set(entries.map(entry => entry.object.id));
+  const sortedEntries = [...entries].sort((a, b) => a.index - b.index);
+  return {
+    label,
+    coalesceKey: null,
+    timestamp: Date.now(),
+    redo: (ctx) => ctx.setObjects(prev => prev.filter(obj => !ids.has(obj.id))),
+    undo: (ctx) => ctx.setObjects((prev) => {
+      const restored = prev.filter(obj => !ids.has(obj.id));
+      sortedEntries.forEach(({ object, index }) => {
+        restored.splice(Math.min(index, restored.length), 0, object);
+      });
+      return restored;
+    }),
+  };
+}
+
+/**
+ * Crea un comando que sustituye la lista completa de objetos
+ * Para cambios que afectan a muchos objetos a la vez (p. ej. propagar un prefab)
+ * @param {Array} before - Objetos antes del cambio
+ * @param {Array} after - Objetos después del cambio
+ * @param {Object} options - { label }
+ * @returns {Object} Comando
+ */
+export function createReplaceObjectsCommand(before, after, { label = 'Modificar objetos' } = {}) {
+  return {
+    label,
+    coalesceKey: null,
+    timestamp: Date.now(),
+    redo: (ctx) => ctx.setObjects(after),
+    undo: (ctx) => ctx.setObjects(before),
+  };
+}
+
+/**
+ * Crea un comando que sustituye el heightmap del terreno (un trazo de pincel o una herramienta)
+ * @param {Float32Array} before - Heightmap anterior
+ * @param {Float32Array} after - Heightmap resultante
+ * @param {Object} options - { label }
+ * @returns {Object} Comando
+ */
+export function createHeightmapCommand(before, after, { label = 'Editar terreno' } = {}) {
+  return {
+    label,
+    coalesceKey: null,
+    timestamp: Date.now(),
+    redo: (ctx) => ctx.setTerrainHeightmap(new Float32Array(after)),
+    undo: (ctx) => ctx.setTerrainHeightmap(new Float32Array(before)),
+  };
+}
+
+/**
+ * Crea un comando que genera el terreno con una receta
+ * Se guardan el heightmap y la receta: deshacer vuelve también a la receta anterior
+ * @param {Object} before - { heightmap, recipe } anteriores
+ * @param {Object} after - { heightmap, recipe } resultantes
+ * @param {Object} options - { label }
+ * @returns {Object} Comando
+ */
+export function createTerrainRecipeCommand(before, after, { label = 'Generar terreno' } = {}) {
+  const apply = (ctx, { heightmap, recipe }) => {
+    ctx.setTerrainHeightmap(heightmap && new Float32Array(heightmap));
+    ctx.setTerrainRecipe(recipe);
+  };
+  return {
+    label,
+    coalesceKey: null,
+    timestamp: Date.now(),
+    redo: (ctx) => apply(ctx, after),
+    undo: (ctx) => apply(ctx, before),
+  };
+}
+
+/**
+ * Crea un comando que sustituye el splat map del terreno (un trazo del pincel de texturas
+ * o el texturizado automático). El splat map no se modifica nunca en su sitio
+ * @param {Uint8Array|null} before - Splat map anterior (null = capa base)
+ * @param {Uint8Array|null} after - Splat map resultante
+ * @param {Object} options - { label }
+ * @returns {Object} Comando
+ */
+export function createSplatCommand(before, after, { label = 'Texturizar terreno' } = {}) {
+  return {
+    label,
+    coalesceKey: null,
+    timestamp: Date.now(),
+    redo: (ctx) => ctx.setTerrainSplat(after),
+    undo: (ctx) => ctx.setTerrainSplat(before),
+  };
+}
+
+/**
+ * Crea un comando que cambia la distribución de chunks del terreno
+ * El heightmap y el splat map cambian de resolución con la distribución, así que se guardan los tres
+ * @param {Object} before - { layout, heightmap, splat } anteriores
+ * @param {Object} after - { layout, heightmap, splat } resultantes
+ * @param {Object} options - { label }
+ * @returns {Object} Comando
+ */
+export function createTerrainLayoutCommand(before, after, { label = 'Cambiar tamaño del mundo' } = {}) {
+  const apply = (ctx, { layout, heightmap, splat }) => {
+    ctx.setTerrainLayout(layout);
+    ctx.setTerrainHeightmap(heightmap && new Float32Array(heightmap));
+    ctx.setTerrainSplat(splat);
+  };
+  return {
+    label,
+    coalesceKey: null,
+    timestamp: Date.now(),
+    redo: (ctx) => apply(ctx, after),
+    undo: (ctx) => apply(ctx, before),
+  };
+}
+
+/**
+ * Crea un comando que sustituye las capas de vegetación (un trazo del pincel de dispersión)
+ * Las capas no se modifican nunca en su sitio, así que basta con guardar las dos listas
+ * @param {Array} before - Capas anteriores
+ * @param {Array} after - Capas resultantes
+ * @param {Object} options - { label }
+ * @returns {Object} Comando
+ */
+export function createScatterCommand(before, after, { label = 'Editar vegetación' } = {}) {
+  return {
+    label,
+    coalesceKey: null,
+    timestamp: Date.now(),
+    redo: (ctx) => ctx.setScatterLayers(after),
+    undo: (ctx) => ctx.setScatterLayers(before),
+  };
+}
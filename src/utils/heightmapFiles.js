@@ -0,0 +1,319 @@
+/**
+ * Importación y exportación de heightmaps como archivos
+ * Formatos: PNG en escala de grises de 8 o 16 bits (también RGB, se promedian los canales)
+ * y RAW sin cabecera de 8 o 16 bits little-endian (.raw, .r16). Las imágenes importadas se
+ * guardan normalizadas (0 a 1) y se remuestrean a la resolución del terreno al aplicarlas
+ */
+
+import { heightmapToImageData, loadHeightmapFromImage, resampleHeightmap, getHeightRange } from './heightmapUtils';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Canales por tipo de color PNG (el 3, paleta, lo decodifica el navegador)
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * Formatos de exportación del heightmap
+ */
+export const HEIGHTMAP_EXPORT_FORMATS = [
+  { id: 'png16', name: 'PNG 16 bits', extension: 'png' },
+  { id: 'png8', name: 'PNG 8 bits', extension: 'png' },
+  { id: 'r16', name: 'RAW 16 bits', extension: 'r16' },
+];
+
+export const HEIGHTMAP_FILE_ACCEPT = '.png,.jpg,.jpeg,.webp,.raw,.r16,.r8';
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// zlib con las APIs de streams del navegador
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decodifica un PNG no entrelazado de 8 o 16 bits por muestra
+ * @returns {Promise<Object|null>} Imagen { width, height, data } o null si el formato
+ *   no está soportado aquí (paleta, menos de 8 bits, entrelazado)
+ */
+async function decodePng(bytes) {
+  if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+    throw new Error('El archivo no es un PNG válido');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  const idat = [];
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header || idat.length === 0) {
+    throw new Error('El PNG no tiene datos de imagen');
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || bitDepth < 8 || interlace !== 0) {
+    return null;
+  }
+
+  const compressed = new Uint8Array(idat.reduce((total, chunk) => total + chunk.length, 0));
+  let position = 0;
+  for (const chunk of idat) {
+    compressed.set(chunk, position);
+    position += chunk.length;
+  }
+  const raw = await transformBytes(compressed, new DecompressionStream('deflate'));
+
+  const bytesPerSample = bitDepth / 8;
+  const bytesPerPixel = channels * bytesPerSample;
+  const stride = width * bytesPerPixel;
+  if (raw.length < height * (stride + 1)) {
+    throw new Error('El PNG está incompleto');
+  }
+
+  // Deshacer los filtros de cada fila (sobre los bytes, como indica la especificación)
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? pixels[row + i - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[row - stride + i] : 0;
+      const upLeft = y > 0 && i >= bytesPerPixel ? pixels[row - stride + i - bytesPerPixel] : 0;
+      let value = raw[source + i];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      pixels[row + i] = value & 0xff;
+    }
+  }
+
+  // Gris o media de RGB; el alfa se ignora
+  const colorChannels = colorType === 2 || colorType === 6 ? 3 : 1;
+  const maxValue = bitDepth === 16 ? 65535 : 255;
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    let sum = 0;
+    for (let c = 0; c < colorChannels; c++) {
+      const index = i * bytesPerPixel + c * bytesPerSample;
+      sum += bitDepth === 16 ? (pixels[index] << 8) | pixels[index + 1] : pixels[index];
+    }
+    data[i] = sum / colorChannels / maxValue;
+  }
+  return { width, height, data };
+}
+
+// Cualquier imagen que entienda el navegador, a 8 bits (ver loadHeightmapFromImage)
+async function decodeBrowserImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    const { naturalWidth: width, naturalHeight: height } = image;
+    return { width, height, data: loadHeightmapFromImage(image, width, height, 1) };
+  } catch {
+    throw new Error('No se pudo leer la imagen');
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// RAW sin cabecera: el tamaño del archivo indica la resolución (cuadrada) y los bits
+function decodeRaw(bytes, extension) {
+  const side16 = Math.round(Math.sqrt(bytes.length / 2));
+  const side8 = Math.round(Math.sqrt(bytes.length));
+  const is16 = extension !== 'r8' && side16 * side16 * 2 === bytes.length;
+  const side = is16 ? side16 : side8;
+  if (side < 2 || (!is16 && side8 * side8 !== bytes.length)) {
+    throw new Error('El archivo RAW debe ser cuadrado, de 8 o 16 bits por muestra');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const data = new Float32Array(side * side);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = is16 ? view.getUint16(i * 2, true) / 65535 : bytes[i] / 255;
+  }
+  return { width: side, height: side, data };
+}
+
+/**
+ * Lee un archivo de heightmap
+ * @param {File} file - Archivo PNG, otra imagen o RAW
+ * @returns {Promise<Object>} Imagen { name, width, height, data } con data normalizado (0 a 1)
+ */
+export async function readHeightmapFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  let image;
+  if (extension === 'raw' || extension === 'r16' || extension === 'r8') {
+    image = decodeRaw(new Uint8Array(await file.arrayBuffer()), extension);
+  } else if (extension === 'png') {
+    image = await decodePng(new Uint8Array(await file.arrayBuffer())) || await decodeBrowserImage(file);
+  } else {
+    image = await decodeBrowserImage(file);
+  }
+  return { name: file.name.replace(/\.[^.]+$/, ''), ...image };
+}
+
+/**
+ * Convierte una imagen de heightmap en el heightmap del terreno
+ * @param {Object} image - Imagen normalizada (readHeightmapFile)
+ * @param {number} segments - Muestras por lado del terreno
+ * @param {number} minHeight - Altura del negro
+ * @param {number} maxHeight - Altura del blanco
+ * @returns {Float32Array} Heightmap de segments x segments
+ */
+export function heightmapImageToTerrain(image, segments, minHeight, maxHeight) {
+  const resampled = resampleHeightmap(image.data, image.width, image.height, segments, segments);
+  const heightmap = new Float32Array(segments * segments);
+  for (let i = 0; i < heightmap.length; i++) {
+    heightmap[i] = minHeight + resampled[i] * (maxHeight - minHeight);
+  }
+  return heightmap;
+}
+
+/**
+ * Nombre del archivo exportado; incluye el rango de alturas para poder reimportarlo igual
+ * (ver parseHeightmapFileRange)
+ */
+export function getHeightmapFileName(segments, minHeight, maxHeight, extension) {
+  return `heightmap_${segments}_${minHeight.toFixed(2)}_${maxHeight.toFixed(2)}.${extension}`;
+}
+
+/**
+ * Obtiene el rango de alturas del nombre de un heightmap exportado
+ * @param {string} fileName - Nombre del archivo
+ * @returns {Object|null} { minHeight, maxHeight } o null si el nombre no lo incluye
+ */
+export function parseHeightmapFileRange(fileName) {
+  const match = /_(-?\d+(?:\.\d+)?)_(-?\d+(?:\.\d+)?)(?:\.[a-z0-9]+)?$/i.exec(fileName);
+  if (!match) return null;
+  const minHeight = parseFloat(match[1]);
+  const maxHeight = parseFloat(match[2]);
+  return maxHeight > minHeight ? { minHeight, maxHeight } : null;
+}
+
+async function encodePng16(values, width, height) {
+  const raw = new Uint8Array(height * (width * 2 + 1));
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 2 + 1);
+    // Filtro 0 (ninguno) y muestras big-endian
+    for (let x = 0; x < width; x++) {
+      const value = values[y * width + x];
+      raw[row + 1 + x * 2] = value >> 8;
+      raw[row + 2 + x * 2] = value & 0xff;
+    }
+  }
+  const compressed = await transformBytes(raw, new CompressionStream('deflate'));
+
+  const chunk = (type, data) => {
+    const bytes = new Uint8Array(data.length + 12);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+    bytes.set(data, 8);
+    view.setUint32(data.length + 8, crc32(bytes.subarray(4, data.length + 8)));
+    return bytes;
+  };
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 16; // Bits por muestra
+  header[9] = 0; // Escala de grises
+
+  return new Blob(
+    [new Uint8Array(PNG_SIGNATURE), chunk('IHDR', header), chunk('IDAT', compressed), chunk('IEND', new Uint8Array(0))],
+    { type: 'image/png' }
+  );
+}
+
+function encodePng8(heightmap, segments) {
+  const canvas = document.createElement('canvas');
+  canvas.width = segments;
+  canvas.height = segments;
+  canvas.getContext('2d').putImageData(heightmapToImageData(heightmap, segments, segments), 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('No se pudo crear el PNG'))), 'image/png');
+  });
+}
+
+/**
+ * Exporta el heightmap del terreno a un archivo
+ * Las alturas se normalizan entre la mínima y la máxima del terreno (como heightmapToImageData)
+ * @param {Float32Array} heightmap - Heightmap del terreno
+ * @param {number} segments - Muestras por lado
+ * @param {string} format - ID del formato (ver HEIGHTMAP_EXPORT_FORMATS)
+ * @returns {Promise<Object>} { blob, fileName }
+ */
+export async function exportHeightmapFile(heightmap, segments, format) {
+  const { extension } = HEIGHTMAP_EXPORT_FORMATS.find((entry) => entry.id === format) || HEIGHTMAP_EXPORT_FORMATS[0];
+  const { min, max } = getHeightRange(heightmap);
+  const range = max - min;
+  const fileName = getHeightmapFileName(segments, min, max, extension);
+
+  if (format === 'png8') {
+    return { blob: await encodePng8(heightmap, segments), fileName };
+  }
+
+  const values = new Uint16Array(heightmap.length);
+  for (let i = 0; i < heightmap.length; i++) {
+    values[i] = range > 0 ? Math.round(((heightmap[i] - min) / range) * 65535) : 32768;
+  }
+
+  if (format === 'r16') {
+    const bytes = new Uint8Array(values.length * 2);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, i) => view.setUint16(i * 2, value, true));
+    return { blob: new Blob([bytes], { type: 'application/octet-stream' }), fileName };
+  }
+  return { blob: await encodePng16(values, segments, segments), fileName };
+}
@@ -3,6 +3,8 @@
  * Permite crear, modificar y manipular mapas de altura para terrenos
  */
 
+import { TERRAIN_CONFIG } from '../constants/gameConstants';
+
 /**
  * Crea un heightmap vacío (todos los valores en 0)
  * @param {number} width - Ancho del heightmap (número de segmentos)
@@ -135,9 +137,15 @@ export function modifyHeightmap(
   };
   
   const falloff = falloffFunction || defaultFalloff;
+
+  // Solo las muestras dentro del cuadrado que rodea al pincel (los terrenos grandes tienen muchas)
+  const minX = Math.max(0, Math.floor((centerX - radius + halfSize) / segmentSize));
+  const maxX = Math.min(width - 1, Math.ceil((centerX + radius + halfSize) / segmentSize));
+  const minY = Math.max(0, Math.floor((centerZ - radius + halfSize) / (terrainSize / (height - 1))));
+  const maxY = Math.min(height - 1, Math.ceil((centerZ + radius + halfSize) / (terrainSize / (height - 1))));
   
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
       // Convertir índice a coordenadas del mundo
       const worldX = (x / (width - 1)) * terrainSize - halfSize;
       const worldZ = (y / (height - 1)) * terrainSize - halfSize;
@@ -289,3 +297,289 @@ export function getTerrainHeightAtWorldPosition(heightmap, segments, terrainSize
   return height;
 }
 
+
+/**
+ * Obtiene la normal del terreno en una posición del mundo
+ * Se calcula con diferencias centrales de la altura, a un paso de celda
+ * @param {Float32Array} heightmap - Array de alturas
+ * @param {number} segments - Número de segmentos del terreno
+ * @param {number} terrainSize - Tamaño total del terreno en unidades del mundo
+ * @param {number} worldX - Coordenada X del mundo
+ * @param {number} worldZ - Coordenada Z del mundo
+ * @returns {Array<number>} Normal unitaria [x, y, z] ([0, 1, 0] si no hay heightmap)
+ */
+export function getTerrainNormalAtWorldPosition(heightmap, segments, terrainSize, worldX, worldZ) {
+  if (!heightmap || heightmap.length === 0) {
+    return [0, 1, 0];
+  }
+
+  const step = terrainSize / (segments - 1);
+  const heightAt = (x, z) => getTerrainHeightAtWorldPosition(heightmap, segments, terrainSize, x, z);
+  const dx = (heightAt(worldX + step, worldZ) - heightAt(worldX - step, worldZ)) / (2 * step);
+  const dz = (heightAt(worldX, worldZ + step) - heightAt(worldX, worldZ - step)) / (2 * step);
+
+  const length = Math.sqrt(dx * dx + 1 + dz * dz);
+  return [-dx / length, 1 / length, -dz / length];
+}
+
+/**
+ * Crea la malla de triángulos del terreno para un collider de Rapier (TrimeshCollider)
+ * Los vértices coinciden con los de la geometría del terreno (centrada en el origen)
+ * @param {Float32Array|null} heightmap - Heightmap (null = terreno plano en Y=0)
+ * @param {number} segments - Número de vértices por lado
+ * @param {number} terrainSize - Tamaño total del terreno en unidades del mundo
+ * @param {Object} range - Tramo del heightmap { x0, x1, z0, z1 } (opcional, por defecto todo; ver getTerrainChunks)
+ * @returns {{vertices: Float32Array, indices: Uint32Array}} Vértices [x, y, z, ...] e índices de los triángulos
+ */
+export function createTerrainTrimesh(heightmap, segments, terrainSize, range = null) {
+  const { x0, x1, z0, z1 } = range || { x0: 0, x1: segments - 1, z0: 0, z1: segments - 1 };
+  const columns = x1 - x0 + 1;
+  const rows = z1 - z0 + 1;
+  const vertices = new Float32Array(columns * rows * 3);
+  const indices = new Uint32Array((columns - 1) * (rows - 1) * 6);
+  const halfSize = terrainSize / 2;
+  const step = terrainSize / (segments - 1);
+
+  for (let z = z0; z <= z1; z++) {
+    for (let x = x0; x <= x1; x++) {
+      const index = (z - z0) * columns + (x - x0);
+      vertices[index * 3] = -halfSize + x * step;
+      vertices[index * 3 + 1] = heightmap?.[z * segments + x] || 0;
+      vertices[index * 3 + 2] = -halfSize + z * step;
+    }
+  }
+
+  // Dos triángulos por celda, con la normal hacia arriba
+  let offset = 0;
+  for (let z = 0; z < rows - 1; z++) {
+    for (let x = 0; x < columns - 1; x++) {
+      const a = z * columns + x;
+      const b = a + columns;
+      const c = a + 1;
+      const d = b + 1;
+      indices.set([a, b, c, c, b, d], offset);
+      offset += 6;
+    }
+  }
+
+  return { vertices, indices };
+}
+
+// Valor máximo de una altura cuantizada a 16 bits
+const UINT16_MAX = 65535;
+
+/**
+ * Convierte bytes a base64
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  // Por bloques: String.fromCharCode no admite arrays muy grandes como argumentos
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Convierte base64 a bytes
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Reconstruye una altura cuantizada a 16 bits
+ */
+function dequantizeHeight(value, minHeight, range) {
+  return minHeight + (value / UINT16_MAX) * range;
+}
+
+/**
+ * Obtiene la altura mínima y máxima de un heightmap
+ * @param {Float32Array} heightmap - Heightmap
+ * @returns {{min: number, max: number}} Rango de alturas (0 y 0 si está vacío)
+ */
+export function getHeightRange(heightmap) {
+  if (!heightmap || heightmap.length === 0) {
+    return { min: 0, max: 0 };
+  }
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < heightmap.length; i++) {
+    if (heightmap[i] < min) min = heightmap[i];
+    if (heightmap[i] > max) max = heightmap[i];
+  }
+  return { min, max };
+}
+
+/**
+ * Codifica un heightmap para guardarlo en el archivo del nivel
+ * Los datos se guardan en base64 (little-endian) con dimensiones y rango explícitos.
+ * Con encoding 'auto' se usan 16 bits cuantizados solo si reproducen exactamente todas las
+ * alturas (p. ej. terreno plano); si no, float32, así el guardado nunca pierde precisión
+ * @param {Float32Array} heightmap - Heightmap (fila a fila, índice z * width + x)
+ * @param {Object} options
+ * @param {number} options.width - Número de muestras en X
+ * @param {number} options.height - Número de muestras en Z
+ * @param {number} options.size - Tamaño del terreno en unidades del mundo
+ * @param {number} options.chunks - Chunks por lado (opcional; solo se guarda si hay más de uno)
+ * @param {string} options.encoding - 'auto' | 'uint16' | 'float32'
+ * @returns {Object} Datos del terreno { width, height, size, chunks?, minHeight, maxHeight, encoding, data }
+ */
+export function encodeTerrainData(heightmap, { width, height, size, chunks = 1, encoding = 'auto' }) {
+  if (heightmap.length !== width * height) {
+    throw new Error(`El heightmap tiene ${heightmap.length} valores pero se esperaban ${width}x${height}`);
+  }
+
+  const { min, max } = getHeightRange(heightmap);
+  const range = max - min;
+
+  let useUint16 = encoding === 'uint16';
+  if (encoding === 'auto') {
+    useUint16 = true;
+    for (let i = 0; i < heightmap.length && useUint16; i++) {
+      const quantized = range > 0 ? Math.round(((heightmap[i] - min) / range) * UINT16_MAX) : 0;
+      useUint16 = Math.fround(dequantizeHeight(quantized, min, range)) === heightmap[i];
+    }
+  }
+
+  const bytesPerValue = useUint16 ? 2 : 4;
+  const view = new DataView(new ArrayBuffer(heightmap.length * bytesPerValue));
+  for (let i = 0; i < heightmap.length; i++) {
+    if (useUint16) {
+      const quantized = range > 0 ? Math.round(((heightmap[i] - min) / range) * UINT16_MAX) : 0;
+      view.setUint16(i * 2, quantized, true);
+    } else {
+      view.setFloat32(i * 4, heightmap[i], true);
+    }
+  }
+
+  return {
+    width,
+    height,
+    size,
+    ...(chunks > 1 && { chunks }),
+    minHeight: min,
+    maxHeight: max,
+    encoding: useUint16 ? 'uint16' : 'float32',
+    data: bytesToBase64(new Uint8Array(view.buffer)),
+  };
+}
+
+/**
+ * Obtiene los problemas de los datos de terreno de un nivel
+ * @param {Object} terrain - Datos del terreno (encodeTerrainData)
+ * @returns {Array<string>} Errores encontrados (vacío si son válidos)
+ */
+export function getTerrainDataErrors(terrain) {
+  if (!terrain || typeof terrain !== 'object') {
+    return ['El terreno debe ser un objeto'];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(terrain.width) || terrain.width < 2 || !Number.isInteger(terrain.height) || terrain.height < 2) {
+    errors.push(`El terreno tiene dimensiones inválidas: ${terrain.width}x${terrain.height}`);
+  }
+  if (!(terrain.size > 0)) {
+    errors.push(`El terreno tiene un tamaño inválido: ${terrain.size}`);
+  }
+  if (terrain.chunks !== undefined) {
+    // Los chunks comparten borde: cada uno cubre (width - 1) / chunks celdas
+    if (!Number.isInteger(terrain.chunks) || terrain.chunks < 1 || terrain.chunks > TERRAIN_CONFIG.MAX_CHUNKS) {
+      errors.push(`El terreno tiene un número de chunks inválido: ${terrain.chunks}`);
+    } else if (terrain.width !== terrain.height || (terrain.width - 1) % terrain.chunks !== 0) {
+      errors.push(`Un terreno de ${terrain.width}x${terrain.height} muestras no se puede dividir en ${terrain.chunks} chunks por lado`);
+    }
+  }
+  if (!Number.isFinite(terrain.minHeight) || !Number.isFinite(terrain.maxHeight) || terrain.minHeight > terrain.maxHeight) {
+    errors.push(`El terreno tiene un rango de alturas inválido: ${terrain.minHeight} a ${terrain.maxHeight}`);
+  }
+  if (terrain.encoding !== 'uint16' && terrain.encoding !== 'float32') {
+    errors.push(`El terreno usa una codificación desconocida: ${terrain.encoding}`);
+  }
+  if (typeof terrain.data !== 'string') {
+    errors.push('El terreno no tiene datos de altura');
+  }
+
+  if (errors.length === 0) {
+    try {
+      const expected = terrain.width * terrain.height * (terrain.encoding === 'uint16' ? 2 : 4);
+      const length = base64ToBytes(terrain.data).length;
+      if (length !== expected) {
+        errors.push(`Los datos del terreno tienen ${length} bytes pero se esperaban ${expected}`);
+      }
+    } catch {
+      errors.push('Los datos del terreno no son base64 válido');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Decodifica los datos de terreno de un nivel
+ * @param {Object} terrain - Datos del terreno (encodeTerrainData)
+ * @returns {Float32Array} Heightmap de terrain.width x terrain.height muestras
+ */
+export function decodeTerrainData(terrain) {
+  const errors = getTerrainDataErrors(terrain);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const bytes = base64ToBytes(terrain.data);
+  const view = new DataView(bytes.buffer);
+  const heightmap = new Float32Array(terrain.width * terrain.height);
+  const range = terrain.maxHeight - terrain.minHeight;
+
+  for (let i = 0; i < heightmap.length; i++) {
+    heightmap[i] = terrain.encoding === 'uint16'
+      ? dequantizeHeight(view.getUint16(i * 2, true), terrain.minHeight, range)
+      : view.getFloat32(i * 4, true);
+  }
+  return heightmap;
+}
+
+/**
+ * Remuestrea un heightmap a otra resolución con interpolación bilineal
+ * @param {Float32Array} heightmap - Heightmap original
+ * @param {number} width - Ancho original
+ * @param {number} height - Alto original
+ * @param {number} newWidth - Nuevo ancho
+ * @param {number} newHeight - Nuevo alto
+ * @returns {Float32Array} Heightmap remuestreado (el original si no cambia la resolución)
+ */
+export function resampleHeightmap(heightmap, width, height, newWidth, newHeight) {
+  if (width === newWidth && height === newHeight) {
+    return heightmap;
+  }
+
+  const resampled = new Float32Array(newWidth * newHeight);
+  for (let z = 0; z < newHeight; z++) {
+    for (let x = 0; x < newWidth; x++) {
+      const sourceX = newWidth > 1 ? (x / (newWidth - 1)) * (width - 1) : 0;
+      const sourceZ = newHeight > 1 ? (z / (newHeight - 1)) * (height - 1) : 0;
+      resampled[z * newWidth + x] = getHeightAt(heightmap, width, height, sourceX, sourceZ);
+    }
+  }
+  return resampled;
+}
+
+/**
+ * Obtiene el heightmap de un nivel a la resolución del terreno (segments x segments)
+ * Si el nivel se guardó con otra resolución (o no es cuadrado) se remuestrea
+ * @param {Object} terrain - Datos del terreno del nivel
+ * @param {number} segments - Muestras por lado del terreno
+ * @returns {Float32Array|null} Heightmap o null si el nivel no tiene terreno
+ */
+export function getTerrainHeightmap(terrain, segments) {
+  if (!terrain) {
+    return null;
+  }
+  const heightmap = decodeTerrainData(terrain);
+  return resampleHeightmap(heightmap, terrain.width, terrain.height, segments, segments);
+}
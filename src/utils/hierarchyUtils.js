@@ -0,0 +1,445 @@
+/**
+ * Utilidades para la jerarquía padre/hijo de los objetos del nivel
+ * Un objeto con parentId guarda su posición, rotación y escala relativas al padre.
+ * Los modelos transmiten su escala a los hijos; colliders y cámaras solo su posición
+ * y rotación (la escala de un collider son sus dimensiones)
+ */
+
+import * as THREE from 'three';
+import { OBJECT_CONFIG, DEG_TO_RAD, RAD_TO_DEG } from '../constants/gameConstants';
+import { validateVector } from './mathUtils';
+import { duplicateObject } from './objectUtils';
+
+const TRANSFORM_KEYS = ['position', 'rotation', 'scale'];
+
+/**
+ * Redondea los valores convertidos para no arrastrar errores de coma flotante
+ * @param {number} value - Valor a redondear
+ * @returns {number} Valor con 4 decimales como máximo
+ */
+function roundValue(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Crea un mapa id -> objeto
+ * @param {Array} objects - Objetos del nivel
+ * @returns {Map} Mapa de objetos por ID
+ */
+export function buildObjectMap(objects) {
+  const map = new Map();
+  objects.forEach((obj) => {
+    if (obj?.id) {
+      map.set(obj.id, obj);
+    }
+  });
+  return map;
+}
+
+/**
+ * Obtiene el padre de un objeto si existe en el nivel
+ * @param {Object} obj - Objeto
+ * @param {Map} objectsById - Mapa de objetos por ID
+ * @returns {Object|null} Objeto padre o null si es raíz
+ */
+export function getParentObject(obj, objectsById) {
+  if (!obj?.parentId || obj.parentId === obj.id) {
+    return null;
+  }
+  return objectsById.get(obj.parentId) || null;
+}
+
+/**
+ * Busca el ancestro más cercano de un objeto que cumpla una condición
+ * @param {Object} obj - Objeto
+ * @param {Map} objectsById - Mapa de objetos por ID
+ * @param {Function} predicate - Condición (recibe el ancestro)
+ * @returns {Object|null} Ancestro o null si ninguno la cumple
+ */
+export function findAncestor(obj, objectsById, predicate) {
+  const seen = new Set([obj?.id]);
+  let parent = getParentObject(obj, objectsById);
+  while (parent && !seen.has(parent.id)) {
+    if (predicate(parent)) return parent;
+    seen.add(parent.id);
+    parent = getParentObject(parent, objectsById);
+  }
+  return null;
+}
+
+/**
+ * Obtiene los IDs de todos los descendientes de un objeto (hijos, nietos...)
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} objectId - ID del objeto
+ * @returns {Array<string>} IDs de los descendientes
+ */
+export function getDescendantIds(objects, objectId) {
+  const childrenByParent = new Map();
+  objects.forEach((obj) => {
+    if (obj?.parentId) {
+      if (!childrenByParent.has(obj.parentId)) {
+        childrenByParent.set(obj.parentId, []);
+      }
+      childrenByParent.get(obj.parentId).push(obj.id);
+    }
+  });
+
+  const result = [];
+  const visited = new Set([objectId]);
+  const pending = [...(childrenByParent.get(objectId) || [])];
+  while (pending.length > 0) {
+    const id = pending.shift();
+    if (visited.has(id)) continue;
+    visited.add(id);
+    result.push(id);
+    pending.push(...(childrenByParent.get(id) || []));
+  }
+  return result;
+}
+
+/**
+ * Comprueba si asignar un padre crearía un ciclo en la jerarquía
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} objectId - ID del objeto que cambia de padre
+ * @param {string|null} parentId - ID del nuevo padre
+ * @returns {boolean} True si el padre es el propio objeto o uno de sus descendientes
+ */
+export function wouldCreateCycle(objects, objectId, parentId) {
+  if (!parentId) return false;
+  if (parentId === objectId) return true;
+  return getDescendantIds(objects, objectId).includes(parentId);
+}
+
+/**
+ * Busca los objetos que forman parte de un ciclo de padres
+ * @param {Array} objects - Objetos del nivel
+ * @returns {Array<string>} IDs de los objetos dentro de algún ciclo
+ */
+export function findHierarchyCycles(objects) {
+  const objectsById = buildObjectMap(objects);
+  const inCycle = new Set();
+
+  objects.forEach((obj) => {
+    if (!obj?.id || inCycle.has(obj.id)) return;
+    const path = [];
+    const seen = new Set();
+    let current = obj;
+    while (current && !seen.has(current.id)) {
+      seen.add(current.id);
+      path.push(current.id);
+      current = getParentObject(current, objectsById);
+    }
+    // Si el recorrido vuelve a un objeto ya visitado, desde ahí todo es ciclo
+    if (current) {
+      path.slice(path.indexOf(current.id)).forEach(id => inCycle.add(id));
+    }
+  });
+
+  return Array.from(inCycle);
+}
+
+/**
+ * Transformación local de un objeto tal como está guardada
+ * @param {Object} obj - Objeto del nivel
+ * @returns {Object} { position: Vector3, quaternion: Quaternion, scale: Vector3 }
+ */
+function getLocalTransform(obj) {
+  const rotation = validateVector(obj.rotation, OBJECT_CONFIG.DEFAULT_ROTATION);
+  return {
+    position: new THREE.Vector3(...validateVector(obj.position, OBJECT_CONFIG.DEFAULT_POSITION)),
+    quaternion: new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(rotation[0] * DEG_TO_RAD, rotation[1] * DEG_TO_RAD, rotation[2] * DEG_TO_RAD)
+    ),
+    scale: new THREE.Vector3(...validateVector(obj.scale, OBJECT_CONFIG.DEFAULT_SCALE)),
+  };
+}
+
+/**
+ * Escala que un padre transmite a sus hijos
+ * @param {Object} parent - Objeto padre
+ * @param {Object} parentWorld - Transformación de mundo del padre
+ * @returns {THREE.Vector3} Escala heredada
+ */
+function getInheritedScale(parent, parentWorld) {
+  if (parent.type === 'collider' || parent.type === 'camera' || parent.type === 'water') {
+    return new THREE.Vector3(1, 1, 1);
+  }
+  return parentWorld.scale.clone();
+}
+
+/**
+ * Calcula la transformación de mundo de un objeto recorriendo sus padres
+ * @param {Object} obj - Objeto
+ * @param {Map} objectsById - Mapa de objetos por ID
+ * @param {Map} cache - Transformaciones ya calculadas
+ * @param {Set} visiting - Objetos en el recorrido actual (para cortar ciclos)
+ * @returns {Object} { position, quaternion, scale }
+ */
+function computeWorldTransform(obj, objectsById, cache, visiting = new Set()) {
+  if (cache.has(obj.id)) {
+    return cache.get(obj.id);
+  }
+
+  const local = getLocalTransform(obj);
+  const parent = getParentObject(obj, objectsById);
+  // Un ciclo se trata como raíz; validateLevelData lo reporta como error
+  if (!parent || visiting.has(parent.id)) {
+    cache.set(obj.id, local);
+    return local;
+  }
+
+  visiting.add(obj.id);
+  const parentWorld = computeWorldTransform(parent, objectsById, cache, visiting);
+  visiting.delete(obj.id);
+
+  const inheritedScale = getInheritedScale(parent, parentWorld);
+  const world = {
+    position: local.position
+      .clone()
+      .multiply(inheritedScale)
+      .applyQuaternion(parentWorld.quaternion)
+      .add(parentWorld.position),
+    quaternion: parentWorld.quaternion.clone().multiply(local.quaternion),
+    scale: local.scale.clone().multiply(inheritedScale),
+  };
+  cache.set(obj.id, world);
+  return world;
+}
+
+/**
+ * Convierte una transformación de THREE a los arrays del formato del nivel
+ * @param {Object} transform - { position, quaternion, scale }
+ * @returns {Object} { position, rotation (grados), scale }
+ */
+function toLevelArrays(transform) {
+  const euler = new THREE.Euler().setFromQuaternion(transform.quaternion);
+  return {
+    position: transform.position.toArray().map(roundValue),
+    rotation: [euler.x, euler.y, euler.z].map(value => roundValue(value * RAD_TO_DEG)),
+    scale: transform.scale.toArray().map(roundValue),
+  };
+}
+
+/**
+ * Resuelve las transformaciones de mundo de todos los objetos
+ * Los objetos raíz se devuelven tal cual (misma referencia); los hijos se devuelven
+ * como copia con position, rotation y scale en coordenadas de mundo
+ * @param {Array} objects - Objetos del nivel (transformaciones locales)
+ * @returns {Array} Objetos con transformaciones de mundo
+ */
+export function resolveWorldTransforms(objects) {
+  if (!Array.isArray(objects) || !objects.some(obj => obj?.parentId)) {
+    return objects;
+  }
+
+  const objectsById = buildObjectMap(objects);
+  const cache = new Map();
+
+  return objects.map((obj) => {
+    if (!obj || !Array.isArray(obj.position) || !getParentObject(obj, objectsById)) {
+      return obj;
+    }
+
+    const world = toLevelArrays(computeWorldTransform(obj, objectsById, cache));
+    return {
+      ...obj,
+      position: world.position,
+      rotation: world.rotation,
+      // Las cámaras no tienen escala
+      ...(obj.scale !== undefined && { scale: world.scale }),
+    };
+  });
+}
+
+/**
+ * Obtiene la transformación de mundo de un objeto en formato del nivel
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} objectId - ID del objeto
+ * @returns {Object|null} { position, rotation, scale } o null si no existe
+ */
+export function getWorldTransform(objects, objectId) {
+  const objectsById = buildObjectMap(objects);
+  const obj = objectsById.get(objectId);
+  if (!obj) return null;
+  return toLevelArrays(computeWorldTransform(obj, objectsById, new Map()));
+}
+
+/**
+ * Convierte valores de mundo (position/rotation/scale) a valores locales respecto a un padre
+ * Solo se convierten las propiedades presentes en worldValues
+ * @param {Object} worldValues - { position?, rotation?, scale? } en coordenadas de mundo
+ * @param {Object|null} parent - Objeto padre (null = raíz, no hay conversión)
+ * @param {Array} objects - Objetos del nivel (para resolver la transformación del padre)
+ * @returns {Object} Los mismos valores en coordenadas locales
+ */
+export function worldToLocalValues(worldValues, parent, objects) {
+  if (!parent) {
+    return worldValues;
+  }
+
+  const objectsById = buildObjectMap(objects);
+  const parentWorld = computeWorldTransform(parent, objectsById, new Map());
+  const inheritedScale = getInheritedScale(parent, parentWorld);
+  const inverseQuaternion = parentWorld.quaternion.clone().invert();
+  const local = { ...worldValues };
+
+  if (worldValues.position) {
+    local.position = new THREE.Vector3(...worldValues.position)
+      .sub(parentWorld.position)
+      .applyQuaternion(inverseQuaternion)
+      .divide(inheritedScale)
+      .toArray()
+      .map(roundValue);
+  }
+
+  if (worldValues.rotation) {
+    const [x, y, z] = worldValues.rotation;
+    const worldQuaternion = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(x * DEG_TO_RAD, y * DEG_TO_RAD, z * DEG_TO_RAD)
+    );
+    const euler = new THREE.Euler().setFromQuaternion(inverseQuaternion.multiply(worldQuaternion));
+    local.rotation = [euler.x, euler.y, euler.z].map(value => roundValue(value * RAD_TO_DEG));
+  }
+
+  if (worldValues.scale) {
+    local.scale = worldValues.scale.map((value, i) => roundValue(value / inheritedScale.getComponent(i)));
+  }
+
+  return local;
+}
+
+/**
+ * Profundidad de un objeto en la jerarquía (0 = raíz)
+ * @param {Object} obj - Objeto
+ * @param {Map} objectsById - Mapa de objetos por ID
+ * @returns {number} Número de ancestros
+ */
+function getDepth(obj, objectsById) {
+  let depth = 0;
+  const seen = new Set([obj.id]);
+  let parent = getParentObject(obj, objectsById);
+  while (parent && !seen.has(parent.id)) {
+    seen.add(parent.id);
+    depth++;
+    parent = getParentObject(parent, objectsById);
+  }
+  return depth;
+}
+
+/**
+ * Convierte cambios hechos en coordenadas de mundo (gizmos del editor) a coordenadas locales
+ * Los cambios se aplican de padres a hijos, así un hijo movido junto con su padre
+ * se convierte respecto a la nueva posición del padre
+ * @param {Array} objects - Objetos del nivel (transformaciones locales)
+ * @param {Array} changes - Lista de { id, updates } con position/rotation/scale de mundo
+ * @returns {Array} Lista de { id, updates } con valores locales
+ */
+export function convertWorldUpdatesToLocal(objects, changes) {
+  if (!objects.some(obj => obj?.parentId)) {
+    return changes;
+  }
+
+  const objectsById = buildObjectMap(objects);
+  const ordered = changes
+    .map((change, order) => ({ ...change, order }))
+    .filter(change => objectsById.has(change.id))
+    .sort((a, b) => getDepth(objectsById.get(a.id), objectsById) - getDepth(objectsById.get(b.id), objectsById));
+
+  let working = objects;
+  const converted = ordered.map(({ id, updates, order }) => {
+    const obj = working.find(o => o.id === id);
+    const parent = getParentObject(obj, buildObjectMap(working));
+    const worldValues = {};
+    TRANSFORM_KEYS.forEach((key) => {
+      if (updates[key]) worldValues[key] = updates[key];
+    });
+
+    const localUpdates = { ...updates, ...worldToLocalValues(worldValues, parent, working) };
+    working = working.map(o => (o.id === id ? { ...o, ...localUpdates } : o));
+    return { id, updates: localUpdates, order };
+  });
+
+  return converted
+    .sort((a, b) => a.order - b.order)
+    .map(({ id, updates }) => ({ id, updates }));
+}
+
+/**
+ * Calcula los cambios para asignar un nuevo padre conservando la transformación de mundo
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} objectId - ID del objeto
+ * @param {string|null} parentId - ID del nuevo padre (null = raíz)
+ * @returns {Object|null} Updates { parentId, position, rotation, scale? } o null si no es válido
+ */
+export function getReparentUpdates(objects, objectId, parentId) {
+  const obj = objects.find(o => o.id === objectId);
+  if (!obj || wouldCreateCycle(objects, objectId, parentId)) {
+    return null;
+  }
+
+  const parent = parentId ? objects.find(o => o.id === parentId) : null;
+  if (parentId && !parent) {
+    return null;
+  }
+
+  const world = getWorldTransform(objects, objectId);
+  const worldValues = {
+    position: world.position,
+    rotation: world.rotation,
+    ...(obj.scale !== undefined && { scale: world.scale }),
+  };
+
+  return {
+    parentId: parent ? parent.id : null,
+    ...worldToLocalValues(worldValues, parent, objects),
+  };
+}
+
+/**
+ * Duplica objetos junto con todos sus descendientes
+ * Las raíces se desplazan como en duplicateObject; los descendientes conservan su
+ * transformación local y apuntan a las copias de sus padres
+ * @param {Array} objects - Objetos del nivel
+ * @param {Array<string>} objectIds - IDs a duplicar
+ * @returns {Object} { duplicates: Array, rootIds: Array<string> }
+ */
+export function duplicateWithDescendants(objects, objectIds) {
+  const selected = new Set(objectIds);
+  const objectsById = buildObjectMap(objects);
+
+  // Si un ancestro también está seleccionado, el objeto ya se copia con él
+  const hasSelectedAncestor = (obj) => {
+    const seen = new Set([obj.id]);
+    let parent = getParentObject(obj, objectsById);
+    while (parent && !seen.has(parent.id)) {
+      if (selected.has(parent.id)) return true;
+      seen.add(parent.id);
+      parent = getParentObject(parent, objectsById);
+    }
+    return false;
+  };
+
+  const roots = objectIds
+    .map(id => objectsById.get(id))
+    .filter(obj => obj && !hasSelectedAncestor(obj));
+
+  const duplicates = [];
+  const rootIds = [];
+  roots.forEach((root) => {
+    const idMap = new Map();
+    const rootCopy = duplicateObject(root);
+    idMap.set(root.id, rootCopy.id);
+    duplicates.push(rootCopy);
+    rootIds.push(rootCopy.id);
+
+    // getDescendantIds devuelve los descendientes por niveles: el padre siempre va antes
+    getDescendantIds(objects, root.id).forEach((id) => {
+      const original = objectsById.get(id);
+      const copy = { ...duplicateObject(original, 0), parentId: idMap.get(original.parentId) };
+      idMap.set(id, copy.id);
+      duplicates.push(copy);
+    });
+  });
+
+  return { duplicates, rootIds };
+}
@@ -0,0 +1,132 @@
+/**
+ * Utilidades para dibujar modelos repetidos con InstancedMesh
+ * Los objetos del nivel que comparten modelo y no necesitan comportamiento propio se agrupan
+ * por celdas del mapa: cada celda es un InstancedMesh con su propia esfera envolvente, así
+ * three.js descarta las celdas que quedan fuera de la cámara
+ */
+
+import * as THREE from 'three';
+import { INSTANCING_CONFIG, OBJECT_CONFIG, DEG_TO_RAD } from '../constants/gameConstants';
+import { getLodLevels } from './lodUtils';
+
+// Objetos temporales reutilizados al calcular transformaciones
+const tempPosition = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const tempScale = new THREE.Vector3();
+const tempEuler = new THREE.Euler();
+
+/**
+ * Mallas de un modelo cargado y su caja envolvente
+ * @param {THREE.Object3D} scene - Escena del GLB (sin clonar: sus geometrías y materiales se comparten)
+ * @returns {{parts: Array<{geometry, material, matrix}>, bounds: THREE.Box3}} Mallas con su transformación dentro del modelo
+ */
+export function getModelParts(scene) {
+  scene.updateMatrixWorld(true);
+  const parts = [];
+  scene.traverse((child) => {
+    if (child.isMesh) {
+      parts.push({ geometry: child.geometry, material: child.material, matrix: child.matrixWorld.clone() });
+    }
+  });
+  return { parts, bounds: new THREE.Box3().setFromObject(scene) };
+}
+
+/**
+ * Indica si un objeto se puede dibujar como una instancia más de su modelo
+ * Quedan fuera los objetos con componentes (jugador, scripts) y los que sigue una cámara,
+ * porque necesitan su propio grafo de escena (se buscan por userData.objectId), y los que
+ * tienen niveles de LOD (cada copia cambia de nivel según su propia distancia)
+ * @param {Object} obj - Objeto del nivel
+ * @param {Set<string>} targetIds - IDs de los objetos que siguen las cámaras
+ * @returns {boolean} True si se puede instanciar
+ */
+export function canInstanceObject(obj, targetIds) {
+  return Boolean(obj?.id && obj.model) &&
+    obj.type !== 'collider' &&
+    obj.type !== 'camera' &&
+    !(obj.components?.length > 0) &&
+    getLodLevels(obj.lod).length === 0 &&
+    !targetIds.has(obj.id);
+}
+
+/**
+ * Agrupa los objetos instanciables por modelo, sombras y celda del mapa
+ * Solo se instancian los modelos con al menos INSTANCING_CONFIG.MIN_INSTANCES copias
+ * @param {Array} objects - Objetos del nivel (transformaciones de mundo)
+ * @returns {{instancedIds: Set<string>, batches: Array<{key, model, castShadow, receiveShadow, objects}>}}
+ */
+export function groupInstancedObjects(objects) {
+  const targetIds = new Set(
+    objects.filter((obj) => obj.type === 'camera' && obj.targetId).map((obj) => obj.targetId)
+  );
+  const candidates = objects.filter((obj) => canInstanceObject(obj, targetIds));
+
+  const countByModel = new Map();
+  candidates.forEach((obj) => countByModel.set(obj.model, (countByModel.get(obj.model) || 0) + 1));
+
+  const batches = new Map();
+  const instancedIds = new Set();
+  candidates.forEach((obj) => {
+    if (countByModel.get(obj.model) < INSTANCING_CONFIG.MIN_INSTANCES) return;
+
+    const [x, , z] = obj.position || OBJECT_CONFIG.DEFAULT_POSITION;
+    const castShadow = obj.castShadow !== false;
+    const receiveShadow = obj.receiveShadow !== false;
+    const cell = `${Math.floor(x / INSTANCING_CONFIG.CHUNK_SIZE)},${Math.floor(z / INSTANCING_CONFIG.CHUNK_SIZE)}`;
+    const key = `${obj.model}|${castShadow}|${receiveShadow}|${cell}`;
+
+    if (!batches.has(key)) {
+      batches.set(key, { key, model: obj.model, castShadow, receiveShadow, objects: [] });
+    }
+    batches.get(key).objects.push(obj);
+    instancedIds.add(obj.id);
+  });
+
+  return { instancedIds, batches: [...batches.values()] };
+}
+
+/**
+ * Transformación de una instancia (la misma que aplica SceneObject a su modelo)
+ * La base del modelo queda en position[1]: Y = position[1] - minY * scale[1]
+ * @param {Object} obj - Objeto del nivel
+ * @param {number} minY - Altura mínima del modelo sin escalar
+ * @returns {THREE.Matrix4} Matriz de la raíz del modelo
+ */
+export function getObjectInstanceMatrix(obj, minY) {
+  const [x, y, z] = obj.position || OBJECT_CONFIG.DEFAULT_POSITION;
+  const scale = obj.scale || OBJECT_CONFIG.DEFAULT_SCALE;
+  const rotation = obj.rotation || OBJECT_CONFIG.DEFAULT_ROTATION;
+
+  tempPosition.set(x, y - minY * scale[1], z);
+  tempQuaternion.setFromEuler(tempEuler.set(rotation[0] * DEG_TO_RAD, rotation[1] * DEG_TO_RAD, rotation[2] * DEG_TO_RAD));
+  tempScale.fromArray(scale);
+  return new THREE.Matrix4().compose(tempPosition, tempQuaternion, tempScale);
+}
+
+/**
+ * Collider de caja de una instancia (el mismo que crea SceneObject)
+ * Tamaño = caja del modelo * escala * colliderScale, centrado en el centro de la caja
+ * @param {Object} obj - Objeto del nivel
+ * @param {THREE.Box3} bounds - Caja envolvente del modelo sin escalar
+ * @returns {{id, halfExtents: Array<number>, position: Array<number>, rotation: Array<number>}} Collider en coordenadas de mundo
+ */
+export function getInstanceCollider(obj, bounds) {
+  const [x, y, z] = obj.position || OBJECT_CONFIG.DEFAULT_POSITION;
+  const scale = obj.scale || OBJECT_CONFIG.DEFAULT_SCALE;
+  const rotation = obj.rotation || OBJECT_CONFIG.DEFAULT_ROTATION;
+  const colliderScale = obj.colliderScale || OBJECT_CONFIG.DEFAULT_COLLIDER_SCALE;
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+
+  tempEuler.set(rotation[0] * DEG_TO_RAD, rotation[1] * DEG_TO_RAD, rotation[2] * DEG_TO_RAD);
+  // El centro de la caja se desplaza con la rotación del objeto
+  const offset = new THREE.Vector3(center.x * scale[0], center.y * scale[1], center.z * scale[2])
+    .applyQuaternion(tempQuaternion.setFromEuler(tempEuler));
+
+  return {
+    id: obj.id,
+    halfExtents: [0, 1, 2].map((axis) => (size.getComponent(axis) * scale[axis] * colliderScale[axis]) / 2),
+    position: [x + offset.x, y - bounds.min.y * scale[1] + offset.y, z + offset.z],
+    rotation: [tempEuler.x, tempEuler.y, tempEuler.z],
+  };
+}
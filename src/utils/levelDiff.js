@@ -0,0 +1,110 @@
+/**
+ * Utilidades para comparar dos versiones de un nivel
+ * El editor compara el nivel que se está editando con el último guardado en disco
+ * para saber si hay cambios sin guardar y mostrar cuáles son
+ */
+
+// Propiedades del nivel (no de sus objetos) que se comparan
+const LEVEL_METADATA_KEYS = ['name', 'description'];
+
+/**
+ * Compara dos valores JSON sin tener en cuenta el orden de las claves
+ * Una clave ausente equivale a una clave con valor undefined
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} True si son iguales
+ */
+export function isEqualLevelValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((value, index) => isEqualLevelValue(value, b[index]));
+  }
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => isEqualLevelValue(a[key], b[key]));
+}
+
+/**
+ * Nombre legible de un objeto para listar cambios
+ */
+function getObjectLabel(obj) {
+  return obj.name || obj.model?.split('/').pop() || obj.type || obj.id;
+}
+
+/**
+ * Propiedades de un objeto que difieren entre dos versiones
+ * @returns {Array<string>} Nombres de las propiedades cambiadas
+ */
+function getChangedProperties(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((key) => !isEqualLevelValue(before[key], after[key]));
+}
+
+/**
+ * Compara dos versiones de un nivel
+ * Los objetos se emparejan por ID
+ * @param {Object|null} savedLevel - Versión guardada (null si el nivel nunca se ha guardado)
+ * @param {Object} currentLevel - Versión actual
+ * @returns {Object} { added, removed, changed, metadata, terrainChanged, splatChanged, scatterChanged }
+ *   added/removed: [{ id, name }], changed: [{ id, name, properties }], metadata: nombres de propiedades del nivel
+ */
+export function diffLevels(savedLevel, currentLevel) {
+  const savedObjects = savedLevel?.objects || [];
+  const currentObjects = currentLevel?.objects || [];
+  const savedById = new Map(savedObjects.map((obj) => [obj.id, obj]));
+  const currentIds = new Set(currentObjects.map((obj) => obj.id));
+
+  const added = [];
+  const changed = [];
+  currentObjects.forEach((obj) => {
+    const saved = savedById.get(obj.id);
+    if (!saved) {
+      added.push({ id: obj.id, name: getObjectLabel(obj) });
+      return;
+    }
+    const properties = getChangedProperties(saved, obj);
+    if (properties.length > 0) {
+      changed.push({ id: obj.id, name: getObjectLabel(obj), properties });
+    }
+  });
+
+  const removed = savedObjects
+    .filter((obj) => !currentIds.has(obj.id))
+    .map((obj) => ({ id: obj.id, name: getObjectLabel(obj) }));
+
+  // Un nivel que nunca se ha guardado no tiene nombre ni descripción con los que comparar
+  const metadata = savedLevel
+    ? LEVEL_METADATA_KEYS.filter((key) => !isEqualLevelValue(savedLevel[key], currentLevel?.[key]))
+    : [];
+
+  return {
+    added,
+    removed,
+    changed,
+    metadata,
+    terrainChanged: !isEqualLevelValue(savedLevel?.terrain ?? null, currentLevel?.terrain ?? null) ||
+      !isEqualLevelValue(savedLevel?.terrainRecipe ?? null, currentLevel?.terrainRecipe ?? null),
+    splatChanged: !isEqualLevelValue(savedLevel?.splat ?? null, currentLevel?.splat ?? null),
+    scatterChanged: !isEqualLevelValue(savedLevel?.scatter ?? null, currentLevel?.scatter ?? null),
+  };
+}
+
+/**
+ * Indica si una comparación de niveles tiene algún cambio
+ * @param {Object} diff - Resultado de diffLevels
+ * @returns {boolean} True si hay cambios
+ */
+export function hasLevelChanges(diff) {
+  return diff.added.length > 0 ||
+    diff.removed.length > 0 ||
+    diff.changed.length > 0 ||
+    diff.metadata.length > 0 ||
+    diff.terrainChanged ||
+    diff.splatChanged ||
+    diff.scatterChanged;
+}
@@ -0,0 +1,85 @@
+/**
+ * Utilidades para escribir archivos de nivel en /public/levels
+ * Usa el middleware del servidor de desarrollo definido en vite.config.js.
+ * En producción no hay endpoint y el editor recurre a la descarga del archivo
+ */
+
+import { LEVEL_FILES } from '../constants/gameConstants';
+
+/**
+ * Realiza una petición JSON al middleware de desarrollo
+ * @param {string} method - Método HTTP
+ * @param {string} url - Ruta del middleware
+ * @param {Object} body - Cuerpo JSON de la petición
+ * @returns {Promise<Object>} Respuesta del servidor
+ */
+async function requestDevApi(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `${response.status} ${response.statusText}`);
+  }
+  return result;
+}
+
+/**
+ * Realiza una petición al endpoint de archivos de nivel
+ * @param {string} method - Método HTTP
+ * @param {string} filename - Archivo dentro de /public/levels
+ * @param {Object} body - Cuerpo JSON de la petición
+ * @returns {Promise<Object>} Respuesta del servidor
+ */
+function requestLevelFile(method, filename, body) {
+  return requestDevApi(method, `${LEVEL_FILES.DEV_API}/${encodeURIComponent(filename)}`, body);
+}
+
+/**
+ * Indica si el servidor puede escribir archivos de nivel (solo con `vite` en desarrollo)
+ * @returns {boolean} True si el endpoint está disponible
+ */
+export function isLevelFileApiAvailable() {
+  return import.meta.env.DEV;
+}
+
+/**
+ * Escribe un archivo de nivel
+ * @param {string} filename - Nombre del archivo
+ * @param {Object} data - Contenido JSON
+ * @returns {Promise<Object>} Respuesta del servidor
+ */
+export function writeLevelFile(filename, data) {
+  return requestLevelFile('PUT', filename, data);
+}
+
+/**
+ * Renombra un archivo de nivel
+ * @param {string} filename - Nombre actual
+ * @param {string} newFilename - Nuevo nombre
+ * @returns {Promise<Object>} Respuesta del servidor
+ */
+export function renameLevelFile(filename, newFilename) {
+  return requestLevelFile('PATCH', filename, { filename: newFilename });
+}
+
+/**
+ * Elimina un archivo de nivel
+ * @param {string} filename - Nombre del archivo
+ * @returns {Promise<Object>} Respuesta del servidor
+ */
+export function deleteLevelFile(filename) {
+  return requestLevelFile('DELETE', filename);
+}
+
+/**
+ * Escribe el manifiesto de niveles (tiene su propia ruta: las de niveles no lo aceptan)
+ * @param {Object} manifest - Manifiesto normalizado
+ * @returns {Promise<Object>} Respuesta del servidor
+ */
+export function writeLevelManifest(manifest) {
+  return requestDevApi('PUT', LEVEL_FILES.DEV_MANIFEST_API, manifest);
+}
@@ -0,0 +1,139 @@
+/**
+ * Utilidades para el flujo entre niveles
+ * Punto de aparición del jugador (tag Respawn), zonas de meta (tag Finish)
+ * y campaña: el orden en que se juegan los niveles (/levels/campaign.json)
+ */
+
+import * as THREE from 'three';
+import { LEVEL_FILES, LEVEL_FLOW, DEG_TO_RAD } from '../constants/gameConstants';
+import { fetchLevelManifest, isValidLevelFilename } from './levelManifest';
+import { getWorldTransform } from './hierarchyUtils';
+
+// Objetos temporales reutilizados en cada comprobación (se llama en cada frame)
+const tempPoint = new THREE.Vector3();
+const tempCenter = new THREE.Vector3();
+const tempEuler = new THREE.Euler();
+const tempQuaternion = new THREE.Quaternion();
+
+/**
+ * Indica si un objeto es el jugador (tiene el componente PlayerController)
+ */
+export function isPlayerObject(obj) {
+  return Array.isArray(obj?.components) && obj.components.includes(LEVEL_FLOW.PLAYER_COMPONENT);
+}
+
+/**
+ * Coloca al jugador en el punto de aparición del nivel
+ * El punto de aparición es el primer objeto con el tag Respawn. Solo se mueven los jugadores
+ * sin padre (sus hijos los acompañan al resolver la jerarquía)
+ * @param {Array} objects - Objetos del nivel (transformaciones locales)
+ * @returns {Array} Objetos con el jugador en el punto de aparición (los mismos si no hay)
+ */
+export function applySpawnPoint(objects) {
+  if (!Array.isArray(objects)) {
+    return objects;
+  }
+
+  const spawnPoint = objects.find((obj) => obj?.tag === LEVEL_FLOW.SPAWN_TAG && !isPlayerObject(obj));
+  if (!spawnPoint) {
+    return objects;
+  }
+
+  const spawnTransform = getWorldTransform(objects, spawnPoint.id);
+  if (!spawnTransform) {
+    return objects;
+  }
+
+  return objects.map((obj) => (
+    isPlayerObject(obj) && !obj.parentId
+      ? { ...obj, position: spawnTransform.position }
+      : obj
+  ));
+}
+
+/**
+ * Zonas de meta del nivel: colliders con el tag Finish
+ * @param {Array} objects - Objetos del nivel (transformaciones de mundo)
+ * @returns {Array<{id, colliderType, position, scale, rotation}>} Zonas de meta
+ */
+export function getFinishZones(objects) {
+  if (!Array.isArray(objects)) {
+    return [];
+  }
+  return objects
+    .filter((obj) => obj?.type === 'collider' && obj.tag === LEVEL_FLOW.FINISH_TAG)
+    .map(({ id, colliderType, position, scale, rotation }) => ({
+      id,
+      colliderType,
+      position: position || [0, 0, 0],
+      scale: scale || [1, 1, 1],
+      rotation: rotation || [0, 0, 0],
+    }));
+}
+
+/**
+ * Indica si un punto está dentro de una zona de meta
+ * Usa las mismas dimensiones que ColliderObject: caja (scale = tamaño), esfera
+ * (radio = media de scale / 2) y cilindro/cápsula (radio = media de X y Z, altura = Y)
+ * @param {Array<number>} point - Punto en coordenadas de mundo [x, y, z]
+ * @param {Object} zone - Zona de meta (ver getFinishZones)
+ * @returns {boolean} True si el punto está dentro
+ */
+export function isPointInsideZone(point, zone) {
+  const [sx, sy, sz] = zone.scale;
+
+  // Llevar el punto al espacio local de la zona (sin traslación ni rotación)
+  tempEuler.set(zone.rotation[0] * DEG_TO_RAD, zone.rotation[1] * DEG_TO_RAD, zone.rotation[2] * DEG_TO_RAD);
+  tempQuaternion.setFromEuler(tempEuler).invert();
+  tempPoint.fromArray(point).sub(tempCenter.fromArray(zone.position)).applyQuaternion(tempQuaternion);
+
+  if (zone.colliderType === 'box') {
+    return Math.abs(tempPoint.x) <= sx / 2 && Math.abs(tempPoint.y) <= sy / 2 && Math.abs(tempPoint.z) <= sz / 2;
+  }
+  if (zone.colliderType === 'sphere') {
+    const radius = (sx + sy + sz) / 6;
+    return tempPoint.lengthSq() <= radius * radius;
+  }
+
+  // Cilindro y cápsula
+  const radius = (sx + sz) / 2;
+  return Math.abs(tempPoint.y) <= sy / 2 &&
+    tempPoint.x * tempPoint.x + tempPoint.z * tempPoint.z <= radius * radius;
+}
+
+/**
+ * Carga la campaña (orden de los niveles)
+ * Si no hay /levels/campaign.json válido, la campaña son los niveles del manifiesto en su orden
+ * @returns {Promise<{name: string, levels: Array<string>}>} Campaña
+ */
+export async function fetchCampaign() {
+  try {
+    const response = await fetch(`${LEVEL_FILES.DIRECTORY}/${LEVEL_FILES.CAMPAIGN}`, { cache: 'no-store' });
+    if (response.ok) {
+      const campaign = await response.json();
+      const levels = Array.isArray(campaign?.levels) ? campaign.levels.filter(isValidLevelFilename) : [];
+      if (levels.length > 0) {
+        return { name: campaign.name || '', levels };
+      }
+    }
+  } catch {
+    // Sin campaña: se usa el manifiesto
+  }
+
+  const manifest = await fetchLevelManifest();
+  return { name: '', levels: manifest.levels.map((entry) => entry.filename) };
+}
+
+/**
+ * Obtiene el nivel que sigue a otro en la campaña
+ * @param {Object} campaign - Campaña (ver fetchCampaign)
+ * @param {string} filename - Nivel completado
+ * @returns {string|null} Siguiente nivel o null si era el último (o no está en la campaña)
+ */
+export function getNextCampaignLevel(campaign, filename) {
+  const index = campaign.levels.indexOf(filename);
+  if (index === -1 || index === campaign.levels.length - 1) {
+    return null;
+  }
+  return campaign.levels[index + 1];
+}
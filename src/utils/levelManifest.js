@@ -0,0 +1,210 @@
+/**
+ * Utilidades para el manifiesto de niveles (/public/levels/index.json)
+ * El manifiesto es la fuente de la lista de niveles: el editor lo lee para listar
+ * los niveles y lo actualiza al crear, renombrar o eliminar uno
+ */
+
+import { LEVEL_FILES } from '../constants/gameConstants';
+
+/**
+ * Normaliza una entrada del manifiesto con todos sus campos
+ * @param {Object} entry - Entrada del manifiesto
+ * @param {number} index - Índice de la entrada (orden por defecto)
+ * @returns {Object|null} Entrada normalizada o null si no tiene un nombre de archivo válido
+ */
+function normalizeManifestEntry(entry, index) {
+  if (!entry || !isValidLevelFilename(entry.filename)) {
+    return null;
+  }
+
+  return {
+    filename: entry.filename,
+    name: entry.name || entry.filename.replace('.json', ''),
+    description: entry.description || '',
+    thumbnail: entry.thumbnail || null,
+    order: Number.isFinite(entry.order) ? entry.order : index + 1,
+    tags: Array.isArray(entry.tags) ? entry.tags.filter((tag) => typeof tag === 'string' && tag) : [],
+  };
+}
+
+/**
+ * Ordena las entradas por su campo order (y por nombre de archivo en caso de empate)
+ */
+function sortManifestEntries(levels) {
+  return [...levels].sort((a, b) => a.order - b.order || a.filename.localeCompare(b.filename));
+}
+
+/**
+ * Indica si un nombre de archivo de nivel es válido (sin rutas y con extensión .json)
+ * El manifiesto y la campaña no son niveles
+ * @param {string} filename - Nombre del archivo
+ * @returns {boolean} True si es válido
+ */
+export function isValidLevelFilename(filename) {
+  return typeof filename === 'string' &&
+    LEVEL_FILES.FILENAME_PATTERN.test(filename) &&
+    filename !== LEVEL_FILES.MANIFEST &&
+    filename !== LEVEL_FILES.CAMPAIGN;
+}
+
+/**
+ * Crea un manifiesto vacío
+ * @returns {Object} Manifiesto sin niveles
+ */
+export function createEmptyManifest() {
+  return { version: LEVEL_FILES.MANIFEST_VERSION, levels: [] };
+}
+
+/**
+ * Normaliza un manifiesto leído de disco: descarta entradas inválidas o duplicadas y las ordena
+ * @param {Object} data - Contenido de index.json
+ * @returns {Object} Manifiesto normalizado
+ */
+export function normalizeManifest(data) {
+  if (!data || !Array.isArray(data.levels)) {
+    return createEmptyManifest();
+  }
+
+  const seen = new Set();
+  const levels = data.levels
+    .map(normalizeManifestEntry)
+    .filter((entry) => {
+      if (!entry || seen.has(entry.filename)) return false;
+      seen.add(entry.filename);
+      return true;
+    });
+
+  return { version: LEVEL_FILES.MANIFEST_VERSION, levels: sortManifestEntries(levels) };
+}
+
+/**
+ * Carga el manifiesto de niveles
+ * Si no existe o no se puede leer se devuelve un manifiesto vacío
+ * @returns {Promise<Object>} Manifiesto normalizado
+ */
+export async function fetchLevelManifest() {
+  try {
+    // Sin caché: el manifiesto cambia durante la sesión al guardar desde el editor
+    const response = await fetch(`${LEVEL_FILES.DIRECTORY}/${LEVEL_FILES.MANIFEST}`, { cache: 'no-store' });
+    if (!response.ok) {
+      return createEmptyManifest();
+    }
+    return normalizeManifest(await response.json());
+  } catch {
+    return createEmptyManifest();
+  }
+}
+
+/**
+ * Busca la entrada de un nivel en el manifiesto
+ * @param {Object} manifest - Manifiesto de niveles
+ * @param {string} filename - Nombre del archivo
+ * @returns {Object|null} Entrada o null si no está en el manifiesto
+ */
+export function findManifestEntry(manifest, filename) {
+  return manifest.levels.find((entry) => entry.filename === filename) || null;
+}
+
+/**
+ * Añade o actualiza la entrada de un nivel
+ * El nombre y la descripción se toman de los datos del nivel; miniatura, orden y etiquetas
+ * se conservan si la entrada ya existía. Los niveles nuevos se añaden al final
+ * @param {Object} manifest - Manifiesto de niveles
+ * @param {string} filename - Nombre del archivo
+ * @param {Object} levelData - Datos del nivel
+ * @param {Object} updates - Campos adicionales de la entrada (thumbnail, order, tags)
+ * @returns {Object} Nuevo manifiesto
+ */
+export function upsertManifestEntry(manifest, filename, levelData = {}, updates = {}) {
+  const existing = findManifestEntry(manifest, filename);
+  const maxOrder = manifest.levels.reduce((max, entry) => Math.max(max, entry.order), 0);
+
+  const entry = normalizeManifestEntry({
+    ...existing,
+    filename,
+    name: levelData.name || existing?.name,
+    description: levelData.description ?? existing?.description,
+    order: existing ? existing.order : maxOrder + 1,
+    ...updates,
+  }, manifest.levels.length);
+
+  const levels = existing
+    ? manifest.levels.map((item) => (item.filename === filename ? entry : item))
+    : [...manifest.levels, entry];
+
+  return { ...manifest, levels: sortManifestEntries(levels) };
+}
+
+/**
+ * Renombra la entrada de un nivel (nombre de archivo y/o metadatos)
+ * @param {Object} manifest - Manifiesto de niveles
+ * @param {string} filename - Nombre actual del archivo
+ * @param {string} newFilename - Nuevo nombre del archivo
+ * @param {Object} updates - Campos de la entrada a modificar (name, description, tags...)
+ * @returns {Object} Nuevo manifiesto
+ */
+export function renameManifestEntry(manifest, filename, newFilename, updates = {}) {
+  const existing = findManifestEntry(manifest, filename);
+  const withoutOld = removeManifestEntry(manifest, filename);
+
+  return upsertManifestEntry(withoutOld, newFilename, {}, { ...existing, ...updates, filename: newFilename });
+}
+
+/**
+ * Elimina la entrada de un nivel
+ * @param {Object} manifest - Manifiesto de niveles
+ * @param {string} filename - Nombre del archivo
+ * @returns {Object} Nuevo manifiesto
+ */
+export function removeManifestEntry(manifest, filename) {
+  return { ...manifest, levels: manifest.levels.filter((entry) => entry.filename !== filename) };
+}
+
+/**
+ * Obtiene el primer nombre de archivo libre con el formato levelN.json
+ * @param {Array} levels - Entradas del manifiesto
+ * @returns {string} Nombre de archivo libre
+ */
+export function getNextLevelFilename(levels) {
+  const used = new Set(levels.map((entry) => entry.filename));
+  let index = levels.length + 1;
+  while (used.has(`level${index}.json`)) {
+    index++;
+  }
+  return `level${index}.json`;
+}
+
+/**
+ * Convierte un texto de etiquetas separadas por comas en una lista sin duplicados
+ * @param {string} text - Etiquetas separadas por comas
+ * @returns {Array<string>} Etiquetas
+ */
+export function parseLevelTags(text) {
+  return [...new Set(text.split(',').map((tag) => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Obtiene el nivel indicado en la URL (?level=level2 o ?level=level2.json)
+ * @param {string} search - Parte de búsqueda de la URL (window.location.search)
+ * @returns {string|null} Nombre de archivo del nivel o null si no hay uno válido
+ */
+export function getLevelFilenameFromUrl(search) {
+  const value = new URLSearchParams(search).get(LEVEL_FILES.URL_PARAM);
+  if (!value) {
+    return null;
+  }
+  const filename = value.endsWith('.json') ? value : `${value}.json`;
+  return isValidLevelFilename(filename) ? filename : null;
+}
+
+/**
+ * Construye la URL que apunta a un nivel, conservando el resto de parámetros
+ * @param {string} href - URL actual (window.location.href)
+ * @param {string} filename - Nombre del archivo del nivel
+ * @returns {string} URL con ?level=<nivel sin extensión>
+ */
+export function getLevelUrl(href, filename) {
+  const url = new URL(href);
+  url.searchParams.set(LEVEL_FILES.URL_PARAM, filename.replace(/\.json$/, ''));
+  return url.toString();
+}
@@ -0,0 +1,216 @@
+/**
+ * Utilidades para el esquema versionado de los niveles
+ * Centraliza las migraciones entre versiones y la validación completa de un nivel
+ */
+
+import { LEVEL_DEFAULTS, LEVEL_SCHEMA } from '../constants/gameConstants';
+import { createNewObject, createNewCollider, createNewCamera, createNewWater, getObjectErrors } from './objectUtils';
+import { findHierarchyCycles } from './hierarchyUtils';
+import { encodeTerrainData, getTerrainDataErrors } from './heightmapUtils';
+import { getScatterDataErrors } from './scatterUtils';
+import { getSplatDataErrors } from './terrainMaterial';
+import { getTerrainRecipeErrors } from './noise/terrainRecipe';
+
+// Lado (m) del terreno en los niveles anteriores a la v3: no se guardaba y siempre era el tamaño
+// por defecto de entonces. Es fijo para que cambiar TERRAIN_CONFIG.SIZE no altere los niveles antiguos
+const LEGACY_TERRAIN_SIZE = 100;
+
+/**
+ * Completa un objeto con los valores por defecto de su tipo
+ * El ID se deriva del índice si falta, para que la migración sea determinista
+ * @param {Object} obj - Objeto del nivel
+ * @param {number} index - Índice del objeto
+ * @returns {Object} Objeto con todas las propiedades actuales
+ */
+function applyObjectDefaults(obj, index) {
+  if (!obj || typeof obj !== 'object') {
+    return obj;
+  }
+
+  const overrides = { ...obj, id: obj.id || `${obj.type || 'obj'}-legacy-${index}` };
+
+  if (obj.type === 'collider') {
+    return createNewCollider(obj.colliderType, overrides);
+  }
+  if (obj.type === 'camera') {
+    return createNewCamera(overrides);
+  }
+  if (obj.type === 'water') {
+    return createNewWater(obj.shape, overrides);
+  }
+  return createNewObject(overrides);
+}
+
+/**
+ * Cadena de migraciones. La entrada N convierte un nivel de la versión N a la N + 1
+ * Cada migración recibe una copia del nivel y devuelve el nivel migrado
+ */
+const MIGRATIONS = [
+  // v0 -> v1: niveles sin campo version. Se rellenan las propiedades que faltan
+  // con los valores por defecto de createNewObject/createNewCollider/createNewCamera
+  (level) => ({
+    ...level,
+    name: level.name || LEVEL_DEFAULTS.NAME,
+    description: level.description ?? LEVEL_DEFAULTS.DESCRIPTION,
+    objects: Array.isArray(level.objects) ? level.objects.map(applyObjectDefaults) : [],
+  }),
+  // v1 -> v2: jerarquía padre/hijo. Los objetos existentes pasan a ser raíz
+  (level) => ({
+    ...level,
+    objects: level.objects.map(obj => (obj && typeof obj === 'object' ? { ...obj, parentId: obj.parentId || null } : obj)),
+  }),
+  // v2 -> v3: el heightmap deja de ser un array de números y pasa a base64 con dimensiones
+  // y rango explícitos. Los niveles antiguos siempre eran cuadrados (segments = raíz del tamaño)
+  // y no guardaban el lado del terreno; si un nivel lo trae se respeta
+  (level) => {
+    if (!Array.isArray(level.terrain?.heightmap)) {
+      return level;
+    }
+    const { heightmap, size } = level.terrain;
+    const segments = Math.round(Math.sqrt(heightmap.length));
+    if (segments * segments !== heightmap.length) {
+      // No se puede inferir la forma: se deja tal cual para que la validación lo reporte
+      return level;
+    }
+    return {
+      ...level,
+      terrain: encodeTerrainData(new Float32Array(heightmap), {
+        width: segments,
+        height: segments,
+        size: Number.isFinite(size) && size > 0 ? size : LEGACY_TERRAIN_SIZE,
+      }),
+    };
+  },
+];
+
+/**
+ * Obtiene la versión de esquema de un nivel (0 si no tiene campo version)
+ * @param {Object} levelData - Datos del nivel
+ * @returns {number} Versión del esquema
+ */
+export function getLevelVersion(levelData) {
+  const version = levelData?.version;
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * Migra un nivel a la versión actual del esquema
+ * @param {Object} levelData - Datos del nivel tal como se leyeron del archivo o del almacenamiento
+ * @returns {Object} { data: Object, fromVersion: number, migrated: boolean }
+ */
+export function migrateLevelData(levelData) {
+  if (!levelData || typeof levelData !== 'object') {
+    return { data: levelData, fromVersion: 0, migrated: false };
+  }
+
+  const fromVersion = getLevelVersion(levelData);
+
+  // Un nivel guardado con una versión más nueva no se toca; validateLevelData lo reporta
+  if (fromVersion >= LEVEL_SCHEMA.VERSION) {
+    return { data: levelData, fromVersion, migrated: false };
+  }
+
+  let data = { ...levelData };
+  for (let version = fromVersion; version < LEVEL_SCHEMA.VERSION; version++) {
+    data = MIGRATIONS[version](data);
+    data.version = version + 1;
+  }
+
+  return { data, fromVersion, migrated: true };
+}
+
+/**
+ * Atajo para obtener solo los datos migrados de un nivel
+ * @param {Object} levelData - Datos del nivel
+ * @returns {Object} Datos del nivel en la versión actual
+ */
+export function upgradeLevelData(levelData) {
+  return migrateLevelData(levelData).data;
+}
+
+/**
+ * Valida un nivel completo y devuelve todos los problemas encontrados
+ * @param {Object} levelData - Datos del nivel
+ * @returns {Object} { valid: boolean, error?: string, errors: Array<string>, warnings: Array<string> }
+ */
+export function validateLevelData(levelData) {
+  const errors = [];
+  const warnings = [];
+
+  if (!levelData) {
+    errors.push('No hay datos del nivel');
+  } else if (!levelData.objects || !Array.isArray(levelData.objects)) {
+    errors.push('El nivel debe tener un array de objetos');
+  } else {
+    const version = getLevelVersion(levelData);
+    if (version > LEVEL_SCHEMA.VERSION) {
+      warnings.push(`El nivel usa la versión ${version} del esquema, más nueva que la soportada (${LEVEL_SCHEMA.VERSION})`);
+    }
+
+    const ids = new Set();
+    levelData.objects.forEach((obj, index) => {
+      errors.push(...getObjectErrors(obj, index));
+      if (!obj) return;
+
+      if (!obj.id) {
+        warnings.push(`Objeto ${index} no tiene ID`);
+      } else if (ids.has(obj.id)) {
+        errors.push(`Objeto ${index} tiene un ID duplicado: ${obj.id}`);
+      } else {
+        ids.add(obj.id);
+      }
+
+      if (obj.type && !LEVEL_SCHEMA.OBJECT_TYPES.includes(obj.type)) {
+        warnings.push(`Objeto ${index} tiene un tipo desconocido: ${obj.type}`);
+      }
+    });
+
+    // Las referencias se comprueban al final, cuando ya se conocen todos los IDs
+    levelData.objects.forEach((obj, index) => {
+      if (obj?.type === 'camera' && obj.targetId && !ids.has(obj.targetId)) {
+        warnings.push(`Cámara ${index} apunta a un objetivo que no existe: ${obj.targetId}`);
+      }
+      if (obj?.parentId && !ids.has(obj.parentId)) {
+        warnings.push(`Objeto ${index} tiene un padre que no existe: ${obj.parentId} (se tratará como raíz)`);
+      }
+    });
+
+    const cycleIds = findHierarchyCycles(levelData.objects.filter(Boolean));
+    if (cycleIds.length > 0) {
+      errors.push(`La jerarquía tiene un ciclo entre los objetos: ${cycleIds.join(', ')}`);
+    }
+
+    if (levelData.terrain) {
+      errors.push(...getTerrainDataErrors(levelData.terrain));
+    }
+    if (levelData.terrainRecipe) {
+      errors.push(...getTerrainRecipeErrors(levelData.terrainRecipe));
+    }
+    if (levelData.splat) {
+      errors.push(...getSplatDataErrors(levelData.splat));
+    }
+    if (levelData.scatter) {
+      errors.push(...getScatterDataErrors(levelData.scatter));
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    error: errors[0],
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Formatea un reporte de validación para mostrarlo al usuario
+ * @param {Object} report - Resultado de validateLevelData
+ * @returns {string} Texto con un problema por línea
+ */
+export function formatValidationReport(report) {
+  const lines = [
+    ...report.errors.map(error => `❌ ${error}`),
+    ...report.warnings.map(warning => `⚠️ ${warning}`),
+  ];
+  return lines.join('\n');
+}
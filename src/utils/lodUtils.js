@@ -0,0 +1,275 @@
+/**
+ * Utilidades para el nivel de detalle (LOD) de modelos y terreno
+ * Un objeto puede definir niveles extra en `lod`: [{ distance, model }] usa otro GLB a partir
+ * de esa distancia y [{ distance, simplify }] una versión simplificada del propio modelo
+ * (simplify = fracción de vértices que se conserva). El terreno se divide en parches que
+ * usan menos vértices del heightmap cuanto más lejos están de la cámara
+ */
+
+import * as THREE from 'three';
+import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier.js';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { LOD_CONFIG } from '../constants/gameConstants';
+import { getTerrainNormalAtWorldPosition } from './heightmapUtils';
+
+const simplifyModifier = new SimplifyModifier();
+// Geometrías simplificadas por geometría original y fracción (se comparten entre objetos)
+const simplifiedGeometries = new WeakMap();
+const previewMaterials = new Map();
+
+/**
+ * Indica si un nivel de LOD está bien formado
+ * @param {Object} level - Nivel { distance, model } o { distance, simplify }
+ * @returns {boolean} True si es válido
+ */
+function isValidLodLevel(level) {
+  if (!level || typeof level.distance !== 'number' || !isFinite(level.distance) || level.distance <= 0) {
+    return false;
+  }
+  if (level.model !== undefined && level.model !== null) {
+    return typeof level.model === 'string' && level.model.trim() !== '';
+  }
+  return typeof level.simplify === 'number' && level.simplify >= LOD_CONFIG.MIN_SIMPLIFY && level.simplify <= 1;
+}
+
+/**
+ * Niveles de LOD válidos de un objeto, ordenados por distancia
+ * El nivel 0 (el modelo original, distancia 0) no se incluye
+ * @param {Array|undefined} lod - Niveles del objeto
+ * @returns {Array<{distance: number, model: string|null, simplify: number|null}>} Niveles normalizados
+ */
+export function getLodLevels(lod) {
+  if (!Array.isArray(lod)) {
+    return [];
+  }
+  return lod
+    .filter(isValidLodLevel)
+    .map((level) => ({
+      distance: level.distance,
+      model: level.model || null,
+      simplify: level.model ? null : level.simplify,
+    }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, LOD_CONFIG.MAX_LEVELS);
+}
+
+/**
+ * Obtiene los problemas de los niveles de LOD de un objeto
+ * @param {Array} lod - Niveles del objeto
+ * @param {number} index - Índice del objeto (para mensajes de error)
+ * @returns {Array<string>} Errores encontrados (vacío si son válidos)
+ */
+export function getLodErrors(lod, index = 0) {
+  if (!Array.isArray(lod)) {
+    return [`Objeto ${index} tiene niveles de LOD inválidos`];
+  }
+
+  const errors = [];
+  if (lod.length > LOD_CONFIG.MAX_LEVELS) {
+    errors.push(`Objeto ${index} tiene ${lod.length} niveles de LOD (máximo ${LOD_CONFIG.MAX_LEVELS})`);
+  }
+  lod.forEach((level, levelIndex) => {
+    if (!isValidLodLevel(level)) {
+      errors.push(`Objeto ${index} tiene el nivel de LOD ${levelIndex + 1} inválido`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Versión simplificada de una geometría (ver SimplifyModifier)
+ * @param {THREE.BufferGeometry} geometry - Geometría original
+ * @param {number} ratio - Fracción de vértices que se conserva
+ * @returns {THREE.BufferGeometry} Geometría simplificada (la original si no hay nada que quitar)
+ */
+function getSimplifiedGeometry(geometry, ratio) {
+  if (!simplifiedGeometries.has(geometry)) {
+    simplifiedGeometries.set(geometry, new Map());
+  }
+  const cache = simplifiedGeometries.get(geometry);
+  if (cache.has(ratio)) {
+    return cache.get(ratio);
+  }
+
+  // Vértices únicos por posición (los que puede colapsar el modificador)
+  const positions = new THREE.BufferGeometry();
+  positions.setAttribute('position', geometry.attributes.position);
+  if (geometry.index) positions.setIndex(geometry.index);
+  const vertexCount = mergeVertices(positions).attributes.position.count;
+
+  const removed = Math.floor(vertexCount * (1 - ratio));
+  const simplified = removed > 0 ? simplifyModifier.modify(geometry, removed) : geometry;
+  if (simplified !== geometry && !simplified.attributes.normal) {
+    simplified.computeVertexNormals();
+  }
+  cache.set(ratio, simplified);
+  return simplified;
+}
+
+/**
+ * Material de la vista previa de LOD del editor (un color por nivel)
+ * @param {number} level - Nivel de LOD (0 = detalle completo)
+ * @returns {THREE.MeshStandardMaterial} Material compartido del nivel
+ */
+export function getLodPreviewMaterial(level) {
+  const colors = LOD_CONFIG.PREVIEW_COLORS;
+  const color = colors[Math.min(level, colors.length - 1)];
+  if (!previewMaterials.has(color)) {
+    previewMaterials.set(color, new THREE.MeshStandardMaterial({ color, flatShading: true }));
+  }
+  return previewMaterials.get(color);
+}
+
+/**
+ * Copia de la escena de un modelo para un nivel de LOD
+ * Las mallas animadas (skinned) o con varios materiales no se simplifican
+ * @param {THREE.Object3D} scene - Escena del GLB
+ * @param {Object} options
+ * @param {number|null} options.simplify - Fracción de vértices que se conserva (null = sin simplificar)
+ * @param {number|null} options.previewLevel - Nivel a colorear en la vista previa del editor (null = materiales originales)
+ * @returns {THREE.Object3D} Escena clonada (geometrías y materiales compartidos con el original)
+ */
+export function createLodScene(scene, { simplify = null, previewLevel = null } = {}) {
+  const clone = scene.clone();
+  clone.traverse((child) => {
+    if (!child.isMesh) return;
+    if (simplify !== null && simplify < 1 && !child.isSkinnedMesh && !Array.isArray(child.material)) {
+      child.geometry = getSimplifiedGeometry(child.geometry, simplify);
+    }
+    if (previewLevel !== null) {
+      child.material = getLodPreviewMaterial(previewLevel);
+    }
+  });
+  return clone;
+}
+
+/**
+ * Índices de vértice de un tramo del heightmap con un paso dado
+ * El último vértice del tramo se incluye siempre, así los parches vecinos comparten borde
+ */
+function getSampleIndices(start, end, step) {
+  const indices = [];
+  for (let i = start; i < end; i += step) {
+    indices.push(i);
+  }
+  indices.push(end);
+  return indices;
+}
+
+/**
+ * Divide un tramo del heightmap (un chunk del terreno) en parches cuadrados
+ * @param {Object} range - Índices de vértice del tramo { x0, x1, z0, z1 } (ver getTerrainChunks)
+ * @param {number} patches - Parches por lado
+ * @returns {Array<{x0: number, x1: number, z0: number, z1: number}>} Índices de vértice de cada parche (bordes incluidos)
+ */
+export function getTerrainPatches(range, patches = LOD_CONFIG.TERRAIN_PATCHES) {
+  const split = (start, end) => {
+    const bounds = [];
+    for (let i = 0; i <= patches; i++) {
+      bounds.push(start + Math.round((i * (end - start)) / patches));
+    }
+    return bounds;
+  };
+  const xs = split(range.x0, range.x1);
+  const zs = split(range.z0, range.z1);
+  const result = [];
+  for (let z = 0; z < patches; z++) {
+    for (let x = 0; x < patches; x++) {
+      result.push({ x0: xs[x], x1: xs[x + 1], z0: zs[z], z1: zs[z + 1] });
+    }
+  }
+  return result;
+}
+
+/**
+ * Centro de un parche del terreno en coordenadas de mundo (Y = 0)
+ * El LOD del parche se coloca aquí: su distancia a la cámara decide el nivel
+ * @param {Object} patch - Parche (ver getTerrainPatches)
+ * @param {number} segments - Número de vértices por lado
+ * @param {number} terrainSize - Tamaño total del terreno en unidades del mundo
+ * @returns {Array<number>} Posición [x, 0, z]
+ */
+export function getTerrainPatchCenter(patch, segments, terrainSize) {
+  const cellSize = terrainSize / (segments - 1);
+  return [
+    -terrainSize / 2 + ((patch.x0 + patch.x1) / 2) * cellSize,
+    0,
+    -terrainSize / 2 + ((patch.z0 + patch.z1) / 2) * cellSize,
+  ];
+}
+
+/**
+ * Crea la geometría de un parche del terreno a una resolución dada
+ * Los vértices caen sobre muestras del heightmap (mismas alturas que la malla completa) y las
+ * normales salen del heightmap, así no se ven costuras de iluminación entre parches. Un faldón
+ * vertical en los bordes tapa las grietas con parches vecinos de otro nivel
+ * @param {Float32Array|null} heightmap - Heightmap (null = terreno plano en Y=0)
+ * @param {number} segments - Número de vértices por lado
+ * @param {number} terrainSize - Tamaño total del terreno en unidades del mundo
+ * @param {Object} patch - Parche (ver getTerrainPatches)
+ * @param {number} step - Paso entre vértices del heightmap (1 = detalle completo)
+ * @param {number} skirtDepth - Profundidad del faldón (0 = sin faldón)
+ * @returns {THREE.BufferGeometry} Geometría relativa al centro del parche (ver getTerrainPatchCenter)
+ */
+export function createTerrainPatchGeometry(heightmap, segments, terrainSize, patch, step, skirtDepth = LOD_CONFIG.TERRAIN_SKIRT_DEPTH) {
+  const xs = getSampleIndices(patch.x0, patch.x1, step);
+  const zs = getSampleIndices(patch.z0, patch.z1, step);
+  const halfSize = terrainSize / 2;
+  const cellSize = terrainSize / (segments - 1);
+  const [centerX, , centerZ] = getTerrainPatchCenter(patch, segments, terrainSize);
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const indices = [];
+
+  const addVertex = (ix, iz, depth) => {
+    const x = -halfSize + ix * cellSize;
+    const z = -halfSize + iz * cellSize;
+    positions.push(x - centerX, (heightmap?.[iz * segments + ix] || 0) - depth, z - centerZ);
+    normals.push(...getTerrainNormalAtWorldPosition(heightmap, segments, terrainSize, x, z));
+    // Mismas coordenadas de textura que PlaneGeometry girada sobre el terreno completo
+    uvs.push(ix / (segments - 1), 1 - iz / (segments - 1));
+    return positions.length / 3 - 1;
+  };
+
+  zs.forEach((iz) => xs.forEach((ix) => addVertex(ix, iz, 0)));
+
+  // Dos triángulos por celda, con la normal hacia arriba (igual que createTerrainTrimesh)
+  const columns = xs.length;
+  for (let row = 0; row < zs.length - 1; row++) {
+    for (let column = 0; column < columns - 1; column++) {
+      const a = row * columns + column;
+      const b = a + columns;
+      const c = a + 1;
+      const d = b + 1;
+      indices.push(a, b, c, c, b, d);
+    }
+  }
+
+  if (skirtDepth > 0) {
+    const edges = [
+      xs.map((ix, column) => [ix, zs[0], column]),
+      xs.map((ix, column) => [ix, zs[zs.length - 1], (zs.length - 1) * columns + column]),
+      zs.map((iz, row) => [xs[0], iz, row * columns]),
+      zs.map((iz, row) => [xs[columns - 1], iz, row * columns + columns - 1]),
+    ];
+    edges.forEach((edge) => {
+      const bottom = edge.map(([ix, iz]) => addVertex(ix, iz, skirtDepth));
+      for (let i = 0; i < edge.length - 1; i++) {
+        const top0 = edge[i][2];
+        const top1 = edge[i + 1][2];
+        // Ambas caras: el faldón se ve desde el parche vecino, que puede estar a cualquier lado
+        indices.push(top0, bottom[i], top1, top1, bottom[i], bottom[i + 1]);
+        indices.push(top0, top1, bottom[i], top1, bottom[i + 1], bottom[i]);
+      }
+    });
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeBoundingSphere();
+  return geometry;
+}
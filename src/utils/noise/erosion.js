@@ -0,0 +1,288 @@
+/**
+ * Erosión del terreno: hidráulica (gotas de lluvia) y térmica (derrumbes de pendientes)
+ * Trabajan sobre el heightmap (Float32Array, índice z * segments + x) en coordenadas de muestra.
+ * Son lentas en terrenos grandes: el editor las ejecuta en un Web Worker (ver terrain.worker.js)
+ */
+
+/**
+ * Configuración de la erosión
+ */
+export const EROSION_CONFIG = {
+  // Hidráulica: cada gota baja por la pendiente arrancando sedimento y lo deposita al frenarse
+  // Gotas por muestra del heightmap (así el efecto no depende de la resolución del terreno)
+  DEFAULT_DROPLET_DENSITY: 1,
+  MAX_DROPLET_DENSITY: 10,
+  DEFAULT_HYDRAULIC_STRENGTH: 0.3, // Velocidad de erosión (0-1)
+  DROPLET_LIFETIME: 30, // Pasos máximos de cada gota
+  DROPLET_INERTIA: 0.05, // Cuánto mantiene la gota su dirección (0 = sigue la pendiente)
+  DROPLET_RADIUS: 3, // Radio (en muestras) del que arranca sedimento
+  SEDIMENT_CAPACITY: 4, // Sedimento que puede llevar según su velocidad y agua
+  MIN_SEDIMENT_CAPACITY: 0.01,
+  DEPOSIT_SPEED: 0.3,
+  EVAPORATE_SPEED: 0.01,
+  GRAVITY: 4,
+  // Térmica: las pendientes más inclinadas que el ángulo de reposo se desmoronan hacia abajo
+  DEFAULT_THERMAL_ITERATIONS: 20,
+  MAX_THERMAL_ITERATIONS: 200,
+  DEFAULT_TALUS_ANGLE: 35, // Grados
+  DEFAULT_THERMAL_STRENGTH: 0.5, // Fracción del exceso que se mueve en cada iteración (0-1)
+  PROGRESS_STEPS: 100, // Avisos de progreso por pasada
+};
+
+/**
+ * Generador de números aleatorios con semilla (mulberry32)
+ * Con la misma semilla la erosión da siempre el mismo resultado
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Altura y gradiente (interpolación bilineal) en una posición en coordenadas de muestra
+ */
+function getHeightAndGradient(heightmap, segments, x, z) {
+  const cellX = Math.floor(x);
+  const cellZ = Math.floor(z);
+  const u = x - cellX;
+  const v = z - cellZ;
+  const index = cellZ * segments + cellX;
+  const nw = heightmap[index];
+  const ne = heightmap[index + 1];
+  const sw = heightmap[index + segments];
+  const se = heightmap[index + segments + 1];
+
+  return {
+    height: nw * (1 - u) * (1 - v) + ne * u * (1 - v) + sw * (1 - u) * v + se * u * v,
+    gradientX: (ne - nw) * (1 - v) + (se - sw) * v,
+    gradientZ: (sw - nw) * (1 - u) + (se - ne) * u,
+  };
+}
+
+/**
+ * Erosión hidráulica por gotas
+ * Cada gota nace en un punto aleatorio, sigue la pendiente con algo de inercia y arranca
+ * sedimento mientras baja (en un radio, para no cavar surcos de una muestra). Cuando lleva
+ * más del que puede cargar o sube una cuesta, lo deposita. Las constantes de EROSION_CONFIG
+ * son para alturas entre 0 y 1: se trabaja con el heightmap normalizado a su rango de alturas
+ * @param {Float32Array} heightmap - Heightmap original (no se modifica)
+ * @param {number} segments - Muestras por lado
+ * @param {Object} options
+ * @param {number} options.droplets - Número de gotas (por defecto DEFAULT_DROPLET_DENSITY por muestra)
+ * @param {number} options.strength - Velocidad de erosión (0-1)
+ * @param {number} options.seed - Semilla (opcional, aleatoria por defecto)
+ * @param {Function} onProgress - Callback con el progreso (0-1) (opcional)
+ * @returns {Float32Array} Heightmap erosionado
+ */
+export function applyHydraulicErosion(heightmap, segments, {
+  droplets = Math.round(segments * segments * EROSION_CONFIG.DEFAULT_DROPLET_DENSITY),
+  strength = EROSION_CONFIG.DEFAULT_HYDRAULIC_STRENGTH,
+  seed = Math.floor(Math.random() * 4294967296),
+} = {}, onProgress = null) {
+  let minHeight = Infinity;
+  let maxHeight = -Infinity;
+  heightmap.forEach((height) => {
+    minHeight = Math.min(minHeight, height);
+    maxHeight = Math.max(maxHeight, height);
+  });
+  const range = maxHeight - minHeight;
+  if (!(range > 0)) {
+    onProgress?.(1);
+    return new Float32Array(heightmap); // Terreno plano: el agua no corre
+  }
+  const map = heightmap.map((height) => (height - minHeight) / range);
+  const random = createRandom(seed);
+  const radius = EROSION_CONFIG.DROPLET_RADIUS;
+  const inertia = EROSION_CONFIG.DROPLET_INERTIA;
+  const progressEvery = Math.max(1, Math.floor(droplets / EROSION_CONFIG.PROGRESS_STEPS));
+
+  // Pesos del radio de erosión alrededor de la muestra de la gota (suman 1)
+  const brush = [];
+  let brushTotal = 0;
+  for (let dz = -radius; dz <= radius; dz++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const weight = radius - Math.sqrt(dx * dx + dz * dz);
+      if (weight > 0) {
+        brush.push({ dx, dz, weight });
+        brushTotal += weight;
+      }
+    }
+  }
+  brush.forEach((entry) => {
+    entry.weight /= brushTotal;
+  });
+
+  for (let droplet = 0; droplet < droplets; droplet++) {
+    let x = random() * (segments - 1);
+    let z = random() * (segments - 1);
+    let directionX = 0;
+    let directionZ = 0;
+    let speed = 1;
+    let water = 1;
+    let sediment = 0;
+
+    for (let step = 0; step < EROSION_CONFIG.DROPLET_LIFETIME; step++) {
+      const cellX = Math.floor(x);
+      const cellZ = Math.floor(z);
+      const u = x - cellX;
+      const v = z - cellZ;
+      const { height, gradientX, gradientZ } = getHeightAndGradient(map, segments, x, z);
+
+      directionX = directionX * inertia - gradientX * (1 - inertia);
+      directionZ = directionZ * inertia - gradientZ * (1 - inertia);
+      const length = Math.sqrt(directionX * directionX + directionZ * directionZ);
+      if (length === 0) break; // Terreno plano: la gota se queda quieta
+      directionX /= length;
+      directionZ /= length;
+      x += directionX;
+      z += directionZ;
+      if (x < 0 || x >= segments - 1 || z < 0 || z >= segments - 1) break;
+
+      const deltaHeight = getHeightAndGradient(map, segments, x, z).height - height;
+      const capacity = Math.max(
+        -deltaHeight * speed * water * EROSION_CONFIG.SEDIMENT_CAPACITY,
+        EROSION_CONFIG.MIN_SEDIMENT_CAPACITY
+      );
+
+      if (sediment > capacity || deltaHeight > 0) {
+        // Subiendo rellena el hoyo del que sale; si no, deja el sedimento que le sobra
+        const deposit = deltaHeight > 0
+          ? Math.min(deltaHeight, sediment)
+          : (sediment - capacity) * EROSION_CONFIG.DEPOSIT_SPEED;
+        sediment -= deposit;
+        const index = cellZ * segments + cellX;
+        map[index] += deposit * (1 - u) * (1 - v);
+        map[index + 1] += deposit * u * (1 - v);
+        map[index + segments] += deposit * (1 - u) * v;
+        map[index + segments + 1] += deposit * u * v;
+      } else {
+        // Nunca arranca más de lo que ha bajado (no cava por debajo del punto al que llega)
+        // ni por debajo de la altura mínima del terreno (las gotas que salen por el borde
+        // se llevan su sedimento y cavarían el borde sin límite)
+        const erode = Math.min((capacity - sediment) * strength, -deltaHeight);
+        brush.forEach(({ dx, dz, weight }) => {
+          const sampleX = cellX + dx;
+          const sampleZ = cellZ + dz;
+          if (sampleX < 0 || sampleX >= segments || sampleZ < 0 || sampleZ >= segments) return;
+          const index = sampleZ * segments + sampleX;
+          const amount = Math.min(map[index], erode * weight);
+          map[index] -= amount;
+          sediment += amount;
+        });
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * EROSION_CONFIG.GRAVITY));
+      water *= 1 - EROSION_CONFIG.EVAPORATE_SPEED;
+    }
+
+    if (onProgress && (droplet + 1) % progressEvery === 0) {
+      onProgress((droplet + 1) / droplets);
+    }
+  }
+
+  return map.map((height) => minHeight + height * range);
+}
+
+/**
+ * Erosión térmica
+ * En cada iteración, las muestras con vecinos por debajo del ángulo de reposo ceden parte del
+ * exceso de altura a esos vecinos (en proporción a su desnivel). Suaviza riscos y crea taludes
+ * @param {Float32Array} heightmap - Heightmap original (no se modifica)
+ * @param {number} segments - Muestras por lado
+ * @param {number} terrainSize - Tamaño del terreno en unidades del mundo (para el ángulo de reposo)
+ * @param {Object} options
+ * @param {number} options.iterations - Iteraciones
+ * @param {number} options.talusAngle - Ángulo de reposo en grados
+ * @param {number} options.strength - Fracción del exceso que se mueve en cada iteración (0-1)
+ * @param {Function} onProgress - Callback con el progreso (0-1) (opcional)
+ * @returns {Float32Array} Heightmap erosionado
+ */
+export function applyThermalErosion(heightmap, segments, terrainSize, {
+  iterations = EROSION_CONFIG.DEFAULT_THERMAL_ITERATIONS,
+  talusAngle = EROSION_CONFIG.DEFAULT_TALUS_ANGLE,
+  strength = EROSION_CONFIG.DEFAULT_THERMAL_STRENGTH,
+} = {}, onProgress = null) {
+  const map = new Float32Array(heightmap);
+  const delta = new Float32Array(map.length);
+  const cellSize = terrainSize / (segments - 1);
+  // Desnivel máximo estable entre muestras vecinas (las diagonales están más lejos)
+  const talus = Math.tan((talusAngle * Math.PI) / 180) * cellSize;
+  const neighbors = [
+    [1, 0, talus], [-1, 0, talus], [0, 1, talus], [0, -1, talus],
+    [1, 1, talus * Math.SQRT2], [-1, 1, talus * Math.SQRT2], [1, -1, talus * Math.SQRT2], [-1, -1, talus * Math.SQRT2],
+  ];
+  const differences = new Float32Array(neighbors.length);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    delta.fill(0);
+    for (let z = 0; z < segments; z++) {
+      for (let x = 0; x < segments; x++) {
+        const index = z * segments + x;
+        let maxExcess = 0;
+        let totalExcess = 0;
+        neighbors.forEach(([dx, dz, limit], n) => {
+          differences[n] = 0;
+          const neighborX = x + dx;
+          const neighborZ = z + dz;
+          if (neighborX < 0 || neighborX >= segments || neighborZ < 0 || neighborZ >= segments) return;
+          const excess = map[index] - map[neighborZ * segments + neighborX] - limit;
+          if (excess > 0) {
+            differences[n] = excess;
+            totalExcess += excess;
+            maxExcess = Math.max(maxExcess, excess);
+          }
+        });
+        if (totalExcess === 0) continue;
+
+        // La mitad del mayor exceso deja la pareja más inclinada justo en el ángulo de reposo
+        const moved = maxExcess * 0.5 * strength;
+        delta[index] -= moved;
+        neighbors.forEach(([dx, dz], n) => {
+          if (differences[n] > 0) {
+            delta[(z + dz) * segments + x + dx] += moved * (differences[n] / totalExcess);
+          }
+        });
+      }
+    }
+    for (let i = 0; i < map.length; i++) {
+      map[i] += delta[i];
+    }
+
+    if (onProgress) {
+      onProgress((iteration + 1) / iterations);
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Aplica las pasadas de erosión activas: primero la hidráulica y después la térmica
+ * (los taludes suavizan los bordes de los cauces)
+ * @param {Float32Array} heightmap - Heightmap original (no se modifica)
+ * @param {number} segments - Muestras por lado
+ * @param {number} terrainSize - Tamaño del terreno en unidades del mundo
+ * @param {Object} settings - { hydraulic: { droplets, strength, seed }, thermal: { iterations, talusAngle, strength } }
+ *   (una pasada con 0 gotas o 0 iteraciones no se aplica)
+ * @param {Function} onProgress - Callback con el progreso total (0-1) (opcional)
+ * @returns {Float32Array} Heightmap erosionado
+ */
+export function erodeHeightmap(heightmap, segments, terrainSize, { hydraulic = null, thermal = null } = {}, onProgress = null) {
+  const passes = [];
+  if (hydraulic?.droplets > 0) {
+    passes.push((map, progress) => applyHydraulicErosion(map, segments, hydraulic, progress));
+  }
+  if (thermal?.iterations > 0) {
+    passes.push((map, progress) => applyThermalErosion(map, segments, terrainSize, thermal, progress));
+  }
+
+  return passes.reduce((map, pass, index) => (
+    pass(map, (progress) => onProgress?.((index + progress) / passes.length))
+  ), new Float32Array(heightmap));
+}
@@ -0,0 +1,37 @@
+/**
+ * Web Worker para las tareas lentas del terreno
+ * Recibe { task: 'erode', heightmap, segments, terrainSize, settings } (ver erodeHeightmap)
+ * o { task: 'recipe', recipe, segments, terrainSize } (ver generateTerrainFromRecipe) y responde
+ * con mensajes { type: 'progress', progress } durante el trabajo y { type: 'done', heightmap }
+ * al terminar (o { type: 'error', message } si falla). El heightmap resultante se transfiere, no se copia
+ */
+
+import { erodeHeightmap } from './erosion.js';
+import { generateTerrainFromRecipe } from './terrainRecipe.js';
+
+self.onmessage = (event) => {
+  const { task, heightmap, recipe, segments, terrainSize, settings } = event.data;
+  try {
+    let lastProgress = -1;
+    const reportProgress = (progress) => {
+      // Un aviso por punto porcentual como mucho
+      const percent = Math.floor(progress * 100);
+      if (percent !== lastProgress) {
+        lastProgress = percent;
+        self.postMessage({ type: 'progress', progress });
+      }
+    };
+
+    let result;
+    if (task === 'erode') {
+      result = erodeHeightmap(heightmap, segments, terrainSize, settings, reportProgress);
+    } else if (task === 'recipe') {
+      result = generateTerrainFromRecipe(recipe, segments, terrainSize, reportProgress);
+    } else {
+      throw new Error(`Tarea de terreno desconocida: ${task}`);
+    }
+    self.postMessage({ type: 'done', heightmap: result }, [result.buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,466 @@
+/**
+ * Recetas de generación de terreno
+ * Una receta es una semilla y una lista de pasos que se aplican en orden sobre un terreno plano
+ * (capas de ruido, terrazas, máscaras, curvas, suavizado, erosión...). Se guarda en el nivel:
+ * con la misma receta y semilla se obtiene el mismo terreno a cualquier resolución, porque el
+ * ruido se muestrea en coordenadas relativas al terreno (0 a 1) y no por muestra
+ */
+
+import { SimplexNoise } from './SimplexNoise.js';
+import { smoothHeightmap } from '../heightmapUtils.js';
+import { applyHydraulicErosion, applyThermalErosion, EROSION_CONFIG } from './erosion.js';
+
+// Resolución para la que están pensados los pasos que trabajan por muestra (suavizado)
+const REFERENCE_SEGMENTS = 64;
+const MAX_SEED = 1000000;
+
+const BLEND_OPTIONS = [
+  { value: 'add', label: 'Sumar' },
+  { value: 'subtract', label: 'Restar' },
+  { value: 'multiply', label: 'Multiplicar' },
+  { value: 'max', label: 'Máximo' },
+  { value: 'min', label: 'Mínimo' },
+  { value: 'replace', label: 'Reemplazar' },
+];
+
+const LAYER_MASK_OPTIONS = [
+  { value: 'none', label: 'Sin máscara' },
+  { value: 'center', label: 'Centro' },
+  { value: 'edges', label: 'Bordes' },
+  { value: 'high', label: 'Zonas altas' },
+  { value: 'low', label: 'Zonas bajas' },
+];
+
+export const MAX_RECIPE_STEPS = 16;
+
+/**
+ * Tipos de paso de una receta
+ * params describe los controles del editor: sliders { key, label, min, max, step }
+ * o selectores { key, label, options }
+ */
+export const TERRAIN_RECIPE_STEPS = {
+  noise: {
+    name: 'Ruido',
+    defaults: {
+      variant: 'fbm',
+      frequency: 4,
+      octaves: 4,
+      persistence: 0.5,
+      amplitude: 8,
+      offset: 0,
+      warp: 0,
+      blend: 'add',
+      mask: 'none',
+    },
+    params: [
+      {
+        key: 'variant',
+        label: 'Tipo',
+        options: [
+          { value: 'fbm', label: 'Fractal' },
+          { value: 'ridged', label: 'Crestas' },
+          { value: 'billow', label: 'Ondulado' },
+        ],
+      },
+      { key: 'frequency', label: 'Frecuencia', min: 0.5, max: 32, step: 0.5 },
+      { key: 'octaves', label: 'Octavas', min: 1, max: 8, step: 1 },
+      { key: 'persistence', label: 'Persistencia', min: 0.1, max: 0.9, step: 0.05 },
+      { key: 'amplitude', label: 'Amplitud', min: 0, max: 30, step: 0.5 },
+      { key: 'offset', label: 'Desplazamiento', min: -10, max: 10, step: 0.5 },
+      { key: 'warp', label: 'Distorsión', min: 0, max: 1, step: 0.05 },
+      { key: 'blend', label: 'Mezcla', options: BLEND_OPTIONS },
+      { key: 'mask', label: 'Máscara', options: LAYER_MASK_OPTIONS },
+    ],
+  },
+  terrace: {
+    name: 'Terrazas',
+    defaults: { steps: 6, strength: 0.8 },
+    params: [
+      { key: 'steps', label: 'Escalones', min: 2, max: 20, step: 1 },
+      { key: 'strength', label: 'Intensidad', min: 0, max: 1, step: 0.05 },
+    ],
+  },
+  curve: {
+    name: 'Curva',
+    defaults: { exponent: 1.5 },
+    params: [
+      { key: 'exponent', label: 'Exponente', min: 0.25, max: 4, step: 0.05 },
+    ],
+  },
+  mask: {
+    name: 'Máscara',
+    defaults: { shape: 'center', radius: 0.5, falloff: 0.3, floor: 0, strength: 1 },
+    params: [
+      {
+        key: 'shape',
+        label: 'Forma',
+        options: [
+          { value: 'center', label: 'Isla (conserva el centro)' },
+          { value: 'edges', label: 'Valle (conserva los bordes)' },
+        ],
+      },
+      { key: 'radius', label: 'Radio', min: 0, max: 1.5, step: 0.05 },
+      { key: 'falloff', label: 'Transición', min: 0.05, max: 1, step: 0.05 },
+      { key: 'floor', label: 'Altura fuera', min: -5, max: 10, step: 0.5 },
+      { key: 'strength', label: 'Intensidad', min: 0, max: 1, step: 0.05 },
+    ],
+  },
+  smooth: {
+    name: 'Suavizado',
+    defaults: { iterations: 1 },
+    params: [
+      { key: 'iterations', label: 'Iteraciones', min: 1, max: 10, step: 1 },
+    ],
+  },
+  erosion: {
+    name: 'Erosión',
+    defaults: {
+      dropletDensity: EROSION_CONFIG.DEFAULT_DROPLET_DENSITY,
+      strength: EROSION_CONFIG.DEFAULT_HYDRAULIC_STRENGTH,
+      thermalIterations: EROSION_CONFIG.DEFAULT_THERMAL_ITERATIONS,
+      talusAngle: EROSION_CONFIG.DEFAULT_TALUS_ANGLE,
+    },
+    params: [
+      { key: 'dropletDensity', label: 'Gotas por muestra', min: 0, max: EROSION_CONFIG.MAX_DROPLET_DENSITY, step: 0.5 },
+      { key: 'strength', label: 'Fuerza', min: 0.05, max: 1, step: 0.05 },
+      { key: 'thermalIterations', label: 'Iteraciones térmicas', min: 0, max: EROSION_CONFIG.MAX_THERMAL_ITERATIONS, step: 5 },
+      { key: 'talusAngle', label: 'Ángulo de reposo', min: 10, max: 60, step: 1 },
+    ],
+  },
+};
+
+/**
+ * Semilla aleatoria para una receta
+ * @returns {number} Entero entre 0 y 999999
+ */
+export function createRecipeSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Crea un paso de receta con sus valores por defecto
+ * @param {string} type - Tipo de paso (ver TERRAIN_RECIPE_STEPS)
+ * @param {Object} params - Valores a sobrescribir
+ * @returns {Object} Paso { id, type, ...params }
+ */
+export function createRecipeStep(type, params = {}) {
+  return {
+    id: `step-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    ...TERRAIN_RECIPE_STEPS[type].defaults,
+    ...params,
+  };
+}
+
+/**
+ * Recetas predefinidas (equivalentes a los generadores de TerrainGenerator, con algunos extras)
+ */
+export const TERRAIN_RECIPE_PRESETS = {
+  default: {
+    name: 'Aleatorio',
+    steps: [
+      ['noise', { frequency: 6.5, octaves: 4, persistence: 0.5, amplitude: 10 }],
+      ['smooth', { iterations: 1 }],
+    ],
+  },
+  hills: {
+    name: 'Colinas',
+    steps: [
+      ['noise', { frequency: 3, octaves: 3, persistence: 0.6, amplitude: 8 }],
+      ['smooth', { iterations: 1 }],
+    ],
+  },
+  mountains: {
+    name: 'Montañas',
+    steps: [
+      ['noise', { frequency: 3, octaves: 5, persistence: 0.5, amplitude: 6 }],
+      ['noise', { variant: 'ridged', frequency: 4, octaves: 5, persistence: 0.5, amplitude: 14, warp: 0.2, mask: 'high' }],
+      ['erosion', { dropletDensity: 1, thermalIterations: 10 }],
+    ],
+  },
+  flat: {
+    name: 'Plano',
+    steps: [
+      ['noise', { frequency: 12, octaves: 2, persistence: 0.3, amplitude: 2 }],
+      ['smooth', { iterations: 1 }],
+    ],
+  },
+  valley: {
+    name: 'Valle',
+    steps: [
+      ['noise', { frequency: 6.5, octaves: 4, persistence: 0.5, amplitude: 15 }],
+      ['mask', { shape: 'edges', radius: 0.3, falloff: 0.5, floor: 1, strength: 0.8 }],
+      ['smooth', { iterations: 1 }],
+    ],
+  },
+  island: {
+    name: 'Isla',
+    steps: [
+      ['noise', { frequency: 4, octaves: 5, persistence: 0.5, amplitude: 10, warp: 0.3 }],
+      ['mask', { shape: 'center', radius: 0.4, falloff: 0.5, floor: -2 }],
+      ['curve', { exponent: 1.4 }],
+      ['terrace', { steps: 8, strength: 0.3 }],
+    ],
+  },
+};
+
+/**
+ * Crea una receta a partir de una predefinida
+ * @param {string} presetId - ID de la receta (ver TERRAIN_RECIPE_PRESETS)
+ * @param {number} seed - Semilla (opcional, aleatoria por defecto)
+ * @returns {Object} Receta { seed, steps }
+ */
+export function createRecipeFromPreset(presetId, seed = createRecipeSeed()) {
+  const preset = TERRAIN_RECIPE_PRESETS[presetId] || TERRAIN_RECIPE_PRESETS.default;
+  return {
+    seed,
+    steps: preset.steps.map(([type, params]) => createRecipeStep(type, params)),
+  };
+}
+
+/**
+ * Obtiene los problemas de una receta guardada en un nivel
+ * @param {Object} recipe - Receta { seed, steps }
+ * @returns {Array<string>} Errores encontrados (vacío si es válida)
+ */
+export function getTerrainRecipeErrors(recipe) {
+  if (!recipe || typeof recipe !== 'object') {
+    return ['La receta del terreno debe ser un objeto'];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(recipe.seed) || recipe.seed < 0) {
+    errors.push(`La receta del terreno tiene una semilla inválida: ${recipe.seed}`);
+  }
+  if (!Array.isArray(recipe.steps)) {
+    errors.push('La receta del terreno no tiene pasos');
+    return errors;
+  }
+  if (recipe.steps.length > MAX_RECIPE_STEPS) {
+    errors.push(`La receta del terreno tiene ${recipe.steps.length} pasos (máximo ${MAX_RECIPE_STEPS})`);
+  }
+  recipe.steps.forEach((step, index) => {
+    if (!step || !TERRAIN_RECIPE_STEPS[step.type]) {
+      errors.push(`El paso ${index + 1} de la receta del terreno tiene un tipo desconocido: ${step?.type}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Ruido fractal en [0, 1] en una posición relativa al terreno
+ * fbm es el ruido clásico, ridged forma crestas afiladas y billow lomas redondeadas
+ */
+function sampleNoise(noise, u, v, { variant, frequency, octaves, persistence }) {
+  let value = 0;
+  let amplitude = 1;
+  let scale = frequency;
+  let total = 0;
+  for (let octave = 0; octave < octaves; octave++) {
+    // Desplazamiento por octava: evita que todas coincidan en el origen
+    const n = noise.noise2D(u * scale + octave * 17.3, v * scale + octave * 31.7);
+    if (variant === 'ridged') {
+      const ridge = 1 - Math.abs(n);
+      value += ridge * ridge * amplitude;
+    } else if (variant === 'billow') {
+      value += Math.abs(n) * amplitude;
+    } else {
+      value += (n + 1) * 0.5 * amplitude;
+    }
+    total += amplitude;
+    amplitude *= persistence;
+    scale *= 2;
+  }
+  return Math.min(1, Math.max(0, value / total));
+}
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * Máscara radial (1 en el centro del terreno, 0 fuera del radio más la transición)
+ * La distancia es 1 en el centro de los bordes
+ */
+function getRadialMask(u, v, radius, falloff) {
+  const distance = Math.sqrt((u - 0.5) * (u - 0.5) + (v - 0.5) * (v - 0.5)) * 2;
+  return 1 - smoothstep(radius, radius + falloff, distance);
+}
+
+function getHeightRange(heightmap) {
+  let min = Infinity;
+  let max = -Infinity;
+  heightmap.forEach((height) => {
+    min = Math.min(min, height);
+    max = Math.max(max, height);
+  });
+  return { min, range: max - min };
+}
+
+/**
+ * Aplica una capa de ruido (con distorsión, mezcla y máscara) sobre el heightmap
+ */
+function applyNoiseStep(heightmap, segments, step, seed) {
+  const noise = new SimplexNoise(seed);
+  const warpNoise = step.warp > 0 ? new SimplexNoise(seed + 1) : null;
+  const { min, range } = getHeightRange(heightmap);
+  const result = new Float32Array(heightmap.length);
+
+  for (let z = 0; z < segments; z++) {
+    for (let x = 0; x < segments; x++) {
+      const index = z * segments + x;
+      const u = x / (segments - 1);
+      const v = z / (segments - 1);
+
+      // Distorsión del dominio: el ruido se lee en una posición desplazada por otro ruido
+      let sampleU = u;
+      let sampleV = v;
+      if (warpNoise) {
+        const warpFrequency = step.frequency * 0.5;
+        sampleU += (warpNoise.noise2D(u * warpFrequency, v * warpFrequency) * step.warp) / 2;
+        sampleV += (warpNoise.noise2D(u * warpFrequency + 5.2, v * warpFrequency + 1.3) * step.warp) / 2;
+      }
+
+      const layer = step.offset + sampleNoise(noise, sampleU, sampleV, step) * step.amplitude;
+      const current = heightmap[index];
+      let blended;
+      switch (step.blend) {
+        case 'subtract': blended = current - layer; break;
+        // La capa actúa como factor (amplitud 1 = entre 0 y 1 veces la altura actual)
+        case 'multiply': blended = current * layer; break;
+        case 'max': blended = Math.max(current, layer); break;
+        case 'min': blended = Math.min(current, layer); break;
+        case 'replace': blended = layer; break;
+        default: blended = current + layer;
+      }
+
+      let weight = 1;
+      if (step.mask === 'center') {
+        weight = getRadialMask(u, v, 0.4, 0.4);
+      } else if (step.mask === 'edges') {
+        weight = 1 - getRadialMask(u, v, 0.4, 0.4);
+      } else if (step.mask === 'high' || step.mask === 'low') {
+        const t = range > 0 ? (current - min) / range : 0;
+        weight = smoothstep(0.3, 0.7, t);
+        if (step.mask === 'low') weight = 1 - weight;
+      }
+
+      result[index] = current + (blended - current) * weight;
+    }
+  }
+  return result;
+}
+
+/**
+ * Escalones entre la altura mínima y máxima del terreno
+ * Cada escalón es casi plano y sube de golpe al final (mezclado con el original según la intensidad)
+ */
+function applyTerraceStep(heightmap, step) {
+  const { min, range } = getHeightRange(heightmap);
+  if (!(range > 0)) return heightmap;
+  return heightmap.map((height) => {
+    const t = ((height - min) / range) * step.steps;
+    const level = Math.min(Math.floor(t), step.steps - 1);
+    const fraction = t - level;
+    const terraced = min + ((level + Math.pow(fraction, 4)) / step.steps) * range;
+    return height + (terraced - height) * step.strength;
+  });
+}
+
+/**
+ * Curva de alturas: exponente > 1 aplana las zonas bajas y afila las cumbres; < 1 al revés
+ */
+function applyCurveStep(heightmap, step) {
+  const { min, range } = getHeightRange(heightmap);
+  if (!(range > 0)) return heightmap;
+  return heightmap.map((height) => min + Math.pow((height - min) / range, step.exponent) * range);
+}
+
+/**
+ * Lleva las alturas hacia step.floor fuera de la máscara (islas o valles)
+ */
+function applyMaskStep(heightmap, segments, step) {
+  const result = new Float32Array(heightmap.length);
+  for (let z = 0; z < segments; z++) {
+    for (let x = 0; x < segments; x++) {
+      const index = z * segments + x;
+      let mask = getRadialMask(x / (segments - 1), z / (segments - 1), step.radius, step.falloff);
+      if (step.shape === 'edges') mask = 1 - mask;
+      const weight = 1 - step.strength * (1 - mask);
+      result[index] = step.floor + (heightmap[index] - step.floor) * weight;
+    }
+  }
+  return result;
+}
+
+/**
+ * Genera un heightmap a partir de una receta
+ * Los pasos con parámetros fuera de rango o que faltan usan los valores por defecto de su tipo.
+ * El suavizado se repite más veces en terrenos con más resolución para que el resultado se
+ * parezca al de la resolución de referencia; la erosión usa gotas por muestra
+ * @param {Object} recipe - Receta { seed, steps }
+ * @param {number} segments - Muestras por lado
+ * @param {number} terrainSize - Tamaño del terreno en unidades del mundo
+ * @param {Function} onProgress - Callback con el progreso (0-1) (opcional)
+ * @returns {Float32Array} Heightmap generado
+ */
+export function generateTerrainFromRecipe(recipe, segments, terrainSize, onProgress = null) {
+  const steps = (recipe?.steps || []).filter((step) => TERRAIN_RECIPE_STEPS[step?.type]);
+  const seed = recipe?.seed || 0;
+  const resolutionRatio = (segments - 1) / (REFERENCE_SEGMENTS - 1);
+  let heightmap = new Float32Array(segments * segments);
+
+  steps.forEach((rawStep, index) => {
+    const step = { ...TERRAIN_RECIPE_STEPS[rawStep.type].defaults, ...rawStep };
+    // Cada paso tiene su propia semilla: dos capas de ruido iguales no se repiten
+    const stepSeed = (seed + (index + 1) * 7919) % MAX_SEED;
+    const reportStep = (progress) => onProgress?.((index + progress) / steps.length);
+
+    switch (step.type) {
+      case 'noise':
+        heightmap = applyNoiseStep(heightmap, segments, step, stepSeed);
+        break;
+      case 'terrace':
+        heightmap = applyTerraceStep(heightmap, step);
+        break;
+      case 'curve':
+        heightmap = applyCurveStep(heightmap, step);
+        break;
+      case 'mask':
+        heightmap = applyMaskStep(heightmap, segments, step);
+        break;
+      case 'smooth':
+        // El radio del suavizado crece con la raíz de las iteraciones
+        heightmap = smoothHeightmap(
+          heightmap,
+          segments,
+          segments,
+          Math.max(1, Math.round(step.iterations * resolutionRatio * resolutionRatio))
+        );
+        break;
+      case 'erosion': {
+        const hasThermal = step.thermalIterations > 0;
+        if (step.dropletDensity > 0) {
+          heightmap = applyHydraulicErosion(heightmap, segments, {
+            droplets: Math.round(segments * segments * step.dropletDensity),
+            strength: step.strength,
+            seed: stepSeed,
+          }, (progress) => reportStep(hasThermal ? progress * 0.5 : progress));
+        }
+        if (hasThermal) {
+          heightmap = applyThermalErosion(heightmap, segments, terrainSize, {
+            iterations: step.thermalIterations,
+            talusAngle: step.talusAngle,
+          }, (progress) => reportStep(step.dropletDensity > 0 ? 0.5 + progress * 0.5 : progress));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    reportStep(1);
+  });
+
+  return heightmap;
+}
@@ -3,8 +3,13 @@
  * Centraliza operaciones comunes sobre objetos del nivel
  */
 
-import { OBJECT_CONFIG, LEVEL_DEFAULTS } from '../constants/gameConstants';
+import { OBJECT_CONFIG, LEVEL_DEFAULTS, LEVEL_SCHEMA, COLLIDER_CONFIG, CAMERA_COMPONENT_CONFIG, WATER_CONFIG, TERRAIN_CONFIG } from '../constants/gameConstants';
 import { validateVector } from './mathUtils';
+import { encodeTerrainData } from './heightmapUtils';
+import { getTerrainDimensions } from './terrainChunks';
+import { encodeScatterLayers } from './scatterUtils';
+import { encodeSplatMap } from './terrainMaterial';
+import { getLodErrors } from './lodUtils';
 
 /**
  * Crea un objeto nuevo con valores por defecto
@@ -32,6 +37,8 @@ export function createNewObject(overrides = {}) {
     tag: overrides.tag || 'Untagged',
     layer: overrides.layer !== undefined ? overrides.layer : 0,
     name: overrides.name || `Object_${id.slice(-6)}`,
+    // Jerarquía: con padre, la transformación es relativa a él
+    parentId: overrides.parentId || null,
     ...overrides,
   };
 }
@@ -78,6 +85,8 @@ export function createNewCollider(colliderType = 'cylinder', overrides = {}) {
     tag: overrides.tag || 'Untagged',
     layer: overrides.layer !== undefined ? overrides.layer : 0,
     name: overrides.name || `Collider_${colliderType}_${id.slice(-6)}`,
+    // Jerarquía: con padre, la transformación es relativa a él
+    parentId: overrides.parentId || null,
     ...overrides,
   };
 }
@@ -108,19 +117,89 @@ export function createNewCamera(overrides = {}) {
     tag: overrides.tag || 'MainCamera',
     layer: overrides.layer !== undefined ? overrides.layer : 0,
     name: overrides.name || `Camera_${overrides.mode || 'firstPerson'}_${id.slice(-6)}`,
+    // Jerarquía: con padre, la transformación es relativa a él
+    parentId: overrides.parentId || null,
+    ...overrides,
+  };
+}
+
+/**
+ * Contorno por defecto de las masas de agua con forma de polígono: hexágono de radio 0.5
+ * Los puntos son [x, z] locales; la escala X/Z del objeto los lleva al tamaño real
+ * @returns {Array<Array<number>>} Puntos del contorno
+ */
+export function getDefaultWaterPoints() {
+  return Array.from({ length: 6 }, (_, i) => {
+    const angle = (i / 6) * Math.PI * 2;
+    return [Math.round(Math.cos(angle) * 500) / 1000, Math.round(Math.sin(angle) * 500) / 1000];
+  });
+}
+
+/**
+ * Crea una masa de agua nueva con valores por defecto
+ * La posición es el centro de la superficie; la escala Y es la profundidad del volumen bajo ella
+ * y solo se usa el giro en Y
+ * @param {string} shape - Forma ('plane' o 'polygon', ver WATER_CONFIG.SHAPES)
+ * @param {Object} overrides - Valores a sobrescribir
+ * @returns {Object} Masa de agua nueva
+ */
+export function createNewWater(shape = WATER_CONFIG.DEFAULT_SHAPE, overrides = {}) {
+  const id = overrides.id || `water-${Date.now()}-${Math.random()}`;
+
+  return {
+    id,
+    type: 'water',
+    shape,
+    points: overrides.points || getDefaultWaterPoints(),
+    position: validateVector(overrides.position, OBJECT_CONFIG.DEFAULT_POSITION),
+    scale: validateVector(overrides.scale, WATER_CONFIG.DEFAULT_SCALE),
+    rotation: validateVector(overrides.rotation, OBJECT_CONFIG.DEFAULT_ROTATION),
+    // Aspecto
+    color: overrides.color || WATER_CONFIG.DEFAULT_COLOR,
+    deepColor: overrides.deepColor || WATER_CONFIG.DEFAULT_DEEP_COLOR,
+    opacity: overrides.opacity !== undefined ? overrides.opacity : WATER_CONFIG.DEFAULT_OPACITY,
+    waveHeight: overrides.waveHeight !== undefined ? overrides.waveHeight : WATER_CONFIG.DEFAULT_WAVE_HEIGHT,
+    waveSpeed: overrides.waveSpeed !== undefined ? overrides.waveSpeed : WATER_CONFIG.DEFAULT_WAVE_SPEED,
+    reflectivity: overrides.reflectivity !== undefined ? overrides.reflectivity : WATER_CONFIG.DEFAULT_REFLECTIVITY,
+    // Bajo el agua
+    fogColor: overrides.fogColor || WATER_CONFIG.DEFAULT_FOG_COLOR,
+    fogDensity: overrides.fogDensity !== undefined ? overrides.fogDensity : WATER_CONFIG.DEFAULT_FOG_DENSITY,
+    // Física
+    buoyancy: overrides.buoyancy !== undefined ? overrides.buoyancy : WATER_CONFIG.DEFAULT_BUOYANCY,
+    drag: overrides.drag !== undefined ? overrides.drag : WATER_CONFIG.DEFAULT_DRAG,
+    // Tags y Layers
+    tag: overrides.tag || 'Untagged',
+    layer: overrides.layer !== undefined ? overrides.layer : WATER_CONFIG.LAYER,
+    name: overrides.name || `Water_${shape}_${id.slice(-6)}`,
+    // Jerarquía: con padre, la transformación es relativa a él
+    parentId: overrides.parentId || null,
     ...overrides,
   };
 }
 
 /**
  * Prepara datos del nivel para guardar (elimina IDs internos del editor)
- * @param {Array} objects - Array de objetos del editor
- * @param {Object} levelData - Datos adicionales del nivel
- * @param {Float32Array} terrainHeightmap - Heightmap del terreno (opcional)
+ * @param {Object} options
+ * @param {Array} options.objects - Array de objetos del editor
+ * @param {Object} options.levelData - Datos adicionales del nivel (opcional)
+ * @param {Float32Array} options.terrainHeightmap - Heightmap del terreno (opcional)
+ * @param {Array} options.scatterLayers - Capas de vegetación [{ model, instances }] (opcional)
+ * @param {Object} options.terrainLayout - Distribución de chunks del terreno (opcional, ver getTerrainLayout)
+ * @param {Uint8Array} options.terrainSplat - Splat map del terreno (opcional, ver terrainMaterial)
+ * @param {Object} options.terrainRecipe - Receta con la que se generó el terreno (opcional, ver terrainRecipe)
  * @returns {Object} Datos del nivel listos para guardar
  */
-export function prepareLevelDataForSave(objects, levelData = {}, terrainHeightmap = null) {
+export function prepareLevelDataForSave({
+  objects,
+  levelData = {},
+  terrainHeightmap = null,
+  scatterLayers = [],
+  terrainLayout = TERRAIN_CONFIG.DEFAULT_LAYOUT,
+  terrainSplat = null,
+  terrainRecipe = null,
+}) {
   const data = {
+    version: LEVEL_SCHEMA.VERSION,
     name: levelData.name || LEVEL_DEFAULTS.NAME,
     description: levelData.description || LEVEL_DEFAULTS.DESCRIPTION,
     objects: objects.map((obj) => {
@@ -150,13 +229,32 @@ export function prepareLevelDataForSave(objects, levelData = {}, terrainHeightma
     }),
   };
 
-  // Incluir heightmap del terreno si existe
+  // Incluir heightmap del terreno si existe (codificado en base64, ver encodeTerrainData)
+  // El terreno del editor es cuadrado, con las muestras que indica su distribución de chunks
+  const { segments, size } = getTerrainDimensions(terrainLayout);
   if (terrainHeightmap && terrainHeightmap.length > 0) {
-    // Convertir Float32Array a Array normal para JSON
-    data.terrain = {
-      heightmap: Array.from(terrainHeightmap),
-      segments: Math.sqrt(terrainHeightmap.length), // Asumir cuadrado
-    };
+    data.terrain = encodeTerrainData(terrainHeightmap, {
+      width: segments,
+      height: terrainHeightmap.length / segments,
+      size,
+      chunks: terrainLayout.chunks,
+    });
+  }
+
+  // Incluir las texturas pintadas del terreno (sin splat map, todo el terreno usa la capa base)
+  if (terrainSplat && terrainSplat.length === segments * segments * 4) {
+    data.splat = encodeSplatMap(terrainSplat, segments);
+  }
+
+  // Incluir la receta del terreno: permite regenerarlo con otra resolución
+  if (terrainRecipe) {
+    data.terrainRecipe = terrainRecipe;
+  }
+
+  // Incluir la vegetación si hay alguna instancia (codificada en base64, ver encodeScatterLayers)
+  const scatter = encodeScatterLayers(scatterLayers || []);
+  if (scatter.length > 0) {
+    data.scatter = scatter;
   }
 
   return data;
@@ -209,41 +307,76 @@ export function duplicateObject(object, offsetX = 2) {
 }
 
 /**
- * Valida que un objeto tenga las propiedades mínimas requeridas
+ * Recolecta todos los errores de un objeto del nivel
  * @param {Object} obj - Objeto a validar
  * @param {number} index - Índice del objeto (para mensajes de error)
- * @returns {Object} { valid: boolean, error?: string }
+ * @returns {Array<string>} Lista de errores (vacía si el objeto es válido)
  */
-export function validateObject(obj, index = 0) {
+export function getObjectErrors(obj, index = 0) {
   if (!obj) {
-    return { valid: false, error: `Objeto ${index} es null o undefined` };
+    return [`Objeto ${index} es null o undefined`];
   }
-  
-  if (!obj.position || !Array.isArray(obj.position) || obj.position.length !== 3) {
-    return { valid: false, error: `Objeto ${index} tiene posición inválida` };
+
+  const errors = [];
+  const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(v => typeof v === 'number' && isFinite(v));
+
+  if (!obj.position || !isVector3(obj.position)) {
+    errors.push(`Objeto ${index} tiene posición inválida`);
+  }
+  if (obj.rotation !== undefined && !isVector3(obj.rotation)) {
+    errors.push(`Objeto ${index} tiene rotación inválida`);
+  }
+  if (obj.scale !== undefined && !isVector3(obj.scale)) {
+    errors.push(`Objeto ${index} tiene escala inválida`);
   }
   
-  // Para objetos normales, validar que tengan model (no aplica a colliders ni cámaras)
-  if (obj.type !== 'collider' && obj.type !== 'camera' && (!obj.model || typeof obj.model !== 'string')) {
-    return { valid: false, error: `Objeto ${index} no tiene modelo válido` };
+  // Para objetos normales, validar que tengan model (no aplica a colliders, cámaras ni agua)
+  if (obj.type !== 'collider' && obj.type !== 'camera' && obj.type !== 'water' && (!obj.model || typeof obj.model !== 'string')) {
+    errors.push(`Objeto ${index} no tiene modelo válido`);
+  }
+  if (obj.lod !== undefined) {
+    errors.push(...getLodErrors(obj.lod, index));
   }
   
   // Para colliders, validar que tengan colliderType válido
-  const validColliderTypes = ['cylinder', 'box', 'sphere', 'capsule'];
-  if (obj.type === 'collider' && (!obj.colliderType || !validColliderTypes.includes(obj.colliderType))) {
-    return { valid: false, error: `Collider ${index} tiene tipo inválido: ${obj.colliderType}` };
+  if (obj.type === 'collider' && (!obj.colliderType || !COLLIDER_CONFIG.TYPES.includes(obj.colliderType))) {
+    errors.push(`Collider ${index} tiene tipo inválido: ${obj.colliderType}`);
   }
   
   // Para cámaras, validar propiedades básicas
   if (obj.type === 'camera') {
     if (obj.fov !== undefined && (typeof obj.fov !== 'number' || obj.fov <= 0 || obj.fov > 180)) {
-      return { valid: false, error: `Cámara ${index} tiene FOV inválido` };
+      errors.push(`Cámara ${index} tiene FOV inválido`);
+    }
+    if (obj.mode && !CAMERA_COMPONENT_CONFIG.MODES.includes(obj.mode)) {
+      errors.push(`Cámara ${index} tiene modo inválido`);
     }
-    if (obj.mode && !['firstPerson', 'thirdPerson', 'free'].includes(obj.mode)) {
-      return { valid: false, error: `Cámara ${index} tiene modo inválido` };
+  }
+
+  // Para el agua, validar la forma y el contorno de los polígonos
+  if (obj.type === 'water') {
+    if (!WATER_CONFIG.SHAPES.includes(obj.shape)) {
+      errors.push(`Agua ${index} tiene forma inválida: ${obj.shape}`);
+    }
+    const isPoint = (value) => Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'number' && isFinite(v));
+    if (obj.shape === 'polygon' && (!Array.isArray(obj.points) || obj.points.length < WATER_CONFIG.MIN_POINTS || !obj.points.every(isPoint))) {
+      errors.push(`Agua ${index} necesita al menos ${WATER_CONFIG.MIN_POINTS} puntos válidos`);
     }
   }
   
-  return { valid: true };
+  return errors;
 }
 
+/**
+ * Valida que un objeto tenga las propiedades mínimas requeridas
+ * @param {Object} obj - Objeto a validar
+ * @param {number} index - Índice del objeto (para mensajes de error)
+ * @returns {Object} { valid: boolean, error?: string, errors: Array<string> }
+ */
+export function validateObject(obj, index = 0) {
+  const errors = getObjectErrors(obj, index);
+  if (errors.length > 0) {
+    return { valid: false, error: errors[0], errors };
+  }
+  return { valid: true, errors };
+}
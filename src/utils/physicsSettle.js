@@ -0,0 +1,105 @@
+/**
+ * Utilidades para asentar objetos con física en el editor
+ * Los objetos seleccionados se simulan como cuerpos dinámicos (Rapier) contra el terreno
+ * y los colliders del nivel, y su posición final se guarda en el nivel
+ */
+
+import * as THREE from 'three';
+import { EDITOR_CONFIG, LEVEL_FLOW, RAD_TO_DEG } from '../constants/gameConstants';
+import { isPlayerObject } from './levelFlow';
+
+// Objetos temporales reutilizados al leer las mallas y los cuerpos
+const tempVertex = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const tempEuler = new THREE.Euler();
+
+/**
+ * Prepara un objeto del editor para simularlo como cuerpo dinámico
+ * El cuerpo parte de la transformación visual del grupo (sin escala) y su forma es la
+ * envolvente convexa de las mallas del modelo, ya escaladas
+ * @param {string} id - ID del objeto
+ * @param {Object} entry - Entrada del registro de objetos del canvas ({ group, getBasePositionY, resyncTransform })
+ * @returns {Object|null} Cuerpo a simular o null si el modelo aún no tiene mallas
+ */
+export function createSettleBody(id, entry) {
+  const { group } = entry;
+  group.updateMatrixWorld(true);
+
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  group.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+  const toBodySpace = new THREE.Matrix4()
+    .compose(position, quaternion, new THREE.Vector3(1, 1, 1))
+    .invert();
+
+  // El resaltado de selección es una malla en wireframe: no forma parte del modelo
+  const meshes = [];
+  group.traverse((child) => {
+    if (child.isMesh && child.geometry?.attributes.position && !child.material?.wireframe) {
+      meshes.push(child);
+    }
+  });
+
+  const vertexCount = meshes.reduce((sum, mesh) => sum + mesh.geometry.attributes.position.count, 0);
+  if (vertexCount === 0) return null;
+
+  // Con modelos muy detallados basta con una muestra de los vértices
+  const stride = Math.max(1, Math.ceil(vertexCount / EDITOR_CONFIG.SETTLE_MAX_HULL_POINTS));
+  const points = [];
+  const bounds = { minY: Infinity, maxY: -Infinity };
+  meshes.forEach((mesh) => {
+    const attribute = mesh.geometry.attributes.position;
+    for (let i = 0; i < attribute.count; i += stride) {
+      tempVertex.fromBufferAttribute(attribute, i).applyMatrix4(mesh.matrixWorld).applyMatrix4(toBodySpace);
+      points.push(tempVertex.x, tempVertex.y, tempVertex.z);
+      bounds.minY = Math.min(bounds.minY, tempVertex.y);
+      bounds.maxY = Math.max(bounds.maxY, tempVertex.y);
+    }
+  });
+
+  return {
+    id,
+    group,
+    getBasePositionY: entry.getBasePositionY,
+    position: position.toArray(),
+    rotation: tempEuler.setFromQuaternion(quaternion).toArray().slice(0, 3),
+    points: new Float32Array(points),
+    bounds, // Altura mínima y máxima de la forma respecto al origen del cuerpo (flotación)
+    resyncTransform: entry.resyncTransform,
+  };
+}
+
+/**
+ * Indica si un collider del nivel bloquea a los objetos que se asientan
+ * (los triggers, sensores, metas y jugadores no tienen colisión sólida)
+ */
+export function isSolidCollider(obj) {
+  return obj.type === 'collider' &&
+    !obj.isTrigger &&
+    !obj.isSensor &&
+    obj.tag !== LEVEL_FLOW.FINISH_TAG &&
+    !isPlayerObject(obj);
+}
+
+/**
+ * Cambios que deja un cuerpo asentado en su objeto
+ * @param {Object} body - Cuerpo (ver createSettleBody)
+ * @param {Object} rigidBody - Cuerpo de Rapier al terminar la simulación
+ * @returns {{id: string, updates: {position: Array<number>, rotation: Array<number>}}} Cambios de mundo (rotación en grados)
+ */
+export function getSettledUpdates(body, rigidBody) {
+  const translation = rigidBody.translation();
+  const rotation = rigidBody.rotation();
+  tempEuler.setFromQuaternion(tempQuaternion.set(rotation.x, rotation.y, rotation.z, rotation.w));
+  // La Y guardada no incluye el offset del modelo ni la altura del terreno (ver EditorSceneObject)
+  const baseY = body.getBasePositionY
+    ? body.getBasePositionY(translation.x, translation.y, translation.z)
+    : translation.y;
+  return {
+    id: body.id,
+    updates: {
+      position: [translation.x, baseY, translation.z],
+      rotation: [tempEuler.x * RAD_TO_DEG, tempEuler.y * RAD_TO_DEG, tempEuler.z * RAD_TO_DEG],
+    },
+  };
+}
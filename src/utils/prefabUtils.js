@@ -0,0 +1,430 @@
+/**
+ * Utilidades para prefabs (conjuntos de objetos reutilizables)
+ * Un prefab guarda una plantilla de objetos con su jerarquía. Cada objeto de una instancia guarda:
+ * prefabId, prefabInstanceId (compartido por todos los objetos de la instancia),
+ * prefabSourceId (ID del objeto en la plantilla) y prefabOverrides (propiedades modificadas en la instancia)
+ */
+
+import { PREFAB_CONFIG } from '../constants/gameConstants';
+import { getDescendantIds, getWorldTransform } from './hierarchyUtils';
+
+const PREFAB_LINK_KEYS = ['prefabId', 'prefabInstanceId', 'prefabSourceId', 'prefabOverrides'];
+
+/**
+ * Compara dos valores de propiedades (arrays y objetos incluidos)
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Genera un ID único con prefijo
+ */
+function createId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random()}`;
+}
+
+/**
+ * Indica si un objeto pertenece a una instancia de prefab
+ * @param {Object} obj - Objeto del nivel
+ * @returns {boolean} True si está vinculado a un prefab
+ */
+export function isPrefabInstance(obj) {
+  return !!(obj?.prefabId && obj.prefabInstanceId && obj.prefabSourceId);
+}
+
+/**
+ * Busca un prefab por ID
+ * @param {Array} prefabs - Biblioteca de prefabs
+ * @param {string} prefabId - ID del prefab
+ * @returns {Object|null} Prefab o null si no existe
+ */
+export function findPrefab(prefabs, prefabId) {
+  return prefabs.find(prefab => prefab.id === prefabId) || null;
+}
+
+/**
+ * Obtiene el objeto de la plantilla del que procede un objeto de una instancia
+ * @param {Object} prefab - Prefab
+ * @param {Object} obj - Objeto de la instancia
+ * @returns {Object|null} Objeto de la plantilla
+ */
+export function getPrefabTemplate(prefab, obj) {
+  if (!prefab || !obj) return null;
+  return prefab.objects.find(template => template.id === obj.prefabSourceId) || null;
+}
+
+/**
+ * Propiedades de un objeto de plantilla que se sincronizan con las instancias
+ * @param {Object} template - Objeto de la plantilla
+ * @returns {Array<string>} Claves sincronizables
+ */
+export function getTrackedKeys(template) {
+  const ignored = new Set([
+    ...PREFAB_CONFIG.INSTANCE_KEYS,
+    ...(template.parentId ? [] : PREFAB_CONFIG.ROOT_INSTANCE_KEYS),
+  ]);
+  return Object.keys(template).filter(key => !ignored.has(key));
+}
+
+/**
+ * Mapa prefabSourceId -> ID del objeto en una instancia
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} instanceId - ID de la instancia
+ * @returns {Map} Mapa de IDs
+ */
+export function getInstanceSourceMap(objects, instanceId) {
+  const map = new Map();
+  objects.forEach((obj) => {
+    if (obj.prefabInstanceId === instanceId && obj.prefabSourceId) {
+      map.set(obj.prefabSourceId, obj.id);
+    }
+  });
+  return map;
+}
+
+/**
+ * Valor de una propiedad de la plantilla tal como debe quedar en una instancia
+ * Las referencias a otros objetos del prefab apuntan al objeto equivalente de la instancia
+ */
+function getInstanceValue(template, key, sourceMap) {
+  const value = template[key];
+  if (PREFAB_CONFIG.REFERENCE_KEYS.includes(key) && value && sourceMap.has(value)) {
+    return sourceMap.get(value);
+  }
+  return value;
+}
+
+/**
+ * Crea el objeto de una instancia a partir de un objeto de la plantilla
+ * @param {Object} prefab - Prefab
+ * @param {Object} template - Objeto de la plantilla
+ * @param {string} instanceId - ID de la instancia
+ * @param {Map} sourceMap - Mapa prefabSourceId -> ID en la instancia (ya con el ID de este objeto)
+ * @param {Array<number>} origin - Posición de la instancia (se suma a las raíces)
+ * @returns {Object} Objeto del nivel
+ */
+function createInstanceObject(prefab, template, instanceId, sourceMap, origin) {
+  const obj = { ...template };
+  PREFAB_CONFIG.REFERENCE_KEYS.forEach((key) => {
+    if (key in template) obj[key] = getInstanceValue(template, key, sourceMap);
+  });
+
+  return {
+    ...obj,
+    id: sourceMap.get(template.id),
+    parentId: template.parentId ? sourceMap.get(template.parentId) || null : null,
+    position: template.parentId
+      ? template.position
+      : template.position.map((value, axis) => value + origin[axis]),
+    prefabId: prefab.id,
+    prefabInstanceId: instanceId,
+    prefabSourceId: template.id,
+    prefabOverrides: [],
+  };
+}
+
+/**
+ * Genera el ID de un objeto nuevo de una instancia
+ */
+function createObjectId(template) {
+  return createId(template.type === 'object' || !template.type ? 'obj' : template.type);
+}
+
+/**
+ * Crea un prefab a partir de objetos del nivel (se incluyen sus descendientes)
+ * Los objetos originales pasan a ser la primera instancia del prefab
+ * @param {Array} objects - Objetos del nivel
+ * @param {Array<string>} objectIds - IDs seleccionados
+ * @param {string} name - Nombre del prefab
+ * @returns {Object} { prefab, links: Array<{ id, updates }> }
+ */
+export function createPrefabFromObjects(objects, objectIds, name) {
+  const ids = new Set(objectIds);
+  objectIds.forEach((id) => {
+    getDescendantIds(objects, id).forEach(descendantId => ids.add(descendantId));
+  });
+  const sourceObjects = objects.filter(obj => ids.has(obj.id));
+  const isRoot = (obj) => !obj.parentId || !ids.has(obj.parentId);
+
+  // La posición y rotación de las raíces se guardan en coordenadas de mundo, relativas al centro del prefab
+  const rootWorld = new Map();
+  sourceObjects.filter(isRoot).forEach((obj) => {
+    rootWorld.set(obj.id, getWorldTransform(objects, obj.id));
+  });
+  const center = [0, 1, 2].map(axis => {
+    const values = Array.from(rootWorld.values()).map(world => world.position[axis]);
+    return values.reduce((sum, value) => sum + value, 0) / Math.max(values.length, 1);
+  });
+
+  const templates = sourceObjects.map((obj) => {
+    const template = { ...obj };
+    PREFAB_LINK_KEYS.forEach(key => delete template[key]);
+
+    if (isRoot(obj)) {
+      const world = rootWorld.get(obj.id);
+      template.parentId = null;
+      template.position = world.position.map((value, axis) => value - center[axis]);
+      template.rotation = world.rotation;
+    }
+    return template;
+  });
+
+  const now = Date.now();
+  const prefab = {
+    id: createId('prefab'),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    objects: templates,
+  };
+
+  const instanceId = createId('instance');
+  const links = sourceObjects.map(obj => ({
+    id: obj.id,
+    updates: {
+      prefabId: prefab.id,
+      prefabInstanceId: instanceId,
+      prefabSourceId: obj.id,
+      prefabOverrides: [],
+    },
+  }));
+
+  return { prefab, links };
+}
+
+/**
+ * Crea los objetos de una nueva instancia de un prefab
+ * @param {Object} prefab - Prefab
+ * @param {Array<number>} position - Posición de la instancia
+ * @returns {Array} Objetos nuevos, en el orden de la plantilla
+ */
+export function instantiatePrefab(prefab, position = [0, 0, 0]) {
+  const instanceId = createId('instance');
+  const sourceMap = new Map(prefab.objects.map(template => [template.id, createObjectId(template)]));
+
+  return prefab.objects.map(template => createInstanceObject(prefab, template, instanceId, sourceMap, position));
+}
+
+/**
+ * Actualiza la lista de overrides de un objeto de instancia según los cambios que recibe
+ * Una propiedad es override si su valor difiere del de la plantilla
+ * @param {Object} obj - Objeto antes del cambio
+ * @param {Object} updates - Propiedades nuevas
+ * @param {Array} prefabs - Biblioteca de prefabs
+ * @param {Array} objects - Objetos del nivel
+ * @returns {Object} Updates (con prefabOverrides si la lista cambia)
+ */
+export function trackPrefabOverrides(obj, updates, prefabs, objects) {
+  if (!isPrefabInstance(obj) || 'prefabOverrides' in updates) {
+    return updates;
+  }
+  const template = getPrefabTemplate(findPrefab(prefabs, obj.prefabId), obj);
+  if (!template) {
+    return updates;
+  }
+
+  const trackedKeys = getTrackedKeys(template);
+  const sourceMap = getInstanceSourceMap(objects, obj.prefabInstanceId);
+  const overrides = new Set(obj.prefabOverrides || []);
+
+  Object.keys(updates).forEach((key) => {
+    if (!trackedKeys.includes(key)) return;
+    if (isSameValue(updates[key], getInstanceValue(template, key, sourceMap))) {
+      overrides.delete(key);
+    } else {
+      overrides.add(key);
+    }
+  });
+
+  const nextOverrides = Array.from(overrides);
+  if (isSameValue(nextOverrides, obj.prefabOverrides || [])) {
+    return updates;
+  }
+  return { ...updates, prefabOverrides: nextOverrides };
+}
+
+/**
+ * Calcula los cambios para revertir overrides de un objeto de instancia
+ * @param {Object} obj - Objeto de la instancia
+ * @param {Object} prefab - Prefab
+ * @param {Array} objects - Objetos del nivel
+ * @param {Array<string>|null} keys - Propiedades a revertir (null = todas)
+ * @returns {Object|null} Updates o null si no hay plantilla
+ */
+export function revertPrefabOverrides(obj, prefab, objects, keys = null) {
+  const template = getPrefabTemplate(prefab, obj);
+  if (!template) return null;
+
+  const current = obj.prefabOverrides || [];
+  const toRevert = keys ? current.filter(key => keys.includes(key)) : current;
+  const sourceMap = getInstanceSourceMap(objects, obj.prefabInstanceId);
+
+  const updates = { prefabOverrides: current.filter(key => !toRevert.includes(key)) };
+  toRevert.forEach((key) => {
+    updates[key] = getInstanceValue(template, key, sourceMap);
+  });
+  return updates;
+}
+
+/**
+ * Lleva los valores de una instancia a su prefab (las raíces conservan su posición en la plantilla)
+ * @param {Object} prefab - Prefab
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} instanceId - ID de la instancia
+ * @returns {Object} { prefab: prefab actualizado, links: overrides vaciados de la instancia }
+ */
+export function applyInstanceToPrefab(prefab, objects, instanceId) {
+  const instanceObjects = objects.filter(obj => obj.prefabInstanceId === instanceId);
+  const instanceBySource = new Map(instanceObjects.map(obj => [obj.prefabSourceId, obj]));
+  const idToSource = new Map(instanceObjects.map(obj => [obj.id, obj.prefabSourceId]));
+
+  const templates = prefab.objects.map((template) => {
+    const obj = instanceBySource.get(template.id);
+    if (!obj) return template;
+
+    const next = { ...template };
+    getTrackedKeys(template).forEach((key) => {
+      if (!(key in obj)) return;
+      const value = obj[key];
+      next[key] = PREFAB_CONFIG.REFERENCE_KEYS.includes(key) && idToSource.has(value)
+        ? idToSource.get(value)
+        : value;
+    });
+    return next;
+  });
+
+  return {
+    prefab: { ...prefab, objects: templates, updatedAt: Date.now() },
+    links: instanceObjects.map(obj => ({ id: obj.id, updates: { prefabOverrides: [] } })),
+  };
+}
+
+/**
+ * Calcula los cambios para desvincular una instancia de su prefab
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} instanceId - ID de la instancia
+ * @returns {Array} Lista de { id, updates }
+ */
+export function unlinkPrefabInstance(objects, instanceId) {
+  return getUnlinkChanges(objects.filter(obj => obj.prefabInstanceId === instanceId));
+}
+
+/**
+ * Calcula los cambios para desvincular todas las instancias de un prefab (ej: al eliminarlo)
+ * Los objetos conservan sus propiedades actuales
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} prefabId - ID del prefab
+ * @returns {Array} Lista de { id, updates }
+ */
+export function unlinkPrefabInstances(objects, prefabId) {
+  return getUnlinkChanges(objects.filter(obj => obj.prefabId === prefabId));
+}
+
+/**
+ * Cuenta las instancias de un prefab en un nivel
+ * @param {Array} objects - Objetos del nivel
+ * @param {string} prefabId - ID del prefab
+ * @returns {number} Número de instancias (no de objetos)
+ */
+export function countPrefabInstances(objects, prefabId) {
+  return new Set(objects.filter(obj => obj.prefabId === prefabId).map(obj => obj.prefabInstanceId)).size;
+}
+
+/**
+ * Cambios que quitan el vínculo con el prefab a una lista de objetos
+ * @param {Array} objects - Objetos a desvincular
+ * @returns {Array} Lista de { id, updates }
+ */
+function getUnlinkChanges(objects) {
+  return objects.map(obj => ({
+    id: obj.id,
+    updates: { prefabId: null, prefabInstanceId: null, prefabSourceId: null, prefabOverrides: [] },
+  }));
+}
+
+/**
+ * Sincroniza las instancias de un nivel con sus prefabs
+ * Copia las propiedades sin override, añade los objetos nuevos de la plantilla
+ * y elimina los que ya no existen en ella. Las instancias de prefabs que no están
+ * en la biblioteca no se tocan
+ * @param {Array} objects - Objetos del nivel
+ * @param {Array} prefabs - Biblioteca de prefabs
+ * @returns {Array} Objetos sincronizados (el mismo array si no hay cambios)
+ */
+export function syncPrefabInstances(objects, prefabs) {
+  if (!prefabs.length || !objects.some(isPrefabInstance)) {
+    return objects;
+  }
+
+  const removedIds = new Set();
+  const addedObjects = [];
+  const instances = new Map();
+  objects.forEach((obj) => {
+    if (isPrefabInstance(obj) && findPrefab(prefabs, obj.prefabId)) {
+      if (!instances.has(obj.prefabInstanceId)) {
+        instances.set(obj.prefabInstanceId, findPrefab(prefabs, obj.prefabId));
+      }
+    }
+  });
+
+  const updatedById = new Map();
+  instances.forEach((prefab, instanceId) => {
+    const sourceMap = getInstanceSourceMap(objects, instanceId);
+    const instanceObjects = objects.filter(obj => obj.prefabInstanceId === instanceId);
+
+    // Objetos que la plantilla ya no tiene
+    instanceObjects.forEach((obj) => {
+      if (!getPrefabTemplate(prefab, obj)) {
+        removedIds.add(obj.id);
+      }
+    });
+
+    // Objetos nuevos de la plantilla: primero se reservan IDs para poder enlazar padres
+    const missing = prefab.objects.filter(template => !sourceMap.has(template.id));
+    missing.forEach(template => sourceMap.set(template.id, createObjectId(template)));
+
+    // Origen de la instancia, a partir de una raíz existente
+    const existingRoot = instanceObjects.find((obj) => {
+      const template = getPrefabTemplate(prefab, obj);
+      return template && !template.parentId;
+    });
+    const rootTemplate = existingRoot && getPrefabTemplate(prefab, existingRoot);
+    const origin = rootTemplate
+      ? existingRoot.position.map((value, axis) => value - rootTemplate.position[axis])
+      : [0, 0, 0];
+
+    missing.forEach((template) => {
+      addedObjects.push(createInstanceObject(prefab, template, instanceId, sourceMap, origin));
+    });
+
+    // Propiedades sin override
+    instanceObjects.forEach((obj) => {
+      const template = getPrefabTemplate(prefab, obj);
+      if (!template) return;
+      const overrides = obj.prefabOverrides || [];
+      const updates = {};
+      getTrackedKeys(template).forEach((key) => {
+        if (overrides.includes(key)) return;
+        const value = getInstanceValue(template, key, sourceMap);
+        if (!isSameValue(obj[key], value)) {
+          updates[key] = value;
+        }
+      });
+      if (Object.keys(updates).length > 0) {
+        updatedById.set(obj.id, { ...obj, ...updates });
+      }
+    });
+  });
+
+  if (removedIds.size === 0 && addedObjects.length === 0 && updatedById.size === 0) {
+    return objects;
+  }
+
+  return [
+    ...objects
+      .filter(obj => !removedIds.has(obj.id))
+      .map(obj => updatedById.get(obj.id) || obj),
+    ...addedObjects,
+  ];
+}
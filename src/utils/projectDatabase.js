@@ -0,0 +1,302 @@
+/**
+ * Utilidades para la base de datos IndexedDB del proyecto
+ * Guarda la copia local de cada nivel (cambios aún no escritos en /public/levels),
+ * sus heightmaps en binario y los autoguardados del editor. Nada caduca: las copias
+ * locales se borran al guardar el nivel en su archivo, al eliminarlo o al descartar los cambios locales.
+ * Los cambios de las copias se avisan a las demás pestañas por un BroadcastChannel
+ */
+
+import { PROJECT_DB } from '../constants/gameConstants';
+import { takeLegacyLevelsFromStorage } from './storageUtils';
+import { encodeTerrainData, decodeTerrainData } from './heightmapUtils';
+
+const { LEVELS, HEIGHTMAPS, AUTOSAVES } = PROJECT_DB.STORES;
+
+let databasePromise = null;
+
+// Canal de avisos entre pestañas (un BroadcastChannel no recibe sus propios mensajes)
+const levelChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(PROJECT_DB.CHANNEL) : null;
+
+/**
+ * Avisa a las demás pestañas de que la copia local de un nivel ha cambiado o se ha borrado
+ * @param {string} filename - Nombre del archivo del nivel
+ */
+function notifyLocalLevelChange(filename) {
+  levelChannel?.postMessage({ type: 'level', filename });
+}
+
+/**
+ * Escucha los cambios de copias locales hechos en otras pestañas
+ * @param {Function} callback - Recibe el nombre del archivo del nivel que cambió
+ * @returns {Function} Función para dejar de escuchar
+ */
+export function subscribeToLocalLevelChanges(callback) {
+  if (!levelChannel) return () => {};
+  const handleMessage = (event) => {
+    if (event.data?.type === 'level') {
+      callback(event.data.filename);
+    }
+  };
+  levelChannel.addEventListener('message', handleMessage);
+  return () => levelChannel.removeEventListener('message', handleMessage);
+}
+
+/**
+ * Convierte una petición de IndexedDB en una promesa
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Espera a que termine una transacción
+ */
+function waitForTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transacción cancelada'));
+  });
+}
+
+/**
+ * Separa el heightmap de los datos del nivel
+ * El terreno del nivel conserva sus metadatos (dimensiones, tamaño, rango, codificación) sin los datos en base64
+ * @returns {{ level: Object, heightmap: Float32Array|null }}
+ */
+function splitHeightmap(levelData) {
+  const terrain = levelData?.terrain;
+  if (!terrain) {
+    return { level: levelData, heightmap: null };
+  }
+  // Copias antiguas (esquema v2): array de números
+  if (Array.isArray(terrain.heightmap)) {
+    const { heightmap, ...rest } = terrain;
+    return { level: { ...levelData, terrain: rest }, heightmap: new Float32Array(heightmap) };
+  }
+  const { data: _data, ...metadata } = terrain;
+  return { level: { ...levelData, terrain: metadata }, heightmap: decodeTerrainData(terrain) };
+}
+
+/**
+ * Vuelve a unir el heightmap binario con los datos del nivel
+ */
+function joinHeightmap(level, heightmap) {
+  // Copias antiguas (esquema v2): sin dimensiones, la migración del esquema las convierte
+  if (!level.terrain?.width) {
+    return { ...level, terrain: { ...level.terrain, heightmap: Array.from(heightmap) } };
+  }
+  return { ...level, terrain: encodeTerrainData(heightmap, level.terrain) };
+}
+
+/**
+ * Copia la antigua caché de localStorage a IndexedDB (solo la primera vez)
+ */
+async function migrateLegacyLevels(db) {
+  const legacyLevels = takeLegacyLevelsFromStorage();
+  if (legacyLevels.length === 0) return;
+
+  const transaction = db.transaction([LEVELS, HEIGHTMAPS], 'readwrite');
+  legacyLevels.forEach(({ filename, data }) => {
+    const { level, heightmap } = splitHeightmap(data);
+    const updatedAt = Date.now();
+    transaction.objectStore(LEVELS).put({ filename, data: level, updatedAt });
+    if (heightmap) {
+      transaction.objectStore(HEIGHTMAPS).put({ filename, data: heightmap, updatedAt });
+    }
+  });
+  await waitForTransaction(transaction);
+}
+
+/**
+ * Abre (o crea) la base de datos del proyecto
+ * La conexión se reutiliza entre llamadas
+ * @returns {Promise<IDBDatabase>} Base de datos
+ */
+export function openProjectDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB no está disponible en este navegador'));
+        return;
+      }
+
+      const request = indexedDB.open(PROJECT_DB.NAME, PROJECT_DB.VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(LEVELS)) {
+          db.createObjectStore(LEVELS, { keyPath: 'filename' });
+        }
+        if (!db.objectStoreNames.contains(HEIGHTMAPS)) {
+          db.createObjectStore(HEIGHTMAPS, { keyPath: 'filename' });
+        }
+        if (!db.objectStoreNames.contains(AUTOSAVES)) {
+          const autosaves = db.createObjectStore(AUTOSAVES, { keyPath: 'id', autoIncrement: true });
+          autosaves.createIndex('filename', 'filename');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    })
+      .then(async (db) => {
+        await migrateLegacyLevels(db);
+        return db;
+      })
+      .catch((err) => {
+        // Permitir reintentar en la siguiente llamada
+        databasePromise = null;
+        throw err;
+      });
+  }
+  return databasePromise;
+}
+
+/**
+ * Guarda la copia local de un nivel. El heightmap se guarda aparte, en binario
+ * @param {string} filename - Nombre del archivo del nivel
+ * @param {Object} levelData - Datos del nivel
+ * @param {Object} options
+ * @param {boolean} options.dirty - Si la copia tiene cambios que no están en el archivo
+ * @returns {Promise<void>}
+ */
+export async function saveLocalLevel(filename, levelData, { dirty = true } = {}) {
+  const db = await openProjectDatabase();
+  const { level, heightmap } = splitHeightmap(levelData);
+  const updatedAt = Date.now();
+
+  const transaction = db.transaction([LEVELS, HEIGHTMAPS], 'readwrite');
+  transaction.objectStore(LEVELS).put({ filename, data: level, updatedAt, dirty });
+  if (heightmap) {
+    transaction.objectStore(HEIGHTMAPS).put({ filename, data: heightmap, updatedAt });
+  } else {
+    transaction.objectStore(HEIGHTMAPS).delete(filename);
+  }
+  await waitForTransaction(transaction);
+  notifyLocalLevelChange(filename);
+}
+
+/**
+ * Carga la copia local de un nivel con su heightmap
+ * El heightmap se devuelve codificado, igual que en los archivos de nivel
+ * @param {string} filename - Nombre del archivo del nivel
+ * @returns {Promise<Object|null>} Datos del nivel o null si no hay copia local
+ */
+export async function loadLocalLevel(filename) {
+  const db = await openProjectDatabase();
+  const transaction = db.transaction([LEVELS, HEIGHTMAPS], 'readonly');
+  const [record, heightmapRecord] = await Promise.all([
+    promisifyRequest(transaction.objectStore(LEVELS).get(filename)),
+    promisifyRequest(transaction.objectStore(HEIGHTMAPS).get(filename)),
+  ]);
+
+  if (!record) return null;
+  if (!heightmapRecord) return record.data;
+
+  return joinHeightmap(record.data, heightmapRecord.data);
+}
+
+/**
+ * Elimina la copia local de un nivel y su heightmap
+ * @param {string} filename - Nombre del archivo del nivel
+ * @returns {Promise<void>}
+ */
+export async function deleteLocalLevel(filename) {
+  const db = await openProjectDatabase();
+  const transaction = db.transaction([LEVELS, HEIGHTMAPS], 'readwrite');
+  transaction.objectStore(LEVELS).delete(filename);
+  transaction.objectStore(HEIGHTMAPS).delete(filename);
+  await waitForTransaction(transaction);
+  notifyLocalLevelChange(filename);
+}
+
+/**
+ * Lista los niveles que tienen copia local
+ * Las copias anteriores al indicador `dirty` se consideran con cambios
+ * @returns {Promise<Array<{filename: string, updatedAt: number, dirty: boolean}>>} Niveles con copia local
+ */
+export async function listLocalLevels() {
+  const db = await openProjectDatabase();
+  const records = await promisifyRequest(db.transaction(LEVELS, 'readonly').objectStore(LEVELS).getAll());
+  return records.map(({ filename, updatedAt, dirty }) => ({ filename, updatedAt, dirty: dirty !== false }));
+}
+
+/**
+ * Guarda un autoguardado del editor
+ * Solo se conservan los PROJECT_DB.MAX_AUTOSAVES_PER_LEVEL más recientes de cada nivel
+ * @param {string} filename - Nombre del archivo del nivel
+ * @param {Object} snapshot - Estado del editor
+ * @returns {Promise<number>} ID del autoguardado
+ */
+export async function saveAutosave(filename, snapshot) {
+  const db = await openProjectDatabase();
+  const transaction = db.transaction(AUTOSAVES, 'readwrite');
+  const store = transaction.objectStore(AUTOSAVES);
+
+  const id = await promisifyRequest(store.add({ filename, data: snapshot, createdAt: Date.now() }));
+  const keys = await promisifyRequest(store.index('filename').getAllKeys(filename));
+  // Las claves son autoincrementales: las primeras son las más antiguas
+  keys
+    .sort((a, b) => a - b)
+    .slice(0, Math.max(0, keys.length - PROJECT_DB.MAX_AUTOSAVES_PER_LEVEL))
+    .forEach((key) => store.delete(key));
+
+  await waitForTransaction(transaction);
+  return id;
+}
+
+/**
+ * Lista los autoguardados de un nivel, del más reciente al más antiguo
+ * @param {string} filename - Nombre del archivo del nivel
+ * @returns {Promise<Array<{id: number, filename: string, data: Object, createdAt: number}>>} Autoguardados
+ */
+export async function listAutosaves(filename) {
+  const db = await openProjectDatabase();
+  const records = await promisifyRequest(
+    db.transaction(AUTOSAVES, 'readonly').objectStore(AUTOSAVES).index('filename').getAll(filename)
+  );
+  return records.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Elimina todos los autoguardados de un nivel
+ * @param {string} filename - Nombre del archivo del nivel
+ * @returns {Promise<void>}
+ */
+export async function deleteAutosaves(filename) {
+  const db = await openProjectDatabase();
+  const transaction = db.transaction(AUTOSAVES, 'readwrite');
+  const store = transaction.objectStore(AUTOSAVES);
+  const keys = await promisifyRequest(store.index('filename').getAllKeys(filename));
+  keys.forEach((key) => store.delete(key));
+  await waitForTransaction(transaction);
+}
+
+/**
+ * Obtiene el uso y la cuota de almacenamiento del navegador
+ * @returns {Promise<{usage: number, quota: number, persisted: boolean}|null>} Estimación o null si no está disponible
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+
+  const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted ? navigator.storage.persisted() : false,
+  ]);
+  return { usage, quota, persisted };
+}
+
+/**
+ * Pide al navegador que no desaloje los datos del proyecto cuando haya poco espacio
+ * @returns {Promise<boolean>} True si el almacenamiento es persistente
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  try {
+    return await navigator.storage.persist();
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Utilidades para la vegetación dispersa (pincel de dispersión)
+ * Cada capa agrupa las instancias de un modelo en un Float32Array plano [x, z, giroY, escala, ...].
+ * La altura no se guarda: sale del terreno al renderizar, así las instancias siguen al terreno
+ * aunque se edite después
+ */
+
+import { SCATTER_CONFIG, RAD_TO_DEG, DEG_TO_RAD } from '../constants/gameConstants';
+import {
+  getTerrainHeightAtWorldPosition,
+  getTerrainNormalAtWorldPosition,
+  bytesToBase64,
+  base64ToBytes,
+} from './heightmapUtils';
+
+const { STRIDE } = SCATTER_CONFIG;
+
+/**
+ * Número de instancias de una capa
+ * @param {Object} layer - Capa { model, instances }
+ * @returns {number} Número de instancias
+ */
+export function getScatterCount(layer) {
+  return layer.instances.length / STRIDE;
+}
+
+/**
+ * Codifica las capas para guardarlas en el archivo del nivel
+ * Las instancias se guardan en base64 (float32 little-endian); las capas vacías se omiten
+ * @param {Array} layers - Capas [{ model, instances: Float32Array }]
+ * @returns {Array} Capas del nivel [{ model, count, data }]
+ */
+export function encodeScatterLayers(layers) {
+  return layers
+    .filter((layer) => layer.instances.length > 0)
+    .map((layer) => {
+      const view = new DataView(new ArrayBuffer(layer.instances.length * 4));
+      layer.instances.forEach((value, i) => view.setFloat32(i * 4, value, true));
+      return {
+        model: layer.model,
+        count: getScatterCount(layer),
+        data: bytesToBase64(new Uint8Array(view.buffer)),
+      };
+    });
+}
+
+/**
+ * Obtiene los problemas de la vegetación de un nivel
+ * @param {Array} scatter - Capas del nivel (encodeScatterLayers)
+ * @returns {Array<string>} Errores encontrados (vacío si son válidas)
+ */
+export function getScatterDataErrors(scatter) {
+  if (!Array.isArray(scatter)) {
+    return ['La vegetación debe ser un array de capas'];
+  }
+
+  const errors = [];
+  const models = new Set();
+  scatter.forEach((layer, index) => {
+    if (!layer || typeof layer.model !== 'string' || !layer.model) {
+      errors.push(`La capa de vegetación ${index} no tiene modelo`);
+      return;
+    }
+    if (models.has(layer.model)) {
+      errors.push(`Hay varias capas de vegetación con el modelo ${layer.model}`);
+    }
+    models.add(layer.model);
+
+    if (!Number.isInteger(layer.count) || layer.count < 0) {
+      errors.push(`La capa de vegetación ${index} tiene un número de instancias inválido: ${layer.count}`);
+      return;
+    }
+    if (typeof layer.data !== 'string') {
+      errors.push(`La capa de vegetación ${index} no tiene datos de instancias`);
+      return;
+    }
+    try {
+      const expected = layer.count * STRIDE * 4;
+      const length = base64ToBytes(layer.data).length;
+      if (length !== expected) {
+        errors.push(`La capa de vegetación ${index} tiene ${length} bytes pero se esperaban ${expected}`);
+      }
+    } catch {
+      errors.push(`Los datos de la capa de vegetación ${index} no son base64 válido`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Decodifica la vegetación de un nivel
+ * @param {Array|undefined} scatter - Capas del nivel (encodeScatterLayers)
+ * @returns {Array} Capas [{ model, instances: Float32Array }] (vacío si el nivel no tiene vegetación)
+ */
+export function decodeScatterLayers(scatter) {
+  if (!scatter) {
+    return [];
+  }
+  const errors = getScatterDataErrors(scatter);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  return scatter.map((layer) => {
+    const view = new DataView(base64ToBytes(layer.data).buffer);
+    const instances = new Float32Array(layer.count * STRIDE);
+    for (let i = 0; i < instances.length; i++) {
+      instances[i] = view.getFloat32(i * 4, true);
+    }
+    return { model: layer.model, instances };
+  });
+}
+
+/**
+ * Sustituye (o añade) la capa de un modelo
+ * @returns {Array} Nuevas capas (sin la capa si se queda vacía)
+ */
+function replaceLayer(layers, model, instances) {
+  const others = layers.filter((layer) => layer.model !== model);
+  if (instances.length === 0) {
+    return others;
+  }
+  const index = layers.findIndex((layer) => layer.model === model);
+  const layer = { model, instances };
+  return index === -1 ? [...layers, layer] : layers.map((current) => (current.model === model ? layer : current));
+}
+
+/**
+ * Pinta instancias de un modelo dentro del pincel
+ * El pincel completa la densidad pedida: solo añade las instancias que faltan en su círculo,
+ * así pasar varias veces por la misma zona no la satura. Cada candidata se descarta si la
+ * pendiente o la altura del terreno están fuera de los límites o si queda demasiado cerca
+ * de otra instancia (de cualquier capa)
+ * @param {Array} layers - Capas actuales
+ * @param {{x: number, z: number}} center - Centro del pincel en coordenadas del mundo
+ * @param {Object} settings - Ajustes del pincel (ver SCATTER_CONFIG.DEFAULT_SETTINGS) y model
+ * @param {Object} terrain - { heightmap, segments, size }
+ * @returns {Array} Nuevas capas (las mismas si no se añade nada)
+ */
+export function paintScatter(layers, center, settings, terrain) {
+  const { model, brushSize, density, rotationRange, maxSlope, minSpacing } = settings;
+  const minScale = Math.min(settings.minScale, settings.maxScale);
+  const maxScale = Math.max(settings.minScale, settings.maxScale);
+  const minHeight = Math.min(settings.minHeight, settings.maxHeight);
+  const maxHeight = Math.max(settings.minHeight, settings.maxHeight);
+  const { heightmap, segments, size } = terrain;
+  const halfSize = size / 2;
+
+  const current = layers.find((layer) => layer.model === model)?.instances || new Float32Array(0);
+  const radiusSq = brushSize * brushSize;
+
+  // Instancias del modelo que ya hay dentro del pincel
+  let existing = 0;
+  for (let i = 0; i < current.length; i += STRIDE) {
+    const dx = current[i] - center.x;
+    const dz = current[i + 1] - center.z;
+    if (dx * dx + dz * dz <= radiusSq) existing++;
+  }
+
+  const target = Math.round((density * Math.PI * radiusSq) / SCATTER_CONFIG.DENSITY_AREA);
+  const available = SCATTER_CONFIG.MAX_INSTANCES_PER_LAYER - current.length / STRIDE;
+  const missing = Math.min(target - existing, available);
+  if (missing <= 0) {
+    return layers;
+  }
+
+  // Vecinas para la separación mínima: las de todas las capas cerca del pincel
+  const neighbors = [];
+  const reach = (brushSize + minSpacing) * (brushSize + minSpacing);
+  layers.forEach((layer) => {
+    for (let i = 0; i < layer.instances.length; i += STRIDE) {
+      const dx = layer.instances[i] - center.x;
+      const dz = layer.instances[i + 1] - center.z;
+      if (dx * dx + dz * dz <= reach) neighbors.push([layer.instances[i], layer.instances[i + 1]]);
+    }
+  });
+
+  const minSpacingSq = minSpacing * minSpacing;
+  const added = [];
+  for (let attempt = 0; attempt < missing * SCATTER_CONFIG.PLACEMENT_ATTEMPTS && added.length < missing * STRIDE; attempt++) {
+    // Punto uniforme dentro del círculo
+    const angle = Math.random() * Math.PI * 2;
+    const distance = brushSize * Math.sqrt(Math.random());
+    const x = center.x + Math.cos(angle) * distance;
+    const z = center.z + Math.sin(angle) * distance;
+    if (Math.abs(x) > halfSize || Math.abs(z) > halfSize) continue;
+
+    const height = getTerrainHeightAtWorldPosition(heightmap, segments, size, x, z);
+    if (height < minHeight || height > maxHeight) continue;
+
+    const slope = Math.acos(getTerrainNormalAtWorldPosition(heightmap, segments, size, x, z)[1]) * RAD_TO_DEG;
+    if (slope > maxSlope) continue;
+
+    if (neighbors.some(([nx, nz]) => (nx - x) * (nx - x) + (nz - z) * (nz - z) < minSpacingSq)) continue;
+
+    const yaw = (Math.random() - 0.5) * rotationRange * DEG_TO_RAD;
+    const scale = minScale + Math.random() * (maxScale - minScale);
+    added.push(x, z, yaw, scale);
+    neighbors.push([x, z]);
+  }
+
+  if (added.length === 0) {
+    return layers;
+  }
+
+  const instances = new Float32Array(current.length + added.length);
+  instances.set(current);
+  instances.set(added, current.length);
+  return replaceLayer(layers, model, instances);
+}
+
+/**
+ * Borra las instancias de un modelo dentro del pincel
+ * @param {Array} layers - Capas actuales
+ * @param {{x: number, z: number}} center - Centro del pincel en coordenadas del mundo
+ * @param {Object} settings - { model, brushSize }
+ * @returns {Array} Nuevas capas (las mismas si no se borra nada)
+ */
+export function eraseScatter(layers, center, { model, brushSize }) {
+  const current = layers.find((layer) => layer.model === model)?.instances;
+  if (!current) {
+    return layers;
+  }
+
+  const radiusSq = brushSize * brushSize;
+  const kept = [];
+  for (let i = 0; i < current.length; i += STRIDE) {
+    const dx = current[i] - center.x;
+    const dz = current[i + 1] - center.z;
+    if (dx * dx + dz * dz > radiusSq) {
+      kept.push(...current.subarray(i, i + STRIDE));
+    }
+  }
+
+  if (kept.length === current.length) {
+    return layers;
+  }
+  return replaceLayer(layers, model, new Float32Array(kept));
+}
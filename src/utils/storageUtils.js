@@ -1,105 +1,67 @@
 /**
  * Utilidades para manejo de localStorage
- * Centraliza operaciones de almacenamiento local
+ * Centraliza operaciones de almacenamiento local (los niveles se guardan en IndexedDB)
  */
 
-import { STORAGE_KEYS, LEVEL_DEFAULTS } from '../constants/gameConstants';
+import { STORAGE_KEYS } from '../constants/gameConstants';
 
 /**
- * Obtiene la clave de localStorage para un nivel
- * @param {string} filename - Nombre del archivo del nivel
- * @returns {string} Clave de localStorage
+ * Extrae la antigua caché de niveles de localStorage (claves level_<filename>)
+ * Los niveles pasan a guardarse en IndexedDB (utils/projectDatabase.js); las entradas
+ * se eliminan de localStorage al extraerlas
+ * @returns {Array<{filename: string, data: Object}>} Niveles que estaban en caché
  */
-export function getLevelStorageKey(filename) {
-  return `${STORAGE_KEYS.LEVEL_PREFIX}${filename}`;
-}
-
-/**
- * Obtiene la clave de timestamp para un nivel
- * @param {string} filename - Nombre del archivo del nivel
- * @returns {string} Clave de timestamp
- */
-export function getTimestampStorageKey(filename) {
-  return `${STORAGE_KEYS.LEVEL_PREFIX}${filename}${STORAGE_KEYS.TIMESTAMP_SUFFIX}`;
-}
-
-/**
- * Guarda un nivel en localStorage
- * @param {string} filename - Nombre del archivo
- * @param {Object} levelData - Datos del nivel
- * @returns {boolean} True si se guardó exitosamente
- */
-export function saveLevelToStorage(filename, levelData) {
+export function takeLegacyLevelsFromStorage() {
+  const levels = [];
   try {
-    const jsonString = JSON.stringify(levelData, null, 2);
-    const levelKey = getLevelStorageKey(filename);
-    const timestampKey = getTimestampStorageKey(filename);
-    
-    localStorage.setItem(levelKey, jsonString);
-    localStorage.setItem(timestampKey, Date.now().toString());
-    return true;
-  } catch (error) {
-    return false;
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(STORAGE_KEYS.LEVEL_PREFIX) && !key.endsWith(STORAGE_KEYS.TIMESTAMP_SUFFIX)) {
+        keys.push(key);
+      }
+    }
+
+    keys.forEach((key) => {
+      try {
+        levels.push({ filename: key.slice(STORAGE_KEYS.LEVEL_PREFIX.length), data: JSON.parse(localStorage.getItem(key)) });
+      } catch {
+        // Entrada corrupta: se descarta
+      }
+      localStorage.removeItem(key);
+      localStorage.removeItem(`${key}${STORAGE_KEYS.TIMESTAMP_SUFFIX}`);
+    });
+  } catch {
+    // localStorage no disponible
   }
+  return levels;
 }
 
 /**
- * Carga un nivel desde localStorage
- * @param {string} filename - Nombre del archivo
- * @returns {Object|null} Datos del nivel o null si no existe o es inválido
+ * Carga la biblioteca de prefabs desde localStorage
+ * Los prefabs no caducan
+ * @returns {Array} Lista de prefabs (vacía si no hay o es inválida)
  */
-export function loadLevelFromStorage(filename) {
+export function loadPrefabsFromStorage() {
   try {
-    const levelKey = getLevelStorageKey(filename);
-    const timestampKey = getTimestampStorageKey(filename);
-    
-    const cachedData = localStorage.getItem(levelKey);
-    const cachedTimestamp = localStorage.getItem(timestampKey);
-    
-    if (!cachedData || !cachedTimestamp) {
-      return null;
-    }
-    
-    // Verificar que el cache no sea muy antiguo
-    const timestamp = parseInt(cachedTimestamp, 10);
-    const age = Date.now() - timestamp;
-    
-    if (age > LEVEL_DEFAULTS.CACHE_MAX_AGE) {
-      // Cache muy antiguo, limpiarlo
-      localStorage.removeItem(levelKey);
-      localStorage.removeItem(timestampKey);
-      return null;
-    }
-    
-    const data = JSON.parse(cachedData);
-    return data;
-  } catch (error) {
-    return null;
+    const data = localStorage.getItem(STORAGE_KEYS.PREFABS);
+    const prefabs = data ? JSON.parse(data) : [];
+    return Array.isArray(prefabs) ? prefabs : [];
+  } catch {
+    return [];
   }
 }
 
 /**
- * Elimina un nivel de localStorage
- * @param {string} filename - Nombre del archivo
+ * Guarda la biblioteca de prefabs en localStorage
+ * @param {Array} prefabs - Lista de prefabs
+ * @returns {boolean} True si se guardó exitosamente
  */
-export function removeLevelFromStorage(filename) {
+export function savePrefabsToStorage(prefabs) {
   try {
-    const levelKey = getLevelStorageKey(filename);
-    const timestampKey = getTimestampStorageKey(filename);
-    localStorage.removeItem(levelKey);
-    localStorage.removeItem(timestampKey);
-  } catch (error) {
-    // Error eliminando de localStorage
+    localStorage.setItem(STORAGE_KEYS.PREFABS, JSON.stringify(prefabs));
+    return true;
+  } catch {
+    return false;
   }
 }
-
-/**
- * Verifica si un nivel existe en localStorage
- * @param {string} filename - Nombre del archivo
- * @returns {boolean} True si existe
- */
-export function levelExistsInStorage(filename) {
-  const levelKey = getLevelStorageKey(filename);
-  return localStorage.getItem(levelKey) !== null;
-}
-
@@ -0,0 +1,82 @@
+/**
+ * Utilidades para colocar objetos sobre superficies en el editor
+ * La superficie bajo un punto es la más alta entre el terreno (heightmap) y las mallas
+ * de los demás objetos (raycast hacia abajo), con su normal para alinear el objeto
+ */
+
+import * as THREE from 'three';
+import { getTerrainHeightAtWorldPosition, getTerrainNormalAtWorldPosition } from './heightmapUtils';
+
+// Altura desde la que se lanza el rayo hacia abajo
+const RAY_ORIGIN_HEIGHT = 10000;
+const UP = new THREE.Vector3(0, 1, 0);
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+// Objetos temporales reutilizados (la colocación se calcula en cada frame del arrastre)
+const raycaster = new THREE.Raycaster();
+const rayOrigin = new THREE.Vector3();
+const alignQuaternion = new THREE.Quaternion();
+const yawQuaternion = new THREE.Quaternion();
+const tempNormal = new THREE.Vector3();
+const tempEuler = new THREE.Euler();
+
+/**
+ * Busca la superficie bajo un punto
+ * Solo se tienen en cuenta las mallas sólidas: las de wireframe son ayudas del editor
+ * (resaltado de selección, colliders, cámaras)
+ * @param {THREE.Object3D} scene - Escena del editor (para leer el terreno actual)
+ * @param {Array<THREE.Object3D>} targets - Objetos sobre los que se puede colocar (sin el que se coloca)
+ * @param {number} x - Coordenada X del mundo
+ * @param {number} z - Coordenada Z del mundo
+ * @returns {{height: number, normal: Array<number>}} Altura de la superficie y su normal unitaria
+ */
+export function findSurfaceBelow(scene, targets, x, z) {
+  // El terreno guarda su heightmap actual en userData (ver TerrainGenerator)
+  const terrain = scene.getObjectByName('terrain');
+  const { heightmap = null, segments = 0, size = 0 } = terrain?.userData || {};
+  let surface = {
+    height: getTerrainHeightAtWorldPosition(heightmap, segments, size, x, z),
+    normal: getTerrainNormalAtWorldPosition(heightmap, segments, size, x, z),
+  };
+
+  if (targets.length === 0) {
+    return surface;
+  }
+
+  raycaster.set(rayOrigin.set(x, RAY_ORIGIN_HEIGHT, z), DOWN);
+  const hit = raycaster
+    .intersectObjects(targets, true)
+    .find((intersection) => intersection.object.isMesh && !intersection.object.material?.wireframe);
+
+  if (hit && hit.point.y > surface.height) {
+    tempNormal.copy(hit.face?.normal || UP).transformDirection(hit.object.matrixWorld);
+    // Una cara vista por detrás (malla de doble cara) apunta hacia abajo
+    if (tempNormal.y < 0) tempNormal.negate();
+    surface = { height: hit.point.y, normal: tempNormal.toArray() };
+  }
+
+  return surface;
+}
+
+/**
+ * Orientación de un objeto alineado a una superficie
+ * El eje Y del objeto apunta en la dirección de la normal y conserva su giro horizontal
+ * @param {Array<number>} normal - Normal unitaria de la superficie [x, y, z]
+ * @param {number} yaw - Giro alrededor del eje Y en radianes
+ * @param {THREE.Quaternion} target - Quaternion donde se escribe el resultado
+ * @returns {THREE.Quaternion} target
+ */
+export function getSurfaceAlignedQuaternion(normal, yaw, target = new THREE.Quaternion()) {
+  alignQuaternion.setFromUnitVectors(UP, tempNormal.fromArray(normal));
+  yawQuaternion.setFromAxisAngle(UP, yaw);
+  return target.multiplyQuaternions(alignQuaternion, yawQuaternion);
+}
+
+/**
+ * Giro horizontal (alrededor del eje Y) de una orientación
+ * @param {THREE.Quaternion} quaternion - Orientación
+ * @returns {number} Giro en radianes
+ */
+export function getYawFromQuaternion(quaternion) {
+  return tempEuler.setFromQuaternion(quaternion, 'YXZ').y;
+}
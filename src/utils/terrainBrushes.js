@@ -0,0 +1,262 @@
+/**
+ * Pinceles de esculpido del terreno
+ * Cada pincelada modifica las muestras dentro del pincel según el modo, con una forma (círculo,
+ * cuadrado, rombo) y una curva de caída desde el centro. La intensidad se puede modular con la
+ * presión del lápiz (curvas de presión). La rampa no es un trazo: une dos puntos (ver applyRamp)
+ */
+
+import { SimplexNoise } from './noise/SimplexNoise.js';
+import { getTerrainHeightAtWorldPosition } from './heightmapUtils';
+
+export const TERRAIN_BRUSH_CONFIG = {
+  RATE: 0.2, // Fracción del camino hacia la altura objetivo por pincelada y unidad de intensidad
+  NOISE_SEED: 1337, // Semilla fija: repasar una zona refuerza el mismo relieve
+  DEFAULT_NOISE_SCALE: 0.15, // Frecuencia del pincel de ruido (ciclos por metro)
+  DEFAULT_TERRACE_HEIGHT: 2, // Metros entre escalones
+  ERODE_TALUS: 0.6, // Pendiente (alto / ancho) a partir de la cual el pincel de erosión mueve material
+  MIN_TARGET_HEIGHT: -20, // Rango de la altura objetivo de 'setHeight'
+  MAX_TARGET_HEIGHT: 40,
+};
+
+/**
+ * Modos de esculpido
+ */
+export const SCULPT_BRUSH_MODES = [
+  { id: 'raise', name: 'Elevar' },
+  { id: 'lower', name: 'Bajar' },
+  { id: 'smooth', name: 'Suavizar' },
+  { id: 'flatten', name: 'Aplanar' },
+  { id: 'setHeight', name: 'Fijar altura' },
+  { id: 'noise', name: 'Ruido' },
+  { id: 'terrace', name: 'Terrazas' },
+  { id: 'ramp', name: 'Rampa' },
+  { id: 'pinch', name: 'Afilar' },
+  { id: 'erode', name: 'Erosionar' },
+  { id: 'clone', name: 'Clonar' },
+];
+
+/**
+ * Curvas de caída: influencia (0 a 1) según la distancia normalizada al centro (0 a 1)
+ */
+export const BRUSH_FALLOFFS = [
+  { id: 'smooth', name: 'Suave', curve: (d) => 1 - d * d },
+  { id: 'linear', name: 'Lineal', curve: (d) => 1 - d },
+  { id: 'sphere', name: 'Esférica', curve: (d) => Math.sqrt(1 - d * d) },
+  { id: 'sharp', name: 'Aguda', curve: (d) => (1 - d) * (1 - d) },
+  { id: 'constant', name: 'Constante', curve: () => 1 },
+];
+
+/**
+ * Formas del pincel: distancia normalizada según el desplazamiento normalizado al centro
+ */
+export const BRUSH_SHAPES = [
+  { id: 'circle', name: 'Círculo', distance: (u, v) => Math.sqrt(u * u + v * v) },
+  { id: 'square', name: 'Cuadrado', distance: (u, v) => Math.max(Math.abs(u), Math.abs(v)) },
+  { id: 'diamond', name: 'Rombo', distance: (u, v) => Math.abs(u) + Math.abs(v) },
+];
+
+/**
+ * Curvas de presión: multiplicador de la intensidad según la presión del lápiz (0 a 1)
+ * Con ratón la presión es siempre 1
+ */
+export const BRUSH_PRESSURE_CURVES = [
+  { id: 'none', name: 'Sin presión', curve: () => 1 },
+  { id: 'linear', name: 'Lineal', curve: (p) => p },
+  { id: 'soft', name: 'Suave', curve: (p) => p * p },
+  { id: 'firm', name: 'Firme', curve: (p) => Math.sqrt(p) },
+];
+
+const findById = (list, id) => list.find((entry) => entry.id === id) || list[0];
+
+let brushNoise = null;
+
+/**
+ * Multiplicador de intensidad para una presión del lápiz
+ * @param {string} curveId - ID de la curva (ver BRUSH_PRESSURE_CURVES)
+ * @param {number} pressure - Presión (0 a 1)
+ * @returns {number} Multiplicador (0 a 1)
+ */
+export function getBrushPressure(curveId, pressure) {
+  return findById(BRUSH_PRESSURE_CURVES, curveId).curve(Math.min(1, Math.max(0, pressure)));
+}
+
+// Media de los cuatro vecinos de una muestra (los bordes repiten la muestra)
+function getNeighborAverage(heightmap, segments, x, z) {
+  const row = z * segments;
+  const left = x > 0 ? heightmap[row + x - 1] : heightmap[row + x];
+  const right = x < segments - 1 ? heightmap[row + x + 1] : heightmap[row + x];
+  const up = z > 0 ? heightmap[row - segments + x] : heightmap[row + x];
+  const down = z < segments - 1 ? heightmap[row + segments + x] : heightmap[row + x];
+  return (left + right + up + down) / 4;
+}
+
+/**
+ * Aplica una pincelada de esculpido
+ * @param {Float32Array} heightmap - Heightmap original
+ * @param {number} segments - Muestras por lado del terreno
+ * @param {number} terrainSize - Tamaño del terreno en unidades del mundo
+ * @param {Object} options
+ * @param {number} options.x - Centro X en el mundo
+ * @param {number} options.z - Centro Z en el mundo
+ * @param {number} options.radius - Radio del pincel en unidades del mundo
+ * @param {string} options.mode - Modo (ver SCULPT_BRUSH_MODES, salvo 'ramp')
+ * @param {number} options.strength - Intensidad (metros en el centro para elevar, bajar y ruido)
+ * @param {string} options.falloff - Curva de caída (ver BRUSH_FALLOFFS)
+ * @param {string} options.shape - Forma (ver BRUSH_SHAPES)
+ * @param {number} options.targetHeight - Altura objetivo de 'flatten' y 'setHeight'
+ * @param {number} options.noiseScale - Frecuencia del modo 'noise'
+ * @param {number} options.terraceHeight - Altura de los escalones del modo 'terrace'
+ * @param {Object} options.cloneOffset - Desplazamiento { x, z } del origen del modo 'clone'
+ * @returns {Float32Array} Heightmap modificado
+ */
+export function sculptHeightmap(heightmap, segments, terrainSize, {
+  x,
+  z,
+  radius,
+  mode,
+  strength = 1,
+  falloff = 'smooth',
+  shape = 'circle',
+  targetHeight = 0,
+  noiseScale = TERRAIN_BRUSH_CONFIG.DEFAULT_NOISE_SCALE,
+  terraceHeight = TERRAIN_BRUSH_CONFIG.DEFAULT_TERRACE_HEIGHT,
+  cloneOffset = null,
+}) {
+  const modified = new Float32Array(heightmap);
+  const halfSize = terrainSize / 2;
+  const cellSize = terrainSize / (segments - 1);
+  const falloffCurve = findById(BRUSH_FALLOFFS, falloff).curve;
+  const shapeDistance = findById(BRUSH_SHAPES, shape).distance;
+  const talus = TERRAIN_BRUSH_CONFIG.ERODE_TALUS * cellSize;
+  if (mode === 'noise' && !brushNoise) {
+    brushNoise = new SimplexNoise(TERRAIN_BRUSH_CONFIG.NOISE_SEED);
+  }
+  if (mode === 'clone' && !cloneOffset) {
+    return modified;
+  }
+
+  const minX = Math.max(0, Math.floor((x - radius + halfSize) / cellSize));
+  const maxX = Math.min(segments - 1, Math.ceil((x + radius + halfSize) / cellSize));
+  const minZ = Math.max(0, Math.floor((z - radius + halfSize) / cellSize));
+  const maxZ = Math.min(segments - 1, Math.ceil((z + radius + halfSize) / cellSize));
+
+  for (let sz = minZ; sz <= maxZ; sz++) {
+    for (let sx = minX; sx <= maxX; sx++) {
+      const worldX = sx * cellSize - halfSize;
+      const worldZ = sz * cellSize - halfSize;
+      const distance = shapeDistance((worldX - x) / radius, (worldZ - z) / radius);
+      if (distance > 1) continue;
+
+      const influence = falloffCurve(distance);
+      const rate = Math.min(1, TERRAIN_BRUSH_CONFIG.RATE * strength * influence);
+      const index = sz * segments + sx;
+      const current = heightmap[index];
+
+      switch (mode) {
+        case 'raise':
+          modified[index] += strength * influence;
+          break;
+        case 'lower':
+          modified[index] -= strength * influence;
+          break;
+        case 'noise':
+          modified[index] += brushNoise.noise2D(worldX * noiseScale, worldZ * noiseScale) * strength * influence;
+          break;
+        case 'smooth':
+          modified[index] += (getNeighborAverage(heightmap, segments, sx, sz) - current) * rate;
+          break;
+        case 'pinch':
+          // Lo contrario de suavizar: acentúa crestas y surcos
+          modified[index] += (current - getNeighborAverage(heightmap, segments, sx, sz)) * rate;
+          break;
+        case 'flatten':
+        case 'setHeight':
+          modified[index] += (targetHeight - current) * rate;
+          break;
+        case 'terrace':
+          modified[index] += (Math.round(current / terraceHeight) * terraceHeight - current) * rate;
+          break;
+        case 'clone': {
+          const source = getTerrainHeightAtWorldPosition(
+            heightmap, segments, terrainSize, worldX + cloneOffset.x, worldZ + cloneOffset.z
+          );
+          modified[index] += (source - current) * rate;
+          break;
+        }
+        case 'erode': {
+          // Erosión térmica local: la muestra cede material a su vecino más bajo si la pendiente supera el talud
+          let lowest = -1;
+          let lowestHeight = current;
+          for (const [nx, nz] of [[sx - 1, sz], [sx + 1, sz], [sx, sz - 1], [sx, sz + 1]]) {
+            if (nx < 0 || nz < 0 || nx >= segments || nz >= segments) continue;
+            const neighbor = nz * segments + nx;
+            if (heightmap[neighbor] < lowestHeight) {
+              lowest = neighbor;
+              lowestHeight = heightmap[neighbor];
+            }
+          }
+          const excess = current - lowestHeight - talus;
+          if (lowest !== -1 && excess > 0) {
+            const moved = (excess / 2) * rate;
+            modified[index] -= moved;
+            modified[lowest] += moved;
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  return modified;
+}
+
+/**
+ * Crea una rampa entre dos puntos del terreno
+ * La altura va de la del inicio a la del final a lo largo del segmento; el ancho es el radio del pincel
+ * @param {Float32Array} heightmap - Heightmap original
+ * @param {number} segments - Muestras por lado del terreno
+ * @param {number} terrainSize - Tamaño del terreno en unidades del mundo
+ * @param {Object} start - Inicio { x, z, height }
+ * @param {Object} end - Final { x, z, height }
+ * @param {Object} options
+ * @param {number} options.radius - Mitad del ancho de la rampa
+ * @param {string} options.falloff - Curva de caída hacia los lados (ver BRUSH_FALLOFFS)
+ * @param {number} options.strength - Intensidad (1 o más ajusta del todo la rampa en el centro)
+ * @returns {Float32Array} Heightmap modificado
+ */
+export function applyRamp(heightmap, segments, terrainSize, start, end, { radius, falloff = 'smooth', strength = 1 }) {
+  const modified = new Float32Array(heightmap);
+  const halfSize = terrainSize / 2;
+  const cellSize = terrainSize / (segments - 1);
+  const falloffCurve = findById(BRUSH_FALLOFFS, falloff).curve;
+  const dirX = end.x - start.x;
+  const dirZ = end.z - start.z;
+  const lengthSq = dirX * dirX + dirZ * dirZ;
+  const blend = Math.min(1, strength);
+
+  const minX = Math.max(0, Math.floor((Math.min(start.x, end.x) - radius + halfSize) / cellSize));
+  const maxX = Math.min(segments - 1, Math.ceil((Math.max(start.x, end.x) + radius + halfSize) / cellSize));
+  const minZ = Math.max(0, Math.floor((Math.min(start.z, end.z) - radius + halfSize) / cellSize));
+  const maxZ = Math.min(segments - 1, Math.ceil((Math.max(start.z, end.z) + radius + halfSize) / cellSize));
+
+  for (let sz = minZ; sz <= maxZ; sz++) {
+    for (let sx = minX; sx <= maxX; sx++) {
+      const worldX = sx * cellSize - halfSize;
+      const worldZ = sz * cellSize - halfSize;
+      // Punto más cercano del segmento (los extremos quedan redondeados)
+      const t = lengthSq > 0
+        ? Math.min(1, Math.max(0, ((worldX - start.x) * dirX + (worldZ - start.z) * dirZ) / lengthSq))
+        : 0;
+      const distance = Math.hypot(worldX - (start.x + dirX * t), worldZ - (start.z + dirZ * t)) / radius;
+      if (distance > 1) continue;
+
+      const index = sz * segments + sx;
+      const target = start.height + (end.height - start.height) * t;
+      modified[index] += (target - heightmap[index]) * blend * falloffCurve(distance);
+    }
+  }
+
+  return modified;
+}
@@ -0,0 +1,151 @@
+/**
+ * Utilidades para terrenos divididos en chunks
+ * El terreno sigue siendo un único heightmap de (chunks * chunkResolution + 1) muestras por lado.
+ * Cada chunk es un tramo de ese heightmap que comparte su fila y su columna de borde con los
+ * vecinos, así los bordes encajan sin costuras y los pinceles cruzan de un chunk a otro
+ */
+
+import { TERRAIN_CONFIG } from '../constants/gameConstants';
+import { getTerrainHeightAtWorldPosition } from './heightmapUtils';
+
+/**
+ * Dimensiones del heightmap y del mundo para una distribución de chunks
+ * @param {Object} layout - Distribución { chunks, chunkResolution, chunkSize }
+ * @returns {{segments: number, size: number}} Muestras por lado y tamaño del terreno en unidades del mundo
+ */
+export function getTerrainDimensions(layout = TERRAIN_CONFIG.DEFAULT_LAYOUT) {
+  return {
+    segments: layout.chunks * layout.chunkResolution + 1,
+    size: layout.chunks * layout.chunkSize,
+  };
+}
+
+/**
+ * Distribución de chunks de un terreno guardado en un nivel
+ * Los niveles sin campo chunks tienen un único chunk con todo el heightmap
+ * @param {Object|null} terrain - Datos del terreno del nivel (encodeTerrainData)
+ * @returns {Object} Distribución { chunks, chunkResolution, chunkSize }
+ */
+export function getTerrainLayout(terrain) {
+  if (!terrain) {
+    return TERRAIN_CONFIG.DEFAULT_LAYOUT;
+  }
+  const chunks = terrain.chunks || 1;
+  return {
+    chunks,
+    chunkResolution: (terrain.width - 1) / chunks,
+    chunkSize: terrain.size / chunks,
+  };
+}
+
+/**
+ * Adapta un heightmap a otra distribución de chunks
+ * Las alturas se conservan en coordenadas de mundo (los objetos siguen sobre el mismo relieve);
+ * fuera del terreno anterior se prolonga su borde
+ * @param {Float32Array|null} heightmap - Heightmap actual
+ * @param {Object} fromLayout - Distribución actual
+ * @param {Object} toLayout - Nueva distribución
+ * @returns {Float32Array|null} Heightmap de la nueva distribución (null si no hay heightmap)
+ */
+export function resizeTerrainHeightmap(heightmap, fromLayout, toLayout) {
+  if (!heightmap) {
+    return null;
+  }
+  const from = getTerrainDimensions(fromLayout);
+  const to = getTerrainDimensions(toLayout);
+  if (from.segments === to.segments && from.size === to.size) {
+    return heightmap;
+  }
+
+  const resized = new Float32Array(to.segments * to.segments);
+  const cellSize = to.size / (to.segments - 1);
+  for (let z = 0; z < to.segments; z++) {
+    for (let x = 0; x < to.segments; x++) {
+      resized[z * to.segments + x] = getTerrainHeightAtWorldPosition(
+        heightmap,
+        from.segments,
+        from.size,
+        -to.size / 2 + x * cellSize,
+        -to.size / 2 + z * cellSize
+      );
+    }
+  }
+  return resized;
+}
+
+/**
+ * Chunks de un terreno
+ * @param {Object} layout - Distribución { chunks, chunkResolution, chunkSize }
+ * @returns {Array<Object>} Chunks { key, x0, x1, z0, z1, minX, maxX, minZ, maxZ }: índices de vértice
+ *   del heightmap (bordes incluidos) y límites en coordenadas de mundo
+ */
+export function getTerrainChunks(layout) {
+  const { size } = getTerrainDimensions(layout);
+  const { chunks, chunkResolution, chunkSize } = layout;
+  const halfSize = size / 2;
+  const result = [];
+
+  for (let cz = 0; cz < chunks; cz++) {
+    for (let cx = 0; cx < chunks; cx++) {
+      result.push({
+        key: `${cx},${cz}`,
+        x0: cx * chunkResolution,
+        x1: (cx + 1) * chunkResolution,
+        z0: cz * chunkResolution,
+        z1: (cz + 1) * chunkResolution,
+        minX: -halfSize + cx * chunkSize,
+        maxX: -halfSize + (cx + 1) * chunkSize,
+        minZ: -halfSize + cz * chunkSize,
+        maxZ: -halfSize + (cz + 1) * chunkSize,
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Chunks a menos de una distancia de un punto (en el plano XZ, hasta el borde del chunk)
+ * @param {Array} chunks - Chunks (ver getTerrainChunks)
+ * @param {number} x - Coordenada X del mundo
+ * @param {number} z - Coordenada Z del mundo
+ * @param {number} radius - Distancia máxima
+ * @returns {Array} Chunks cercanos
+ */
+export function getChunksNearPosition(chunks, x, z, radius) {
+  return chunks.filter((chunk) => {
+    const dx = Math.max(chunk.minX - x, 0, x - chunk.maxX);
+    const dz = Math.max(chunk.minZ - z, 0, z - chunk.maxZ);
+    return dx * dx + dz * dz <= radius * radius;
+  });
+}
+
+/**
+ * Indica si dos heightmaps coinciden en la zona de un chunk
+ * Se compara una muestra más alrededor del chunk: las normales del borde dependen de los vecinos
+ * @param {Float32Array|null} previous - Heightmap anterior
+ * @param {Float32Array|null} next - Heightmap nuevo
+ * @param {number} segments - Muestras por lado del heightmap
+ * @param {Object} chunk - Chunk (ver getTerrainChunks)
+ * @returns {boolean} True si el chunk no cambia
+ */
+export function isTerrainChunkUnchanged(previous, next, segments, chunk) {
+  if (previous === next) {
+    return true;
+  }
+  if (!previous || !next || previous.length !== next.length) {
+    return false;
+  }
+
+  const x0 = Math.max(0, chunk.x0 - 1);
+  const x1 = Math.min(segments - 1, chunk.x1 + 1);
+  const z0 = Math.max(0, chunk.z0 - 1);
+  const z1 = Math.min(segments - 1, chunk.z1 + 1);
+  for (let z = z0; z <= z1; z++) {
+    for (let x = x0; x <= x1; x++) {
+      if (previous[z * segments + x] !== next[z * segments + x]) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
@@ -0,0 +1,362 @@
+/**
+ * Utilidades para el material del terreno por capas (hierba, tierra, roca, arena...)
+ * El splat map es un Uint8Array con 4 pesos (RGBA, uno por capa de TERRAIN_MATERIAL_CONFIG.LAYERS)
+ * por cada muestra del heightmap, en el mismo orden (índice z * segments + x). Los pesos de una
+ * muestra suman 255; el material mezcla las texturas de las capas según esos pesos
+ */
+
+import * as THREE from 'three';
+import { TERRAIN_MATERIAL_CONFIG, RAD_TO_DEG } from '../constants/gameConstants';
+import { getTerrainNormalAtWorldPosition, bytesToBase64, base64ToBytes } from './heightmapUtils';
+import { getTerrainDimensions } from './terrainChunks';
+
+const CHANNELS = 4;
+const noiseTextures = new Map();
+
+/**
+ * Índice de una capa del material del terreno
+ * @param {string} layerId - ID de la capa (ver TERRAIN_MATERIAL_CONFIG.LAYERS)
+ * @returns {number} Índice (canal del splat map) o -1 si no existe
+ */
+export function getTerrainLayerIndex(layerId) {
+  return TERRAIN_MATERIAL_CONFIG.LAYERS.findIndex((layer) => layer.id === layerId);
+}
+
+/**
+ * Crea un splat map con todo el terreno cubierto por una capa
+ * @param {number} segments - Muestras por lado del heightmap
+ * @param {number} layerIndex - Capa que lo cubre (por defecto la base)
+ * @returns {Uint8Array} Splat map
+ */
+export function createSplatMap(segments, layerIndex = 0) {
+  const splat = new Uint8Array(segments * segments * CHANNELS);
+  for (let i = 0; i < segments * segments; i++) {
+    splat[i * CHANNELS + layerIndex] = 255;
+  }
+  return splat;
+}
+
+/**
+ * Pinta una capa dentro de un pincel circular
+ * Cada muestra se acerca a la capa elegida según la intensidad y la caída del pincel
+ * (cuadrática, igual que modifyHeightmap), así los pesos siguen sumando 255
+ * @param {Uint8Array} splat - Splat map actual
+ * @param {number} segments - Muestras por lado
+ * @param {number} terrainSize - Tamaño del terreno en unidades del mundo
+ * @param {number} centerX - Coordenada X del centro del pincel
+ * @param {number} centerZ - Coordenada Z del centro del pincel
+ * @param {number} radius - Radio del pincel
+ * @param {number} layerIndex - Capa que se pinta
+ * @param {number} intensity - Intensidad del pincel (ver TERRAIN_MATERIAL_CONFIG.PAINT_RATE)
+ * @returns {Uint8Array} Nuevo splat map
+ */
+export function paintSplatMap(splat, segments, terrainSize, centerX, centerZ, radius, layerIndex, intensity) {
+  const painted = new Uint8Array(splat);
+  const halfSize = terrainSize / 2;
+  const cellSize = terrainSize / (segments - 1);
+  const minX = Math.max(0, Math.floor((centerX - radius + halfSize) / cellSize));
+  const maxX = Math.min(segments - 1, Math.ceil((centerX + radius + halfSize) / cellSize));
+  const minZ = Math.max(0, Math.floor((centerZ - radius + halfSize) / cellSize));
+  const maxZ = Math.min(segments - 1, Math.ceil((centerZ + radius + halfSize) / cellSize));
+
+  for (let z = minZ; z <= maxZ; z++) {
+    for (let x = minX; x <= maxX; x++) {
+      const dx = -halfSize + x * cellSize - centerX;
+      const dz = -halfSize + z * cellSize - centerZ;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance > radius) continue;
+
+      const falloff = 1 - (distance / radius) * (distance / radius);
+      const amount = Math.min(1, intensity * TERRAIN_MATERIAL_CONFIG.PAINT_RATE * falloff);
+      const offset = (z * segments + x) * CHANNELS;
+      for (let channel = 0; channel < CHANNELS; channel++) {
+        const target = channel === layerIndex ? 255 : 0;
+        painted[offset + channel] = Math.round(splat[offset + channel] * (1 - amount) + target * amount);
+      }
+    }
+  }
+  return painted;
+}
+
+/**
+ * Cobertura suave de un valor dentro de un rango (1 dentro, 0 fuera, con transición en los bordes)
+ */
+function getRangeCoverage(value, min, max, blend) {
+  const low = blend > 0 ? THREE.MathUtils.smoothstep(value, min - blend, min) : Number(value >= min);
+  const high = blend > 0 ? 1 - THREE.MathUtils.smoothstep(value, max, max + blend) : Number(value <= max);
+  return low * high;
+}
+
+/**
+ * Texturiza el terreno automáticamente según su altura y pendiente
+ * Se parte de la capa base y cada regla cubre con su capa las muestras dentro de sus rangos;
+ * las reglas posteriores se pintan encima de las anteriores
+ * @param {Float32Array|null} heightmap - Heightmap del terreno
+ * @param {number} segments - Muestras por lado
+ * @param {number} terrainSize - Tamaño del terreno en unidades del mundo
+ * @param {Array} rules - Reglas [{ layer, minHeight, maxHeight, minSlope, maxSlope }] (ver DEFAULT_AUTO_RULES)
+ * @returns {Uint8Array} Splat map
+ */
+export function getAutoSplatMap(heightmap, segments, terrainSize, rules = TERRAIN_MATERIAL_CONFIG.DEFAULT_AUTO_RULES) {
+  const splat = new Uint8Array(segments * segments * CHANNELS);
+  const halfSize = terrainSize / 2;
+  const cellSize = terrainSize / (segments - 1);
+  const layerRules = rules
+    .map((rule) => ({ ...rule, index: getTerrainLayerIndex(rule.layer) }))
+    .filter((rule) => rule.index !== -1);
+  const weights = new Float32Array(CHANNELS);
+
+  for (let z = 0; z < segments; z++) {
+    for (let x = 0; x < segments; x++) {
+      const i = z * segments + x;
+      const height = heightmap?.[i] || 0;
+      const normal = getTerrainNormalAtWorldPosition(heightmap, segments, terrainSize, -halfSize + x * cellSize, -halfSize + z * cellSize);
+      const slope = Math.acos(Math.min(1, normal[1])) * RAD_TO_DEG;
+
+      weights.fill(0);
+      weights[0] = 1;
+      layerRules.forEach((rule) => {
+        const coverage =
+          getRangeCoverage(height, rule.minHeight, rule.maxHeight, TERRAIN_MATERIAL_CONFIG.AUTO_BLEND_HEIGHT) *
+          getRangeCoverage(slope, rule.minSlope, rule.maxSlope, TERRAIN_MATERIAL_CONFIG.AUTO_BLEND_SLOPE);
+        if (coverage === 0) return;
+        for (let channel = 0; channel < CHANNELS; channel++) {
+          weights[channel] = weights[channel] * (1 - coverage) + (channel === rule.index ? coverage : 0);
+        }
+      });
+
+      for (let channel = 0; channel < CHANNELS; channel++) {
+        splat[i * CHANNELS + channel] = Math.round(weights[channel] * 255);
+      }
+    }
+  }
+  return splat;
+}
+
+/**
+ * Adapta un splat map a otra distribución de chunks (muestra más cercana en coordenadas de mundo,
+ * igual que resizeTerrainHeightmap)
+ * @param {Uint8Array|null} splat - Splat map actual
+ * @param {Object} fromLayout - Distribución actual
+ * @param {Object} toLayout - Nueva distribución
+ * @returns {Uint8Array|null} Splat map de la nueva distribución (null si no hay splat map)
+ */
+export function resizeSplatMap(splat, fromLayout, toLayout) {
+  if (!splat) {
+    return null;
+  }
+  const from = getTerrainDimensions(fromLayout);
+  const to = getTerrainDimensions(toLayout);
+  if (from.segments === to.segments && from.size === to.size) {
+    return splat;
+  }
+
+  const resized = new Uint8Array(to.segments * to.segments * CHANNELS);
+  const toCell = to.size / (to.segments - 1);
+  const fromCell = from.size / (from.segments - 1);
+  const toSource = (index) => Math.min(
+    from.segments - 1,
+    Math.max(0, Math.round((-to.size / 2 + index * toCell + from.size / 2) / fromCell))
+  );
+  for (let z = 0; z < to.segments; z++) {
+    const sourceZ = toSource(z);
+    for (let x = 0; x < to.segments; x++) {
+      const source = (sourceZ * from.segments + toSource(x)) * CHANNELS;
+      resized.set(splat.subarray(source, source + CHANNELS), (z * to.segments + x) * CHANNELS);
+    }
+  }
+  return resized;
+}
+
+/**
+ * Codifica el splat map para guardarlo en el archivo del nivel
+ * Guarda los IDs de las capas, así el nivel sigue siendo válido si cambia su orden
+ * @param {Uint8Array} splat - Splat map
+ * @param {number} segments - Muestras por lado
+ * @returns {Object} Splat map del nivel { width, height, layers, data }
+ */
+export function encodeSplatMap(splat, segments) {
+  return {
+    width: segments,
+    height: segments,
+    layers: TERRAIN_MATERIAL_CONFIG.LAYERS.map((layer) => layer.id),
+    data: bytesToBase64(splat),
+  };
+}
+
+/**
+ * Obtiene los problemas del splat map de un nivel
+ * @param {Object} splat - Splat map del nivel (encodeSplatMap)
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+export function getSplatDataErrors(splat) {
+  if (!splat || typeof splat !== 'object') {
+    return ['El splat map del terreno debe ser un objeto'];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(splat.width) || splat.width < 2 || !Number.isInteger(splat.height) || splat.height < 2) {
+    errors.push(`El splat map del terreno tiene dimensiones inválidas: ${splat.width}x${splat.height}`);
+  }
+  if (!Array.isArray(splat.layers) || splat.layers.length !== CHANNELS || splat.layers.some((id) => typeof id !== 'string')) {
+    errors.push(`El splat map del terreno debe nombrar ${CHANNELS} capas`);
+  }
+  if (typeof splat.data !== 'string') {
+    errors.push('El splat map del terreno no tiene datos');
+  }
+
+  if (errors.length === 0) {
+    try {
+      const expected = splat.width * splat.height * CHANNELS;
+      const length = base64ToBytes(splat.data).length;
+      if (length !== expected) {
+        errors.push(`El splat map del terreno tiene ${length} bytes pero se esperaban ${expected}`);
+      }
+    } catch {
+      errors.push('Los datos del splat map del terreno no son base64 válido');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Decodifica el splat map de un nivel a la resolución del terreno
+ * Los canales se reordenan según las capas actuales; el peso de capas desconocidas pasa a la base
+ * @param {Object|undefined} splat - Splat map del nivel (encodeSplatMap)
+ * @param {number} segments - Muestras por lado del terreno
+ * @returns {Uint8Array|null} Splat map o null si el nivel no tiene
+ */
+export function decodeSplatMap(splat, segments) {
+  if (!splat) {
+    return null;
+  }
+  const errors = getSplatDataErrors(splat);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const bytes = base64ToBytes(splat.data);
+  const channels = splat.layers.map((id) => Math.max(0, getTerrainLayerIndex(id)));
+  const decoded = new Uint8Array(segments * segments * CHANNELS);
+  for (let z = 0; z < segments; z++) {
+    const sourceZ = Math.round((z / (segments - 1)) * (splat.height - 1));
+    for (let x = 0; x < segments; x++) {
+      const sourceX = Math.round((x / (segments - 1)) * (splat.width - 1));
+      const source = (sourceZ * splat.width + sourceX) * CHANNELS;
+      const target = (z * segments + x) * CHANNELS;
+      channels.forEach((channel, i) => {
+        decoded[target + channel] = Math.min(255, decoded[target + channel] + bytes[source + i]);
+      });
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Textura de ruido de un color (capas sin imagen propia)
+ * Se comparte entre terrenos: se crea una por color
+ * @param {string} color - Color base de la capa
+ * @returns {THREE.CanvasTexture} Textura repetible
+ */
+export function getNoiseTexture(color) {
+  if (noiseTextures.has(color)) {
+    return noiseTextures.get(color);
+  }
+
+  const size = 128;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  const base = new THREE.Color(color);
+  const image = context.createImageData(size, size);
+  for (let i = 0; i < size * size; i++) {
+    const shade = 0.8 + Math.random() * 0.4;
+    image.data[i * 4] = Math.min(255, base.r * shade * 255);
+    image.data[i * 4 + 1] = Math.min(255, base.g * shade * 255);
+    image.data[i * 4 + 2] = Math.min(255, base.b * shade * 255);
+    image.data[i * 4 + 3] = 255;
+  }
+  context.putImageData(image, 0, 0);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  noiseTextures.set(color, texture);
+  return texture;
+}
+
+/**
+ * Textura de datos con el splat map (se sube a la GPU con needsUpdate al pintar)
+ * @param {number} segments - Muestras por lado
+ * @returns {THREE.DataTexture} Textura RGBA de segments x segments (toda la capa base)
+ */
+export function createSplatTexture(segments) {
+  const texture = new THREE.DataTexture(createSplatMap(segments), segments, segments, THREE.RGBAFormat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Copia un splat map en su textura de datos
+ * @param {THREE.DataTexture} texture - Textura (ver createSplatTexture)
+ * @param {Uint8Array|null} splat - Splat map (null o de otro tamaño = toda la capa base)
+ */
+export function updateSplatTexture(texture, splat) {
+  const data = texture.image.data;
+  data.set(splat && splat.length === data.length ? splat : createSplatMap(texture.image.width));
+  texture.needsUpdate = true;
+}
+
+/**
+ * Crea el material del terreno que mezcla las capas según el splat map
+ * Es un MeshStandardMaterial (luces y sombras como el resto de la escena) cuyo color sale de
+ * las texturas de las capas. Usa las coordenadas de textura de createTerrainPatchGeometry
+ * (0 a 1 sobre todo el terreno)
+ * @param {Array<THREE.Texture>} layerTextures - Una textura por capa (4)
+ * @param {THREE.DataTexture} splatTexture - Splat map (ver createSplatTexture)
+ * @param {number} repeat - Repeticiones de las texturas de las capas a lo ancho del terreno
+ * @returns {THREE.MeshStandardMaterial} Material
+ */
+export function createTerrainMaterial(layerTextures, splatTexture, repeat) {
+  const material = new THREE.MeshStandardMaterial();
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.splatMap = { value: splatTexture };
+    shader.uniforms.splatSize = { value: splatTexture.image.width };
+    shader.uniforms.layerRepeat = { value: repeat };
+    layerTextures.forEach((texture, index) => {
+      shader.uniforms[`terrainLayer${index}`] = { value: texture };
+    });
+
+    shader.vertexShader = `varying vec2 vTerrainUv;\n${shader.vertexShader}`.replace(
+      '#include <uv_vertex>',
+      '#include <uv_vertex>\n\tvTerrainUv = uv;'
+    );
+    shader.fragmentShader = `
+      uniform sampler2D splatMap;
+      uniform float splatSize;
+      uniform float layerRepeat;
+      uniform sampler2D terrainLayer0;
+      uniform sampler2D terrainLayer1;
+      uniform sampler2D terrainLayer2;
+      uniform sampler2D terrainLayer3;
+      varying vec2 vTerrainUv;
+      ${shader.fragmentShader}`.replace(
+      '#include <map_fragment>',
+      `
+      // Fila z del splat map = 1 - v; centro de cada texel en la muestra del heightmap
+      vec2 splatUv = ( vec2( vTerrainUv.x, 1.0 - vTerrainUv.y ) * ( splatSize - 1.0 ) + 0.5 ) / splatSize;
+      vec4 splat = texture2D( splatMap, splatUv );
+      vec2 layerUv = vTerrainUv * layerRepeat;
+      vec4 layerColor = texture2D( terrainLayer0, layerUv ) * splat.r +
+        texture2D( terrainLayer1, layerUv ) * splat.g +
+        texture2D( terrainLayer2, layerUv ) * splat.b +
+        texture2D( terrainLayer3, layerUv ) * splat.a;
+      diffuseColor.rgb *= layerColor.rgb / max( splat.r + splat.g + splat.b + splat.a, 0.001 );
+      `
+    );
+  };
+  return material;
+}
@@ -0,0 +1,156 @@
+/**
+ * Sellos del terreno
+ * Un sello es un heightmap pequeño (predefinido o importado, ver readHeightmapFile) que el pincel
+ * 'stamp' coloca en el cursor con un tamaño, un giro, una altura y un modo de mezcla
+ */
+
+import { getHeightAt, getTerrainHeightAtWorldPosition } from './heightmapUtils';
+
+export const TERRAIN_STAMP_CONFIG = {
+  PRESET_RESOLUTION: 65, // Muestras por lado de los sellos predefinidos
+  EDGE_FADE: 0.1, // Fracción del sello que se funde con el terreno en los bordes
+  DEFAULT_HEIGHT: 8, // Metros del valor 1 del sello
+  MAX_HEIGHT: 40,
+  DEFAULT_BLEND: 'add',
+};
+
+/**
+ * Modos de mezcla del sello. Los de suma y resta parten del terreno de cada muestra;
+ * el resto, de la altura del terreno bajo el cursor (así una meseta queda plana en una ladera)
+ */
+export const STAMP_BLEND_MODES = [
+  { id: 'add', name: 'Sumar' },
+  { id: 'subtract', name: 'Restar' },
+  { id: 'max', name: 'Máximo' },
+  { id: 'min', name: 'Mínimo (excava)' },
+  { id: 'replace', name: 'Reemplazar' },
+];
+
+const smoothstep = (edge0, edge1, value) => {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * Sellos predefinidos: altura (-1 a 1) según la distancia al centro (0 a 1) y el ángulo
+ */
+export const TERRAIN_STAMP_PRESETS = {
+  crater: {
+    name: 'Cráter',
+    shape: (distance) => {
+      const rim = Math.exp(-(((distance - 0.65) / 0.15) ** 2));
+      const bowl = distance < 0.65 ? -0.6 * (1 - (distance / 0.65) ** 2) : 0;
+      return rim + bowl;
+    },
+  },
+  mountain: {
+    name: 'Montaña',
+    shape: (distance, angle) => {
+      const cone = (0.5 + 0.5 * Math.cos(Math.PI * Math.min(distance, 1))) ** 1.3;
+      // Crestas que bajan desde la cima
+      return cone * (1 + 0.12 * Math.sin(angle * 5) * distance);
+    },
+  },
+  mesa: {
+    name: 'Meseta',
+    shape: (distance) => 1 - smoothstep(0.55, 0.75, distance),
+  },
+};
+
+/**
+ * Crea un sello predefinido
+ * @param {string} presetId - ID del sello (ver TERRAIN_STAMP_PRESETS)
+ * @returns {Object} Sello { name, width, height, data }
+ */
+export function createStampPreset(presetId) {
+  const preset = TERRAIN_STAMP_PRESETS[presetId];
+  const resolution = TERRAIN_STAMP_CONFIG.PRESET_RESOLUTION;
+  const data = new Float32Array(resolution * resolution);
+  for (let z = 0; z < resolution; z++) {
+    for (let x = 0; x < resolution; x++) {
+      const u = (x / (resolution - 1)) * 2 - 1;
+      const v = (z / (resolution - 1)) * 2 - 1;
+      const distance = Math.sqrt(u * u + v * v);
+      data[z * resolution + x] = distance < 1 ? preset.shape(distance, Math.atan2(v, u)) : 0;
+    }
+  }
+  return { name: preset.name, width: resolution, height: resolution, data };
+}
+
+/**
+ * Aplica un sello al heightmap
+ * @param {Float32Array} heightmap - Heightmap original
+ * @param {number} segments - Muestras por lado del terreno
+ * @param {number} terrainSize - Tamaño del terreno en unidades del mundo
+ * @param {Object} stamp - Sello { width, height, data }
+ * @param {Object} options
+ * @param {number} options.x - Centro X en el mundo
+ * @param {number} options.z - Centro Z en el mundo
+ * @param {number} options.radius - Mitad del lado del sello en unidades del mundo
+ * @param {number} options.rotation - Giro en grados alrededor del eje Y
+ * @param {number} options.height - Altura (metros) del valor 1 del sello
+ * @param {string} options.blend - Modo de mezcla (ver STAMP_BLEND_MODES)
+ * @returns {Float32Array} Heightmap modificado
+ */
+export function applyStamp(heightmap, segments, terrainSize, stamp, {
+  x,
+  z,
+  radius,
+  rotation = 0,
+  height = TERRAIN_STAMP_CONFIG.DEFAULT_HEIGHT,
+  blend = TERRAIN_STAMP_CONFIG.DEFAULT_BLEND,
+}) {
+  const modified = new Float32Array(heightmap);
+  const halfSize = terrainSize / 2;
+  const cellSize = terrainSize / (segments - 1);
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const baseHeight = getTerrainHeightAtWorldPosition(heightmap, segments, terrainSize, x, z);
+
+  // El sello girado cabe en un círculo de radio * √2
+  const reach = radius * Math.SQRT2;
+  const minX = Math.max(0, Math.floor((x - reach + halfSize) / cellSize));
+  const maxX = Math.min(segments - 1, Math.ceil((x + reach + halfSize) / cellSize));
+  const minZ = Math.max(0, Math.floor((z - reach + halfSize) / cellSize));
+  const maxZ = Math.min(segments - 1, Math.ceil((z + reach + halfSize) / cellSize));
+
+  for (let sz = minZ; sz <= maxZ; sz++) {
+    for (let sx = minX; sx <= maxX; sx++) {
+      const dx = sx * cellSize - halfSize - x;
+      const dz = sz * cellSize - halfSize - z;
+      // Coordenadas dentro del sello (0 a 1)
+      const u = ((dx * cos + dz * sin) / radius + 1) / 2;
+      const v = ((-dx * sin + dz * cos) / radius + 1) / 2;
+      if (u < 0 || u > 1 || v < 0 || v > 1) continue;
+
+      const edge = Math.min(u, 1 - u, v, 1 - v);
+      const weight = smoothstep(0, TERRAIN_STAMP_CONFIG.EDGE_FADE, edge);
+      if (weight <= 0) continue;
+
+      const value = getHeightAt(stamp.data, stamp.width, stamp.height, u * (stamp.width - 1), v * (stamp.height - 1)) * height;
+      const index = sz * segments + sx;
+      const current = modified[index];
+      let target;
+      switch (blend) {
+        case 'subtract':
+          target = current - value;
+          break;
+        case 'max':
+          target = Math.max(current, baseHeight + value);
+          break;
+        case 'min':
+          target = Math.min(current, baseHeight - value);
+          break;
+        case 'replace':
+          target = baseHeight + value;
+          break;
+        default:
+          target = current + value;
+      }
+      modified[index] = current + (target - current) * weight;
+    }
+  }
+
+  return modified;
+}
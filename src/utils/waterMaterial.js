@@ -0,0 +1,160 @@
+/**
+ * Utilidades para la superficie del agua
+ * La geometría es la superficie de un objeto 'water' en coordenadas locales sin escalar (el grupo
+ * del objeto aplica la escala) y el material dibuja olas animadas que reflejan el cielo y el sol
+ */
+
+import * as THREE from 'three';
+import { WATER_CONFIG, SKY_CONFIG } from '../constants/gameConstants';
+
+// Olas en coordenadas de mundo: así varias masas de agua contiguas encajan sin costuras
+// La suma de sus amplitudes es 1; waveHeight escala el conjunto
+const WAVE_FUNCTIONS = `
+  uniform float time;
+  uniform float waveHeight;
+  uniform float waveSpeed;
+
+  void addWave( vec2 direction, float frequency, float speed, float amplitude, vec2 point, inout float height, inout vec2 slope ) {
+    float phase = dot( direction, point ) * frequency + time * waveSpeed * speed;
+    height += amplitude * sin( phase );
+    slope += amplitude * frequency * cos( phase ) * direction;
+  }
+
+  float getWaves( vec2 point, out vec2 slope ) {
+    float height = 0.0;
+    slope = vec2( 0.0 );
+    addWave( normalize( vec2( 1.0, 0.3 ) ), 0.35, 1.1, 0.4, point, height, slope );
+    addWave( normalize( vec2( -0.6, 1.0 ) ), 0.6, 1.5, 0.3, point, height, slope );
+    addWave( normalize( vec2( 0.2, -1.0 ) ), 1.3, 2.2, 0.2, point, height, slope );
+    addWave( normalize( vec2( -1.0, -0.4 ) ), 2.7, 3.1, 0.1, point, height, slope );
+    slope *= waveHeight;
+    return height * waveHeight;
+  }
+`;
+
+const VERTEX_SHADER = `
+  ${WAVE_FUNCTIONS}
+  varying vec3 vWorldPosition;
+  #include <fog_pars_vertex>
+
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
+    vec2 slope;
+    worldPosition.y += getWaves( worldPosition.xz, slope );
+    vWorldPosition = worldPosition.xyz;
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+    #include <fog_vertex>
+  }
+`;
+
+const FRAGMENT_SHADER = `
+  ${WAVE_FUNCTIONS}
+  uniform vec3 waterColor;
+  uniform vec3 deepColor;
+  uniform vec3 skyColor;
+  uniform vec3 horizonColor;
+  uniform vec3 sunDirection;
+  uniform float opacity;
+  uniform float reflectivity;
+  varying vec3 vWorldPosition;
+  #include <fog_pars_fragment>
+
+  void main() {
+    vec2 slope;
+    getWaves( vWorldPosition.xz, slope );
+    vec3 normal = normalize( vec3( -slope.x, 1.0, -slope.y ) );
+    vec3 viewDirection = normalize( cameraPosition - vWorldPosition );
+
+    vec3 color;
+    float alpha;
+    if ( cameraPosition.y < vWorldPosition.y ) {
+      // Vista desde debajo de la superficie: sin reflejo del cielo, solo el color del agua
+      color = mix( deepColor, waterColor, 0.5 );
+      alpha = opacity;
+    } else {
+      float facing = max( dot( normal, viewDirection ), 0.0 );
+      float fresnel = reflectivity * pow( 1.0 - facing, 3.0 );
+      vec3 reflected = reflect( -viewDirection, normal );
+      vec3 sky = mix( horizonColor, skyColor, clamp( reflected.y * 2.0, 0.0, 1.0 ) );
+      float specular = pow( max( dot( reflected, sunDirection ), 0.0 ), 120.0 ) * reflectivity;
+      color = mix( mix( deepColor, waterColor, facing ), sky, fresnel ) + vec3( specular );
+      alpha = mix( opacity, 1.0, fresnel );
+    }
+
+    gl_FragColor = vec4( color, alpha );
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+  }
+`;
+
+/**
+ * Crea la geometría de la superficie de una masa de agua (plano XZ con centro en el origen)
+ * El plano se subdivide para que las olas muevan sus vértices; el polígono se triangula
+ * a partir de sus puntos
+ * @param {string} shape - Forma ('plane' o 'polygon')
+ * @param {Array<Array<number>>} points - Contorno local [x, z] (solo para 'polygon')
+ * @returns {THREE.BufferGeometry} Geometría
+ */
+export function createWaterGeometry(shape, points) {
+  let geometry;
+  if (shape === 'polygon' && Array.isArray(points) && points.length >= WATER_CONFIG.MIN_POINTS) {
+    // La forma se dibuja en XY: girarla -90° en X lleva la Y de la forma a -Z
+    geometry = new THREE.ShapeGeometry(new THREE.Shape(points.map(([x, z]) => new THREE.Vector2(x, -z))));
+  } else {
+    geometry = new THREE.PlaneGeometry(1, 1, WATER_CONFIG.SURFACE_SEGMENTS, WATER_CONFIG.SURFACE_SEGMENTS);
+  }
+  geometry.rotateX(-Math.PI / 2);
+  return geometry;
+}
+
+/**
+ * Crea la geometría del volumen de una masa de agua (resaltado de selección en el editor)
+ * Va de la superficie (y = 0) a y = -1; la escala Y del objeto le da la profundidad
+ * @param {string} shape - Forma ('plane' o 'polygon')
+ * @param {Array<Array<number>>} points - Contorno local [x, z] (solo para 'polygon')
+ * @returns {THREE.BufferGeometry} Geometría
+ */
+export function createWaterVolumeGeometry(shape, points) {
+  if (shape !== 'polygon' || !Array.isArray(points) || points.length < WATER_CONFIG.MIN_POINTS) {
+    return new THREE.BoxGeometry(1, 1, 1).translate(0, -0.5, 0);
+  }
+  const outline = new THREE.Shape(points.map(([x, z]) => new THREE.Vector2(x, -z)));
+  // La extrusión crece en Z: girarla -90° en X la lleva a Y
+  return new THREE.ExtrudeGeometry(outline, { depth: 1, bevelEnabled: false })
+    .rotateX(-Math.PI / 2)
+    .translate(0, -1, 0);
+}
+
+/**
+ * Crea el material de la superficie del agua
+ * Es transparente, se ve por las dos caras y usa la niebla de la escena (la niebla bajo el agua
+ * también tiñe la superficie vista desde abajo). La animación avanza con el uniform time
+ * @param {Object} water - Objeto de agua (ver createNewWater)
+ * @returns {THREE.ShaderMaterial} Material
+ */
+export function createWaterMaterial(water) {
+  return new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.merge([
+      THREE.UniformsLib.fog,
+      {
+        time: { value: 0 },
+        waveHeight: { value: water.waveHeight ?? WATER_CONFIG.DEFAULT_WAVE_HEIGHT },
+        waveSpeed: { value: water.waveSpeed ?? WATER_CONFIG.DEFAULT_WAVE_SPEED },
+        waterColor: { value: new THREE.Color(water.color || WATER_CONFIG.DEFAULT_COLOR) },
+        deepColor: { value: new THREE.Color(water.deepColor || WATER_CONFIG.DEFAULT_DEEP_COLOR) },
+        skyColor: { value: new THREE.Color(WATER_CONFIG.SKY_COLOR) },
+        horizonColor: { value: new THREE.Color(WATER_CONFIG.HORIZON_COLOR) },
+        sunDirection: { value: new THREE.Vector3(...SKY_CONFIG.SUN_POSITION).normalize() },
+        opacity: { value: water.opacity ?? WATER_CONFIG.DEFAULT_OPACITY },
+        reflectivity: { value: water.reflectivity ?? WATER_CONFIG.DEFAULT_REFLECTIVITY },
+      },
+    ]),
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: FRAGMENT_SHADER,
+    transparent: true,
+    side: THREE.DoubleSide,
+    fog: true,
+  });
+}
@@ -0,0 +1,171 @@
+/**
+ * Utilidades para las masas de agua del nivel
+ * Un objeto 'water' es una superficie horizontal (rectángulo o polígono) a la altura de su posición
+ * con un volumen de agua debajo (la escala Y es la profundidad). Las zonas de agua son esas masas
+ * ya en coordenadas de mundo; sirven para el nado, la flotación y los efectos bajo el agua
+ */
+
+import { WATER_CONFIG, PHYSICS_CONFIG, DEG_TO_RAD } from '../constants/gameConstants';
+import { validateObject } from './objectUtils';
+
+// Contorno local de las masas de agua con forma de plano (se escala con el objeto)
+const PLANE_POINTS = [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]];
+
+/**
+ * Contorno de una masa de agua en coordenadas locales, ya escalado
+ * @param {Object} water - Objeto de agua (ver createNewWater)
+ * @returns {Array<Array<number>>} Puntos [x, z]
+ */
+export function getWaterOutline(water) {
+  const [scaleX, , scaleZ] = water.scale || WATER_CONFIG.DEFAULT_SCALE;
+  const points = water.shape === 'polygon' && Array.isArray(water.points) ? water.points : PLANE_POINTS;
+  return points.map(([x, z]) => [x * scaleX, z * scaleZ]);
+}
+
+/**
+ * Convierte las masas de agua del nivel en zonas de mundo
+ * Solo se tiene en cuenta el giro en Y (la superficie siempre es horizontal)
+ * @param {Array} objects - Objetos del nivel (transformaciones de mundo)
+ * @returns {Array<Object>} Zonas { id, surfaceY, bottomY, polygon, minX, maxX, minZ, maxZ, buoyancy, drag, fogColor, fogDensity }
+ */
+export function getWaterZones(objects) {
+  return (objects || [])
+    .filter((obj, index) => obj?.type === 'water' && validateObject(obj, index).valid)
+    .map((water) => {
+      const angle = (water.rotation?.[1] || 0) * DEG_TO_RAD;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const [x, y, z] = water.position;
+      // Mismo giro que un Object3D alrededor de Y
+      const polygon = getWaterOutline(water).map(([px, pz]) => [x + px * cos + pz * sin, z - px * sin + pz * cos]);
+      const xs = polygon.map((point) => point[0]);
+      const zs = polygon.map((point) => point[1]);
+
+      return {
+        id: water.id,
+        surfaceY: y,
+        bottomY: y - Math.abs(water.scale?.[1] ?? WATER_CONFIG.DEFAULT_SCALE[1]),
+        polygon,
+        minX: Math.min(...xs),
+        maxX: Math.max(...xs),
+        minZ: Math.min(...zs),
+        maxZ: Math.max(...zs),
+        buoyancy: water.buoyancy ?? WATER_CONFIG.DEFAULT_BUOYANCY,
+        drag: water.drag ?? WATER_CONFIG.DEFAULT_DRAG,
+        fogColor: water.fogColor || WATER_CONFIG.DEFAULT_FOG_COLOR,
+        fogDensity: water.fogDensity ?? WATER_CONFIG.DEFAULT_FOG_DENSITY,
+      };
+    });
+}
+
+/**
+ * Indica si un punto está dentro de un polígono (regla par-impar)
+ * @param {number} x - Coordenada X
+ * @param {number} z - Coordenada Z
+ * @param {Array<Array<number>>} polygon - Puntos [x, z]
+ * @returns {boolean} True si está dentro
+ */
+export function isPointInPolygon(x, z, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, zi] = polygon[i];
+    const [xj, zj] = polygon[j];
+    if ((zi > z) !== (zj > z) && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Zona de agua en una posición: la de superficie más alta cuyo contorno contiene el punto
+ * y cuyo fondo queda por debajo de él (la altura sobre la superficie no se comprueba)
+ * @param {Array<Object>} zones - Zonas de agua (ver getWaterZones)
+ * @param {number} x - Coordenada X
+ * @param {number} y - Coordenada Y
+ * @param {number} z - Coordenada Z
+ * @returns {Object|null} Zona o null
+ */
+export function getWaterZoneAt(zones, x, y, z) {
+  let found = null;
+  for (const zone of zones) {
+    if (x < zone.minX || x > zone.maxX || z < zone.minZ || z > zone.maxZ || y < zone.bottomY) continue;
+    if (found && found.surfaceY >= zone.surfaceY) continue;
+    if (isPointInPolygon(x, z, zone.polygon)) {
+      found = zone;
+    }
+  }
+  return found;
+}
+
+/**
+ * Zona de agua en la que está sumergido un punto (por debajo de la superficie)
+ * @param {Array<Object>} zones - Zonas de agua (ver getWaterZones)
+ * @param {{x: number, y: number, z: number}} position - Posición (ej: la de la cámara)
+ * @returns {Object|null} Zona o null
+ */
+export function getUnderwaterZone(zones, position) {
+  const zone = getWaterZoneAt(zones, position.x, position.y, position.z);
+  return zone && position.y < zone.surfaceY ? zone : null;
+}
+
+/**
+ * Fracción sumergida de un cuerpo
+ * @param {Object|null} zone - Zona de agua en la que está el cuerpo
+ * @param {number} centerY - Altura del centro del cuerpo
+ * @param {number} halfHeight - Mitad de la altura del cuerpo (0 para un punto)
+ * @returns {number} De 0 (fuera del agua) a 1 (completamente sumergido)
+ */
+export function getSubmersion(zone, centerY, halfHeight) {
+  if (!zone) return 0;
+  if (halfHeight <= 0) return centerY < zone.surfaceY ? 1 : 0;
+  return Math.min(1, Math.max(0, (zone.surfaceY - (centerY - halfHeight)) / (2 * halfHeight)));
+}
+
+/**
+ * Velocidad vertical de un controlador de jugador que nada
+ * La flotación compensa la gravedad según la fracción sumergida (con flotabilidad > 1 el cuerpo
+ * queda a flote con parte fuera del agua), saltar impulsa hacia arriba y el agua frena el movimiento
+ * @param {number} velocityY - Velocidad vertical actual
+ * @param {Object} zone - Zona de agua (ver getWaterZones)
+ * @param {number} submersion - Fracción sumergida (ver getSubmersion)
+ * @param {boolean} swimUp - Si se pulsa saltar
+ * @param {number} delta - Tiempo del frame en segundos
+ * @returns {number} Nueva velocidad vertical
+ */
+export function getSwimVelocity(velocityY, zone, submersion, swimUp, delta) {
+  let velocity = velocityY + PHYSICS_CONFIG.GRAVITY_STRENGTH * (zone.buoyancy * submersion - 1) * delta;
+  if (swimUp) {
+    velocity += WATER_CONFIG.SWIM_UP_ACCELERATION * delta;
+  }
+  velocity *= Math.exp(-zone.drag * submersion * delta);
+  return Math.max(-WATER_CONFIG.MAX_SWIM_VELOCITY, Math.min(WATER_CONFIG.MAX_SWIM_VELOCITY, velocity));
+}
+
+/**
+ * Aplica flotación y frenado a un cuerpo dinámico de Rapier
+ * La altura del cuerpo se aproxima con su caja sin girar
+ * @param {Object} rigidBody - Cuerpo dinámico
+ * @param {Array<Object>} zones - Zonas de agua (ver getWaterZones)
+ * @param {{minY: number, maxY: number}} bounds - Altura mínima y máxima del cuerpo respecto a su origen
+ * @param {number} delta - Tiempo del frame en segundos
+ * @returns {boolean} True si el cuerpo está en el agua
+ */
+export function applyBuoyancy(rigidBody, zones, bounds, delta) {
+  const translation = rigidBody.translation();
+  const halfHeight = (bounds.maxY - bounds.minY) / 2;
+  const centerY = translation.y + (bounds.minY + bounds.maxY) / 2;
+  const zone = getWaterZoneAt(zones, translation.x, centerY + halfHeight, translation.z);
+  const submersion = getSubmersion(zone, centerY, halfHeight);
+  if (submersion <= 0) return false;
+
+  const lift = rigidBody.mass() * PHYSICS_CONFIG.GRAVITY_STRENGTH * zone.buoyancy * submersion * delta;
+  rigidBody.applyImpulse({ x: 0, y: lift, z: 0 }, true);
+
+  const damping = Math.exp(-zone.drag * submersion * delta);
+  const linvel = rigidBody.linvel();
+  const angvel = rigidBody.angvel();
+  rigidBody.setLinvel({ x: linvel.x * damping, y: linvel.y * damping, z: linvel.z * damping }, true);
+  rigidBody.setAngvel({ x: angvel.x * damping, y: angvel.y * damping, z: angvel.z * damping }, true);
+  return true;
+}
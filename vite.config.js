@@ -1,10 +1,123 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
+import fs from 'fs/promises'
+
+// Nombres válidos para archivos de /public/levels (sin rutas)
+const LEVEL_FILENAME_PATTERN = /^[a-z0-9_-]+\.json$/i
+// Archivos de /public/levels que no son niveles: las rutas de niveles no los pueden tocar
+const MANIFEST_FILENAME = 'index.json'
+const RESERVED_FILENAMES = [MANIFEST_FILENAME, 'campaign.json']
+
+const isLevelFilename = (filename) =>
+  LEVEL_FILENAME_PATTERN.test(filename) && !RESERVED_FILENAMES.includes(filename.toLowerCase())
+
+/**
+ * Middleware de desarrollo para que el editor escriba niveles en /public/levels
+ * PUT /__levels/<archivo> escribe el JSON del cuerpo, PATCH renombra ({ filename })
+ * y DELETE elimina; el manifiesto solo se escribe con PUT /__level-manifest.
+ * Solo se registra con `vite` (no existe en el build)
+ */
+function levelFilesPlugin() {
+  return {
+    name: 'level-files',
+    apply: 'serve',
+    configureServer(server) {
+      const levelsDir = path.resolve(server.config.root, 'public/levels')
+
+      const sendJson = (res, status, body) => {
+        res.statusCode = status
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify(body))
+      }
+
+      const readBody = (req) => new Promise((resolve, reject) => {
+        let data = ''
+        req.on('data', (chunk) => { data += chunk })
+        req.on('end', () => {
+          try {
+            resolve(data ? JSON.parse(data) : null)
+          } catch {
+            reject(new Error('El cuerpo no es JSON válido'))
+          }
+        })
+        req.on('error', reject)
+      })
+
+      const exists = (file) => fs.access(file).then(() => true, () => false)
+
+      server.middlewares.use('/__level-manifest', async (req, res) => {
+        if (req.method !== 'PUT') {
+          sendJson(res, 405, { error: `Método no soportado: ${req.method}` })
+          return
+        }
+        try {
+          const data = await readBody(req)
+          if (!Array.isArray(data?.levels)) {
+            sendJson(res, 400, { error: 'El manifiesto debe tener una lista levels' })
+            return
+          }
+          await fs.mkdir(levelsDir, { recursive: true })
+          await fs.writeFile(path.join(levelsDir, MANIFEST_FILENAME), `${JSON.stringify(data, null, 2)}\n`)
+          sendJson(res, 200, { ok: true, filename: MANIFEST_FILENAME })
+        } catch (err) {
+          sendJson(res, 500, { error: err.message })
+        }
+      })
+
+      server.middlewares.use('/__levels', async (req, res) => {
+        try {
+          const filename = decodeURIComponent(req.url.split('?')[0].replace(/^\//, ''))
+          if (!isLevelFilename(filename)) {
+            sendJson(res, 400, { error: `Nombre de archivo no válido: ${filename}` })
+            return
+          }
+          const file = path.join(levelsDir, filename)
+
+          if (req.method === 'PUT') {
+            const data = await readBody(req)
+            if (!data) {
+              sendJson(res, 400, { error: 'Falta el contenido del archivo' })
+              return
+            }
+            await fs.mkdir(levelsDir, { recursive: true })
+            await fs.writeFile(file, `${JSON.stringify(data, null, 2)}\n`)
+            sendJson(res, 200, { ok: true, filename })
+          } else if (req.method === 'PATCH') {
+            const body = await readBody(req)
+            const newFilename = body?.filename
+            if (!isLevelFilename(newFilename || '')) {
+              sendJson(res, 400, { error: `Nombre de archivo no válido: ${newFilename}` })
+              return
+            }
+            if (newFilename !== filename && await exists(path.join(levelsDir, newFilename))) {
+              sendJson(res, 409, { error: `Ya existe ${newFilename}` })
+              return
+            }
+            await fs.rename(file, path.join(levelsDir, newFilename))
+            sendJson(res, 200, { ok: true, filename: newFilename })
+          } else if (req.method === 'DELETE') {
+            await fs.rm(file, { force: true })
+            sendJson(res, 200, { ok: true, filename })
+          } else {
+            sendJson(res, 405, { error: `Método no soportado: ${req.method}` })
+          }
+        } catch (err) {
+          // Ruta con escapes % mal formados: se rechaza como cualquier nombre no válido
+          if (err instanceof URIError) {
+            sendJson(res, 400, { error: `Nombre de archivo no válido: ${req.url}` })
+            return
+          }
+          sendJson(res, 500, { error: err.message })
+        }
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), levelFilesPlugin()],
   assetsInclude: ['**/*.glb', '**/*.gltf'],
   resolve: {
     alias: {